@@ -0,0 +1,86 @@
+// lib/anomaly.js
+// Plausibility checks for freshly fetched runs. Each rule looks at the raw
+// Monkeytype entry behind a PB (`raw`, `acc`, `consistency`, ...) and, for
+// jumps, at the PB the board already had for the same config.
+import { CONFIG_FIELDS } from "./monkeytype.js";
+
+const num = (v) => (v === null || v === undefined || v === "" ? NaN : Number(v));
+const envNum = (name, fallback) => (Number.isFinite(num(process.env[name])) ? Number(process.env[name]) : fallback);
+
+// Thresholds (env-overridable); ANOMALY_CHECKS=off disables detection entirely
+export function defaultRules() {
+  return {
+    enabled: !/^(0|off|false)$/i.test(process.env.ANOMALY_CHECKS || ""),
+    maxJumpWpm: envNum("ANOMALY_MAX_JUMP_WPM", 30), // over the previous PB for the same config
+    maxWpm: envNum("ANOMALY_MAX_WPM", 300),
+    maxRawGap: envNum("ANOMALY_MAX_RAW_GAP", 0.15), // |wpm/raw − accuracy| as a fraction
+    minConsistency: envNum("ANOMALY_MIN_CONSISTENCY", 40),
+  };
+}
+
+export const configSig = (pb) => CONFIG_FIELDS.map((f) => String(pb?.[f] ?? "")).join("|");
+
+// The stats reviewers need to judge a run, read from a raw result/PB entry
+export function runStats(e) {
+  return {
+    wpm: num(e?.wpm),
+    raw: num(e?.raw ?? e?.rawWpm),
+    acc: num(e?.acc),
+    consistency: num(e?.consistency),
+    restartCount: Number.isFinite(num(e?.restartCount)) ? Number(e.restartCount) : null,
+    timestamp: Number.isFinite(num(e?.timestamp)) ? Number(e.timestamp) : null,
+  };
+}
+
+/**
+ * Reasons a single run looks implausible (empty when it looks fine).
+ * @param {object} entry - raw Monkeytype entry
+ * @param {number|null} baselineWpm - best WPM the board already had for this config
+ * @returns {Array<{ rule: string, detail: string }>}
+ */
+export function checkRun(entry, baselineWpm, rules = defaultRules()) {
+  const s = runStats(entry);
+  const reasons = [];
+  if (!rules.enabled || !Number.isFinite(s.wpm)) return reasons;
+
+  if (s.wpm > rules.maxWpm) {
+    reasons.push({ rule: "max-wpm", detail: `${s.wpm} WPM is above ${rules.maxWpm}` });
+  }
+  if (Number.isFinite(baselineWpm) && s.wpm - baselineWpm > rules.maxJumpWpm) {
+    reasons.push({ rule: "wpm-jump", detail: `+${Math.round(s.wpm - baselineWpm)} WPM over the previous PB (${baselineWpm})` });
+  }
+  if (Number.isFinite(s.raw) && s.raw > 0 && Number.isFinite(s.acc)) {
+    // net WPM only counts correct characters, so wpm/raw should track accuracy
+    const gap = Math.abs(s.wpm / s.raw - s.acc / 100);
+    if (s.wpm > s.raw * 1.01 || gap > rules.maxRawGap) {
+      reasons.push({ rule: "raw-mismatch", detail: `net ${s.wpm} vs raw ${s.raw} at ${s.acc}% accuracy` });
+    }
+  }
+  if (Number.isFinite(s.consistency) && s.consistency < rules.minConsistency) {
+    reasons.push({ rule: "low-consistency", detail: `consistency ${s.consistency}% is below ${rules.minConsistency}%` });
+  }
+  return reasons;
+}
+
+/**
+ * Check every fetched run that would change the board.
+ * @param {{ prevPbs?: object, pbs: object, raw: Record<string, object>, rules?: object }} input
+ *   `raw` is keyed "category#configSig" like fetchMonkeytypePBs returns it.
+ * @returns {Array<{ category: string, sig: string, pb: object, reasons: Array, run: object }>}
+ */
+export function detectAnomalies({ prevPbs = {}, pbs, raw = {}, rules = defaultRules() }) {
+  if (!rules.enabled) return [];
+  const flagged = [];
+  for (const [key, entry] of Object.entries(raw || {})) {
+    const [category, sig] = key.split("#");
+    const pb = (pbs?.[category] || []).find((p) => configSig(p) === sig);
+    if (!pb) continue;
+    const before = (prevPbs?.[category] || []).find((p) => configSig(p) === sig);
+    // already on the board: it was accepted (or approved) on an earlier refresh
+    if (before && before.wpm === pb.wpm && before.achievedAt === pb.achievedAt) continue;
+
+    const reasons = checkRun(entry, before ? before.wpm : null, rules);
+    if (reasons.length) flagged.push({ category, sig, pb, reasons, run: runStats(entry) });
+  }
+  return flagged;
+}
@@ -0,0 +1,94 @@
+// lib/api-tokens.js
+// Tokens for the public /api/v1 ("api-tokens" document). Admins issue them
+// from the console; only a SHA-256 of each token is stored, the token itself
+// is shown once. Every token carries its own requests-per-minute limit.
+import crypto from "crypto";
+import { getStorage } from "./storage.js";
+
+const DOC = "api-tokens";
+const PREFIX = "mtil_";
+const MAX_RATE_LIMIT = 6000;
+const TOUCH_EVERY_MS = 60 * 1000; // lastUsedAt resolution; avoids a write per request
+
+export const DEFAULT_TOKEN_RATE_LIMIT = Number(process.env.API_TOKEN_RATE_LIMIT || 120);
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Cheap shape check, usable before any storage lookup
+export const looksLikeToken = (token) => typeof token === "string" && token.startsWith(PREFIX) && token.length <= 100;
+
+// "Authorization: Bearer mtil_..." (or null)
+export function tokenFromRequest(req) {
+  const m = /^Bearer\s+(\S+)$/i.exec(req.get?.("authorization") || req.headers?.authorization || "");
+  return m && looksLikeToken(m[1]) ? m[1] : null;
+}
+
+/**
+ * Validate an admin's form: { name, owner, rateLimit }.
+ * @returns {{ name: string, owner: string|null, rateLimit: number } | { error: string }}
+ */
+export function parseTokenInput(body = {}) {
+  const name = String(body.name || "").replace(/\s+/g, " ").trim();
+  if (name.length < 2 || name.length > 60 || /[\u0000-\u001f<>]/.test(name)) return { error: "Token name must be 2–60 characters" };
+  const owner = String(body.owner || "").trim() || null;
+  if (owner && !/^[a-zA-Z0-9_-]{3,20}$/.test(owner)) return { error: "Bad owner username" };
+  const rateLimit = body.rateLimit === undefined || body.rateLimit === "" ? DEFAULT_TOKEN_RATE_LIMIT : Number(body.rateLimit);
+  if (!Number.isInteger(rateLimit) || rateLimit < 1 || rateLimit > MAX_RATE_LIMIT) {
+    return { error: `Rate limit must be 1–${MAX_RATE_LIMIT} requests per minute` };
+  }
+  return { name, owner, rateLimit };
+}
+
+// Public view: no hash
+export const describeToken = ({ hash, ...rest }) => rest;
+
+export async function listTokens({ owner = null } = {}) {
+  const storage = await getStorage();
+  const list = await storage.get(DOC, []);
+  return owner ? list.filter((t) => t.owner?.toLowerCase() === owner.toLowerCase()) : list;
+}
+
+// Returns the stored record plus the token itself (never stored, shown once)
+export async function issueToken(input, createdBy) {
+  const token = PREFIX + crypto.randomBytes(24).toString("base64url");
+  const record = {
+    id: crypto.randomBytes(4).toString("hex"),
+    ...input,
+    hash: hashToken(token),
+    preview: `${token.slice(0, PREFIX.length + 4)}…`,
+    createdBy,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+  };
+  const storage = await getStorage();
+  await storage.update(DOC, [], (list) => [...list, record]);
+  return { token, record };
+}
+
+export async function renameTokenOwner(from, to) {
+  const storage = await getStorage();
+  await storage.update(DOC, [], (list) =>
+    list.map((t) => (t.owner?.toLowerCase() === from.toLowerCase() ? { ...t, owner: to } : t))
+  );
+}
+
+export async function revokeToken(id) {
+  let removed = null;
+  const storage = await getStorage();
+  await storage.update(DOC, [], (list) => list.filter((t) => (t.id === id ? ((removed = t), false) : true)));
+  return removed;
+}
+
+// The record for a presented token (or null); records use at most once a minute
+export async function findToken(token, now = Date.now()) {
+  if (!looksLikeToken(token)) return null;
+  const hash = hashToken(token);
+  const record = (await listTokens()).find((t) => t.hash === hash) || null;
+  if (record && !(Date.parse(record.lastUsedAt) > now - TOUCH_EVERY_MS)) {
+    const storage = await getStorage();
+    await storage.update(DOC, [], (list) =>
+      list.map((t) => (t.id === record.id ? { ...t, lastUsedAt: new Date(now).toISOString() } : t))
+    );
+  }
+  return record;
+}
@@ -0,0 +1,319 @@
+// lib/api-v1.js
+// Contract of the public, read-only /api/v1: one table of operations that
+// server.js mounts (each operationId needs a handler there) and that the
+// OpenAPI document at /api/v1/openapi.json is generated from, plus the
+// shared limit/offset pagination.
+import { MODES } from "./monkeytype.js";
+import { SEASON_KINDS } from "./seasons.js";
+
+export const API_VERSION = "1.0.0";
+const DEFAULT_PAGE = 50;
+const MAX_PAGE = 100;
+
+// ── parameters ───────────────────────────────────────────────────────────────
+
+const str = (description, extra = {}) => ({ schema: { type: "string", ...extra }, description });
+const bool = (description) => ({ schema: { type: "boolean" }, description });
+
+const PARAMS = {
+  username: { in: "path", required: true, ...str("Site username (case-insensitive)") },
+  id: { in: "path", required: true, ...str("Identifier") },
+  mode: { in: "query", ...str("Monkeytype mode", { enum: [...new Set(MODES.map((m) => m.mode))], default: "time" }) },
+  mode2: { in: "query", ...str("Duration in seconds (time) or word count (words)", { enum: [...new Set(MODES.map((m) => m.mode2))], default: "15" }) },
+  language: { in: "query", ...str("Language; also matches its word-list variants (hebrew → hebrew_1k)", { pattern: "^[a-z0-9_]{2,40}$" }) },
+  punctuation: { in: "query", ...bool("Only runs with (true) or without (false) punctuation") },
+  numbers: { in: "query", ...bool("Only runs with (true) or without (false) numbers") },
+  difficulty: { in: "query", ...str("Difficulty", { enum: ["normal", "expert", "master"] }) },
+  lazyMode: { in: "query", ...bool("Only runs with (true) or without (false) lazy mode") },
+  season: { in: "query", ...str(`Season board: ${SEASON_KINDS.join(" | ")} (current) or an id such as week:2026-W07; omit for all-time`) },
+  group: { in: "query", ...str("Only members of this group (id from /groups)") },
+  q: { in: "query", ...str("Case-insensitive username substring", { maxLength: 20 }) },
+  status: { in: "query", ...str("Tournament status", { enum: ["upcoming", "live", "finalizing", "finished"] }) },
+  top: { in: "query", schema: { type: "integer", minimum: 1, maximum: 20, default: 5 }, description: "Members averaged per group" },
+  limit: { in: "query", schema: { type: "integer", minimum: 1, maximum: MAX_PAGE, default: DEFAULT_PAGE }, description: "Page size" },
+  offset: { in: "query", schema: { type: "integer", minimum: 0, default: 0 }, description: "Items to skip" },
+};
+
+const BOARD = ["mode", "mode2", "language", "punctuation", "numbers", "difficulty", "lazyMode"];
+const PAGE = ["limit", "offset"];
+
+// ── operations ───────────────────────────────────────────────────────────────
+
+export const V1_OPERATIONS = [
+  {
+    operationId: "listModes",
+    path: "/modes",
+    summary: "Boards (mode + mode2) the leaderboard tracks",
+    params: [],
+    response: { type: "object", properties: { data: { type: "array", items: { $ref: "#/components/schemas/Mode" } } } },
+  },
+  {
+    operationId: "getLeaderboard",
+    path: "/leaderboard",
+    summary: "Ranked members of one board",
+    description: "Ranks are computed before `q` narrows the list, so they always match the full board.",
+    params: [...BOARD, "season", "group", "q", ...PAGE],
+    paginated: "LeaderboardRow",
+    extra: { category: { $ref: "#/components/schemas/Mode" }, season: { type: "object", nullable: true }, group: { type: "object", nullable: true } },
+  },
+  {
+    operationId: "getUser",
+    path: "/users/{username}",
+    summary: "A member's PBs in every mode with their Israel rank",
+    params: ["username"],
+    response: { $ref: "#/components/schemas/Profile" },
+    notFound: true,
+  },
+  {
+    operationId: "getUserHistory",
+    path: "/users/{username}/history",
+    summary: "PB changes of a member on one board, oldest first",
+    params: ["username", ...BOARD, ...PAGE],
+    paginated: "HistoryPoint",
+    notFound: true,
+  },
+  {
+    operationId: "listSeasons",
+    path: "/seasons",
+    summary: "Current week/month/year seasons and the archive",
+    params: [],
+    response: { type: "object", properties: { current: { type: "array", items: { $ref: "#/components/schemas/Season" } }, archived: { type: "array", items: { $ref: "#/components/schemas/Season" } } } },
+  },
+  {
+    operationId: "listTournaments",
+    path: "/tournaments",
+    summary: "Tournaments, live and upcoming first",
+    params: ["status", ...PAGE],
+    paginated: "Tournament",
+  },
+  {
+    operationId: "getTournament",
+    path: "/tournaments/{id}",
+    summary: "One tournament with its standings",
+    params: ["id"],
+    response: {
+      type: "object",
+      properties: {
+        tournament: { $ref: "#/components/schemas/Tournament" },
+        finalizedAt: { type: "string", format: "date-time", nullable: true },
+        standings: { type: "array", items: { type: "object" } },
+      },
+    },
+    notFound: true,
+  },
+  {
+    operationId: "listGroups",
+    path: "/groups",
+    summary: "Groups, largest first",
+    params: ["q", ...PAGE],
+    paginated: "Group",
+  },
+  {
+    operationId: "rankGroups",
+    path: "/groups/ranking",
+    summary: "Groups ranked by the average WPM of their top members",
+    params: [...BOARD, "top", ...PAGE],
+    paginated: "GroupRank",
+  },
+];
+
+// "/users/{username}" → "/users/:username"
+export const toExpressPath = (p) => p.replace(/\{(\w+)\}/g, ":$1");
+
+// ── pagination ───────────────────────────────────────────────────────────────
+
+/**
+ * Slice `items` by ?limit=&offset=.
+ * @returns {{ data: any[], pagination: { total: number, limit: number, offset: number, nextOffset: number|null } } | { error: string }}
+ */
+export function paginate(items, query = {}) {
+  const limit = query.limit === undefined || query.limit === "" ? DEFAULT_PAGE : Number(query.limit);
+  const offset = query.offset === undefined || query.offset === "" ? 0 : Number(query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE) return { error: `limit must be 1–${MAX_PAGE}` };
+  if (!Number.isInteger(offset) || offset < 0) return { error: "offset must be 0 or more" };
+  const total = items.length;
+  return {
+    data: items.slice(offset, offset + limit),
+    pagination: { total, limit, offset, nextOffset: offset + limit < total ? offset + limit : null },
+  };
+}
+
+// ── OpenAPI ──────────────────────────────────────────────────────────────────
+
+const SCHEMAS = {
+  Error: { type: "object", properties: { error: { type: "string" } }, required: ["error"] },
+  Pagination: {
+    type: "object",
+    properties: {
+      total: { type: "integer" },
+      limit: { type: "integer" },
+      offset: { type: "integer" },
+      nextOffset: { type: "integer", nullable: true, description: "Offset of the next page; null on the last page" },
+    },
+  },
+  Mode: { type: "object", properties: { mode: { type: "string" }, mode2: { type: "string" } } },
+  RunConfig: {
+    type: "object",
+    properties: {
+      language: { type: "string", nullable: true },
+      punctuation: { type: "boolean", nullable: true },
+      numbers: { type: "boolean", nullable: true },
+      difficulty: { type: "string", nullable: true },
+      lazyMode: { type: "boolean", nullable: true },
+    },
+  },
+  LeaderboardRow: {
+    allOf: [
+      {
+        type: "object",
+        properties: {
+          rank: { type: "integer" },
+          username: { type: "string" },
+          wpm: { type: "number" },
+          accuracy: { type: "number" },
+          timestamp: { type: "string", format: "date-time", description: "Last refresh" },
+        },
+      },
+      { $ref: "#/components/schemas/RunConfig" },
+    ],
+  },
+  HistoryPoint: {
+    allOf: [
+      {
+        type: "object",
+        properties: {
+          at: { type: "string", format: "date-time", description: "When the change was recorded" },
+          achievedAt: { type: "string", format: "date-time", nullable: true },
+          wpm: { type: "number" },
+          accuracy: { type: "number" },
+        },
+      },
+      { $ref: "#/components/schemas/RunConfig" },
+    ],
+  },
+  Profile: {
+    type: "object",
+    properties: {
+      username: { type: "string" },
+      joinedAt: { type: "string", format: "date-time", nullable: true },
+      lastRefreshedAt: { type: "string", format: "date-time", nullable: true },
+      categories: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            mode: { type: "string" },
+            mode2: { type: "string" },
+            best: { type: "object" },
+            rank: { type: "integer" },
+            total: { type: "integer" },
+            percentile: { type: "number" },
+          },
+        },
+      },
+    },
+  },
+  Season: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      kind: { type: "string", enum: SEASON_KINDS },
+      label: { type: "string" },
+      start: { type: "string", format: "date-time" },
+      end: { type: "string", format: "date-time" },
+      closed: { type: "boolean" },
+    },
+  },
+  Tournament: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      name: { type: "string" },
+      mode: { type: "string" },
+      mode2: { type: "string" },
+      startAt: { type: "string", format: "date-time" },
+      endAt: { type: "string", format: "date-time" },
+      status: { type: "string", enum: ["upcoming", "live", "finalizing", "finished"] },
+      registered: { type: "integer" },
+    },
+  },
+  Group: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      name: { type: "string" },
+      kind: { type: "string" },
+      visibility: { type: "string", enum: ["open", "invite"] },
+      memberCount: { type: "integer" },
+    },
+  },
+  GroupRank: {
+    allOf: [
+      { $ref: "#/components/schemas/Group" },
+      {
+        type: "object",
+        properties: {
+          rank: { type: "integer" },
+          ranked: { type: "integer", description: "Ranked members counted (at most `top`)" },
+          score: { type: "number", nullable: true, description: "Average WPM of the top members, missing ones counting as 0" },
+          topMembers: { type: "array", items: { type: "object", properties: { username: { type: "string" }, wpm: { type: "number" } } } },
+        },
+      },
+    ],
+  },
+};
+
+const errorResponse = (description) => ({ description, content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } } });
+
+function operationSpec(op) {
+  const schema = op.paginated
+    ? {
+        type: "object",
+        properties: {
+          ...(op.extra || {}),
+          data: { type: "array", items: { $ref: `#/components/schemas/${op.paginated}` } },
+          pagination: { $ref: "#/components/schemas/Pagination" },
+        },
+      }
+    : op.response;
+  const responses = {
+    200: { description: "OK", content: { "application/json": { schema } } },
+    400: errorResponse("Bad query parameter"),
+    401: errorResponse("Unknown API token"),
+    429: errorResponse("Rate limit reached; see the RateLimit-* and Retry-After headers"),
+  };
+  if (op.notFound) responses[404] = errorResponse("Not found");
+  return {
+    operationId: op.operationId,
+    summary: op.summary,
+    ...(op.description ? { description: op.description } : {}),
+    parameters: op.params.map((name) => ({ name, ...PARAMS[name] })),
+    responses,
+  };
+}
+
+/**
+ * OpenAPI 3.0 document for every operation in V1_OPERATIONS.
+ * @param {{ serverUrl?: string }} [opts] - absolute base of the site (servers stay relative without it)
+ */
+export function buildOpenApi({ serverUrl = "" } = {}) {
+  const paths = {};
+  for (const op of V1_OPERATIONS) paths[op.path] = { get: operationSpec(op) };
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "Monkeytype Israel Leaderboard API",
+      version: API_VERSION,
+      description:
+        "Read-only access to the boards. Anonymous requests share a small per-IP rate limit; " +
+        "send an issued token as `Authorization: Bearer mtil_…` for that token's own limit.",
+    },
+    servers: [{ url: `${serverUrl}/api/v1` }],
+    security: [{}, { bearerToken: [] }],
+    paths,
+    components: {
+      schemas: SCHEMAS,
+      securitySchemes: { bearerToken: { type: "http", scheme: "bearer", description: "API token issued by an admin" } },
+    },
+  };
+}
@@ -0,0 +1,26 @@
+// lib/audit.js
+// Append-only audit log of admin actions ("audit" document). Entries are never
+// edited or removed; readers page through them newest first.
+import { getStorage } from "./storage.js";
+
+const DOC = "audit";
+
+/**
+ * @param {{ actor: string, action: string, target?: string|null, details?: object }} entry
+ */
+export async function appendAudit({ actor, action, target = null, details = {} }) {
+  const storage = await getStorage();
+  const entry = { at: new Date().toISOString(), actor, action, target, details };
+  await storage.update(DOC, [], (log) => {
+    log.push(entry);
+    return log;
+  });
+  return entry;
+}
+
+export async function readAudit({ limit = 100, offset = 0 } = {}) {
+  const storage = await getStorage();
+  const log = await storage.get(DOC, []);
+  const newestFirst = log.slice().reverse();
+  return { total: log.length, entries: newestFirst.slice(offset, offset + limit) };
+}
@@ -0,0 +1,202 @@
+// lib/discord.js
+// Discord interactions (slash commands): Ed25519 request verification, the
+// command definitions to register, and answers built from the same boards as
+// /api/leaderboard. Discord account links are confirmed on the site through a
+// short-lived token ("discord-links" document).
+import crypto from "crypto";
+import { getStorage } from "./storage.js";
+import { MODES, DEFAULT_MODE, categoryKey } from "./monkeytype.js";
+import { buildLeaderboard, rankIn } from "./leaderboard.js";
+
+const LINKS_DOC = "discord-links";
+const LINK_TTL_MS = 10 * 60 * 1000;
+const MAX_TOP = 25;
+
+export const InteractionType = { PING: 1, APPLICATION_COMMAND: 2 };
+export const ResponseType = { PONG: 1, CHANNEL_MESSAGE: 4 };
+const EPHEMERAL = 64;
+
+// SubjectPublicKeyInfo header for a raw 32-byte Ed25519 key
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+
+/**
+ * Check Discord's X-Signature-Ed25519 over `timestamp + rawBody`.
+ * @param {{ publicKey: string, signature: string, timestamp: string, body: Buffer|string, maxSkewSec?: number }} input
+ *   publicKey/signature are hex, as shown in the Discord developer portal
+ */
+export function verifyDiscordRequest({ publicKey, signature, timestamp, body, maxSkewSec = 300 }) {
+  try {
+    if (!publicKey || !signature || !timestamp || body === undefined) return false;
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > maxSkewSec) return false; // replayed request
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKey, "hex")]),
+      format: "der",
+      type: "spki",
+    });
+    const message = Buffer.concat([Buffer.from(String(timestamp)), Buffer.isBuffer(body) ? body : Buffer.from(body)]);
+    return crypto.verify(null, message, key, Buffer.from(signature, "hex"));
+  } catch {
+    return false;
+  }
+}
+
+const modeChoices = MODES.map((m) => ({
+  name: m.mode === "time" ? `time ${m.mode2}s` : `${m.mode2} words`,
+  value: categoryKey(m.mode, m.mode2),
+}));
+const modeOption = { type: 3, name: "mode", description: "Board (default: time 15s)", required: false, choices: modeChoices };
+const userOption = (name, description, required = true) => ({ type: 3, name, description, required });
+
+// Slash commands to register with Discord (see scripts/discord-register.js)
+export const COMMANDS = [
+  {
+    name: "rank",
+    description: "Israel rank of a member (yourself when linked)",
+    options: [userOption("username", "Site username", false), modeOption],
+  },
+  {
+    name: "top",
+    description: "Top of the Israel leaderboard",
+    options: [{ type: 4, name: "n", description: `How many (1–${MAX_TOP})`, required: false, min_value: 1, max_value: MAX_TOP }, modeOption],
+  },
+  {
+    name: "compare",
+    description: "Compare two members",
+    options: [userOption("first", "Site username"), userOption("second", "Site username"), modeOption],
+  },
+  { name: "link", description: "Link your Discord account to your leaderboard account" },
+];
+
+const reply = (content, { ephemeral = false, embeds } = {}) => ({
+  type: ResponseType.CHANNEL_MESSAGE,
+  data: { content, embeds, allowed_mentions: { parse: [] }, flags: ephemeral ? EPHEMERAL : undefined },
+});
+
+function optionsOf(interaction) {
+  return Object.fromEntries((interaction.data?.options || []).map((o) => [o.name, o.value]));
+}
+
+function selectionFrom(opts) {
+  const [mode, mode2] = String(opts.mode || categoryKey(DEFAULT_MODE.mode, DEFAULT_MODE.mode2)).split(":");
+  return { mode, mode2, filters: {} };
+}
+
+const modeLabel = ({ mode, mode2 }) => (mode === "time" ? `time ${mode2}s` : `${mode2} words`);
+const discordUser = (interaction) => interaction.member?.user || interaction.user || {};
+const md = (s) => String(s).replace(/([\\*_`~|>])/g, "\\$1"); // usernames may contain "_"
+
+function line(row, rank) {
+  return `**#${rank}** ${md(row.username)} — ${row.wpm} WPM · ${Number(row.accuracy).toFixed(2)}%`;
+}
+
+/**
+ * Answer one interaction.
+ * @param {object} interaction - parsed Discord payload
+ * @param {{ users: object[], siteUrl?: string }} ctx - current user records
+ * @returns {Promise<object>} interaction response
+ */
+export async function handleInteraction(interaction, { users, siteUrl = "" }) {
+  if (interaction.type === InteractionType.PING) return { type: ResponseType.PONG };
+  if (interaction.type !== InteractionType.APPLICATION_COMMAND) return reply("Unsupported interaction.", { ephemeral: true });
+
+  const opts = optionsOf(interaction);
+  const selection = selectionFrom(opts);
+  const rows = buildLeaderboard(users, selection);
+  const caller = discordUser(interaction);
+  const linked = users.find((u) => u.discord?.id && u.discord.id === caller.id);
+  const profile = (name) => (siteUrl ? `${siteUrl}/u/${encodeURIComponent(name)}` : undefined);
+
+  switch (interaction.data?.name) {
+    case "rank": {
+      const name = opts.username || linked?.username;
+      if (!name) return reply("Give a username, or use /link to connect your account first.", { ephemeral: true });
+      const pos = rankIn(rows, name);
+      if (!pos) return reply(`${md(name)} has no ranked result on the ${modeLabel(selection)} board.`, { ephemeral: true });
+      const row = rows[pos.rank - 1];
+      return reply("", {
+        embeds: [{
+          title: `${row.username} — #${pos.rank} of ${pos.total} (${modeLabel(selection)})`,
+          url: profile(row.username),
+          description: `${row.wpm} WPM · ${Number(row.accuracy).toFixed(2)}% accuracy\nAhead of ${pos.percentile}% of ranked members`,
+          color: 0x2563eb,
+        }],
+      });
+    }
+    case "top": {
+      const n = Math.max(1, Math.min(MAX_TOP, Number(opts.n) || 10));
+      if (!rows.length) return reply(`Nobody is ranked on the ${modeLabel(selection)} board yet.`);
+      return reply("", {
+        embeds: [{
+          title: `🇮🇱 Top ${Math.min(n, rows.length)} — ${modeLabel(selection)}`,
+          url: siteUrl || undefined,
+          description: rows.slice(0, n).map((r, i) => line(r, i + 1)).join("\n"),
+          color: 0xf5b301,
+        }],
+      });
+    }
+    case "compare": {
+      const a = rankIn(rows, opts.first);
+      const b = rankIn(rows, opts.second);
+      const missing = [[opts.first, a], [opts.second, b]].filter(([, pos]) => !pos).map(([n]) => md(n));
+      if (missing.length) return reply(`Not ranked on the ${modeLabel(selection)} board: ${missing.join(", ")}.`, { ephemeral: true });
+      const ra = rows[a.rank - 1];
+      const rb = rows[b.rank - 1];
+      const diff = Math.round((ra.wpm - rb.wpm) * 100) / 100;
+      const verdict = diff === 0 ? "Dead even!" : `${md(diff > 0 ? ra.username : rb.username)} is ahead by ${Math.abs(diff)} WPM.`;
+      return reply("", {
+        embeds: [{
+          title: `${ra.username} vs ${rb.username} (${modeLabel(selection)})`,
+          description: `${line(ra, a.rank)}\n${line(rb, b.rank)}\n\n${verdict}`,
+          color: 0x16a34a,
+        }],
+      });
+    }
+    case "link": {
+      if (!caller.id) return reply("Could not tell who you are on Discord.", { ephemeral: true });
+      const token = await createLinkToken(caller);
+      const url = `${siteUrl}/discord/link?token=${encodeURIComponent(token)}`;
+      return reply(
+        `Open this link while logged in on the leaderboard to link your account (valid for 10 minutes):\n${url}`,
+        { ephemeral: true }
+      );
+    }
+    default:
+      return reply("Unknown command.", { ephemeral: true });
+  }
+}
+
+// ── account links ────────────────────────────────────────────────────────────
+
+async function createLinkToken(discordUserObj) {
+  const token = crypto.randomBytes(24).toString("base64url");
+  const now = Date.now();
+  const storage = await getStorage();
+  await storage.update(LINKS_DOC, {}, (links) => {
+    for (const [t, l] of Object.entries(links)) if (Date.parse(l.expiresAt) <= now) delete links[t];
+    links[token] = {
+      discordId: String(discordUserObj.id),
+      discordName: String(discordUserObj.global_name || discordUserObj.username || ""),
+      expiresAt: new Date(now + LINK_TTL_MS).toISOString(),
+    };
+    return links;
+  });
+  return token;
+}
+
+export async function peekLinkToken(token) {
+  const storage = await getStorage();
+  const link = (await storage.get(LINKS_DOC, {}))[String(token)];
+  return link && Date.parse(link.expiresAt) > Date.now() ? link : null;
+}
+
+// One-shot: the token is gone after this, whether or not it was still valid
+export async function consumeLinkToken(token) {
+  let link = null;
+  const storage = await getStorage();
+  await storage.update(LINKS_DOC, {}, (links) => {
+    link = links[String(token)] || null;
+    delete links[String(token)];
+    return links;
+  });
+  return link && Date.parse(link.expiresAt) > Date.now() ? link : null;
+}
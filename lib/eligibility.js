@@ -0,0 +1,195 @@
+// lib/eligibility.js
+// A second way past the Israel-only gate, for members living abroad, traveling
+// or on VPNs: invite codes issued by admins ("invites" document) and vouch
+// requests that an admin approves ("vouch-requests"). Either one is recorded
+// on the user as `eligibility`, which lets that member through /join from any
+// IP afterwards. Only a SHA-256 of each invite code is stored.
+import crypto from "crypto";
+import { getStorage } from "./storage.js";
+
+const INVITES = "invites";
+const VOUCHES = "vouch-requests";
+const MAX_USES = 100;
+const MAX_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O, 1/I
+
+const hashCode = (code) => crypto.createHash("sha256").update(normalizeCode(code)).digest("hex");
+
+// Codes are typed by hand: ignore case, spaces and dashes
+export const normalizeCode = (code) => String(code || "").toUpperCase().replace(/[\s-]/g, "");
+
+function newCode() {
+  const chars = [...crypto.randomBytes(8)].map((b) => CODE_ALPHABET[b % CODE_ALPHABET.length]).join("");
+  return `IL-${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
+
+/**
+ * Validate an admin's invite form: { note, maxUses, expiresInDays }.
+ * @returns {{ note: string, maxUses: number, expiresInDays: number } | { error: string }}
+ */
+export function parseInviteInput(body = {}) {
+  const note = String(body.note || "").replace(/\s+/g, " ").trim().slice(0, 200);
+  const maxUses = body.maxUses === undefined || body.maxUses === "" ? 1 : Number(body.maxUses);
+  if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_USES) return { error: `Uses must be 1–${MAX_USES}` };
+  const expiresInDays = body.expiresInDays === undefined || body.expiresInDays === "" ? 14 : Number(body.expiresInDays);
+  if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_DAYS) return { error: `Expiry must be 1–${MAX_DAYS} days` };
+  return { note, maxUses, expiresInDays };
+}
+
+// Public view: no hash
+export const describeInvite = ({ hash, ...rest }) => rest;
+
+export async function listInvites() {
+  const storage = await getStorage();
+  return storage.get(INVITES, []);
+}
+
+// Returns the stored record plus the code itself (never stored, shown once)
+export async function issueInvite({ note, maxUses, expiresInDays }, createdBy, now = Date.now()) {
+  const code = newCode();
+  const record = {
+    id: crypto.randomBytes(4).toString("hex"),
+    note,
+    hash: hashCode(code),
+    preview: `${code.slice(0, 5)}…`,
+    maxUses,
+    uses: [],
+    createdBy,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + expiresInDays * DAY_MS).toISOString(),
+    revoked: false,
+  };
+  const storage = await getStorage();
+  await storage.update(INVITES, [], (list) => [...list, record]);
+  return { code, record };
+}
+
+export async function revokeInvite(id) {
+  let found = null;
+  const storage = await getStorage();
+  await storage.update(INVITES, [], (list) =>
+    list.map((i) => (i.id === id ? (found = { ...i, revoked: true }) : i))
+  );
+  return found;
+}
+
+/**
+ * Use one of an invite's uses for `username` (or null when the code is
+ * unknown, revoked, expired or used up). A member redeeming twice counts once.
+ */
+export async function redeemInvite(code, username, now = Date.now()) {
+  if (!normalizeCode(code)) return null;
+  const hash = hashCode(code);
+  const lower = String(username).toLowerCase();
+  let redeemed = null;
+  const storage = await getStorage();
+  await storage.update(INVITES, [], (list) =>
+    list.map((i) => {
+      if (i.hash !== hash || i.revoked || Date.parse(i.expiresAt) <= now) return i;
+      if (i.uses.some((u) => u.username.toLowerCase() === lower)) return (redeemed = i);
+      if (i.uses.length >= i.maxUses) return i;
+      return (redeemed = { ...i, uses: [...i.uses, { username, at: new Date(now).toISOString() }] });
+    })
+  );
+  return redeemed ? describeInvite(redeemed) : null;
+}
+
+// Give back the use `username` took at `at` (ISO) when the join it was for
+// failed; an older use by the same member stays
+export async function releaseInvite(id, username, at) {
+  const lower = String(username).toLowerCase();
+  const storage = await getStorage();
+  await storage.update(INVITES, [], (list) =>
+    list.map((i) =>
+      i.id === id ? { ...i, uses: i.uses.filter((u) => !(u.username.toLowerCase() === lower && u.at === at)) } : i
+    )
+  );
+}
+
+/**
+ * Validate a vouch request's free-text parts: { message, voucher }.
+ * `voucher` is an optional existing member who can confirm the request.
+ */
+export function parseVouchInput(body = {}) {
+  const message = String(body.message || "").replace(/\s+/g, " ").trim();
+  if (message.length < 10 || message.length > 500) return { error: "Tell the admins a little about yourself (10–500 characters)" };
+  const voucher = String(body.voucher || "").trim() || null;
+  if (voucher && !/^[a-zA-Z0-9_-]{3,20}$/.test(voucher)) return { error: "Bad voucher username" };
+  return { message, voucher };
+}
+
+export async function listVouches({ status = null, username = null } = {}) {
+  const storage = await getStorage();
+  const lower = username?.toLowerCase();
+  const list = (await storage.get(VOUCHES, [])).filter(
+    (v) => (!status || v.status === status) && (!lower || v.username.toLowerCase() === lower)
+  );
+  return list.slice().reverse();
+}
+
+// A newer request from the same username replaces a pending one
+export async function submitVouch({ username, keyHash, message, voucher }) {
+  const item = {
+    id: crypto.randomBytes(4).toString("hex"),
+    username,
+    keyHash,
+    message,
+    voucher,
+    status: "pending",
+    createdAt: new Date().toISOString(),
+  };
+  const lower = username.toLowerCase();
+  const storage = await getStorage();
+  await storage.update(VOUCHES, [], (list) => [
+    ...list.filter((v) => !(v.status === "pending" && v.username.toLowerCase() === lower)),
+    item,
+  ]);
+  return item;
+}
+
+export async function decideVouch(id, status, { actor, reason = null }) {
+  let decided = null;
+  const storage = await getStorage();
+  await storage.update(VOUCHES, [], (list) =>
+    list.map((v) => {
+      if (v.id !== id || v.status !== "pending") return v;
+      return (decided = { ...v, status, decidedBy: actor, decidedAt: new Date().toISOString(), reason });
+    })
+  );
+  return decided;
+}
+
+export async function getVouch(id) {
+  const storage = await getStorage();
+  return (await storage.get(VOUCHES, [])).find((v) => v.id === id) || null;
+}
+
+// Approved request for this username + Ape Key (or null)
+export async function findApprovedVouch(username, keyHash) {
+  const lower = String(username).toLowerCase();
+  return (await listVouches({ status: "approved" })).find((v) => v.username.toLowerCase() === lower && v.keyHash === keyHash) || null;
+}
+
+// A rename carries over the member's requests, the requests they vouched
+// for and the invite uses they are listed in
+export async function renameEligibilityRefs(from, to) {
+  const lower = from.toLowerCase();
+  const storage = await getStorage();
+  await storage.update(VOUCHES, [], (list) =>
+    list.map((v) => ({
+      ...v,
+      username: v.username.toLowerCase() === lower ? to : v.username,
+      voucher: v.voucher?.toLowerCase() === lower ? to : v.voucher,
+    }))
+  );
+  await storage.update(INVITES, [], (list) =>
+    list.map((i) => ({ ...i, uses: i.uses.map((u) => (u.username.toLowerCase() === lower ? { ...u, username: to } : u)) }))
+  );
+}
+
+// What goes on the user record
+export const eligibilityRecord = (via, { ref = null, approvedBy }) => ({ via, ref, approvedBy, approvedAt: new Date().toISOString() });
+
+// Ape Key hashes aren't shown to admins
+export const describeVouch = ({ keyHash, ...rest }) => rest;
@@ -0,0 +1,121 @@
+// lib/embed.js
+// Markup for things other sites embed: the SVG rank badge (GitHub READMEs,
+// overlays) and the top-N widget page (iframes, OBS browser sources).
+// Both take the same theme options: ?theme=light|dark|transparent&accent=rrggbb.
+import { escapeHtml as esc } from "./i18n.js";
+
+export const THEMES = {
+  light: { bg: "#ffffff", ink: "#0f172a", muted: "#64748b", border: "#e2e8f0", label: "#e2e8f0", labelInk: "#0f172a" },
+  dark: { bg: "#0f172a", ink: "#e2e8f0", muted: "#94a3b8", border: "#1e293b", label: "#1e293b", labelInk: "#e2e8f0" },
+  transparent: { bg: "transparent", ink: "#ffffff", muted: "#cbd5e1", border: "rgba(255,255,255,.2)", label: "#334155", labelInk: "#ffffff" },
+};
+const DEFAULT_ACCENT = "#1e40af";
+const MAX_WIDGET_ROWS = 25;
+
+/**
+ * Read ?theme= and ?accent= (6-digit hex, with or without "#").
+ * Unknown values fall back to the defaults instead of failing the embed.
+ * @returns {{ name: string, accent: string } & typeof THEMES.light}
+ */
+export function parseTheme(query = {}, fallback = "light") {
+  const name = Object.hasOwn(THEMES, query.theme) ? query.theme : fallback;
+  const hex = String(query.accent || "").replace(/^#/, "");
+  const accent = /^[0-9a-f]{6}$/i.test(hex) ? `#${hex.toLowerCase()}` : DEFAULT_ACCENT;
+  return { name, accent, ...THEMES[name] };
+}
+
+export function parseWidgetOptions(query = {}) {
+  const n = Math.max(1, Math.min(MAX_WIDGET_ROWS, Number.parseInt(query.n, 10) || 10));
+  // 0 turns auto-reload off; otherwise at least every 30s
+  const raw = Number.parseInt(query.refresh, 10);
+  const refresh = raw === 0 ? 0 : Math.max(30, Math.min(3600, Number.isFinite(raw) ? raw : 60));
+  return { n, refresh, theme: parseTheme(query) };
+}
+
+export const modeName = ({ mode, mode2 }) => (mode === "time" ? `time ${mode2}s` : `${mode2} words`);
+
+// Verdana 11px averages ~6.5px per character; close enough for a badge
+const textWidth = (s) => Math.ceil([...String(s)].length * 6.5) + 12;
+
+/**
+ * Two-part badge: "noam_k · time 15s | 142 WPM · 98.1% · #3 in Israel".
+ * @param {{ username: string, selection: { mode: string, mode2: string }, row?: object, rank?: { rank: number, total: number } }} data
+ *   `row` and `rank` are missing when the member is not ranked on that board
+ */
+export function renderBadge({ username, selection, row, rank }, theme = parseTheme()) {
+  const label = `${username} · ${modeName(selection)}`;
+  const value = row ? `${row.wpm} WPM · ${Number(row.accuracy).toFixed(1)}% · #${rank.rank} in Israel` : "not ranked";
+  const lw = textWidth(label);
+  const vw = textWidth(value);
+  const w = lw + vw;
+  const valueBg = row ? theme.accent : theme.muted;
+  const title = row
+    ? `${username}: #${rank.rank} of ${rank.total} in Israel, ${row.wpm} WPM at ${Number(row.accuracy).toFixed(1)}% (${modeName(selection)})`
+    : `${username}: not ranked (${modeName(selection)})`;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="20" role="img" aria-label="${esc(title)}">
+  <title>${esc(title)}</title>
+  <clipPath id="r"><rect width="${w}" height="20" rx="4"/></clipPath>
+  <g clip-path="url(#r)">
+    <rect width="${lw}" height="20" fill="${theme.label}"/>
+    <rect x="${lw}" width="${vw}" height="20" fill="${valueBg}"/>
+  </g>
+  <g font-family="Verdana,DejaVu Sans,sans-serif" font-size="11" text-anchor="middle">
+    <text x="${lw / 2}" y="14" fill="${theme.labelInk}">${esc(label)}</text>
+    <text x="${lw + vw / 2}" y="14" fill="#ffffff">${esc(value)}</text>
+  </g>
+</svg>
+`;
+}
+
+/**
+ * Self-contained top-N page for iframes (inline styles, no scripts). Links are
+ * root-relative, so they resolve against this site inside the frame; the page
+ * is publicly cached and must not echo the request's Host header.
+ * @param {{ rows: object[], selection: object, options: ReturnType<typeof parseWidgetOptions> }} data
+ */
+export function renderWidget({ rows, selection, options }) {
+  const { n, refresh, theme } = options;
+  const board = `/?mode=${encodeURIComponent(selection.mode)}&amp;mode2=${encodeURIComponent(selection.mode2)}`;
+  const body = rows.length
+    ? rows
+        .slice(0, n)
+        .map(
+          (r, i) => `<tr><td class="rank">${i + 1}</td><td class="name"><a href="/u/${encodeURIComponent(r.username)}" target="_blank" rel="noopener">${esc(r.username)}</a></td><td class="num">${esc(r.wpm)}</td><td class="num muted">${Number(r.accuracy).toFixed(1)}%</td></tr>`
+        )
+        .join("\n      ")
+    : `<tr><td colspan="4" class="muted">Nobody is ranked yet.</td></tr>`;
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  ${refresh ? `<meta http-equiv="refresh" content="${refresh}">` : ""}
+  <title>Top ${n} — ${esc(modeName(selection))}</title>
+  <style>
+    html, body { margin:0; background:${theme.bg}; color:${theme.ink}; font: 14px/1.4 ui-sans-serif, system-ui, -apple-system, "Segoe UI", Roboto, Arial, sans-serif; }
+    .wrap { padding:10px 12px; }
+    h1 { font-size:15px; margin:0 0 6px; display:flex; justify-content:space-between; gap:8px; }
+    h1 span { color:${theme.accent}; }
+    table { width:100%; border-collapse:collapse; }
+    td { padding:4px 6px; border-top:1px solid ${theme.border}; }
+    .rank { width:2em; font-weight:700; color:${theme.accent}; }
+    .num { text-align:right; font-variant-numeric: tabular-nums; white-space:nowrap; }
+    .muted { color:${theme.muted}; }
+    a { color:inherit; text-decoration:none; }
+    a:hover { text-decoration:underline; }
+    footer { margin-top:6px; font-size:11px; }
+  </style>
+</head>
+<body>
+  <div class="wrap">
+    <h1>🇮🇱 Top ${n} <span>${esc(modeName(selection))}</span></h1>
+    <table>
+      ${body}
+    </table>
+    <footer class="muted"><a href="${board}" target="_blank" rel="noopener">Monkeytype Israel Leaderboard</a></footer>
+  </div>
+</body>
+</html>
+`;
+}
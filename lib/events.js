@@ -0,0 +1,63 @@
+// lib/events.js
+// Leaderboard change notifications for live clients (SSE).
+// In-process EventEmitter by default; with REDIS_URL set, events go through a
+// Redis pub/sub channel so every server instance hears every refresh.
+import { EventEmitter } from "events";
+
+const CHANNEL = process.env.EVENTS_CHANNEL || "mtil:leaderboard";
+const local = new EventEmitter();
+local.setMaxListeners(0); // one listener per open SSE connection
+
+let redisPub = null;
+let ready = null;
+
+async function init() {
+  if (!process.env.REDIS_URL) return;
+  try {
+    const { Redis } = await import("ioredis");
+    // a subscribed connection can't issue other commands → separate pub/sub clients
+    const pub = new Redis(process.env.REDIS_URL, { maxRetriesPerRequest: 2 });
+    const sub = new Redis(process.env.REDIS_URL, { maxRetriesPerRequest: 2 });
+    await sub.subscribe(CHANNEL);
+    sub.on("message", (_channel, raw) => {
+      try {
+        local.emit("event", JSON.parse(raw));
+      } catch {}
+    });
+    redisPub = pub;
+  } catch (e) {
+    console.error("[EVENTS] Redis pub/sub unavailable, using in-process events:", e?.message || e);
+  }
+}
+
+function whenReady() {
+  ready ??= init();
+  return ready;
+}
+
+/**
+ * Publish a leaderboard event, e.g.
+ * { type: "pb", username, categories: ["time:15"], at }.
+ * Types: "pb", "renamed", "removed", "moderated" (hidden/banned by an admin),
+ * "season" (week/month/year standings changed without a new all-time PB),
+ * "tournament" ({ tournaments: [ids] } instead of categories).
+ */
+export async function publish(event) {
+  await whenReady();
+  if (redisPub) {
+    try {
+      await redisPub.publish(CHANNEL, JSON.stringify(event));
+      return;
+    } catch (e) {
+      console.warn("[EVENTS] publish failed, delivering locally:", e?.message || e);
+    }
+  }
+  local.emit("event", event);
+}
+
+// Returns an unsubscribe function
+export function subscribe(fn) {
+  whenReady();
+  local.on("event", fn);
+  return () => local.off("event", fn);
+}
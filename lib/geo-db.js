@@ -0,0 +1,192 @@
+// lib/geo-db.js
+// Offline IP → country lookups from a local CIDR file, one "<cidr> <country>"
+// per line for IPv4 and IPv6 ("5.29.0.0/16 IL", "2a00:a040::/32 IL").
+// `npm run geo:refresh` rebuilds the file from the regional internet
+// registries' delegation stats (scripts/geo-refresh.js). The file is loaded on
+// first use and re-read when it changes, so a refresh needs no restart.
+import fs from "fs/promises";
+import net from "net";
+import path from "path";
+import { dataDir } from "./storage.js";
+
+const RECHECK_MS = 60 * 1000; // how often to stat the file for changes
+const V4_MAPPED = 0xffffn << 32n; // ::ffff:0:0/96
+
+export const geoDbFile = () => process.env.GEO_DB_FILE || path.join(dataDir(), "geo-cidrs.txt");
+
+function ipv4ToBigInt(ip) {
+  return ip.split(".").reduce((n, part) => (n << 8n) | BigInt(part), 0n);
+}
+
+function ipv6ToBigInt(ip) {
+  let s = ip;
+  const v4 = /(\d+\.\d+\.\d+\.\d+)$/.exec(s); // "::ffff:1.2.3.4"
+  if (v4) {
+    const n = ipv4ToBigInt(v4[1]);
+    s = `${s.slice(0, -v4[1].length)}${(n >> 16n).toString(16)}:${(n & 0xffffn).toString(16)}`;
+  }
+  const [head, tail] = s.split("::");
+  const h = head ? head.split(":") : [];
+  const t = tail === undefined ? null : tail ? tail.split(":") : [];
+  const groups = t === null ? h : [...h, ...Array(8 - h.length - t.length).fill("0"), ...t];
+  return groups.reduce((n, g) => (n << 16n) | BigInt(Number.parseInt(g, 16)), 0n);
+}
+
+/**
+ * Parse an address; IPv4-mapped IPv6 addresses come back as IPv4.
+ * @returns {{ version: 4 | 6, value: bigint } | null}
+ */
+export function parseIp(ip) {
+  const s = String(ip ?? "").trim().replace(/%.*$/, ""); // drop an IPv6 zone id ("fe80::1%eth0")
+  const version = net.isIP(s);
+  if (version === 4) return { version, value: ipv4ToBigInt(s) };
+  if (version !== 6) return null;
+  const value = ipv6ToBigInt(s);
+  if (value >> 32n === V4_MAPPED >> 32n) return { version: 4, value: value & 0xffffffffn };
+  return { version, value };
+}
+
+/**
+ * "10.0.0.0/8", "2001:db8::/32" or a bare address (a single-host range).
+ * The host bits are cleared, so "10.1.2.3/8" is read as 10.0.0.0/8.
+ * @returns {{ version: 4 | 6, start: bigint, end: bigint, prefix: number, cidr: string } | null}
+ */
+export function parseCidr(input) {
+  const [addr, len, extra] = String(input ?? "").trim().split("/");
+  if (extra !== undefined) return null;
+  const ip = parseIp(addr);
+  if (!ip) return null;
+  const bits = ip.version === 4 ? 32 : 128;
+  const prefix = len === undefined ? bits : /^\d{1,3}$/.test(len) ? Number(len) : NaN;
+  if (!(prefix >= 0 && prefix <= bits)) return null;
+  const hostMask = (1n << BigInt(bits - prefix)) - 1n;
+  const start = ip.value & ~hostMask;
+  return { version: ip.version, start, end: start | hostMask, prefix, cidr: `${formatIp(ip.version, start)}/${prefix}` };
+}
+
+function formatIp(version, value) {
+  if (version === 4) return [24n, 16n, 8n, 0n].map((s) => String((value >> s) & 0xffn)).join(".");
+  const groups = [];
+  for (let s = 112n; s >= 0n; s -= 16n) groups.push(((value >> s) & 0xffffn).toString(16));
+  // compress the longest run of zero groups, as in RFC 5952
+  let best = [-1, 0];
+  for (let i = 0; i < 8; ) {
+    let j = i;
+    while (j < 8 && groups[j] === "0") j++;
+    if (j - i > best[1]) best = [i, j - i];
+    i = j > i ? j : i + 1;
+  }
+  if (best[1] < 2) return groups.join(":");
+  return `${groups.slice(0, best[0]).join(":")}::${groups.slice(best[0] + best[1]).join(":")}`;
+}
+
+export const cidrContains = (range, ip) => !!ip && range.version === ip.version && ip.value >= range.start && ip.value <= range.end;
+
+/**
+ * Build the lookup index from the file's text. Blank lines, "#" comments and
+ * malformed lines are skipped; "<cidr>,<country>" works as well.
+ */
+export function buildGeoIndex(text) {
+  const ranges = { 4: [], 6: [] };
+  for (const line of String(text).split("\n")) {
+    const s = line.trim();
+    if (!s || s.startsWith("#")) continue;
+    const [cidr, country] = s.split(/[\s,]+/);
+    const range = parseCidr(cidr);
+    if (!range || !/^[A-Za-z]{2}$/.test(country || "")) continue;
+    ranges[range.version].push({ start: range.start, end: range.end, country: country.toUpperCase() });
+  }
+  for (const list of Object.values(ranges)) list.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+  return ranges;
+}
+
+// Country of `ip` in an index (or null); ranges don't overlap in registry data
+export function lookupInIndex(index, ip) {
+  const parsed = typeof ip === "string" ? parseIp(ip) : ip;
+  if (!parsed) return null;
+  const list = index[parsed.version];
+  let lo = 0;
+  let hi = list.length - 1;
+  let hit = null;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (list[mid].start <= parsed.value) {
+      hit = list[mid];
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return hit && parsed.value <= hit.end ? hit.country : null;
+}
+
+/**
+ * Turn RIR "delegated-*-extended" stats into CIDR lines. IPv4 records give a
+ * start address and an address count (not always a power of two), so they are
+ * split into aligned blocks; IPv6 records already carry a prefix length.
+ * @returns {string[]} "<cidr> <country>" lines
+ */
+export function parseDelegated(text, { countries = null } = {}) {
+  const out = [];
+  for (const line of String(text).split("\n")) {
+    const [, cc, type, start, value, , status] = line.trim().split("|");
+    if (!/^[A-Z]{2}$/.test(cc || "") || !["allocated", "assigned"].includes(status)) continue;
+    if (countries && !countries.includes(cc)) continue;
+    if (type === "ipv6") {
+      const range = parseCidr(`${start}/${value}`);
+      if (range) out.push(`${range.cidr} ${cc}`);
+    } else if (type === "ipv4" && net.isIPv4(start)) {
+      let from = ipv4ToBigInt(start);
+      let left = BigInt(value);
+      while (left > 0n) {
+        // largest block aligned at `from` that still fits in what's left
+        let size = from === 0n ? 1n << 32n : from & -from;
+        while (size > left) size >>= 1n;
+        out.push(`${formatIp(4, from)}/${32 - (size.toString(2).length - 1)} ${cc}`);
+        from += size;
+        left -= size;
+      }
+    }
+  }
+  return out;
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// The loaded file
+// ───────────────────────────────────────────────────────────────────────────────
+let state = { file: null, index: { 4: [], 6: [] }, mtimeMs: 0, loadedAt: null, checkedAt: 0, error: null };
+
+async function ensureLoaded(now = Date.now()) {
+  const file = geoDbFile();
+  if (file === state.file && now - state.checkedAt < RECHECK_MS) return state;
+  state = { ...state, file, checkedAt: now };
+  try {
+    const { mtimeMs } = await fs.stat(file);
+    if (mtimeMs !== state.mtimeMs || !state.loadedAt) {
+      state = { ...state, index: buildGeoIndex(await fs.readFile(file, "utf8")), mtimeMs, loadedAt: new Date(now).toISOString(), error: null };
+    }
+  } catch (e) {
+    // keep the last good index if the file went missing mid-run
+    state = { ...state, error: e.code === "ENOENT" ? "file not found" : e.message };
+  }
+  return state;
+}
+
+/** Country code for `ip` from the local file, or null when it has no match. */
+export async function lookupCountry(ip) {
+  const { index } = await ensureLoaded();
+  return lookupInIndex(index, ip);
+}
+
+// For the admin console and the startup warning
+export async function geoDbStatus() {
+  const s = await ensureLoaded();
+  return {
+    file: s.file,
+    ipv4Ranges: s.index[4].length,
+    ipv6Ranges: s.index[6].length,
+    fileUpdatedAt: s.mtimeMs ? new Date(s.mtimeMs).toISOString() : null,
+    loadedAt: s.loadedAt,
+    error: s.error,
+  };
+}
@@ -0,0 +1,62 @@
+// lib/geo-rules.js
+// Admin overrides for the Israel-only gate ("geo-rules" document): "allow"
+// lets an address or range through whatever its country, "deny" blocks it.
+// When several rules match, the most specific range wins; on a tie, deny.
+import crypto from "crypto";
+import { getStorage } from "./storage.js";
+import { parseCidr, parseIp, cidrContains } from "./geo-db.js";
+
+const DOC = "geo-rules";
+export const GEO_ACTIONS = ["allow", "deny"];
+
+/**
+ * Validate an admin's form: { cidr, action, note }.
+ * @returns {{ cidr: string, action: "allow" | "deny", note: string } | { error: string }}
+ */
+export function parseRuleInput(body = {}) {
+  const range = parseCidr(body.cidr);
+  if (!range) return { error: "Enter an IP address or a CIDR range (e.g. 203.0.113.0/24)" };
+  // a /0 would switch the gate off for a whole address family
+  if (range.prefix < (range.version === 4 ? 8 : 16)) return { error: "Range is too wide" };
+  const action = String(body.action || "");
+  if (!GEO_ACTIONS.includes(action)) return { error: "Action must be allow or deny" };
+  const note = String(body.note || "").replace(/\s+/g, " ").trim().slice(0, 200);
+  return { cidr: range.cidr, action, note };
+}
+
+export async function listGeoRules() {
+  const storage = await getStorage();
+  return storage.get(DOC, []);
+}
+
+export async function addGeoRule(input, createdBy) {
+  const rule = { id: crypto.randomBytes(4).toString("hex"), ...input, createdBy, createdAt: new Date().toISOString() };
+  const storage = await getStorage();
+  await storage.update(DOC, [], (list) => [...list.filter((r) => r.cidr !== rule.cidr), rule]);
+  return rule;
+}
+
+export async function deleteGeoRule(id) {
+  let removed = null;
+  const storage = await getStorage();
+  await storage.update(DOC, [], (list) => list.filter((r) => (r.id === id ? ((removed = r), false) : true)));
+  return removed;
+}
+
+// The rule deciding for `ip` (or null)
+export function pickRule(rules, ip) {
+  const parsed = parseIp(ip);
+  let best = null;
+  for (const rule of rules) {
+    const range = parseCidr(rule.cidr);
+    if (!range || !cidrContains(range, parsed)) continue;
+    if (!best || range.prefix > best.prefix || (range.prefix === best.prefix && rule.action === "deny")) {
+      best = { rule, prefix: range.prefix };
+    }
+  }
+  return best?.rule || null;
+}
+
+export async function matchGeoRule(ip) {
+  return pickRule(await listGeoRules(), ip);
+}
@@ -0,0 +1,207 @@
+// lib/groups.js
+// Member groups ("groups" document): schools, army units, companies, cities.
+// Open groups can be joined by anyone; invite groups need the current invite
+// code. Boards reuse buildLeaderboard; groups are ranked against each other by
+// the average WPM of their top N ranked members.
+import crypto from "crypto";
+import { getStorage, newId } from "./storage.js";
+
+const DOC = "groups";
+export const GROUP_KINDS = ["school", "army", "company", "city", "other"];
+const MAX_OWNED_GROUPS = 5;
+
+const userKey = (username) => String(username).trim().toLowerCase();
+const newInviteCode = () => crypto.randomBytes(6).toString("base64url");
+
+// Non-Latin names (most Hebrew ones) have no slug, so the random part alone
+// has to keep ids apart; `taken` makes sure it does
+function newGroupId(name, taken) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 32) || "group";
+  for (;;) {
+    const id = `${slug}-${newId()}`;
+    if (!taken.has(id)) return id;
+  }
+}
+
+/**
+ * Validate a create form: { name, kind, visibility }.
+ * @returns {{ name: string, kind: string, visibility: "open"|"invite" } | { error: string }}
+ */
+export function parseGroupInput(body = {}) {
+  const name = String(body.name || "").replace(/\s+/g, " ").trim();
+  if (name.length < 3 || name.length > 60 || /[\u0000-\u001f<>]/.test(name)) {
+    return { error: "Group name must be 3–60 characters" };
+  }
+  const kind = GROUP_KINDS.includes(body.kind) ? body.kind : null;
+  if (!kind) return { error: "Bad group kind" };
+  const visibility = body.visibility === "invite" ? "invite" : body.visibility === "open" ? "open" : null;
+  if (!visibility) return { error: "Visibility must be open or invite" };
+  return { name, kind, visibility };
+}
+
+export const isMember = (group, username) => !!group?.members?.[userKey(username)];
+export const isOwner = (group, username) => group?.members?.[userKey(username)]?.role === "owner";
+
+// Public view: member count instead of the invite code
+export function describeGroup(g) {
+  const { inviteCode, members, ...rest } = g;
+  return { ...rest, memberCount: Object.keys(members || {}).length };
+}
+
+export const memberNames = (g) => Object.values(g.members || {}).map((m) => m.username);
+
+async function readAll() {
+  const storage = await getStorage();
+  const list = await storage.get(DOC, []);
+  return Array.isArray(list) ? list : [];
+}
+
+async function updateAll(fn) {
+  const storage = await getStorage();
+  return storage.update(DOC, [], fn);
+}
+
+export async function listGroups() {
+  return readAll();
+}
+
+export async function getGroup(id) {
+  return (await readAll()).find((g) => g.id === id) || null;
+}
+
+// The creator becomes the owner (and first member); fails past MAX_OWNED_GROUPS
+export async function createGroup({ name, kind, visibility }, username) {
+  let out = null;
+  await updateAll((list) => {
+    const owned = list.filter((g) => isOwner(g, username)).length;
+    if (owned >= MAX_OWNED_GROUPS) return list;
+    const now = new Date().toISOString();
+    out = {
+      id: newGroupId(name, new Set(list.map((g) => g.id))),
+      name,
+      kind,
+      visibility,
+      inviteCode: visibility === "invite" ? newInviteCode() : null,
+      createdAt: now,
+      members: { [userKey(username)]: { username, role: "owner", joinedAt: now } },
+    };
+    list.push(out);
+    return list;
+  });
+  if (!out) throw Object.assign(new Error(`You can own at most ${MAX_OWNED_GROUPS} groups`), { status: 409 });
+  return out;
+}
+
+/**
+ * Join an open group, or an invite group with its current code.
+ * @returns {Promise<"joined"|"already"|"bad-code"|"unknown">}
+ */
+export async function joinGroup(id, username, code = "") {
+  let result = "unknown";
+  await updateAll((list) => {
+    const g = list.find((x) => x.id === id);
+    if (!g) return list;
+    if (isMember(g, username)) {
+      result = "already";
+      return list;
+    }
+    const given = Buffer.from(String(code));
+    const want = Buffer.from(String(g.inviteCode || ""));
+    if (g.visibility === "invite" && !(given.length === want.length && crypto.timingSafeEqual(given, want))) {
+      result = "bad-code";
+      return list;
+    }
+    g.members[userKey(username)] = { username, role: "member", joinedAt: new Date().toISOString() };
+    result = "joined";
+    return list;
+  });
+  return result;
+}
+
+// Leaving hands ownership to the longest-standing member; the last one out deletes the group
+function removeMember(list, g, username) {
+  const wasOwner = isOwner(g, username);
+  delete g.members[userKey(username)];
+  const rest = Object.values(g.members).sort((a, b) => String(a.joinedAt).localeCompare(String(b.joinedAt)));
+  if (rest.length === 0) return list.filter((x) => x !== g);
+  if (wasOwner) rest[0].role = "owner";
+  return list;
+}
+
+export async function leaveGroup(id, username) {
+  let ok = false;
+  await updateAll((list) => {
+    const g = list.find((x) => x.id === id);
+    if (!g || !isMember(g, username)) return list;
+    ok = true;
+    return removeMember(list, g, username);
+  });
+  return ok;
+}
+
+export async function regenerateInviteCode(id) {
+  let code = null;
+  await updateAll((list) => {
+    const g = list.find((x) => x.id === id);
+    if (g?.visibility === "invite") code = g.inviteCode = newInviteCode();
+    return list;
+  });
+  return code;
+}
+
+export async function deleteGroup(id) {
+  let removed = null;
+  await updateAll((list) => list.filter((g) => (g.id === id ? ((removed = g), false) : true)));
+  return removed;
+}
+
+// Groups a member belongs to, with their role (for the data export)
+export async function listGroupMemberships(username) {
+  return (await readAll())
+    .filter((g) => isMember(g, username))
+    .map((g) => ({ group: describeGroup(g), ...g.members[userKey(username)] }));
+}
+
+export async function deleteGroupMemberships(username) {
+  await updateAll((list) => {
+    for (const g of list.filter((x) => isMember(x, username))) list = removeMember(list, g, username);
+    return list;
+  });
+}
+
+export async function renameGroupMemberships(from, to) {
+  await updateAll((list) => {
+    for (const g of list) {
+      const m = g.members?.[userKey(from)];
+      if (!m) continue;
+      delete g.members[userKey(from)];
+      g.members[userKey(to)] = { ...m, username: to };
+    }
+    return list;
+  });
+}
+
+/**
+ * Inter-group ranking from board rows (already sorted by buildLeaderboard).
+ * Score = average WPM of the top `top` ranked members, missing members
+ * counting as 0, so a full score needs `top` ranked members.
+ */
+export function rankGroups(groups, rows, top = 5) {
+  const rowByUser = new Map(rows.map((r) => [userKey(r.username), r]));
+  const ranked = groups.map((g) => {
+    const best = Object.keys(g.members || {})
+      .map((k) => rowByUser.get(k))
+      .filter(Boolean)
+      .sort((a, b) => b.wpm - a.wpm)
+      .slice(0, top);
+    const sum = best.reduce((acc, r) => acc + r.wpm, 0);
+    return {
+      ...describeGroup(g),
+      ranked: best.length,
+      score: best.length ? Math.round((sum / top) * 100) / 100 : null,
+      topMembers: best.map((r) => ({ username: r.username, wpm: r.wpm })),
+    };
+  });
+  ranked.sort((a, b) => (b.score ?? -1) - (a.score ?? -1) || b.memberCount - a.memberCount);
+  return ranked;
+}
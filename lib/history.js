@@ -0,0 +1,75 @@
+// lib/history.js
+// Append-only time series of each user's PB changes ("history" document).
+import { getStorage } from "./storage.js";
+import { CONFIG_FIELDS } from "./monkeytype.js";
+
+const DOC = "history";
+const MAX_POINTS_PER_USER = 2000;
+
+async function readStore() {
+  const storage = await getStorage();
+  const j = await storage.get(DOC, {});
+  return j && typeof j === "object" ? j : {};
+}
+
+const userKey = (username) => String(username).trim().toLowerCase();
+const sig = (pb) => CONFIG_FIELDS.map((f) => String(pb?.[f] ?? "")).join("|");
+
+/**
+ * Compare two `pbs` maps and return the entries that are new or improved.
+ * @returns {Array<{ category: string } & object>}
+ */
+export function diffPbs(prevPbs = {}, nextPbs = {}) {
+  const changed = [];
+  for (const [category, list] of Object.entries(nextPbs || {})) {
+    const before = new Map((prevPbs?.[category] || []).map((pb) => [sig(pb), pb]));
+    for (const pb of list || []) {
+      const old = before.get(sig(pb));
+      if (!old || old.wpm !== pb.wpm || old.accuracy !== pb.accuracy) {
+        changed.push({ category, ...pb });
+      }
+    }
+  }
+  return changed;
+}
+
+// Record every PB that changed between two refreshes; returns the recorded entries
+export async function recordPbChanges(username, prevPbs, nextPbs, at = new Date().toISOString()) {
+  const changed = diffPbs(prevPbs, nextPbs);
+  if (changed.length === 0) return changed;
+
+  const storage = await getStorage();
+  const key = userKey(username);
+  await storage.update(DOC, {}, (store) => {
+    const points = store[key] || [];
+    for (const pb of changed) points.push({ at, ...pb });
+    store[key] = points.slice(-MAX_POINTS_PER_USER);
+    return store;
+  });
+  return changed;
+}
+
+// All recorded points for a user, oldest first (optionally one category)
+export async function getHistory(username, category = null) {
+  const store = await readStore();
+  const points = store[userKey(username)] || [];
+  return category ? points.filter((p) => p.category === category) : points;
+}
+
+export async function deleteHistory(username) {
+  const storage = await getStorage();
+  await storage.update(DOC, {}, (store) => {
+    delete store[userKey(username)];
+    return store;
+  });
+}
+
+export async function renameHistory(from, to) {
+  const storage = await getStorage();
+  await storage.update(DOC, {}, (store) => {
+    const points = store[userKey(from)];
+    delete store[userKey(from)];
+    if (points) store[userKey(to)] = points;
+    return store;
+  });
+}
@@ -0,0 +1,187 @@
+// lib/i18n.js
+// Hebrew/English strings for the server-rendered pages (/join, the 403 page
+// with its invite/vouch forms, Monkeytype sign-in, Discord linking) and
+// plain-text form errors.
+// The language comes from the "lang" cookie shared with public/i18n.js, else
+// from Accept-Language, else English. JSON API errors stay English: clients match on them.
+
+export const SUPPORTED_LANGS = ["en", "he"];
+export const LANG_COOKIE = "lang";
+const RTL = new Set(["he"]);
+
+const CATALOGS = {
+  en: {
+    "site.title": "Monkeytype Israel Leaderboard",
+    "lang.switch": "עברית",
+    "nav.back": "Go back",
+    "nav.account": "My account",
+    "nav.leaderboard": "Leaderboard",
+    "restricted.title": "Access restricted",
+    "restricted.body": "This leaderboard is for users detected in Israel only.",
+    "join.title": "Join the Leaderboard",
+    "join.intro": "Enter a <b>Username for this site</b> and paste your <b>Ape Key</b> from Monkeytype (Account → Ape Keys).",
+    "join.demo": "Demo mode: use <code>ape_demo_guest</code> to join as a new member, or e.g. <code>ape_demo_shira</code> to log in as a seeded user.",
+    "join.username": "Username (site display name)",
+    "join.usernamePlaceholder": "e.g. shira_types",
+    "join.apeKey": "Ape Key",
+    "join.submit": "Join",
+    "join.cancel": "Cancel",
+    "oauth.button": "Sign in with Monkeytype",
+    "oauth.or": "Or join with your Ape Key:",
+    "oauth.pending": "Signed in to Monkeytype as <b>{name}</b>. To finish joining, choose a username and paste your Ape Key once: the leaderboard reads your results with it. After that, signing in with Monkeytype is enough.",
+    "oauth.failedTitle": "Sign-in failed",
+    "oauth.failedBody": "Monkeytype sign-in didn't complete. Please try again, or join with your Ape Key.",
+    "abroad.title": "Israeli living abroad or on a VPN?",
+    "abroad.intro": "Members an admin has approved can log in from anywhere. New here with an invite code from an admin? Add it below.",
+    "abroad.inviteCode": "Invite code (optional)",
+    "vouch.title": "No invite code?",
+    "vouch.intro": "Ask the admins to approve you. Name a member who can vouch for you if you can; once approved, log in above with the same username and Ape Key.",
+    "vouch.voucher": "Member who can vouch for you (optional)",
+    "vouch.message": "Where are you, and what's your connection to Israel?",
+    "vouch.submit": "Send request",
+    "vouch.sentTitle": "Request sent",
+    "vouch.sentBody": "An admin will review your request. Once it's approved, log in on the join page with the same username and Ape Key.",
+    "error.israelOnly": "Israel-only access.",
+    "error.abroadNotApproved": "Israel-only access. Members abroad need an admin's approval or a valid invite code.",
+    "error.vouchMessage": "Tell the admins a little about yourself (10–500 characters).",
+    "error.badUsername": "Username must be 3–20 chars: letters, numbers, _ or -",
+    "error.badApeKey": "Ape Key missing or too long.",
+    "error.slowDown": "Please slow down.",
+    "error.cooldown": "Too many attempts. Please wait a few seconds and try again.",
+    "error.suspended": "This account is suspended.",
+    "error.apeKeyInvalid": "Ape Key invalid or not authorized.",
+    "error.usernameTaken": "Username is already taken.",
+    "error.usernameReserved": "This username is reserved.",
+    "error.joinFailed": "Server error while joining.",
+    "error.adminsOnly": "Admins only",
+    "error.badOrigin": "Bad origin",
+    "error.badReferer": "Bad referer",
+    "error.csrf": "Invalid or missing CSRF token",
+    "error.notFound": "Not found",
+    "error.server": "Server error",
+    "discord.expiredTitle": "Link expired",
+    "discord.expiredBody": "Run <code>/link</code> in Discord again to get a fresh link.",
+    "discord.confirmTitle": "Link Discord account",
+    "discord.confirmBody": "Link Discord user <b>{discord}</b> to <b>{username}</b>? Commands like <code>/rank</code> will then use your account by default.",
+    "discord.confirmButton": "Link account",
+    "discord.doneTitle": "Discord linked",
+    "discord.doneBody": "Linked <b>{discord}</b> to <b>{username}</b>.",
+  },
+  he: {
+    "site.title": "טבלת המובילים של Monkeytype ישראל",
+    "lang.switch": "English",
+    "nav.back": "חזרה",
+    "nav.account": "החשבון שלי",
+    "nav.leaderboard": "טבלת המובילים",
+    "restricted.title": "הגישה מוגבלת",
+    "restricted.body": "טבלת המובילים מיועדת למשתמשים שזוהו בישראל בלבד.",
+    "join.title": "הצטרפות לטבלת המובילים",
+    "join.intro": "בחרו <b>שם משתמש לאתר</b> והדביקו את ה-<b>Ape Key</b> שלכם מ-Monkeytype (Account → Ape Keys).",
+    "join.demo": "מצב הדגמה: השתמשו ב-<code>ape_demo_guest</code> כדי להצטרף כמשתמש חדש, או למשל ב-<code>ape_demo_shira</code> כדי להתחבר כמשתמש קיים.",
+    "join.username": "שם משתמש (השם שיוצג באתר)",
+    "join.usernamePlaceholder": "למשל shira_types",
+    "join.apeKey": "Ape Key",
+    "join.submit": "הצטרפות",
+    "join.cancel": "ביטול",
+    "oauth.button": "התחברות עם Monkeytype",
+    "oauth.or": "או הצטרפו עם ה-Ape Key שלכם:",
+    "oauth.pending": "התחברתם ל-Monkeytype בתור <b>{name}</b>. כדי לסיים את ההצטרפות, בחרו שם משתמש והדביקו את ה-Ape Key שלכם פעם אחת: טבלת המובילים קוראת איתו את התוצאות שלכם. מעכשיו מספיק להתחבר עם Monkeytype.",
+    "oauth.failedTitle": "ההתחברות נכשלה",
+    "oauth.failedBody": "ההתחברות דרך Monkeytype לא הושלמה. נסו שוב, או הצטרפו עם ה-Ape Key שלכם.",
+    "abroad.title": "ישראלים בחו״ל או מאחורי VPN?",
+    "abroad.intro": "משתמשים שאושרו על ידי מנהל יכולים להתחבר מכל מקום. יש לכם קוד הזמנה ממנהל? הוסיפו אותו כאן.",
+    "abroad.inviteCode": "קוד הזמנה (לא חובה)",
+    "vouch.title": "אין לכם קוד הזמנה?",
+    "vouch.intro": "בקשו מהמנהלים לאשר אתכם. אם אפשר, ציינו משתמש שיכול לערוב לכם; אחרי האישור התחברו למעלה עם אותו שם משתמש ואותו Ape Key.",
+    "vouch.voucher": "משתמש שיכול לערוב לכם (לא חובה)",
+    "vouch.message": "איפה אתם, ומה הקשר שלכם לישראל?",
+    "vouch.submit": "שליחת הבקשה",
+    "vouch.sentTitle": "הבקשה נשלחה",
+    "vouch.sentBody": "מנהל יבדוק את הבקשה. אחרי שתאושר, התחברו בדף ההצטרפות עם אותו שם משתמש ואותו Ape Key.",
+    "error.israelOnly": "הגישה מותרת מישראל בלבד.",
+    "error.abroadNotApproved": "הגישה מותרת מישראל בלבד. משתמשים בחו״ל צריכים אישור של מנהל או קוד הזמנה תקף.",
+    "error.vouchMessage": "ספרו למנהלים קצת על עצמכם (10–500 תווים).",
+    "error.badUsername": "שם המשתמש חייב להכיל 3–20 תווים: אותיות לועזיות, ספרות, _ או -",
+    "error.badApeKey": "ה-Ape Key חסר או ארוך מדי.",
+    "error.slowDown": "לאט יותר, בבקשה.",
+    "error.cooldown": "יותר מדי ניסיונות. המתינו כמה שניות ונסו שוב.",
+    "error.suspended": "החשבון הזה מושעה.",
+    "error.apeKeyInvalid": "ה-Ape Key לא תקין או שאין לו הרשאה.",
+    "error.usernameTaken": "שם המשתמש כבר תפוס.",
+    "error.usernameReserved": "שם המשתמש הזה שמור.",
+    "error.joinFailed": "שגיאת שרת בזמן ההצטרפות.",
+    "error.adminsOnly": "למנהלים בלבד",
+    "error.badOrigin": "מקור הבקשה לא תקין",
+    "error.badReferer": "מקור הבקשה לא תקין",
+    "error.csrf": "אסימון CSRF חסר או לא תקין",
+    "error.notFound": "הדף לא נמצא",
+    "error.server": "שגיאת שרת",
+    "discord.expiredTitle": "פג תוקף הקישור",
+    "discord.expiredBody": "הריצו שוב <code>/link</code> בדיסקורד כדי לקבל קישור חדש.",
+    "discord.confirmTitle": "קישור חשבון דיסקורד",
+    "discord.confirmBody": "לקשר את משתמש הדיסקורד <b>{discord}</b> אל <b>{username}</b>? פקודות כמו <code>/rank</code> ישתמשו אז בחשבון שלכם כברירת מחדל.",
+    "discord.confirmButton": "קישור החשבון",
+    "discord.doneTitle": "הדיסקורד קושר",
+    "discord.doneBody": "<b>{discord}</b> קושר אל <b>{username}</b>.",
+  },
+};
+
+// The one HTML escaper for server-rendered markup (pages, widget, badge)
+export const escapeHtml = (s) =>
+  String(s)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#39;");
+
+export const isSupportedLang = (lang) => SUPPORTED_LANGS.includes(lang);
+export const langDir = (lang) => (RTL.has(lang) ? "rtl" : "ltr");
+
+function cookieValue(header, name) {
+  for (const part of String(header || "").split(";")) {
+    const [k, ...v] = part.trim().split("=");
+    if (k !== name) continue;
+    try {
+      return decodeURIComponent(v.join("="));
+    } catch {
+      return null; // malformed escape: treat as no cookie
+    }
+  }
+  return null;
+}
+
+// "he-IL,he;q=0.9,en;q=0.8" → first supported language by q ("iw" is old Hebrew)
+export function fromAcceptLanguage(header) {
+  const prefs = String(header || "")
+    .split(",")
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().toLowerCase().split(";");
+      const q = Number(params.find((p) => p.trim().startsWith("q="))?.split("=")[1] ?? 1);
+      return { primary: tag.split("-")[0], q: Number.isFinite(q) ? q : 0, i };
+    })
+    .filter((p) => p.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i);
+  for (const { primary } of prefs) {
+    const lang = primary === "iw" ? "he" : primary;
+    if (isSupportedLang(lang)) return lang;
+  }
+  return null;
+}
+
+/** Language for a request: cookie, then Accept-Language, then English. */
+export function negotiateLang(req) {
+  const cookie = cookieValue(req.headers?.cookie, LANG_COOKIE);
+  if (isSupportedLang(cookie)) return cookie;
+  return fromAcceptLanguage(req.headers?.["accept-language"]) || "en";
+}
+
+/**
+ * `t(key, vars)` for one language. Catalog strings are trusted HTML; `{name}`
+ * values are escaped, so usernames can be passed as they are.
+ */
+export function translator(lang) {
+  const catalog = CATALOGS[lang] || CATALOGS.en;
+  return (key, vars = {}) =>
+    (catalog[key] ?? CATALOGS.en[key] ?? key).replace(/\{(\w+)\}/g, (m, name) => (name in vars ? escapeHtml(vars[name]) : m));
+}
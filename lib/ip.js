@@ -1,5 +1,16 @@
 // lib/ip.js
 // Hardened IP extraction + geolocation with timeout, retries, and caching.
+//
+// Countries come from a chain of providers, tried in GEO_PROVIDERS order
+// (default "local"): "local" is the offline CIDR file (lib/geo-db.js), built
+// with `npm run geo:refresh`; "ipapi" and "ipwhois" are the free HTTP
+// services, off unless listed, since they see every member's IP. Until the
+// file exists, the default falls back to those two so a fresh or upgraded
+// deploy doesn't refuse everyone. Admin allow/deny rules (lib/geo-rules.js)
+// are checked before any provider.
+import net from "net";
+import { lookupCountry, geoDbStatus } from "./geo-db.js";
+import { matchGeoRule } from "./geo-rules.js";
 
 const GEO_CACHE = new Map();              // ip -> { country, ts }
 const GEO_TTL_MS_OK = 10 * 60 * 1000;     // 10 minutes for successful lookups
@@ -13,22 +24,21 @@ function normalizeIP(ip = "") {
 function firstForwarded(xff) {
   return (xff || "").split(",")[0].trim();
 }
-function isPrivate(ip) {
+export function isPrivate(ip) {
+  const v6 = String(ip).toLowerCase();
   return (
     ip === "127.0.0.1" ||
     ip === "::1" ||
     ip.startsWith("10.") ||
     ip.startsWith("192.168.") ||
-    /^172\.(1[6-9]|2\d|3[0-1])\./.test(ip)
+    ip.startsWith("169.254.") ||              // IPv4 link-local
+    /^172\.(1[6-9]|2\d|3[0-1])\./.test(ip) ||
+    /^f[cd][0-9a-f]{2}:/.test(v6) ||          // fc00::/7 unique local
+    /^fe[89ab][0-9a-f]:/.test(v6)             // fe80::/10 link-local
   );
 }
 function isValidIp(ip) {
-  // very light check (IPv4 only here; IPv6 handled by normalize & pass-through)
-  if (!ip) return false;
-  if (ip.includes(":")) return true; // allow IPv6, let providers handle it
-  const parts = ip.split(".");
-  if (parts.length !== 4) return false;
-  return parts.every((p) => /^\d+$/.test(p) && Number(p) >= 0 && Number(p) <= 255);
+  return net.isIP(String(ip).replace(/%.*$/, "")) !== 0; // "fe80::1%eth0" carries a zone id
 }
 
 // Fetch with timeout (no dependencies)
@@ -71,51 +81,99 @@ async function geoIpwho(ip) {
   return j && j.success ? j.country_code : null; // "IL"
 }
 
-export async function getIPCountry(ip, req = null) {
-  ip = normalizeIP(ip);
-  if (!ip || !isValidIp(ip)) return null;
+const PROVIDERS = new Map([
+  ["local", lookupCountry],
+  ["ipapi", geoIpapi],
+  ["ipwhois", geoIpwho],
+]);
+
+// Plug in another lookup (e.g. a commercial database); list its name in GEO_PROVIDERS
+export function registerGeoProvider(name, lookup) {
+  PROVIDERS.set(name, lookup);
+}
 
+export function geoProviderNames() {
+  return String(process.env.GEO_PROVIDERS || "local")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// Providers in use right now: an explicit GEO_PROVIDERS as it is; the default
+// adds the HTTP services while the local file is missing or empty
+export async function activeGeoProviders() {
+  if (process.env.GEO_PROVIDERS) return geoProviderNames();
+  const db = await geoDbStatus();
+  return db.ipv4Ranges || db.ipv6Ranges ? ["local"] : ["local", "ipapi", "ipwhois"];
+}
+
+// { country, provider } from the first provider that knows the IP
+async function lookupIP(ip, req) {
   // If behind Cloudflare, prefer their header (fast & free)
   const cfCountry = req?.headers?.["cf-ipcountry"];
-  if (cfCountry && /^[A-Z]{2}$/.test(cfCountry)) return cfCountry;
+  if (cfCountry && /^[A-Z]{2}$/.test(cfCountry)) return { country: cfCountry, provider: "cloudflare" };
 
   // Cache
   const cached = GEO_CACHE.get(ip);
   const now = Date.now();
   if (cached) {
     const ttl = cached.country ? GEO_TTL_MS_OK : GEO_TTL_MS_NULL;
-    if (now - cached.ts < ttl) return cached.country;
+    if (now - cached.ts < ttl) return cached;
   }
 
-  // Try providers with simple failover
-  let country = null;
-  try { country = await geoIpapi(ip); } catch {}
-  if (!country) {
-    try { country = await geoIpwho(ip); } catch {}
+  // Try providers in order with simple failover
+  let found = { country: null, provider: null };
+  for (const name of await activeGeoProviders()) {
+    const lookup = PROVIDERS.get(name);
+    if (!lookup) continue;
+    let country = null;
+    try { country = await lookup(ip); } catch {}
+    if (country) {
+      found = { country, provider: name };
+      break;
+    }
   }
 
-  GEO_CACHE.set(ip, { country, ts: now });
-  return country;
+  GEO_CACHE.set(ip, { ...found, ts: now });
+  return found;
 }
 
-export async function isIsraelIP(req) {
+export async function getIPCountry(ip, req = null) {
+  ip = normalizeIP(ip);
+  if (!ip || !isValidIp(ip)) return null;
+  return (await lookupIP(ip, req)).country;
+}
+
+/**
+ * Why a request is (not) let through the Israel-only gate.
+ * @returns {Promise<{ ip: string, allowed: boolean, reason: "rule" | "private" | "country", rule?: object, country?: string|null, provider?: string|null }>}
+ */
+export async function checkGeo(req) {
   const ip = getClientIP(req);
 
+  const rule = isValidIp(ip) ? await matchGeoRule(ip) : null;
+  if (rule) return { ip, allowed: rule.action === "allow", reason: "rule", rule };
+
   // Don’t block localhost in dev
-  if (process.env.NODE_ENV !== "production" && isPrivate(ip)) return true;
+  if (process.env.NODE_ENV !== "production" && isPrivate(ip)) return { ip, allowed: true, reason: "private" };
 
-  const country = await getIPCountry(ip, req);
+  const { country, provider } = isValidIp(ip) ? await lookupIP(ip, req) : { country: null, provider: null };
 
   // Avoid leaking IPs in production logs; keep one line during dev only.
   if (process.env.NODE_ENV !== "production") {
     console.log("Geo check:", {
       ip,
       country,
+      provider,
       xff: req.headers["x-forwarded-for"],
       cf: req.headers["cf-connecting-ip"],
       reqip: req.ip,
     });
   }
 
-  return country === "IL";
+  return { ip, allowed: country === "IL", reason: "country", country, provider };
+}
+
+export async function isIsraelIP(req) {
+  return (await checkGeo(req)).allowed;
 }
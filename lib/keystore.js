@@ -1,62 +1,132 @@
 // lib/keystore.js
-import fs from "fs/promises";
-import path from "path";
 import crypto from "crypto";
+import { getStorage } from "./storage.js";
+import { deleteUser } from "./store.js";
 
-const DATA_DIR = process.env.DATA_DIR || "data";
-const FILE = path.join(DATA_DIR, "keystore.json");
+const DOC = "keystore";
 
 const sha256 = (s) => crypto.createHash("sha256").update(String(s)).digest("hex");
 
-async function ensureFile() {
-  try {
-    await fs.mkdir(DATA_DIR, { recursive: true });
-    await fs.access(FILE);
-  } catch {
-    await fs.writeFile(FILE, JSON.stringify({ byUser: {}, byHash: {} }, null, 2));
+// ───────────────────────────────────────────────────────────────────────────────
+// Envelope encryption for Ape Keys at rest
+// Each key is sealed with its own random data key (AES-256-GCM); the data key is
+// wrapped with a master key from KEYSTORE_MASTER_KEYS ("kid:base64key,kid2:base64key").
+// The first entry is active for new writes; the rest are kept only to decrypt
+// until `migrateKeystore()` has re-wrapped everything under the active key.
+// ───────────────────────────────────────────────────────────────────────────────
+const ENVELOPE_VERSION = 1;
+
+function loadMasterKeys() {
+  const keys = new Map();
+  let activeKid = null;
+  for (const part of String(process.env.KEYSTORE_MASTER_KEYS || "").split(",")) {
+    const item = part.trim();
+    if (!item) continue;
+    const idx = item.indexOf(":");
+    const kid = item.slice(0, idx).trim();
+    const key = Buffer.from(item.slice(idx + 1).trim(), "base64");
+    if (idx < 1 || key.length !== 32) {
+      throw new Error("KEYSTORE_MASTER_KEYS entries must be kid:<32-byte base64 key>");
+    }
+    keys.set(kid, key);
+    activeKid ??= kid;
   }
+  return { keys, activeKid };
+}
+
+const MASTER = loadMasterKeys();
+if (!MASTER.activeKid) {
+  const msg = "[SECURITY] KEYSTORE_MASTER_KEYS not set. Ape Keys are stored in plaintext (NOT for production).";
+  if (process.env.NODE_ENV === "production") throw new Error(msg);
+  console.warn(msg);
+}
+
+function gcmSeal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const c = crypto.createCipheriv("aes-256-gcm", key, iv);
+  if (aad) c.setAAD(Buffer.from(aad));
+  const ct = Buffer.concat([c.update(plaintext), c.final()]);
+  return { iv: iv.toString("base64"), tag: c.getAuthTag().toString("base64"), ct: ct.toString("base64") };
+}
+
+function gcmOpen(key, { iv, tag, ct }, aad) {
+  const d = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(iv, "base64"));
+  if (aad) d.setAAD(Buffer.from(aad));
+  d.setAuthTag(Buffer.from(tag, "base64"));
+  return Buffer.concat([d.update(Buffer.from(ct, "base64")), d.final()]);
+}
+
+// Seal an Ape Key for `username` (the username is bound as AAD)
+function encryptApeKey(apeKey, username) {
+  if (!MASTER.activeKid) return apeKey; // dev only (see warning above)
+  const dek = crypto.randomBytes(32);
+  return {
+    v: ENVELOPE_VERSION,
+    kid: MASTER.activeKid,
+    dek: gcmSeal(kekFor(MASTER.activeKid), dek),
+    ...gcmSeal(dek, Buffer.from(apeKey, "utf8"), username),
+  };
+}
+
+function kekFor(kid) {
+  const kek = MASTER.keys.get(kid);
+  if (!kek) throw new Error(`Master key "${kid}" is not configured`);
+  return kek;
+}
+
+// Plaintext strings are legacy (pre-encryption) entries
+function decryptApeKey(entry, username) {
+  if (typeof entry === "string") return entry;
+  if (!entry || entry.v !== ENVELOPE_VERSION) throw new Error("Unknown keystore entry format");
+  const dek = gcmOpen(kekFor(entry.kid), entry.dek);
+  return gcmOpen(dek, entry, username).toString("utf8");
+}
+
+const EMPTY = { byUser: {}, byHash: {} };
+
+function shape(j) {
+  return {
+    byUser: j?.byUser || {}, // { [username]: sealed apeKey envelope (or legacy plaintext) }
+    byHash: j?.byHash || {}, // { [keyHash]: username }
+  };
 }
 
 async function readStore() {
-  await ensureFile();
-  const raw = await fs.readFile(FILE, "utf8");
-  try {
-    const j = JSON.parse(raw);
-    return {
-      byUser: j.byUser || {}, // { [username]: apeKey }
-      byHash: j.byHash || {}, // { [keyHash]: username }
-    };
-  } catch {
-    return { byUser: {}, byHash: {} };
-  }
+  const storage = await getStorage();
+  return shape(await storage.get(DOC, EMPTY));
 }
 
-async function writeStore(obj) {
-  await ensureFile();
-  await fs.writeFile(FILE, JSON.stringify(obj, null, 2));
+// Atomic read-modify-write; `fn` mutates the store in place
+async function updateStore(fn) {
+  const storage = await getStorage();
+  return storage.update(DOC, EMPTY, async (j) => {
+    const store = shape(j);
+    await fn(store);
+    return store;
+  });
 }
 
 // Save/overwrite the Ape Key for a username. Also update the hash index.
 export async function upsertKey({ username, apeKey }) {
-  const store = await readStore();
   const uname = String(username).trim();
+  await updateStore((store) => {
+    // If this username already had a different key, remove old hash index
+    const prev = store.byUser[uname] ? decryptApeKey(store.byUser[uname], uname) : null;
+    if (prev && prev !== apeKey) {
+      const oldHash = sha256(prev);
+      if (store.byHash[oldHash] === uname) delete store.byHash[oldHash];
+    }
 
-  // If this username already had a different key, remove old hash index
-  const prev = store.byUser[uname];
-  if (prev && prev !== apeKey) {
-    const oldHash = sha256(prev);
-    if (store.byHash[oldHash] === uname) delete store.byHash[oldHash];
-  }
-
-  store.byUser[uname] = apeKey;
-  store.byHash[sha256(apeKey)] = uname;
-
-  await writeStore(store);
+    store.byUser[uname] = encryptApeKey(apeKey, uname);
+    store.byHash[sha256(apeKey)] = uname;
+  });
 }
 
 export async function getApeKey(username) {
   const store = await readStore();
-  return store.byUser[String(username).trim()] || null;
+  const uname = String(username).trim();
+  const entry = store.byUser[uname];
+  return entry ? decryptApeKey(entry, uname) : null;
 }
 
 // Return the username bound to a given apeKey hash (or null)
@@ -67,7 +137,85 @@ export async function findUsernameByKeyHash(keyHash) {
 
 // Bind a key hash to a username (used on first create path)
 export async function setUsernameForKeyHash(keyHash, username) {
+  await updateStore((store) => {
+    store.byHash[keyHash] = String(username).trim();
+  });
+}
+
+// Drop a username's key and every hash bound to it; returns true if a key was on file
+export async function deleteKey(username) {
+  const uname = String(username).trim();
+  let had = false;
+  await updateStore((store) => {
+    had = uname in store.byUser;
+    delete store.byUser[uname];
+    for (const [hash, owner] of Object.entries(store.byHash)) {
+      if (owner === uname) delete store.byHash[hash];
+    }
+  });
+  return had;
+}
+
+// Remove the user record together with their key
+export async function deleteUserAndKey(username) {
+  await deleteKey(username);
+  await deleteUser(username);
+}
+
+// Move a key to a new username (re-sealed, since the username is bound as AAD)
+export async function renameKeyOwner(from, to) {
+  const oldName = String(from).trim();
+  const newName = String(to).trim();
+  await updateStore((store) => {
+    const entry = store.byUser[oldName];
+    if (!entry) return;
+    const apeKey = decryptApeKey(entry, oldName);
+    delete store.byUser[oldName];
+    store.byUser[newName] = encryptApeKey(apeKey, newName);
+    for (const [hash, owner] of Object.entries(store.byHash)) {
+      if (owner === oldName) store.byHash[hash] = newName;
+    }
+  });
+}
+
+// Non-secret facts about a stored key, for data exports
+export async function describeKey(username) {
+  const uname = String(username).trim();
   const store = await readStore();
-  store.byHash[keyHash] = String(username).trim();
-  await writeStore(store);
+  const entry = store.byUser[uname];
+  if (!entry) return null;
+  const apeKey = decryptApeKey(entry, uname);
+  return {
+    keyHash: sha256(apeKey),
+    keyPreview: `${apeKey.slice(0, 4)}…${apeKey.slice(-4)}`,
+    encryptedAtRest: typeof entry !== "string",
+    masterKeyId: entry.kid || null,
+  };
+}
+
+/**
+ * Seal every plaintext entry and re-wrap entries whose master key is not the
+ * active one. Safe to run repeatedly; `byHash` is left untouched.
+ * @returns {Promise<{ encrypted: number, rewrapped: number, unchanged: number }>}
+ */
+export async function migrateKeystore() {
+  if (!MASTER.activeKid) throw new Error("KEYSTORE_MASTER_KEYS must be set to migrate the keystore");
+  const counts = { encrypted: 0, rewrapped: 0, unchanged: 0 };
+
+  await updateStore((store) => {
+    for (const [uname, entry] of Object.entries(store.byUser)) {
+      if (typeof entry === "string") {
+        store.byUser[uname] = encryptApeKey(entry, uname);
+        counts.encrypted++;
+      } else if (entry?.kid !== MASTER.activeKid) {
+        // only the data key needs re-wrapping; the sealed Ape Key stays as is
+        const dek = gcmOpen(kekFor(entry.kid), entry.dek);
+        store.byUser[uname] = { ...entry, kid: MASTER.activeKid, dek: gcmSeal(kekFor(MASTER.activeKid), dek) };
+        counts.rewrapped++;
+      } else {
+        counts.unchanged++;
+      }
+    }
+  });
+  return counts;
 }
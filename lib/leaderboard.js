@@ -0,0 +1,142 @@
+// lib/leaderboard.js
+// Ranking of stored user records for one category + optional config filters.
+import { categoryKey, isKnownMode, DEFAULT_MODE, CONFIG_FIELDS } from "./monkeytype.js";
+
+const DIFFICULTIES = ["normal", "expert", "master"];
+
+function parseBool(v) {
+  if (v === "true" || v === "1") return true;
+  if (v === "false" || v === "0") return false;
+  return undefined;
+}
+
+/**
+ * Read the board selection from a query string object.
+ * `language` matches the exact language or its word-list variants
+ * ("hebrew" also matches "hebrew_1k", "hebrew_10k", ...).
+ *
+ * @returns {{ mode: string, mode2: string, filters: object } | { error: string }}
+ */
+export function parseBoardQuery(query = {}) {
+  const mode = String(query.mode || DEFAULT_MODE.mode);
+  const mode2 = String(query.mode2 || DEFAULT_MODE.mode2);
+  if (!isKnownMode(mode, mode2)) return { error: "Unknown mode" };
+
+  const filters = {};
+  if (query.language) {
+    const language = String(query.language).toLowerCase();
+    if (!/^[a-z0-9_]{2,40}$/.test(language)) return { error: "Bad language" };
+    filters.language = language;
+  }
+  for (const f of ["punctuation", "numbers", "lazyMode"]) {
+    if (query[f] === undefined || query[f] === "") continue;
+    const b = parseBool(String(query[f]));
+    if (b === undefined) return { error: `Bad ${f}` };
+    filters[f] = b;
+  }
+  if (query.difficulty) {
+    const difficulty = String(query.difficulty);
+    if (!DIFFICULTIES.includes(difficulty)) return { error: "Bad difficulty" };
+    filters.difficulty = difficulty;
+  }
+  return { mode, mode2, filters };
+}
+
+export function matchesFilters(pb, filters = {}) {
+  for (const [f, want] of Object.entries(filters)) {
+    const have = pb?.[f];
+    if (f === "language") {
+      if (typeof have !== "string") return false;
+      if (have !== want && !have.startsWith(`${want}_`)) return false;
+    } else if (have !== want) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Best stored PB of a user for the selection (or null)
+export function bestPb(user, { mode, mode2, filters = {} }) {
+  const list = user?.pbs?.[categoryKey(mode, mode2)];
+  if (!Array.isArray(list)) return null;
+  let best = null;
+  for (const pb of list) {
+    if (!matchesFilters(pb, filters)) continue;
+    if (!best || pb.wpm > best.wpm) best = pb;
+  }
+  return best;
+}
+
+/**
+ * Ranked rows (WPM desc, then accuracy, then most recently refreshed).
+ * Only users from Israel with a qualifying PB are included; hidden/banned
+ * entries are left out.
+ */
+export function buildLeaderboard(users, selection) {
+  const rows = [];
+  for (const u of users) {
+    if ((u.country || "IL") !== "IL") continue;
+    if (u.hidden || u.banned) continue; // moderated entries stay off public boards
+    const pb = bestPb(u, selection);
+    if (!pb) continue;
+    const config = {};
+    for (const f of CONFIG_FIELDS) config[f] = pb[f] ?? null;
+    rows.push({
+      username: u.username,
+      wpm: pb.wpm,
+      accuracy: pb.accuracy,
+      timestamp: u.timestamp,
+      ...config,
+    });
+  }
+
+  rows.sort((a, b) => {
+    if (b.wpm !== a.wpm) return b.wpm - a.wpm;
+    if (b.accuracy !== a.accuracy) return b.accuracy - a.accuracy;
+    return new Date(b.timestamp) - new Date(a.timestamp);
+  });
+  return rows;
+}
+
+/**
+ * Position of `username` in ranked rows. `percentile` is the share of ranked
+ * members this user is ahead of (0–100, one decimal).
+ * @returns {{ rank: number, total: number, percentile: number } | null}
+ */
+export function rankIn(rows, username) {
+  const want = String(username).toLowerCase();
+  const idx = rows.findIndex((r) => r.username.toLowerCase() === want);
+  if (idx < 0) return null;
+  const total = rows.length;
+  return { rank: idx + 1, total, percentile: Math.round(((total - idx - 1) / total) * 1000) / 10 };
+}
+
+// Table view columns; rank/username read naturally ascending, numbers/dates descending
+export const SORT_FIELDS = { rank: "asc", username: "asc", wpm: "desc", accuracy: "desc", timestamp: "desc" };
+
+/**
+ * Read the table view (?q=&sort=&dir=) from a query string object.
+ * @returns {{ q: string, sort: string, dir: "asc" | "desc" } | { error: string }}
+ */
+export function parseTableQuery(query = {}) {
+  const sort = String(query.sort || "rank");
+  if (!Object.hasOwn(SORT_FIELDS, sort)) return { error: "Bad sort" };
+  const dir = String(query.dir || SORT_FIELDS[sort]);
+  if (dir !== "asc" && dir !== "desc") return { error: "Bad dir" };
+  const q = String(query.q || "").trim().slice(0, 40);
+  return { q, sort, dir };
+}
+
+/**
+ * Sorted copy of ranked rows (rows carry `rank`); ties keep board order.
+ */
+export function sortRows(rows, { sort = "rank", dir = "asc" } = {}) {
+  const sign = dir === "desc" ? -1 : 1;
+  const value = (r) => (sort === "timestamp" ? new Date(r.timestamp).getTime() || 0 : sort === "username" ? r.username.toLowerCase() : r[sort]);
+  return [...rows].sort((a, b) => {
+    const va = value(a);
+    const vb = value(b);
+    if (va !== vb) return (va < vb ? -1 : 1) * sign;
+    return a.rank - b.rank;
+  });
+}
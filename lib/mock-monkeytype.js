@@ -0,0 +1,240 @@
+// lib/mock-monkeytype.js
+// Local stand-in for the parts of the Monkeytype Ape API the site uses
+// (/users/personalBests, /results/last, /results), plus an OAuth2 provider
+// (/oauth/authorize, /oauth/token, /oauth/userinfo) for "Sign in with
+// Monkeytype". Seeded fake users make the whole site run offline (DEMO_MODE)
+// and give tests a predictable upstream.
+import express from "express";
+import http from "http";
+import crypto from "crypto";
+import { escapeHtml } from "./i18n.js";
+
+// Ape Key → fake Monkeytype account. Stats are derived from `base` WPM;
+// `overrides` (tests only) forces fields on every run, e.g. { consistency: 20 }.
+export const DEMO_USERS = [
+  { username: "shira_types", apeKey: "ape_demo_shira", base: 128, language: "hebrew" },
+  { username: "noam_k", apeKey: "ape_demo_noam", base: 117, language: "english" },
+  { username: "yael_keys", apeKey: "ape_demo_yael", base: 104, language: "hebrew" },
+  { username: "itay_fast", apeKey: "ape_demo_itay", base: 96, language: "english" },
+  { username: "maya_m", apeKey: "ape_demo_maya", base: 88, language: "hebrew_1k" },
+  { username: "omer_tlv", apeKey: "ape_demo_omer", base: 79, language: "english" },
+  { username: "dana_h", apeKey: "ape_demo_dana", base: 71, language: "hebrew" },
+  { username: "eitan_b", apeKey: "ape_demo_eitan", base: 63, language: "english" },
+  // not pre-seeded on the board: use it to try the join flow as a new member
+  { username: "guest", apeKey: "ape_demo_guest", base: 58, language: "hebrew", seed: false },
+];
+
+// The only client the mock provider knows (lib/monkeytype-oauth.js uses it)
+export const MOCK_OAUTH_CLIENT = { id: "mock-client", secret: "mock-secret" };
+
+// Stable Monkeytype account id for a fake user
+export const mockUid = (user) => user.uid || `mt_${user.username}`;
+
+const TIME_MODES = ["15", "30", "60", "120"];
+const WORD_MODES = ["10", "25", "50", "100"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Small deterministic PRNG so every run of the mock serves the same stats
+function seeded(str) {
+  let h = 2166136261;
+  for (const ch of str) h = Math.imul(h ^ ch.charCodeAt(0), 16777619);
+  return () => {
+    h = Math.imul(h ^ (h >>> 15), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    return ((h ^= h >>> 16) >>> 0) / 4294967296;
+  };
+}
+
+// Longer tests are slower; short word counts are the fastest
+function modeFactor(mode, mode2) {
+  if (mode === "time") return { 15: 1, 30: 0.96, 60: 0.92, 120: 0.88 }[mode2];
+  return { 10: 1.08, 25: 1.02, 50: 0.97, 100: 0.93 }[mode2];
+}
+
+function result(user, mode, mode2, { now, config = {}, rand }) {
+  // users "improve" about 1 WPM a week so progress charts have something to show
+  const weeks = Math.floor(now / (7 * DAY_MS)) % 52;
+  const wpm = user.base * modeFactor(mode, mode2) * (0.9 + rand() * 0.1) + weeks * 0.2;
+  const acc = 93 + rand() * 6.5;
+  return {
+    mode,
+    mode2,
+    wpm: Math.round(wpm * 100) / 100,
+    rawWpm: Math.round(wpm * (1.02 + rand() * 0.04) * 100) / 100,
+    acc: Math.round(acc * 100) / 100,
+    consistency: Math.round((70 + rand() * 20) * 100) / 100,
+    restartCount: Math.floor(rand() * 4),
+    timestamp: now - Math.floor(rand() * 30 * DAY_MS),
+    language: user.language,
+    punctuation: false,
+    numbers: false,
+    difficulty: "normal",
+    lazyMode: false,
+    ...config,
+    ...user.overrides,
+  };
+}
+
+// Every PB for a user, keyed like the real API: { time: { "15": [...] }, words: {...} }
+export function personalBests(user, now = Date.now()) {
+  const rand = seeded(`${user.apeKey}:pbs`);
+  const out = { time: {}, words: {} };
+  for (const [mode, list] of [["time", TIME_MODES], ["words", WORD_MODES]]) {
+    for (const mode2 of list) {
+      const entries = [result(user, mode, mode2, { now, rand })];
+      // a few users also have a punctuation PB in their main language
+      if (rand() < 0.4) {
+        entries.push(result(user, mode, mode2, { now, rand, config: { punctuation: true, numbers: rand() < 0.5 } }));
+      }
+      out[mode][mode2] = entries;
+    }
+  }
+  return out;
+}
+
+export function recentResults(user, limit = 50, now = Date.now()) {
+  const rand = seeded(`${user.apeKey}:results`);
+  const modes = [...TIME_MODES.map((m) => ["time", m]), ...WORD_MODES.map((m) => ["words", m])];
+  const list = [];
+  for (let i = 0; i < Math.min(limit, 1000); i++) {
+    const [mode, mode2] = modes[Math.floor(rand() * 3)]; // mostly short time tests
+    const r = result(user, mode, mode2, { now, rand });
+    r.wpm = Math.round(r.wpm * (0.85 + rand() * 0.1) * 100) / 100; // below PB
+    r.timestamp = now - i * Math.floor(DAY_MS / 6) - Math.floor(rand() * 3600 * 1000);
+    list.push(r);
+  }
+  return list;
+}
+
+const randomToken = () => crypto.randomBytes(16).toString("hex");
+
+/**
+ * OAuth2 authorization-code provider for the fake users. The authorize page
+ * lists them to pick from; `login_hint=<username>` picks directly (tests).
+ * Codes are single-use and checked against PKCE when a challenge was sent.
+ */
+function mockOAuthRoutes(users, now) {
+  const router = express.Router();
+  const codes = new Map();
+  const tokens = new Map();
+  const oauthError = (res, status, error) => res.status(status).json({ error });
+
+  router.get("/oauth/authorize", (req, res) => {
+    const { response_type: type, client_id: clientId, redirect_uri: redirectUri, state } = req.query;
+    if (clientId !== MOCK_OAUTH_CLIENT.id || !redirectUri) return res.status(400).send("Unknown client or missing redirect_uri");
+    const back = new URL(String(redirectUri));
+    if (state) back.searchParams.set("state", String(state));
+    if (type !== "code") {
+      back.searchParams.set("error", "unsupported_response_type");
+      return res.redirect(back.href);
+    }
+    if (req.query.deny) {
+      back.searchParams.set("error", "access_denied");
+      return res.redirect(back.href);
+    }
+
+    const user = users.find((u) => u.username === req.query.login_hint);
+    if (!user) {
+      const pick = (extra) => `?${new URLSearchParams({ ...req.query, ...extra })}`;
+      return res.send(`<!doctype html><meta charset="utf-8"><title>Mock Monkeytype sign-in</title>
+        <body style="font-family: system-ui, sans-serif; padding:24px">
+        <h2>Mock Monkeytype</h2><p>Sign in as:</p>
+        <ul>${users.map((u) => `<li><a href="${escapeHtml(pick({ login_hint: u.username }))}">${escapeHtml(u.username)}</a></li>`).join("")}</ul>
+        <p><a href="${escapeHtml(pick({ deny: 1 }))}">Cancel</a></p></body>`);
+    }
+
+    const code = randomToken();
+    codes.set(code, {
+      user,
+      redirectUri: String(redirectUri),
+      challenge: req.query.code_challenge ? String(req.query.code_challenge) : null,
+      expiresAt: now() + 60 * 1000,
+    });
+    back.searchParams.set("code", code);
+    return res.redirect(back.href);
+  });
+
+  router.post("/oauth/token", express.urlencoded({ extended: false }), (req, res) => {
+    const b = req.body || {};
+    const basic = /^Basic\s+(.+)$/.exec(req.headers.authorization || "");
+    const [clientId, secret] = basic ? Buffer.from(basic[1], "base64").toString().split(":") : [b.client_id, b.client_secret];
+    if (clientId !== MOCK_OAUTH_CLIENT.id || secret !== MOCK_OAUTH_CLIENT.secret) return oauthError(res, 401, "invalid_client");
+    if (b.grant_type !== "authorization_code") return oauthError(res, 400, "unsupported_grant_type");
+
+    const grant = codes.get(b.code);
+    codes.delete(b.code);
+    if (!grant || grant.expiresAt < now() || grant.redirectUri !== b.redirect_uri) return oauthError(res, 400, "invalid_grant");
+    if (grant.challenge) {
+      const hashed = crypto.createHash("sha256").update(String(b.code_verifier || "")).digest("base64url");
+      if (hashed !== grant.challenge) return oauthError(res, 400, "invalid_grant");
+    }
+    const accessToken = randomToken();
+    tokens.set(accessToken, grant.user);
+    return res.json({ access_token: accessToken, token_type: "Bearer", expires_in: 3600, scope: "identity" });
+  });
+
+  router.get("/oauth/userinfo", (req, res) => {
+    const m = /^Bearer\s+(.+)$/.exec(req.headers.authorization || "");
+    const user = m && tokens.get(m[1].trim());
+    if (!user) return res.status(401).json({ message: "Unauthorized" });
+    return res.json({ message: "User retrieved", data: { uid: mockUid(user), name: user.username } });
+  });
+
+  return router;
+}
+
+/**
+ * Express app serving the mock API.
+ * @param {{ users?: typeof DEMO_USERS, now?: () => number }} [opts]
+ */
+export function createMockMonkeytypeApp({ users = DEMO_USERS, now = () => Date.now() } = {}) {
+  const app = express();
+  app.disable("x-powered-by");
+  app.use(mockOAuthRoutes(users, now));
+
+  // ApeKey auth like the real API: 401 without a key, 470 for an unknown one;
+  // users with `down: true` get 503 for everything (an outage)
+  app.use((req, res, next) => {
+    const m = /^ApeKey\s+(.+)$/.exec(req.headers.authorization || "");
+    if (!m) return res.status(401).json({ message: "Unauthorized" });
+    const user = users.find((u) => u.apeKey === m[1].trim());
+    if (!user) return res.status(470).json({ message: "Invalid ApeKey" });
+    if (user.down) return res.status(503).json({ message: "Service unavailable" });
+    req.mtUser = user;
+    next();
+  });
+
+  app.get("/users/personalBests", (req, res) => {
+    const mode = String(req.query.mode || "");
+    if (mode !== "time" && mode !== "words") {
+      return res.status(422).json({ message: "Invalid query schema" });
+    }
+    const pbs = personalBests(req.mtUser, now())[mode];
+    const mode2 = req.query.mode2 ? String(req.query.mode2) : null;
+    res.json({ message: "Personal bests retrieved", data: mode2 ? pbs[mode2] || [] : pbs });
+  });
+
+  app.get("/results/last", (req, res) => {
+    res.json({ message: "Result retrieved", data: recentResults(req.mtUser, 1, now())[0] });
+  });
+
+  app.get("/results", (req, res) => {
+    const limit = Math.max(1, Math.min(1000, Number(req.query.limit) || 50));
+    res.json({ message: "Results retrieved", data: recentResults(req.mtUser, limit, now()) });
+  });
+
+  app.use((req, res) => res.status(404).json({ message: "Not found" }));
+  return app;
+}
+
+// Start the mock on `port` (0 = random free port); resolves with its base URL
+export function startMockMonkeytype({ port = 0, host = "127.0.0.1", ...opts } = {}) {
+  const server = http.createServer(createMockMonkeytypeApp(opts));
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      const { port: actual } = server.address();
+      resolve({ server, url: `http://${host}:${actual}`, close: () => new Promise((r) => server.close(r)) });
+    });
+  });
+}
@@ -0,0 +1,114 @@
+// lib/monkeytype-oauth.js
+// "Sign in with Monkeytype": an OAuth2 authorization-code strategy (PKCE and
+// state kept in the session) configured from MONKEYTYPE_OAUTH_* env, and the
+// link between a Monkeytype identity and a site account (`monkeytype` on the
+// user record). Only the identity is kept; stats are still read with the
+// member's Ape Key. MONKEYTYPE_OAUTH_MOCK=1 (and DEMO_MODE) use the provider
+// bundled with the mock Monkeytype API (lib/mock-monkeytype.js).
+import OAuth2Strategy from "passport-oauth2";
+import { updateUsers, loadUsers } from "./store.js";
+import { apiBase } from "./monkeytype.js";
+import { MOCK_OAUTH_CLIENT } from "./mock-monkeytype.js";
+
+export const STRATEGY = "monkeytype";
+export const CALLBACK_PATH = "/auth/monkeytype/callback";
+const PENDING_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Provider settings from env, or null when sign-in is off. A real provider
+ * needs MONKEYTYPE_OAUTH_CLIENT_ID, _CLIENT_SECRET, _AUTHORIZE_URL, _TOKEN_URL
+ * and _USERINFO_URL (_SCOPE and _CALLBACK_URL are optional). Read per call:
+ * DEMO_MODE only knows the mock's URL after startup.
+ * @param {{ mock?: boolean }} [opts] force the bundled mock provider
+ */
+export function oauthConfig({ mock = false } = {}) {
+  const env = process.env;
+  const callbackURL = env.MONKEYTYPE_OAUTH_CALLBACK_URL || CALLBACK_PATH;
+  if (env.MONKEYTYPE_OAUTH_CLIENT_ID) {
+    const config = {
+      clientID: env.MONKEYTYPE_OAUTH_CLIENT_ID,
+      clientSecret: env.MONKEYTYPE_OAUTH_CLIENT_SECRET,
+      authorizationURL: env.MONKEYTYPE_OAUTH_AUTHORIZE_URL,
+      tokenURL: env.MONKEYTYPE_OAUTH_TOKEN_URL,
+      userInfoURL: env.MONKEYTYPE_OAUTH_USERINFO_URL,
+      scope: env.MONKEYTYPE_OAUTH_SCOPE || "identity",
+      callbackURL,
+    };
+    const missing = Object.entries(config).filter(([, v]) => !v).map(([k]) => k);
+    if (missing.length) throw new Error(`MONKEYTYPE_OAUTH_CLIENT_ID is set but ${missing.join(", ")} missing`);
+    return config;
+  }
+  if (!mock && !/^(1|true|yes)$/i.test(env.MONKEYTYPE_OAUTH_MOCK || "")) return null;
+  const base = apiBase();
+  return {
+    clientID: MOCK_OAUTH_CLIENT.id,
+    clientSecret: MOCK_OAUTH_CLIENT.secret,
+    authorizationURL: `${base}/oauth/authorize`,
+    tokenURL: `${base}/oauth/token`,
+    userInfoURL: `${base}/oauth/userinfo`,
+    scope: "identity",
+    callbackURL,
+  };
+}
+
+// { id, name } from a user-info response; accepts the Ape API's { data } envelope
+export function parseProfile(json) {
+  const d = json?.data && typeof json.data === "object" ? json.data : json;
+  const id = d?.uid ?? d?.sub ?? d?.id ?? d?._id;
+  if (id === undefined || id === null || id === "") return null;
+  return { id: String(id), name: String(d.name ?? d.username ?? d.preferred_username ?? "").slice(0, 64) || null };
+}
+
+/**
+ * Passport strategy; the verified "user" handed to the route is the
+ * Monkeytype profile ({ id, name }), never tokens.
+ */
+export function createMonkeytypeStrategy({ userInfoURL, ...config }) {
+  const strategy = new OAuth2Strategy(
+    { ...config, state: true, pkce: true },
+    (accessToken, refreshToken, profile, done) => done(null, profile)
+  );
+  strategy.name = STRATEGY;
+  strategy._oauth2.useAuthorizationHeaderforGET(true);
+  strategy.userProfile = (accessToken, done) => {
+    strategy._oauth2.get(userInfoURL, accessToken, (err, body) => {
+      if (err) return done(new Error(`Monkeytype user info failed (${err.statusCode || err.message || "error"})`));
+      let profile = null;
+      try {
+        profile = parseProfile(JSON.parse(body));
+      } catch {
+        // not JSON
+      }
+      return profile ? done(null, profile) : done(new Error("Monkeytype user info has no user id"));
+    });
+  };
+  return strategy;
+}
+
+// Site username linked to a Monkeytype id (or null)
+export async function findUserByMonkeytype(id) {
+  return (await loadUsers()).find((u) => u.monkeytype?.id === String(id))?.username || null;
+}
+
+// One Monkeytype identity ↔ one site account: linking moves it off anyone else
+export async function linkMonkeytype(username, { id, name }) {
+  const lower = String(username).toLowerCase();
+  let linked = null;
+  await updateUsers((users) =>
+    users.map((u) => {
+      if (u.username.toLowerCase() === lower) {
+        return (linked = { ...u, monkeytype: { id: String(id), name, linkedAt: new Date().toISOString() } });
+      }
+      if (u.monkeytype?.id === String(id)) {
+        const { monkeytype, ...rest } = u;
+        return rest;
+      }
+      return u;
+    })
+  );
+  return linked;
+}
+
+// A sign-in that matched no account waits in the session for its first /join
+export const pendingIdentity = (profile, now = Date.now()) => ({ ...profile, expiresAt: now + PENDING_TTL_MS });
+export const livePending = (pending, now = Date.now()) => (pending && pending.expiresAt > now ? pending : null);
@@ -1,7 +1,8 @@
 // lib/monkeytype.js
 import { getApeKey } from "./keystore.js";
 
-const API_BASE = process.env.MONKEYTYPE_API_BASE || "https://api.monkeytype.com";
+// Read per call so DEMO_MODE can point it at the bundled mock after startup
+export const apiBase = () => process.env.MONKEYTYPE_API_BASE || "https://api.monkeytype.com";
 
 // helpers
 const clampNum = (n, min, max) => {
@@ -35,104 +36,216 @@ function normalizePbArray(j) {
   return [];
 }
 
-function pickBest15s(entries) {
-  if (!Array.isArray(entries) || entries.length === 0) return null;
-  // choose max WPM among any 15s PB entries (ignore config differences)
-  let best = null;
+// Every category the leaderboard tracks: Monkeytype `mode` + `mode2`
+export const MODES = [
+  { mode: "time", mode2: "15" },
+  { mode: "time", mode2: "30" },
+  { mode: "time", mode2: "60" },
+  { mode: "time", mode2: "120" },
+  { mode: "words", mode2: "10" },
+  { mode: "words", mode2: "25" },
+  { mode: "words", mode2: "50" },
+  { mode: "words", mode2: "100" },
+];
+
+export const DEFAULT_MODE = MODES[0];
+
+// "time:15", "words:50", ... (key used in the stored `pbs` map)
+export function categoryKey(mode, mode2) {
+  return `${mode}:${mode2}`;
+}
+
+export function isKnownMode(mode, mode2) {
+  return MODES.some((m) => m.mode === mode && m.mode2 === String(mode2));
+}
+
+// PB payloads come either as a flat array (with mode/mode2 on each entry, or
+// implied by the query) or keyed by mode2: { "15": [...], "60": [...] }.
+function flattenPbs(j, mode) {
+  const d = j?.data;
+  if (Array.isArray(d) || Array.isArray(d?.personalBests)) {
+    return normalizePbArray(j).map((e) => ({ mode, ...e }));
+  }
+  if (!d || typeof d !== "object") return [];
+  const out = [];
+  for (const [mode2, list] of Object.entries(d)) {
+    if (!Array.isArray(list)) continue;
+    for (const e of list) out.push({ mode, mode2, ...e });
+  }
+  return out;
+}
+
+// Config fields that make two runs in the same mode not comparable
+export const CONFIG_FIELDS = ["language", "punctuation", "numbers", "difficulty", "lazyMode"];
+
+function readConfig(e) {
+  return {
+    language: typeof e?.language === "string" ? e.language : "english",
+    punctuation: !!e?.punctuation,
+    numbers: !!e?.numbers,
+    difficulty: typeof e?.difficulty === "string" ? e.difficulty : "normal",
+    lazyMode: !!e?.lazyMode,
+  };
+}
+
+function configSignature(e) {
+  const c = readConfig(e);
+  return CONFIG_FIELDS.map((f) => String(c[f])).join("|");
+}
+
+// choose max WPM per tracked category and distinct config
+function pickBestPerMode(entries) {
+  const best = {};
+  if (!Array.isArray(entries)) return best;
   for (const e of entries) {
     const wpm = Number(e?.wpm);
     const mode = e?.mode;
-    const mode2 = Number(e?.mode2);
-    if (mode === "time" && mode2 === 15 && Number.isFinite(wpm)) {
-      if (!best || wpm > Number(best.wpm)) best = e;
-    }
+    const mode2 = String(e?.mode2 ?? "");
+    if (!isKnownMode(mode, mode2) || !Number.isFinite(wpm)) continue;
+    const key = `${categoryKey(mode, mode2)}#${configSignature(e)}`;
+    if (!best[key] || wpm > Number(best[key].wpm)) best[key] = e;
   }
   return best;
 }
 
+function toPb(e) {
+  const ts = Number(e?.timestamp);
+  return {
+    wpm: round0(e.wpm),
+    accuracy: round2(e.acc),
+    achievedAt: Number.isFinite(ts) && ts > 0 ? new Date(ts).toISOString() : null,
+    ...readConfig(e),
+  };
+}
+
+// one /results page per refresh covers the fallback and the windowed boards
+const RECENT_LIMIT = 100;
+
+const isUnauthorized = (status) =>
+  status === 401 || status === 470 || status === 471 || status === 472;
+
+// Errors caused by a revoked/invalid key carry this code (retrying will not help)
+export const APE_KEY_UNAUTHORIZED = "APE_KEY_UNAUTHORIZED";
+
+export function isApeKeyUnauthorized(err) {
+  return err?.code === APE_KEY_UNAUTHORIZED;
+}
+
 /**
- * Fetch the user's best 15-second (time) result, using their Ape Key.
+ * Fetch the user's personal bests for every tracked mode, using their Ape Key.
+ * A mode whose /users/personalBests request answered is settled, even when
+ * some of its categories have no PB. Only modes that got no answer fall back
+ * to recent results, and that list comes back as `recent` so the same refresh
+ * doesn't fetch /results again (see fetchRecentRuns).
  *
  * @param {string} siteUsername - your *site* username (display name)
  * @param {string|null} apeKeyFromCaller
- * @returns {Promise<{ username: string, wpm15: number, accuracy: number, raw?: any }>}
+ * `pbs` maps each category ("time:15") to one entry per distinct config
+ * (language, punctuation, numbers, difficulty, lazyMode), best WPM first.
+ *
+ * @returns {Promise<{ username: string, pbs: Record<string, Array<{ wpm: number, accuracy: number, achievedAt: string|null, language: string, punctuation: boolean, numbers: boolean, difficulty: string, lazyMode: boolean }>>, raw?: any, recent?: Array<{ category: string, pb: object, entry: object }> }>}
  */
-export async function fetchMonkeytype15s(siteUsername, apeKeyFromCaller = null) {
+export async function fetchMonkeytypePBs(siteUsername, apeKeyFromCaller = null) {
   const apeKey = apeKeyFromCaller || (await getApeKey(siteUsername));
   if (!apeKey) throw new Error("No ApeKey on file for user");
 
   const headers = { Authorization: `ApeKey ${apeKey}` };
+  const found = {};
+  const answered = new Set(); // modes /users/personalBests returned data for
+  const take = (entries) => {
+    const best = pickBestPerMode(entries);
+    for (const [key, e] of Object.entries(best)) {
+      if (!found[key] || Number(e.wpm) > Number(found[key].wpm)) found[key] = e;
+    }
+  };
 
-  // 1) Personal best 15s (try with small retry/backoff for transient errors / 429)
-  for (const delay of [0, 400, 900]) {
-    try {
-      if (delay) await sleep(delay);
-      const pbR = await fetchWithTimeout(
-        `${API_BASE}/users/personalBests?mode=time&mode2=15`,
-        { headers },
-        6000
-      );
-      if (pbR.ok) {
-        const j = await pbR.json().catch(() => null);
-        const arr = normalizePbArray(j);
-        const best = pickBest15s(arr);
-        if (best) {
-          return {
-            username: siteUsername,
-            wpm15: round0(best.wpm),
-            accuracy: round2(best.acc),
-            raw: best,
-          };
+  // 1) Personal bests, one request per mode (small retry/backoff for transient errors / 429)
+  for (const mode of [...new Set(MODES.map((m) => m.mode))]) {
+    for (const delay of [0, 400, 900]) {
+      try {
+        if (delay) await sleep(delay);
+        const pbR = await fetchWithTimeout(
+          `${apiBase()}/users/personalBests?mode=${mode}`,
+          { headers },
+          6000
+        );
+        if (pbR.ok) {
+          const j = await pbR.json().catch(() => null);
+          if (j) answered.add(mode);
+          take(flattenPbs(j, mode));
+        } else if (isUnauthorized(pbR.status)) {
+          // invalid/inactive/malformed key variants — fail fast
+          throw Object.assign(new Error(`ApeKey not authorized (status ${pbR.status})`), {
+            code: APE_KEY_UNAUTHORIZED,
+            status: pbR.status,
+          });
         }
-      } else if (pbR.status === 401 || pbR.status === 470 || pbR.status === 471 || pbR.status === 472) {
-        // invalid/inactive/malformed key variants — fail fast
-        throw new Error(`ApeKey not authorized (status ${pbR.status})`);
+        // if not ok and not 401-like, fall through to other endpoints without retrying PB
+        break;
+      } catch (e) {
+        if (isApeKeyUnauthorized(e)) throw e;
+        // on AbortError or network error, retry then fall through
+        // no logging of key
+        continue;
       }
-      // else continue to next strategy
-      break; // if not ok and not 401-like, fall through to other endpoints without retrying PB
-    } catch (e) {
-      // on AbortError or network error, retry once then fall through
-      // no logging of key
-      continue;
     }
   }
 
-  // 2) If last result is a 15s run, use it
-  try {
-    const lastR = await fetchWithTimeout(`${API_BASE}/results/last`, { headers }, 6000);
-    if (lastR.ok) {
-      const j = await lastR.json().catch(() => null);
-      const d = j?.data;
-      if (d?.mode === "time" && Number(d?.mode2) === 15) {
-        return {
-          username: siteUsername,
-          wpm15: round0(d.wpm),
-          accuracy: round2(d.acc),
-          raw: d,
-        };
-      }
+  // 2) Modes without an answer: scan recent results (the newest one is what
+  // /results/last would return, so that endpoint isn't needed)
+  let recent;
+  if (!MODES.every((m) => answered.has(m.mode))) {
+    try {
+      const list = await fetchResults(headers, RECENT_LIMIT);
+      take(list.filter((e) => !answered.has(e?.mode)));
+      recent = toRecentRuns(list);
+    } catch (e) {
+      if (isApeKeyUnauthorized(e)) throw e;
     }
-  } catch {}
+  }
 
-  // 3) Scan recent results for a 15s run
-  try {
-    const resR = await fetchWithTimeout(`${API_BASE}/results?limit=50`, { headers }, 6000);
-    if (resR.ok) {
-      const j = await resR.json().catch(() => null);
-      const list = j?.data || j?.results || [];
-      const match = Array.isArray(list)
-        ? list.find((r) => r?.mode === "time" && Number(r?.mode2) === 15)
-        : null;
-      if (match) {
-        return {
-          username: siteUsername,
-          wpm15: round0(match.wpm),
-          accuracy: round2(match.acc),
-          raw: match,
-        };
-      }
-    }
-  } catch {}
+  if (Object.keys(found).length === 0) {
+    throw new Error("No results found for this user.");
+  }
 
-  throw new Error("No 15s result found for this user.");
+  const pbs = {};
+  for (const [key, e] of Object.entries(found)) {
+    const cat = key.split("#")[0];
+    (pbs[cat] ||= []).push(toPb(e));
+  }
+  for (const list of Object.values(pbs)) list.sort((a, b) => b.wpm - a.wpm);
+  return { username: siteUsername, pbs, raw: found, ...(recent && { recent }) };
+}
+
+// Raw entries from /results, newest first
+async function fetchResults(headers, limit) {
+  const r = await fetchWithTimeout(`${apiBase()}/results?limit=${limit}`, { headers }, 6000);
+  if (isUnauthorized(r.status)) {
+    throw Object.assign(new Error(`ApeKey not authorized (status ${r.status})`), {
+      code: APE_KEY_UNAUTHORIZED,
+      status: r.status,
+    });
+  }
+  if (!r.ok) throw new Error(`Monkeytype /results failed (status ${r.status})`);
+  const j = await r.json().catch(() => null);
+  const list = j?.data || j?.results || [];
+  return Array.isArray(list) ? list : [];
+}
+
+const toRecentRuns = (list) =>
+  list
+    .filter((e) => isKnownMode(e?.mode, String(e?.mode2 ?? "")) && Number.isFinite(Number(e?.wpm)))
+    .map((e) => ({ category: categoryKey(e.mode, String(e.mode2)), pb: toPb(e), entry: e }));
+
+/**
+ * Recent individual runs (newest first) from `/results`, for boards that rank
+ * results inside a time window. Entries outside the tracked modes are dropped.
+ *
+ * @returns {Promise<Array<{ category: string, pb: object, entry: object }>>}
+ *   `pb` has the stored PB shape; `entry` is the raw Monkeytype result
+ */
+export async function fetchRecentRuns(siteUsername, apeKeyFromCaller = null, { limit = RECENT_LIMIT } = {}) {
+  const apeKey = apeKeyFromCaller || (await getApeKey(siteUsername));
+  if (!apeKey) throw new Error("No ApeKey on file for user");
+  return toRecentRuns(await fetchResults({ Authorization: `ApeKey ${apeKey}` }, limit));
 }
@@ -0,0 +1,104 @@
+// lib/review.js
+// Review queue for runs the anomaly detector flagged ("review" document).
+// A flagged PB stays off the board (the previous PB for that config is kept)
+// until an admin approves it; rejected runs are never queued again.
+import crypto from "crypto";
+import { getStorage } from "./storage.js";
+import { detectAnomalies, configSig } from "./anomaly.js";
+
+const DOC = "review";
+const userKey = (username) => String(username).trim().toLowerCase();
+
+// Same user, category, config and run (a later, different PB is a new item)
+const samePb = (item, username, category, pb) =>
+  userKey(item.username) === userKey(username) &&
+  item.category === category &&
+  item.sig === configSig(pb) &&
+  item.pb.wpm === pb.wpm &&
+  item.pb.achievedAt === pb.achievedAt;
+
+// Newest first, optionally only one status and/or one member
+export async function listReview({ status = null, username = null } = {}) {
+  const storage = await getStorage();
+  const items = await storage.get(DOC, []);
+  return items
+    .filter((i) => (!status || i.status === status) && (!username || userKey(i.username) === userKey(username)))
+    .reverse();
+}
+
+export async function getReviewItem(id) {
+  return (await listReview()).find((i) => i.id === id) || null;
+}
+
+/**
+ * Run the anomaly rules on a refresh and hold back flagged PBs.
+ * @returns {Promise<{ pbs: object, held: Array<object> }>} `pbs` is safe to store
+ */
+export async function screenPbs({ username, prevPbs = {}, pbs, raw, rules }) {
+  const flagged = detectAnomalies({ prevPbs, pbs, raw, rules });
+  if (flagged.length === 0) return { pbs, held: [] };
+
+  const storage = await getStorage();
+  const held = [];
+  await storage.update(DOC, [], (items) => {
+    for (const f of flagged) {
+      let item = items.find((i) => samePb(i, username, f.category, f.pb));
+      if (item?.status === "approved") continue;
+      if (!item) {
+        item = {
+          id: crypto.randomUUID(),
+          username,
+          category: f.category,
+          sig: f.sig,
+          pb: f.pb,
+          run: f.run,
+          reasons: f.reasons,
+          status: "pending",
+          detectedAt: new Date().toISOString(),
+        };
+        items.push(item);
+      }
+      held.push(item);
+    }
+    return items;
+  });
+
+  // keep whatever the board had for a held config (or nothing for a new one)
+  const out = { ...pbs };
+  for (const item of held) {
+    const before = (prevPbs?.[item.category] || []).find((p) => configSig(p) === item.sig);
+    out[item.category] = out[item.category]
+      .map((p) => (configSig(p) === item.sig ? before : p))
+      .filter(Boolean);
+  }
+  return { pbs: out, held };
+}
+
+// Mark a pending item approved/rejected; returns the updated item (null if unknown)
+export async function decideReview(id, { status, by }) {
+  if (status !== "approved" && status !== "rejected") throw new Error("Bad review status");
+  const storage = await getStorage();
+  let out = null;
+  await storage.update(DOC, [], (items) => {
+    const item = items.find((i) => i.id === id);
+    if (item) {
+      Object.assign(item, { status, decidedBy: by, decidedAt: new Date().toISOString() });
+      out = { ...item };
+    }
+    return items;
+  });
+  return out;
+}
+
+export async function deleteReviewItems(username) {
+  const storage = await getStorage();
+  await storage.update(DOC, [], (items) => items.filter((i) => userKey(i.username) !== userKey(username)));
+}
+
+export async function renameReviewItems(from, to) {
+  const storage = await getStorage();
+  await storage.update(DOC, [], (items) => {
+    for (const i of items) if (userKey(i.username) === userKey(from)) i.username = to;
+    return items;
+  });
+}
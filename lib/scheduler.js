@@ -0,0 +1,166 @@
+// lib/scheduler.js
+// Background refresh scheduler: bounded concurrency, per-user exponential
+// backoff with full jitter, and persisted per-user status ("refresh-state").
+//
+// A failing user is never removed from the board. Transient errors only push
+// back their next attempt; a revoked/invalid Ape Key parks the user as
+// "revoked" until they re-join with a working key.
+import { getStorage } from "./storage.js";
+import { isApeKeyUnauthorized } from "./monkeytype.js";
+
+const DOC = "refresh-state";
+const userKey = (username) => String(username).trim().toLowerCase();
+
+export async function getRefreshStates() {
+  const storage = await getStorage();
+  return storage.get(DOC, {});
+}
+
+async function patchState(username, fn) {
+  const storage = await getStorage();
+  const key = userKey(username);
+  let out;
+  await storage.update(DOC, {}, (all) => {
+    out = fn(all[key] || { username, consecutiveFailures: 0 });
+    all[key] = { ...out, username };
+    return all;
+  });
+  return out;
+}
+
+export async function clearRefreshState(username) {
+  const storage = await getStorage();
+  await storage.update(DOC, {}, (all) => {
+    delete all[userKey(username)];
+    return all;
+  });
+}
+
+// Delay before the next attempt after `failures` consecutive transient errors
+export function backoffDelay(failures, { baseMs, maxMs, random = Math.random }) {
+  const cap = Math.min(maxMs, baseMs * 2 ** Math.max(0, failures - 1));
+  return Math.round(cap / 2 + random() * (cap / 2)); // jitter in [cap/2, cap]
+}
+
+/**
+ * @param {object} opts
+ * @param {() => Promise<string[]>} opts.listUsernames - everyone that should be refreshed
+ * @param {(username: string, apeKey?: string|null, opts?: object) => Promise<void>} opts.refreshUser
+ * @param {number} [opts.intervalMs]    - normal time between successful refreshes
+ * @param {number} [opts.tickMs]        - how often due users are looked up
+ * @param {number} [opts.concurrency]
+ * @param {number} [opts.backoffBaseMs]
+ * @param {number} [opts.backoffMaxMs]
+ */
+export function createRefreshScheduler({
+  listUsernames,
+  refreshUser,
+  intervalMs = 3 * 60 * 1000,
+  tickMs = 30 * 1000,
+  concurrency = 3,
+  backoffBaseMs = 60 * 1000,
+  backoffMaxMs = 60 * 60 * 1000,
+  random = Math.random,
+  log = console,
+}) {
+  let timer = null;
+  let running = false;
+  const inFlight = new Set();
+
+  async function recordSuccess(username) {
+    const now = Date.now();
+    // spread users over the interval so they don't all come due together
+    const next = now + intervalMs - Math.round(random() * intervalMs * 0.2);
+    return patchState(username, (s) => ({
+      ...s,
+      status: "ok",
+      lastSuccessAt: new Date(now).toISOString(),
+      consecutiveFailures: 0,
+      nextAttemptAt: new Date(next).toISOString(),
+    }));
+  }
+
+  async function recordFailure(username, err) {
+    const now = Date.now();
+    const revoked = isApeKeyUnauthorized(err);
+    return patchState(username, (s) => {
+      const failures = (s.consecutiveFailures || 0) + 1;
+      return {
+        ...s,
+        status: revoked ? "revoked" : "failing",
+        lastErrorAt: new Date(now).toISOString(),
+        lastError: String(err?.message || err).slice(0, 300),
+        consecutiveFailures: failures,
+        nextAttemptAt: revoked
+          ? null
+          : new Date(now + backoffDelay(failures, { baseMs: backoffBaseMs, maxMs: backoffMaxMs, random })).toISOString(),
+      };
+    });
+  }
+
+  // Refresh one user right away (join, admin) and record the outcome; rethrows on
+  // failure. `opts` are passed through to refreshUser.
+  async function refreshNow(username, apeKey = null, opts = {}) {
+    const key = userKey(username);
+    inFlight.add(key);
+    try {
+      await refreshUser(username, apeKey, opts);
+      await recordSuccess(username);
+    } catch (e) {
+      await recordFailure(username, e);
+      throw e;
+    } finally {
+      inFlight.delete(key);
+    }
+  }
+
+  async function dueUsernames() {
+    const [names, states] = await Promise.all([listUsernames(), getRefreshStates()]);
+    const now = Date.now();
+    return names.filter((name) => {
+      const s = states[userKey(name)];
+      if (inFlight.has(userKey(name))) return false;
+      if (!s) return true;
+      if (s.status === "revoked") return false;
+      return !s.nextAttemptAt || new Date(s.nextAttemptAt).getTime() <= now;
+    });
+  }
+
+  // One pass over every due user with at most `concurrency` refreshes in flight
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      const queue = await dueUsernames();
+      const worker = async () => {
+        for (let name = queue.shift(); name; name = queue.shift()) {
+          try {
+            await refreshNow(name);
+          } catch (e) {
+            const kind = isApeKeyUnauthorized(e) ? "REVOKED" : "REFRESH ERROR";
+            log.warn(`[${kind}] ${name}:`, e?.message || e);
+          }
+        }
+      };
+      await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+    } catch (e) {
+      log.error("Auto-refresh failed:", e?.message || e);
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    start() {
+      if (!timer) timer = setInterval(tick, tickMs);
+      return this;
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+    tick,
+    refreshNow,
+    getStates: getRefreshStates,
+  };
+}
@@ -0,0 +1,181 @@
+// lib/seasons.js
+// Time-boxed boards ("seasons" document): ISO weeks, calendar months and
+// years, all in UTC. An open season keeps each member's best run per
+// category/config achieved inside its window; once the window has ended the
+// season is archived with its final standings and never changes again.
+import { getStorage } from "./storage.js";
+import { configSig } from "./anomaly.js";
+
+const DOC = "seasons";
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const SEASON_KINDS = ["week", "month", "year"];
+
+const userKey = (username) => String(username).trim().toLowerCase();
+const pad = (n) => String(n).padStart(2, "0");
+const empty = () => ({ open: {}, archive: {} });
+const iso = (ms) => new Date(ms).toISOString();
+
+// The season of `kind` that contains `at` (ms): { id, kind, label, start, end }
+export function seasonFor(kind, at = Date.now()) {
+  const d = new Date(at);
+  const y = d.getUTCFullYear();
+  const m = d.getUTCMonth();
+  if (kind === "year") {
+    return { id: `year:${y}`, kind, label: String(y), start: iso(Date.UTC(y, 0, 1)), end: iso(Date.UTC(y + 1, 0, 1)) };
+  }
+  if (kind === "month") {
+    return { id: `month:${y}-${pad(m + 1)}`, kind, label: `${y}-${pad(m + 1)}`, start: iso(Date.UTC(y, m, 1)), end: iso(Date.UTC(y, m + 1, 1)) };
+  }
+  if (kind === "week") {
+    // ISO week: starts Monday; week 1 is the one holding the year's first Thursday
+    const monday = Date.UTC(y, m, d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+    const thursday = new Date(monday + 3 * DAY_MS);
+    const weekYear = thursday.getUTCFullYear();
+    const week = 1 + Math.floor((thursday - Date.UTC(weekYear, 0, 1)) / DAY_MS / 7);
+    const label = `${weekYear}-W${pad(week)}`;
+    return { id: `week:${label}`, kind, label, start: iso(monday), end: iso(monday + 7 * DAY_MS) };
+  }
+  throw new Error(`Unknown season kind: ${kind}`);
+}
+
+/**
+ * `?season=` value → season id. "week" | "month" | "year" mean the current
+ * one; explicit ids look like "week:2026-W07", "month:2026-02", "year:2025".
+ * @returns {{ id: string } | { error: string } | null} null = all-time board
+ */
+export function parseSeasonParam(value, now = Date.now()) {
+  if (value === undefined || value === null || value === "" || value === "all") return null;
+  const v = String(value);
+  if (SEASON_KINDS.includes(v)) return { id: seasonFor(v, now).id };
+  if (/^(week:\d{4}-W\d{2}|month:\d{4}-\d{2}|year:\d{4})$/.test(v)) return { id: v };
+  return { error: "Bad season" };
+}
+
+const meta = ({ id, kind, label, start, end, closedAt }, now) => ({
+  id,
+  kind,
+  label,
+  start,
+  end,
+  closed: !!closedAt || Date.parse(end) <= now,
+});
+
+// Move every ended season from `open` to `archive`
+function roll(doc, now) {
+  for (const [id, s] of Object.entries(doc.open)) {
+    if (Date.parse(s.end) > now) continue;
+    doc.archive[id] = { ...s, closedAt: iso(now) };
+    delete doc.open[id];
+  }
+  return doc;
+}
+
+async function readDoc() {
+  const storage = await getStorage();
+  const doc = await storage.get(DOC, empty());
+  return { open: doc?.open || {}, archive: doc?.archive || {} };
+}
+
+export async function rollSeasons(now = Date.now()) {
+  const storage = await getStorage();
+  await storage.update(DOC, empty(), (doc) => roll(doc, now));
+}
+
+/**
+ * Fold runs into the current week/month/year. Runs achieved outside the
+ * current windows are ignored (closed seasons are final).
+ * @param {Array<{ category: string, pb: object }>} runs
+ * @returns {Promise<string[]>} categories whose season standings changed
+ */
+export async function recordSeasonRuns(username, runs, now = Date.now()) {
+  const storage = await getStorage();
+  const changed = new Set();
+  await storage.update(DOC, empty(), (doc) => {
+    roll(doc, now);
+    for (const kind of SEASON_KINDS) {
+      const current = seasonFor(kind, now);
+      const start = Date.parse(current.start);
+      const end = Date.parse(current.end);
+      for (const { category, pb } of runs) {
+        const t = Date.parse(pb?.achievedAt);
+        if (!(t >= start && t < end)) continue;
+
+        const season = (doc.open[current.id] ||= { ...current, users: {} });
+        const entry = (season.users[userKey(username)] ||= { username, pbs: {} });
+        entry.username = username;
+        entry.timestamp = iso(now);
+        const list = (entry.pbs[category] ||= []);
+        const idx = list.findIndex((p) => configSig(p) === configSig(pb));
+        if (idx >= 0 && list[idx].wpm >= pb.wpm) continue;
+        if (idx >= 0) list[idx] = pb;
+        else list.push(pb);
+        list.sort((a, b) => b.wpm - a.wpm);
+        changed.add(category);
+      }
+    }
+    return doc;
+  });
+  return [...changed];
+}
+
+/**
+ * Member records of one season in the shape buildLeaderboard expects.
+ * @returns {Promise<{ season: object, users: object[] } | null>} null = unknown season
+ */
+export async function getSeasonBoard(id, now = Date.now()) {
+  let doc = await readDoc();
+  if (Object.values(doc.open).some((s) => Date.parse(s.end) <= now)) {
+    await rollSeasons(now);
+    doc = await readDoc();
+  }
+  const stored = doc.open[id] || doc.archive[id];
+  if (!stored) {
+    // a current season nobody has a run in yet is just empty
+    const current = SEASON_KINDS.map((k) => seasonFor(k, now)).find((s) => s.id === id);
+    return current ? { season: meta(current, now), users: [] } : null;
+  }
+  const users = Object.values(stored.users || {}).map((u) => ({ ...u, country: "IL" }));
+  return { season: meta(stored, now), users };
+}
+
+// Current seasons plus the archive, most recently ended first
+export async function listSeasons(now = Date.now()) {
+  const doc = await readDoc();
+  const byId = new Map();
+  for (const s of [...Object.values(doc.archive), ...Object.values(doc.open)]) {
+    if (Date.parse(s.end) <= now) byId.set(s.id, meta(s, now));
+  }
+  return {
+    current: SEASON_KINDS.map((k) => meta(seasonFor(k, now), now)),
+    archived: [...byId.values()].sort((a, b) => Date.parse(b.end) - Date.parse(a.end)),
+  };
+}
+
+// One member's entry in every season, open or archived (for the data export)
+export async function listSeasonEntries(username, now = Date.now()) {
+  const doc = await readDoc();
+  return [...Object.values(doc.archive), ...Object.values(doc.open)]
+    .filter((s) => s.users?.[userKey(username)])
+    .map((s) => ({ season: meta(s, now), ...s.users[userKey(username)] }));
+}
+
+export async function deleteSeasonEntries(username) {
+  const storage = await getStorage();
+  await storage.update(DOC, empty(), (doc) => {
+    for (const s of [...Object.values(doc.open), ...Object.values(doc.archive)]) delete s.users?.[userKey(username)];
+    return doc;
+  });
+}
+
+export async function renameSeasonEntries(from, to) {
+  const storage = await getStorage();
+  await storage.update(DOC, empty(), (doc) => {
+    for (const s of [...Object.values(doc.open), ...Object.values(doc.archive)]) {
+      const entry = s.users?.[userKey(from)];
+      if (!entry) continue;
+      delete s.users[userKey(from)];
+      s.users[userKey(to)] = { ...entry, username: to };
+    }
+    return doc;
+  });
+}
@@ -0,0 +1,156 @@
+// lib/storage.js
+// Pluggable persistence for the named JSON documents the app keeps
+// ("users", "keystore", "history", ...).
+//
+// Every backend implements:
+//   get(name, fallback)         → stored document, or `fallback` when missing/corrupt
+//   set(name, value)            → replace the document
+//   update(name, fallback, fn)  → atomically apply `next = await fn(current)`; returns `next`
+//
+// Pick one with STORAGE_BACKEND:
+//   json  (default) <DATA_DIR>/<name>.json, atomic temp-file + rename writes, in-process locking.
+//         Fine for development and single-instance deployments.
+//   redis REDIS_URL, one key per document, WATCH/MULTI/EXEC so concurrent writers
+//         (refresh loop, joins, other instances) never overwrite each other.
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+// The repo's data/ folder unless DATA_DIR says otherwise, wherever the app is started from
+export const dataDir = () => process.env.DATA_DIR || fileURLToPath(new URL("../data", import.meta.url));
+
+// Random id for records inside a document (12 hex chars); ids that show up in
+// URLs, like tournaments and groups, all use this one length
+export const newId = () => crypto.randomBytes(6).toString("hex");
+
+const clone = (v) => (v === undefined ? v : JSON.parse(JSON.stringify(v)));
+
+// Serialize async critical sections per key (in this process)
+function createLock() {
+  const tails = new Map();
+  return async function withLock(key, fn) {
+    const prev = tails.get(key) || Promise.resolve();
+    let release;
+    const mine = new Promise((r) => (release = r));
+    const tail = prev.then(() => mine);
+    tails.set(key, tail);
+    await prev;
+    try {
+      return await fn();
+    } finally {
+      release();
+      if (tails.get(key) === tail) tails.delete(key);
+    }
+  };
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// JSON files (dev adapter)
+// ───────────────────────────────────────────────────────────────────────────────
+export function createJsonStorage({ dir = dataDir() } = {}) {
+  const withLock = createLock();
+  const fileFor = (name) => path.join(dir, `${name}.json`);
+
+  async function get(name, fallback = null) {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(name), "utf8"));
+    } catch {
+      return clone(fallback); // missing or corrupt file → start fresh
+    }
+  }
+
+  async function writeAtomic(name, value) {
+    await fs.mkdir(dir, { recursive: true });
+    const file = fileFor(name);
+    const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(value, null, 2));
+    await fs.rename(tmp, file);
+  }
+
+  return {
+    kind: "json",
+    get,
+    set: (name, value) => withLock(name, () => writeAtomic(name, value)),
+    update: (name, fallback, fn) =>
+      withLock(name, async () => {
+        const next = await fn(await get(name, fallback));
+        await writeAtomic(name, next);
+        return next;
+      }),
+    close: async () => {},
+  };
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Redis (ioredis is already a dependency for sessions)
+// ───────────────────────────────────────────────────────────────────────────────
+export async function createRedisStorage({
+  url = process.env.REDIS_URL,
+  prefix = process.env.STORAGE_PREFIX || "mtil:",
+  client = null,
+} = {}) {
+  if (!client) {
+    if (!url) throw new Error("STORAGE_BACKEND=redis requires REDIS_URL");
+    const { Redis } = await import("ioredis");
+    client = new Redis(url, { maxRetriesPerRequest: 3 });
+  }
+  // WATCH state lives on the connection, so transactions must not interleave
+  const withLock = createLock();
+  const keyFor = (name) => `${prefix}${name}`;
+
+  async function get(name, fallback = null) {
+    const raw = await client.get(keyFor(name));
+    if (raw == null) return clone(fallback);
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return clone(fallback);
+    }
+  }
+
+  async function update(name, fallback, fn) {
+    const key = keyFor(name);
+    return withLock("tx", async () => {
+      for (let attempt = 0; attempt < 10; attempt++) {
+        await client.watch(key);
+        let next;
+        try {
+          next = await fn(await get(name, fallback));
+        } catch (e) {
+          await client.unwatch();
+          throw e;
+        }
+        const res = await client.multi().set(key, JSON.stringify(next)).exec();
+        if (res) return next; // null → another writer touched the key; retry
+      }
+      throw new Error(`Storage update conflict on "${name}"`);
+    });
+  }
+
+  return {
+    kind: "redis",
+    get,
+    set: async (name, value) => {
+      await client.set(keyFor(name), JSON.stringify(value));
+    },
+    update,
+    close: () => client.quit(),
+  };
+}
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Shared instance
+// ───────────────────────────────────────────────────────────────────────────────
+let storagePromise = null;
+
+export function createStorage(kind = process.env.STORAGE_BACKEND || "json") {
+  if (kind === "json") return Promise.resolve(createJsonStorage());
+  if (kind === "redis") return createRedisStorage();
+  return Promise.reject(new Error(`Unknown STORAGE_BACKEND "${kind}"`));
+}
+
+export function getStorage() {
+  storagePromise ??= createStorage();
+  return storagePromise;
+}
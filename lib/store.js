@@ -1,31 +1,120 @@
-import pkg from "fs-extra";
-const { readJSON, writeJSON, pathExists } = pkg;
+// lib/store.js
+// User records ("users" document in the configured storage backend).
+import { getStorage, newId } from "./storage.js";
 
-import { join } from "path";
-import { fileURLToPath } from "url";
+const DOC = "users";
 
-const __dirname = new URL('.', import.meta.url).pathname;
-const DB_PATH = join(__dirname, "..", "data", "users.json");
+// Records written before multi-mode support only carry `wpm15`/`accuracy`;
+// their run config is unknown, so it is stored as null and never matches a filter.
+function normalizeUser(u) {
+  if (!u || u.pbs) return u;
+  const { wpm15, accuracy, ...rest } = u;
+  const pbs = {};
+  if (Number.isFinite(Number(wpm15))) {
+    pbs["time:15"] = [{
+      wpm: Number(wpm15),
+      accuracy: Number(accuracy) || 0,
+      achievedAt: null,
+      language: null,
+      punctuation: null,
+      numbers: null,
+      difficulty: null,
+      lazyMode: null,
+    }];
+  }
+  return { ...rest, pbs };
+}
 
 export async function loadUsers() {
-  if (!(await pathExists(DB_PATH))) {
-    await writeJSON(DB_PATH, []);
-  }
-  return readJSON(DB_PATH);
+  const storage = await getStorage();
+  const users = await storage.get(DOC, []);
+  return users.map(normalizeUser);
 }
 
 export async function saveUsers(users) {
-  return writeJSON(DB_PATH, users, { spaces: 2 });
+  const storage = await getStorage();
+  return storage.set(DOC, users);
+}
+
+// Atomic read-modify-write of the whole list: `fn(users)` returns the new list
+export async function updateUsers(fn) {
+  const storage = await getStorage();
+  return storage.update(DOC, [], async (users) => fn(users.map(normalizeUser)));
 }
 
-export async function upsertUser(user) {
+const sameName = (a, b) => String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+
+export async function getUser(username) {
   const users = await loadUsers();
-  const idx = users.findIndex(u => u.username.toLowerCase() === user.username.toLowerCase());
-  if (idx >= 0) {
-    users[idx] = { ...users[idx], ...user };
-  } else {
-    users.push(user);
-  }
-  await saveUsers(users);
-  return user;
+  return users.find(u => sameName(u.username, username)) || null;
+}
+
+
+// Update a record; only joins pass `create`, so a refresh racing a removal
+// can't bring the account back. Returns the saved record (or null).
+export async function upsertUser(user, { create = false } = {}) {
+  let saved = null;
+  await updateUsers((users) => {
+    const idx = users.findIndex(u => sameName(u.username, user.username));
+    if (idx >= 0) {
+      const prev = users[idx];
+      // PBs are merged per category so a partial fetch never drops a known mode
+      saved = users[idx] = { ...prev, ...user, pbs: { ...(prev.pbs || {}), ...(user.pbs || {}) } };
+    } else if (create) {
+      saved = { id: newId(), joinedAt: user.timestamp || new Date().toISOString(), ...user };
+      users.push(saved);
+    }
+    return users;
+  });
+  return saved;
+}
+
+// Stable id of an account, which sessions hold on to across renames; records
+// from before ids get one here. Null when there is no such user.
+export async function ensureUserId(username) {
+  const existing = await getUser(username);
+  if (!existing || existing.id) return existing?.id || null;
+  let id = null;
+  await updateUsers((users) => {
+    const user = users.find((u) => sameName(u.username, username));
+    if (user) id = user.id ||= newId();
+    return users;
+  });
+  return id;
+}
+
+export async function deleteUser(username) {
+  let removed = null;
+  await updateUsers((users) => users.filter((u) => {
+    if (!sameName(u.username, username)) return true;
+    removed = u;
+    return false;
+  }));
+  return removed;
+}
+
+// Fails (returns false) when `to` is taken by someone else
+export async function renameUser(from, to) {
+  let ok = false;
+  await updateUsers((users) => {
+    const taken = users.some((u) => sameName(u.username, to) && !sameName(u.username, from));
+    const user = users.find((u) => sameName(u.username, from));
+    if (user && !taken) {
+      user.username = to;
+      ok = true;
+    }
+    return users;
+  });
+  return ok;
+}
+
+// Shallow-merge `fields` into one user record; returns the updated record (or null)
+export async function patchUser(username, fields) {
+  let updated = null;
+  await updateUsers((users) => {
+    const idx = users.findIndex((u) => sameName(u.username, username));
+    if (idx >= 0) updated = users[idx] = { ...users[idx], ...fields };
+    return users;
+  });
+  return updated;
 }
@@ -0,0 +1,244 @@
+// lib/tournaments.js
+// Admin-run tournaments ("tournaments" document). A tournament fixes a
+// category, config filters and a scoring window; only runs that registered
+// members achieved inside the window count. Standings are frozen into
+// `final` once the window (plus a grace period for late refreshes) is over.
+import { getStorage, newId } from "./storage.js";
+import { categoryKey } from "./monkeytype.js";
+import { matchesFilters, parseBoardQuery } from "./leaderboard.js";
+
+const DOC = "tournaments";
+const MAX_RUNS_PER_MEMBER = 200;
+const MAX_TOP_N = 20;
+
+const MAX_DURATION_MS = 90 * 24 * 60 * 60 * 1000;
+
+const userKey = (username) => String(username).trim().toLowerCase();
+
+/**
+ * Validate an admin's create form: name, mode/mode2 plus the board filters
+ * (language, punctuation, ...), scoring ("best" or "top" with n) and the window.
+ * @returns {object | { error: string }}
+ */
+export function parseTournamentInput(body = {}, now = Date.now()) {
+  const name = String(body.name || "").trim();
+  if (name.length < 3 || name.length > 80) return { error: "Name must be 3–80 characters" };
+
+  const selection = parseBoardQuery(body);
+  if (selection.error) return { error: selection.error };
+
+  const type = body.scoring === "top" ? "top" : body.scoring === "best" || !body.scoring ? "best" : null;
+  if (!type) return { error: "Scoring must be best or top" };
+  const n = Number(body.topN);
+  if (type === "top" && !(Number.isInteger(n) && n >= 2 && n <= MAX_TOP_N)) {
+    return { error: `Top N must be a whole number from 2 to ${MAX_TOP_N}` };
+  }
+
+  const start = Date.parse(body.startAt);
+  const end = Date.parse(body.endAt);
+  if (!Number.isFinite(start) || !Number.isFinite(end)) return { error: "Bad start/end time" };
+  if (end <= start) return { error: "The end must be after the start" };
+  if (end <= now) return { error: "The end is already in the past" };
+  if (end - start > MAX_DURATION_MS) return { error: "Tournaments can run for at most 90 days" };
+
+  return {
+    name,
+    mode: selection.mode,
+    mode2: selection.mode2,
+    filters: selection.filters,
+    scoring: type === "top" ? { type, n } : { type },
+    startAt: new Date(start).toISOString(),
+    endAt: new Date(end).toISOString(),
+  };
+}
+
+export function tournamentStatus(t, now = Date.now(), graceMs = 0) {
+  if (t.final) return "finished";
+  if (now < Date.parse(t.startAt)) return "upcoming";
+  if (now < Date.parse(t.endAt)) return "live";
+  return now < Date.parse(t.endAt) + graceMs ? "finalizing" : "finished";
+}
+
+/**
+ * Rank registered members. "best" scores the single fastest run; "top"
+ * averages the fastest N runs, counting missing runs as 0 so a full score
+ * needs N runs. Ties go to higher accuracy, then to whoever got there first.
+ */
+export function computeStandings(t) {
+  const rows = [];
+  for (const reg of Object.values(t.registrations || {})) {
+    const runs = (reg.runs || []).slice().sort((a, b) => b.wpm - a.wpm);
+    const counted = t.scoring.type === "top" ? runs.slice(0, t.scoring.n) : runs.slice(0, 1);
+    const divisor = t.scoring.type === "top" ? t.scoring.n : 1;
+    const sum = (f) => counted.reduce((acc, r) => acc + (Number(r[f]) || 0), 0);
+    rows.push({
+      username: reg.username,
+      score: counted.length ? Math.round((sum("wpm") / divisor) * 100) / 100 : null,
+      accuracy: counted.length ? Math.round((sum("accuracy") / counted.length) * 100) / 100 : null,
+      runs: runs.length,
+      best: runs[0]?.wpm ?? null,
+      reachedAt: counted.length ? counted.map((r) => r.achievedAt).sort().at(-1) : null,
+    });
+  }
+  rows.sort((a, b) => {
+    if (a.score === null || b.score === null) return (a.score === null) - (b.score === null);
+    if (b.score !== a.score) return b.score - a.score;
+    if (b.accuracy !== a.accuracy) return b.accuracy - a.accuracy;
+    return String(a.reachedAt).localeCompare(String(b.reachedAt));
+  });
+  return rows;
+}
+
+// Public view of a tournament (no per-run details)
+export function describeTournament(t, now = Date.now(), graceMs = 0) {
+  const { registrations, final, ...rest } = t;
+  return {
+    ...rest,
+    status: tournamentStatus(t, now, graceMs),
+    registered: Object.keys(registrations || {}).length,
+  };
+}
+
+async function readAll() {
+  const storage = await getStorage();
+  const list = await storage.get(DOC, []);
+  return Array.isArray(list) ? list : [];
+}
+
+async function updateAll(fn) {
+  const storage = await getStorage();
+  return storage.update(DOC, [], fn);
+}
+
+// Freeze standings of every tournament whose window (+ grace) is over
+export async function finalizeDue(now = Date.now(), graceMs = 0) {
+  const due = (await readAll()).some((t) => !t.final && tournamentStatus(t, now, graceMs) === "finished");
+  if (!due) return;
+  await updateAll((list) => {
+    for (const t of list) {
+      if (t.final || tournamentStatus(t, now, graceMs) !== "finished") continue;
+      t.final = { at: new Date(now).toISOString(), standings: computeStandings(t) };
+    }
+    return list;
+  });
+}
+
+export async function listTournaments() {
+  return readAll();
+}
+
+export async function getTournament(id) {
+  return (await readAll()).find((t) => t.id === id) || null;
+}
+
+/**
+ * @param {{ name: string, mode: string, mode2: string, filters: object,
+ *   scoring: { type: "best"|"top", n?: number }, startAt: string, endAt: string, createdBy: string }} input
+ *   already validated by the caller
+ */
+export async function createTournament(input) {
+  const t = {
+    id: newId(),
+    ...input,
+    createdAt: new Date().toISOString(),
+    registrations: {},
+  };
+  await updateAll((list) => {
+    list.push(t);
+    return list;
+  });
+  return t;
+}
+
+export async function deleteTournament(id) {
+  let removed = null;
+  await updateAll((list) => list.filter((t) => (t.id === id ? ((removed = t), false) : true)));
+  return removed;
+}
+
+// Returns false when the tournament is unknown or already over
+export async function setRegistration(id, username, registered, now = Date.now()) {
+  let ok = false;
+  await updateAll((list) => {
+    const t = list.find((x) => x.id === id);
+    if (!t || t.final || now >= Date.parse(t.endAt)) return list;
+    const key = userKey(username);
+    if (registered) t.registrations[key] ||= { username, registeredAt: new Date(now).toISOString(), runs: [] };
+    else delete t.registrations[key];
+    ok = true;
+    return list;
+  });
+  return ok;
+}
+
+/**
+ * Add a member's runs to every open tournament they registered for. Only runs
+ * achieved inside the window, in the tournament's category and config count.
+ * @param {Array<{ category: string, pb: object }>} runs
+ * @returns {Promise<string[]>} ids of tournaments whose standings may have changed
+ */
+export async function recordTournamentRuns(username, runs, now = Date.now()) {
+  const key = userKey(username);
+  const open = (await readAll()).filter((t) => !t.final && t.registrations?.[key] && now >= Date.parse(t.startAt));
+  if (open.length === 0) return [];
+
+  const touched = new Set();
+  await updateAll((list) => {
+    for (const t of list) {
+      const reg = t.registrations?.[key];
+      if (!reg || t.final) continue;
+      const start = Date.parse(t.startAt);
+      const end = Date.parse(t.endAt);
+      const seen = new Set(reg.runs.map((r) => `${r.achievedAt}|${r.wpm}`));
+      for (const { category, pb } of runs) {
+        const at = Date.parse(pb?.achievedAt);
+        if (category !== categoryKey(t.mode, t.mode2) || !(at >= start && at < end)) continue;
+        if (!matchesFilters(pb, t.filters) || seen.has(`${pb.achievedAt}|${pb.wpm}`)) continue;
+        seen.add(`${pb.achievedAt}|${pb.wpm}`);
+        reg.runs.push(pb);
+        touched.add(t.id);
+      }
+      if (reg.runs.length > MAX_RUNS_PER_MEMBER) {
+        reg.runs = reg.runs.sort((a, b) => b.wpm - a.wpm).slice(0, MAX_RUNS_PER_MEMBER);
+      }
+    }
+    return list;
+  });
+  return [...touched];
+}
+
+// One member's registrations and final placings (for the data export)
+export async function listTournamentEntries(username) {
+  const key = userKey(username);
+  return (await readAll())
+    .filter((t) => t.registrations?.[key] || t.final?.standings.some((r) => userKey(r.username) === key))
+    .map((t) => ({
+      tournament: { id: t.id, name: t.name, mode: t.mode, mode2: t.mode2, startAt: t.startAt, endAt: t.endAt },
+      registration: t.registrations?.[key] || null,
+      final: t.final?.standings.find((r) => userKey(r.username) === key) || null,
+    }));
+}
+
+export async function deleteTournamentEntries(username) {
+  await updateAll((list) => {
+    for (const t of list) {
+      delete t.registrations?.[userKey(username)];
+      if (t.final) t.final.standings = t.final.standings.filter((r) => userKey(r.username) !== userKey(username));
+    }
+    return list;
+  });
+}
+
+export async function renameTournamentEntries(from, to) {
+  await updateAll((list) => {
+    for (const t of list) {
+      const reg = t.registrations?.[userKey(from)];
+      if (reg) {
+        delete t.registrations[userKey(from)];
+        t.registrations[userKey(to)] = { ...reg, username: to };
+      }
+      for (const r of t.final?.standings || []) if (userKey(r.username) === userKey(from)) r.username = to;
+    }
+    return list;
+  });
+}
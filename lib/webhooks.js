@@ -0,0 +1,325 @@
+// lib/webhooks.js
+// Outbound webhooks for leaderboard events. Endpoints live in the "webhooks"
+// document (managed from the admin console); every attempt is written to the
+// capped "webhook-deliveries" log.
+//
+// Each POST is signed: X-MTIL-Signature = "sha256=" + HMAC-SHA256(secret,
+// `${X-MTIL-Timestamp}.${body}`). Network errors, 429 and 5xx are retried with
+// exponential backoff; other 4xx answers fail the delivery right away. A
+// delivery waiting for a retry keeps its body in the log, so one interrupted
+// by a restart is picked up again (see `resume`).
+import crypto from "crypto";
+import { getStorage } from "./storage.js";
+import { backoffDelay } from "./scheduler.js";
+import { categoryKey } from "./monkeytype.js";
+
+const ENDPOINTS_DOC = "webhooks";
+const DELIVERIES_DOC = "webhook-deliveries";
+const MAX_LOGGED_DELIVERIES = 500;
+
+export const WEBHOOK_EVENTS = ["rank.first", "rank.top10", "pb.new", "ping"];
+export const WEBHOOK_FORMATS = ["json", "discord"];
+
+const SITE_URL = () => (process.env.PUBLIC_URL || "").replace(/\/+$/, "");
+
+export function signPayload(secret, timestamp, body) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+const modeName = ({ mode, mode2 }) => (mode === "time" ? `time ${mode2}s` : `${mode2} words`);
+
+/**
+ * Discord webhook body (one embed) for an event.
+ * @param {{ type: string, at: string, data: object }} event
+ */
+export function formatDiscord(event) {
+  const d = event.data || {};
+  const link = d.username && SITE_URL() ? `${SITE_URL()}/u/${encodeURIComponent(d.username)}` : undefined;
+  const stats = d.wpm !== undefined ? `**${d.wpm} WPM** · ${Number(d.accuracy ?? 0).toFixed(2)}% acc` : "";
+  const embed = {
+    "rank.first": () => ({
+      title: `👑 ${d.username} took #1 in ${modeName(d)}`,
+      description: [stats, d.previous ? `Dethroned ${d.previous}` : null].filter(Boolean).join("\n"),
+      color: 0xf5b301,
+    }),
+    "rank.top10": () => ({
+      title: `🔥 ${d.username} entered the top 10 in ${modeName(d)}`,
+      description: `Now #${d.rank}${stats ? ` · ${stats}` : ""}`,
+      color: 0x2563eb,
+    }),
+    "pb.new": () => ({
+      title: `⚡ New PB by ${d.username} — ${modeName(d)}`,
+      description: [stats, d.previousWpm ? `Previous best: ${d.previousWpm} WPM` : null, d.rank ? `Israel rank #${d.rank}` : null]
+        .filter(Boolean)
+        .join("\n"),
+      color: 0x16a34a,
+    }),
+    ping: () => ({ title: "Webhook test", description: "Deliveries from the Monkeytype Israel Leaderboard work.", color: 0x6b7280 }),
+  }[event.type]?.() || { title: event.type, description: "```json\n" + JSON.stringify(d).slice(0, 1500) + "\n```" };
+
+  return {
+    username: "Monkeytype Israel",
+    embeds: [{ ...embed, url: link, timestamp: event.at, footer: { text: "Monkeytype Israel Leaderboard" } }],
+  };
+}
+
+export function formatPayload(endpoint, event) {
+  return endpoint.format === "discord" ? formatDiscord(event) : event;
+}
+
+/**
+ * Typed events from one member's refresh: compares the board before and
+ * after (per category, no filters) plus the PB changes that were recorded.
+ * @param {{ username: string, changed: Array<{ category: string, wpm: number, accuracy: number }>,
+ *   boards: Record<string, { before: Array, after: Array }>, prevPbs?: object }} input
+ */
+export function rankingEvents({ username, changed, boards, prevPbs = {} }) {
+  const events = [];
+  const lower = username.toLowerCase();
+  const at = new Date().toISOString();
+  const rankOf = (rows) => rows.findIndex((r) => r.username.toLowerCase() === lower) + 1 || null;
+
+  for (const [category, { before, after }] of Object.entries(boards)) {
+    const [mode, mode2] = category.split(":");
+    const row = after.find((r) => r.username.toLowerCase() === lower);
+    if (!row) continue;
+    const base = { username: row.username, mode, mode2, category, wpm: row.wpm, accuracy: row.accuracy };
+    const was = rankOf(before);
+    const now = rankOf(after);
+
+    if (now === 1 && was !== 1) {
+      events.push({ type: "rank.first", at, data: { ...base, previous: before[0]?.username || null } });
+    } else if (now <= 10 && (!was || was > 10)) {
+      events.push({ type: "rank.top10", at, data: { ...base, rank: now } });
+    }
+  }
+
+  for (const pb of changed) {
+    // no row: hidden or banned (the boards leave them out), so not announced
+    if (!boards[pb.category] || !rankOf(boards[pb.category].after)) continue;
+    const [mode, mode2] = pb.category.split(":");
+    const prevBest = Math.max(0, ...(prevPbs?.[pb.category] || []).map((p) => p.wpm));
+    // first fetch after joining isn't news; a better run in another config isn't a PB
+    if (!prevBest || pb.wpm <= prevBest) continue;
+    const rank = rankOf(boards[pb.category].after);
+    events.push({
+      type: "pb.new",
+      at,
+      data: {
+        username,
+        mode,
+        mode2,
+        category: categoryKey(mode, mode2),
+        wpm: pb.wpm,
+        accuracy: pb.accuracy,
+        language: pb.language ?? null,
+        previousWpm: prevBest,
+        rank,
+      },
+    });
+  }
+  return events;
+}
+
+// ── endpoints ────────────────────────────────────────────────────────────────
+
+export async function listEndpoints() {
+  const storage = await getStorage();
+  return storage.get(ENDPOINTS_DOC, []);
+}
+
+// Secrets are only ever shown once, when an endpoint is created
+export const describeEndpoint = ({ secret, ...rest }) => ({ ...rest, secretPreview: `${secret.slice(0, 4)}…` });
+
+/**
+ * Validate an admin's form: { url, format, events }.
+ * @returns {{ url: string, format: string, events: string[] } | { error: string }}
+ */
+export function parseEndpointInput(body = {}) {
+  let url;
+  try {
+    url = new URL(String(body.url || ""));
+  } catch {
+    return { error: "Bad URL" };
+  }
+  const allowHttp = /^(1|true|yes)$/i.test(process.env.WEBHOOK_ALLOW_HTTP || "");
+  if (url.protocol !== "https:" && !(allowHttp && url.protocol === "http:")) return { error: "Webhook URLs must use https" };
+  const format = WEBHOOK_FORMATS.includes(body.format) ? body.format : null;
+  if (!format) return { error: "Format must be json or discord" };
+  const events = (Array.isArray(body.events) ? body.events : String(body.events || "").split(","))
+    .map((e) => String(e).trim())
+    .filter(Boolean);
+  if (events.some((e) => !WEBHOOK_EVENTS.includes(e))) return { error: "Unknown event type" };
+  return { url: url.toString(), format, events: events.length ? events : WEBHOOK_EVENTS.filter((e) => e !== "ping") };
+}
+
+export async function addEndpoint(input) {
+  const endpoint = {
+    id: crypto.randomBytes(4).toString("hex"),
+    ...input,
+    secret: crypto.randomBytes(24).toString("base64url"),
+    enabled: true,
+    createdAt: new Date().toISOString(),
+  };
+  const storage = await getStorage();
+  await storage.update(ENDPOINTS_DOC, [], (list) => [...list, endpoint]);
+  return endpoint;
+}
+
+export async function removeEndpoint(id) {
+  let removed = null;
+  const storage = await getStorage();
+  await storage.update(ENDPOINTS_DOC, [], (list) => list.filter((e) => (e.id === id ? ((removed = e), false) : true)));
+  return removed;
+}
+
+export async function listDeliveries({ limit = 100 } = {}) {
+  const storage = await getStorage();
+  const log = await storage.get(DELIVERIES_DOC, []);
+  return log.slice(-limit).reverse().map(({ body, ...d }) => d);
+}
+
+async function logDelivery(delivery) {
+  const storage = await getStorage();
+  await storage.update(DELIVERIES_DOC, [], (log) => {
+    const idx = log.findIndex((d) => d.id === delivery.id);
+    if (idx >= 0) log[idx] = delivery;
+    else log.push(delivery);
+    return log.slice(-MAX_LOGGED_DELIVERIES);
+  });
+}
+
+// ── delivery ─────────────────────────────────────────────────────────────────
+
+/**
+ * @param {object} [opts]
+ * @param {number} [opts.maxAttempts]
+ * @param {number} [opts.backoffBaseMs]
+ * @param {number} [opts.backoffMaxMs]
+ * @param {number} [opts.timeoutMs] - per attempt
+ */
+export function createWebhookDispatcher({
+  maxAttempts = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 5),
+  backoffBaseMs = Number(process.env.WEBHOOK_BACKOFF_MS || 5000),
+  backoffMaxMs = 10 * 60 * 1000,
+  timeoutMs = 8000,
+  fetchImpl = (...args) => fetch(...args),
+  random = Math.random,
+  log = console,
+} = {}) {
+  const timers = new Set();
+
+  function schedule(endpoint, delivery, body, wait) {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      attempt(endpoint, delivery, body).catch((e) => log.error("[WEBHOOK]", e?.message || e));
+    }, wait);
+    timer.unref?.();
+    timers.add(timer);
+  }
+
+  async function attempt(endpoint, delivery, body) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const started = new Date().toISOString();
+    let status = null;
+    let error = null;
+    let retryAfterMs = null;
+    const ctrl = new AbortController();
+    const t = setTimeout(() => ctrl.abort(), timeoutMs);
+    try {
+      const r = await fetchImpl(endpoint.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "mt-israel-webhooks/1",
+          "X-MTIL-Event": delivery.type,
+          "X-MTIL-Delivery": delivery.id,
+          "X-MTIL-Timestamp": timestamp,
+          "X-MTIL-Signature": signPayload(endpoint.secret, timestamp, body),
+        },
+        body,
+        signal: ctrl.signal,
+      });
+      status = r.status;
+      const ra = Number(r.headers.get("retry-after"));
+      if (Number.isFinite(ra) && ra > 0) retryAfterMs = Math.min(ra * 1000, backoffMaxMs);
+      if (!r.ok) error = `HTTP ${r.status}`;
+    } catch (e) {
+      error = e?.name === "AbortError" ? "timeout" : String(e?.message || e).slice(0, 200);
+    } finally {
+      clearTimeout(t);
+    }
+
+    delivery.attempts.push({ at: started, status, error });
+    const retryable = error && (status === null || status === 429 || status >= 500);
+    delete delivery.body;
+    if (!error) {
+      delivery.status = "delivered";
+      delivery.nextAttemptAt = null;
+    } else if (retryable && delivery.attempts.length < maxAttempts) {
+      const wait = retryAfterMs ?? backoffDelay(delivery.attempts.length, { baseMs: backoffBaseMs, maxMs: backoffMaxMs, random });
+      delivery.status = "retrying";
+      delivery.nextAttemptAt = new Date(Date.now() + wait).toISOString();
+      delivery.body = body;
+      schedule(endpoint, delivery, body, wait);
+    } else {
+      delivery.status = "failed";
+      delivery.nextAttemptAt = null;
+      log.warn(`[WEBHOOK] ${delivery.type} → ${endpoint.url} failed: ${error}`);
+    }
+    await logDelivery(delivery);
+    return delivery;
+  }
+
+  // Send one event to one endpoint; resolves after the first attempt
+  function deliver(endpoint, event) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      endpointId: endpoint.id,
+      url: endpoint.url,
+      type: event.type,
+      createdAt: new Date().toISOString(),
+      status: "pending",
+      attempts: [],
+      nextAttemptAt: null,
+    };
+    return attempt(endpoint, delivery, JSON.stringify(formatPayload(endpoint, event)));
+  }
+
+  // Fan one event out to every enabled endpoint subscribed to its type
+  async function emit(event) {
+    const endpoints = (await listEndpoints()).filter((e) => e.enabled && e.events.includes(event.type));
+    return Promise.all(endpoints.map((e) => deliver(e, event)));
+  }
+
+  // Retry timers don't survive a restart: re-queue what was waiting, or fail
+  // it when its endpoint is gone or disabled. Call once at startup.
+  async function resume() {
+    const storage = await getStorage();
+    const waiting = (await storage.get(DELIVERIES_DOC, [])).filter((d) => d.status === "retrying");
+    const endpoints = await listEndpoints();
+    for (const delivery of waiting) {
+      const endpoint = endpoints.find((e) => e.id === delivery.endpointId && e.enabled);
+      if (endpoint && delivery.body) {
+        schedule(endpoint, delivery, delivery.body, Math.max(0, Date.parse(delivery.nextAttemptAt) - Date.now() || 0));
+        continue;
+      }
+      delete delivery.body;
+      delivery.status = "failed";
+      delivery.nextAttemptAt = null;
+      log.warn(`[WEBHOOK] ${delivery.type} → ${delivery.url} dropped after a restart: endpoint removed or disabled`);
+      await logDelivery(delivery);
+    }
+    return waiting.length;
+  }
+
+  return {
+    emit,
+    deliver,
+    resume,
+    stop() {
+      for (const t of timers) clearTimeout(t);
+      timers.clear();
+    },
+  };
+}
@@ -0,0 +1,124 @@
+(async function () {
+  const nameEl = document.getElementById("accName");
+  const metaEl = document.getElementById("accMeta");
+  const statusEl = document.getElementById("accStatus");
+  const { t } = window.MTI18n;
+  let csrf = "";
+
+  const fmtTime = (iso) => window.MTI18n.date(iso);
+  document.title = `${t("nav.myAccount")} · ${t("title")}`;
+
+  function notify(text, ok = true) {
+    statusEl.hidden = false;
+    statusEl.textContent = text;
+    statusEl.classList.toggle("error", !ok);
+  }
+
+  async function load() {
+    const r = await fetch("/api/account", { credentials: "same-origin" });
+    if (r.status === 401) return location.assign("/join");
+    const j = await r.json();
+    csrf = j.csrf;
+    document.querySelector('#logoutForm [name="_csrf"]').value = csrf;
+    nameEl.textContent = j.username;
+    const refresh = j.refresh?.status === "revoked"
+      ? ` · ${t("account.revoked")}`
+      : j.refresh?.lastError ? ` · ${t("account.refreshError", { error: j.refresh.lastError })}` : "";
+    metaEl.textContent =
+      t("account.meta", { joined: fmtTime(j.joinedAt), refreshed: fmtTime(j.lastRefreshedAt), key: j.key?.keyPreview || "—" }) +
+      refresh;
+    const discordInfo = document.getElementById("discordInfo");
+    document.getElementById("discordUnlink").hidden = !j.discord;
+    if (j.discord) {
+      discordInfo.textContent = t("account.linked", { name: j.discord.name || t("account.discord.you"), since: fmtTime(j.discord.linkedAt) });
+    } else {
+      discordInfo.innerHTML = t("account.discord.info");
+    }
+
+    document.getElementById("monkeytypeCard").hidden = !j.monkeytypeLogin && !j.monkeytype;
+    document.getElementById("monkeytypeLink").hidden = !!j.monkeytype || !j.monkeytypeLogin;
+    document.getElementById("monkeytypeUnlink").hidden = !j.monkeytype;
+    document.getElementById("monkeytypeInfo").textContent = j.monkeytype
+      ? t("account.linked", { name: j.monkeytype.name || t("account.monkeytype.you"), since: fmtTime(j.monkeytype.linkedAt) })
+      : t("account.monkeytype.info");
+
+    const badge = `${location.origin}/badge/${encodeURIComponent(j.username)}.svg?mode=time&mode2=15`;
+    document.getElementById("badgePreview").src = badge;
+    document.getElementById("badgeSnippet").value = `[![${j.username} on the Monkeytype Israel Leaderboard](${badge})](${location.origin}/u/${encodeURIComponent(j.username)})`;
+    document.getElementById("widgetSnippet").value =
+      `<iframe src="${location.origin}/widget?n=10&mode=time&mode2=15" width="320" height="360" style="border:0" title="Monkeytype Israel top 10"></iframe>`;
+  }
+
+  async function post(url, body) {
+    const r = await fetch(url, {
+      method: "POST",
+      credentials: "same-origin",
+      headers: { "Content-Type": "application/json", "x-csrf-token": csrf },
+      body: JSON.stringify(body),
+    });
+    const j = await r.json().catch(() => ({ ok: false, error: `HTTP ${r.status}` }));
+    if (!r.ok || !j.ok) throw new Error(j.error || `HTTP ${r.status}`);
+    return j;
+  }
+
+  function bind(id, handler) {
+    const form = document.getElementById(id);
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const btn = form.querySelector("button");
+      btn.disabled = true;
+      try {
+        await handler(Object.fromEntries(new FormData(form)));
+        form.reset();
+      } catch (err) {
+        notify(err.message, false);
+      } finally {
+        btn.disabled = false;
+      }
+    });
+  }
+
+  bind("keyForm", async ({ apeKey }) => {
+    await post("/api/account/key", { apeKey });
+    notify(t("account.key.done"));
+    await load();
+  });
+
+  bind("nameForm", async ({ siteUsername }) => {
+    const j = await post("/api/account/username", { siteUsername });
+    notify(t("account.name.done", { name: j.username }));
+    await load();
+  });
+
+  bind("deleteForm", async ({ confirm }) => {
+    if (!window.confirm(t("account.delete.confirm"))) return;
+    await post("/api/account/delete", { confirm });
+    location.assign("/");
+  });
+
+  document.getElementById("discordUnlink").addEventListener("click", async () => {
+    try {
+      await post("/api/account/discord/unlink", {});
+      notify(t("account.discord.done"));
+      await load();
+    } catch (err) {
+      notify(err.message, false);
+    }
+  });
+
+  document.getElementById("monkeytypeUnlink").addEventListener("click", async () => {
+    try {
+      await post("/api/account/monkeytype/unlink", {});
+      notify(t("account.monkeytype.done"));
+      await load();
+    } catch (err) {
+      notify(err.message, false);
+    }
+  });
+
+  for (const id of ["badgeSnippet", "widgetSnippet"]) {
+    document.getElementById(id).addEventListener("focus", (e) => e.target.select());
+  }
+
+  await load();
+})();
@@ -0,0 +1,512 @@
+(async function () {
+  const rowsEl = document.getElementById("userRows");
+  const auditEl = document.getElementById("auditRows");
+  const reviewEl = document.getElementById("reviewRows");
+  const tournamentEl = document.getElementById("tournamentRows");
+  const tournamentForm = document.getElementById("tournamentForm");
+  const webhookEl = document.getElementById("webhookRows");
+  const deliveryEl = document.getElementById("deliveryRows");
+  const webhookForm = document.getElementById("webhookForm");
+  const tokenEl = document.getElementById("tokenRows");
+  const tokenForm = document.getElementById("tokenForm");
+  const inviteEl = document.getElementById("inviteRows");
+  const inviteForm = document.getElementById("inviteForm");
+  const vouchEl = document.getElementById("vouchRows");
+  const geoStatusEl = document.getElementById("geoStatus");
+  const geoRuleEl = document.getElementById("geoRuleRows");
+  const geoRuleForm = document.getElementById("geoRuleForm");
+  const geoLookupForm = document.getElementById("geoLookupForm");
+  const moreBtn = document.getElementById("auditMore");
+  const statusEl = document.getElementById("adminStatus");
+  const reasonEl = document.getElementById("reason");
+  const AUDIT_PAGE = 50;
+  let csrf = "";
+  let auditOffset = 0;
+
+  const { t, num, percent, modeName } = window.MTI18n;
+  const fmtTime = (iso) => window.MTI18n.date(iso);
+  document.title = `${t("nav.admin")} · ${t("title")}`;
+
+  function notify(text, ok = true) {
+    statusEl.hidden = false;
+    statusEl.textContent = text;
+    statusEl.classList.toggle("error", !ok);
+  }
+
+  function cell(text) {
+    const td = document.createElement("td");
+    td.textContent = text;
+    return td;
+  }
+
+  function emptyRow(tbody, key, colSpan = 5) {
+    const tr = document.createElement("tr");
+    tr.append(Object.assign(cell(t(key)), { colSpan, className: "muted" }));
+    tbody.append(tr);
+  }
+
+  function button(label, action, username, danger = false) {
+    const b = Object.assign(document.createElement("button"), { className: `btn${danger ? " danger" : ""}`, textContent: label });
+    b.dataset.action = action;
+    b.dataset.username = username;
+    return b;
+  }
+
+  function refreshText(r) {
+    if (!r) return "—";
+    if (r.status === "ok") return t("admin.refresh.ok", { time: fmtTime(r.lastSuccessAt) });
+    if (r.status === "pending") return t("admin.refresh.pending");
+    return `${r.status} · ${r.lastError || ""}`;
+  }
+
+  async function loadUsers() {
+    const r = await fetch("/api/admin/users", { credentials: "same-origin" });
+    if (r.status === 401) return location.assign("/join");
+    const { users } = await r.json();
+    rowsEl.replaceChildren();
+    if (!users.length) {
+      emptyRow(rowsEl, "admin.members.empty");
+      return;
+    }
+    for (const u of users) {
+      const tr = document.createElement("tr");
+      const name = Object.assign(document.createElement("a"), { href: `/u/${encodeURIComponent(u.username)}`, textContent: u.username });
+      const nameTd = document.createElement("td");
+      nameTd.append(name);
+      const abroad = u.eligibility && t("admin.state.abroad", { via: u.eligibility.via });
+      const state = [u.banned && t("admin.state.banned"), u.hidden && t("admin.state.hidden"), abroad].filter(Boolean).join(", ") || t("admin.state.visible");
+
+      const actions = document.createElement("td");
+      actions.className = "stack";
+      actions.append(
+        button(t(u.hidden ? "admin.action.unhide" : "admin.action.hide"), u.hidden ? "unhide" : "hide", u.username),
+        button(t(u.banned ? "admin.action.unban" : "admin.action.ban"), u.banned ? "unban" : "ban", u.username, !u.banned),
+        button(t("admin.action.refresh"), "refresh", u.username),
+        button(t(u.role === "admin" ? "admin.action.demote" : "admin.action.promote"), u.role === "admin" ? "demote" : "promote", u.username),
+        button(t(u.eligibility ? "admin.action.revokeAbroad" : "admin.action.approveAbroad"), u.eligibility ? "revoke-abroad" : "approve-abroad", u.username),
+        button(t("admin.action.remove"), "remove", u.username, true),
+      );
+      tr.append(nameTd, cell(u.role), cell(state), cell(refreshText(u.refresh)), actions);
+      rowsEl.append(tr);
+    }
+  }
+
+  function runText(item) {
+    const r = item.run || {};
+    const parts = [`${modeName(...item.category.split(":"))} · ${num(item.pb.wpm)} WPM`, percent(item.pb.accuracy)];
+    if (Number.isFinite(r.raw)) parts.push(`raw ${r.raw}`);
+    if (Number.isFinite(r.consistency)) parts.push(`cons ${r.consistency}%`);
+    if (r.restartCount !== null && r.restartCount !== undefined) parts.push(t("admin.review.restarts", { n: num(r.restartCount) }));
+    return parts.join(" · ");
+  }
+
+  async function loadReview() {
+    const r = await fetch("/api/admin/review", { credentials: "same-origin" });
+    const { items } = await r.json();
+    reviewEl.replaceChildren();
+    if (!items.length) emptyRow(reviewEl, "admin.review.empty");
+    for (const item of items) {
+      const tr = document.createElement("tr");
+      const decision = document.createElement("td");
+      if (item.status === "pending") {
+        decision.className = "stack";
+        const approve = Object.assign(document.createElement("button"), { className: "btn", textContent: t("admin.approve") });
+        const reject = Object.assign(document.createElement("button"), { className: "btn danger", textContent: t("admin.reject") });
+        approve.dataset.review = `${item.id}/approve`;
+        reject.dataset.review = `${item.id}/reject`;
+        decision.append(approve, reject);
+      } else {
+        decision.textContent = t("admin.decidedBy", { status: item.status, admin: item.decidedBy });
+      }
+      tr.append(
+        cell(fmtTime(item.detectedAt)),
+        cell(item.username),
+        cell(runText(item)),
+        cell(item.reasons.map((x) => x.detail).join("; ")),
+        decision,
+      );
+      reviewEl.append(tr);
+    }
+  }
+
+  async function loadTournaments() {
+    const { tournaments } = await (await fetch("/api/tournaments")).json();
+    const { windowLabel, statusLabel } = window.MTTournament;
+    tournamentEl.replaceChildren();
+    if (!tournaments.length) emptyRow(tournamentEl, "admin.tournaments.empty");
+    for (const tm of tournaments) {
+      const tr = document.createElement("tr");
+      const nameTd = document.createElement("td");
+      nameTd.append(Object.assign(document.createElement("a"), { href: `/tournaments/${encodeURIComponent(tm.id)}`, textContent: tm.name }));
+      const del = Object.assign(document.createElement("button"), { className: "btn danger", textContent: t("admin.delete") });
+      del.dataset.tournament = tm.id;
+      const actions = document.createElement("td");
+      actions.append(del);
+      tr.append(nameTd, cell(windowLabel(tm)), cell(statusLabel(tm)), cell(num(tm.registered)), actions);
+      tournamentEl.append(tr);
+    }
+  }
+
+  async function loadWebhooks() {
+    const { endpoints, deliveries } = await (await fetch("/api/admin/webhooks", { credentials: "same-origin" })).json();
+    webhookEl.replaceChildren();
+    if (!endpoints.length) emptyRow(webhookEl, "admin.webhooks.empty");
+    for (const w of endpoints) {
+      const tr = document.createElement("tr");
+      const actions = document.createElement("td");
+      actions.className = "stack";
+      for (const [label, action, danger] of [[t("admin.webhooks.test"), "test", false], [t("admin.delete"), "delete", true]]) {
+        const b = Object.assign(document.createElement("button"), { className: `btn${danger ? " danger" : ""}`, textContent: label });
+        b.dataset.webhook = `${w.id}/${action}`;
+        actions.append(b);
+      }
+      tr.append(cell(w.url), cell(w.format), cell(w.events.join(", ")), cell(w.secretPreview), actions);
+      webhookEl.append(tr);
+    }
+
+    deliveryEl.replaceChildren();
+    if (!deliveries.length) emptyRow(deliveryEl, "admin.deliveries.empty");
+    for (const d of deliveries) {
+      const last = d.attempts.at(-1);
+      const status = d.status === "retrying" ? t("admin.deliveries.retrying", { time: fmtTime(d.nextAttemptAt) }) : d.status;
+      const tr = document.createElement("tr");
+      tr.append(
+        cell(fmtTime(d.createdAt)),
+        cell(d.type),
+        cell(d.url),
+        cell(last?.error ? `${status} (${last.error})` : status),
+        cell(num(d.attempts.length)),
+      );
+      deliveryEl.append(tr);
+    }
+  }
+
+  async function loadTokens() {
+    const { tokens } = await (await fetch("/api/admin/api-tokens", { credentials: "same-origin" })).json();
+    tokenEl.replaceChildren();
+    if (!tokens.length) emptyRow(tokenEl, "admin.tokens.empty", 6);
+    for (const tok of tokens) {
+      const revoke = Object.assign(document.createElement("button"), { className: "btn danger", textContent: t("admin.revoke") });
+      revoke.dataset.token = tok.id;
+      const actions = document.createElement("td");
+      actions.append(revoke);
+      const tr = document.createElement("tr");
+      tr.append(cell(tok.name), cell(tok.owner || "—"), cell(tok.preview), cell(t("admin.tokens.perMinute", { n: num(tok.rateLimit) })), cell(fmtTime(tok.lastUsedAt)), actions);
+      tokenEl.append(tr);
+    }
+  }
+
+  async function loadEligibility() {
+    const { invites, requests } = await (await fetch("/api/admin/eligibility", { credentials: "same-origin" })).json();
+    inviteEl.replaceChildren();
+    if (!invites.length) emptyRow(inviteEl, "admin.abroad.empty");
+    for (const i of invites) {
+      const actions = document.createElement("td");
+      if (!i.revoked) {
+        const revoke = Object.assign(document.createElement("button"), { className: "btn danger", textContent: t("admin.revoke") });
+        revoke.dataset.invite = i.id;
+        actions.append(revoke);
+      } else {
+        actions.textContent = t("admin.abroad.revoked");
+      }
+      const used = `${i.uses.length}/${i.maxUses}${i.uses.length ? ` · ${i.uses.map((u) => u.username).join(", ")}` : ""}`;
+      const tr = document.createElement("tr");
+      tr.append(cell(i.preview), cell(i.note || "—"), cell(used), cell(fmtTime(i.expiresAt)), actions);
+      inviteEl.append(tr);
+    }
+
+    vouchEl.replaceChildren();
+    if (!requests.length) emptyRow(vouchEl, "admin.vouches.empty");
+    for (const v of requests) {
+      const status = document.createElement("td");
+      if (v.status === "pending") {
+        status.className = "stack";
+        for (const [label, decision, danger] of [[t("admin.approve"), "approve", false], [t("admin.reject"), "reject", true]]) {
+          const b = Object.assign(document.createElement("button"), { className: `btn${danger ? " danger" : ""}`, textContent: label });
+          b.dataset.vouch = `${v.id}/${decision}`;
+          status.append(b);
+        }
+      } else {
+        status.textContent = t("admin.decidedBy", { status: v.status, admin: v.decidedBy });
+      }
+      const tr = document.createElement("tr");
+      tr.append(cell(v.username), cell(v.voucher || "—"), cell(v.message), cell(fmtTime(v.createdAt)), status);
+      vouchEl.append(tr);
+    }
+  }
+
+  async function loadGeo() {
+    const { providers, database: db, rules } = await (await fetch("/api/admin/geo", { credentials: "same-origin" })).json();
+    const dbText = db.ipv4Ranges
+      ? t("admin.geo.loaded", { v4: num(db.ipv4Ranges), v6: num(db.ipv6Ranges), time: fmtTime(db.fileUpdatedAt) })
+      : t("admin.geo.notLoaded", { error: db.error || "empty" });
+    geoStatusEl.textContent = t("admin.geo.status", { providers: providers.join(" → "), database: dbText });
+    geoRuleEl.replaceChildren();
+    if (!rules.length) emptyRow(geoRuleEl, "admin.geo.empty");
+    for (const r of rules) {
+      const del = Object.assign(document.createElement("button"), { className: "btn danger", textContent: t("admin.delete") });
+      del.dataset.geoRule = r.id;
+      const actions = document.createElement("td");
+      actions.append(del);
+      const tr = document.createElement("tr");
+      tr.append(cell(r.cidr), cell(r.action), cell(r.note || "—"), cell(`${fmtTime(r.createdAt)} · ${r.createdBy}`), actions);
+      geoRuleEl.append(tr);
+    }
+  }
+
+  async function loadAudit({ append = false } = {}) {
+    if (!append) auditOffset = 0;
+    const r = await fetch(`/api/admin/audit?limit=${AUDIT_PAGE}&offset=${auditOffset}`, { credentials: "same-origin" });
+    const { total, entries } = await r.json();
+    if (!append) auditEl.replaceChildren();
+    if (!total) emptyRow(auditEl, "admin.none");
+    for (const e of entries) {
+      const d = e.details || {};
+      const details = [d.reason, d.ok === false ? t("admin.audit.failed", { error: d.error }) : ""].filter(Boolean).join(" · ");
+      const tr = document.createElement("tr");
+      tr.append(cell(fmtTime(e.at)), cell(e.actor), cell(e.action), cell(e.target || "—"), cell(details || "—"));
+      auditEl.append(tr);
+    }
+    auditOffset += entries.length;
+    moreBtn.hidden = auditOffset >= total;
+  }
+
+  async function post(url, label, btn) {
+    btn.disabled = true;
+    try {
+      const r = await fetch(url, {
+        method: "POST",
+        credentials: "same-origin",
+        headers: { "Content-Type": "application/json", "x-csrf-token": csrf },
+        body: JSON.stringify({ reason: reasonEl.value }),
+      });
+      const j = await r.json().catch(() => ({ ok: false, error: `HTTP ${r.status}` }));
+      if (!r.ok || !j.ok) throw new Error(j.error || `HTTP ${r.status}`);
+      notify(t("admin.done", { label }));
+      reasonEl.value = "";
+    } catch (err) {
+      notify(`${label}: ${err.message}`, false);
+    } finally {
+      btn.disabled = false;
+      await Promise.all([loadUsers(), loadReview(), loadTournaments(), loadWebhooks(), loadTokens(), loadEligibility(), loadGeo(), loadAudit()]);
+    }
+  }
+
+  rowsEl.addEventListener("click", (e) => {
+    const btn = e.target.closest("button[data-action]");
+    if (!btn) return;
+    const { action, username } = btn.dataset;
+    if (action === "remove" && !window.confirm(t("admin.action.removeConfirm", { name: username }))) return;
+    post(`/api/admin/users/${encodeURIComponent(username)}/${action}`, `${btn.textContent} ${username}`, btn);
+  });
+
+  reviewEl.addEventListener("click", (e) => {
+    const btn = e.target.closest("button[data-review]");
+    if (btn) post(`/api/admin/review/${btn.dataset.review}`, btn.textContent, btn);
+  });
+
+  webhookEl.addEventListener("click", (e) => {
+    const btn = e.target.closest("button[data-webhook]");
+    if (!btn) return;
+    if (btn.dataset.webhook.endsWith("/delete") && !window.confirm(t("admin.webhooks.deleteConfirm"))) return;
+    post(`/api/admin/webhooks/${btn.dataset.webhook}`, btn.textContent, btn);
+  });
+
+  webhookForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const data = new FormData(webhookForm);
+    const btn = webhookForm.querySelector("button");
+    btn.disabled = true;
+    try {
+      const r = await fetch("/api/admin/webhooks", {
+        method: "POST",
+        credentials: "same-origin",
+        headers: { "Content-Type": "application/json", "x-csrf-token": csrf },
+        body: JSON.stringify({ url: data.get("url"), format: data.get("format"), events: data.getAll("events") }),
+      });
+      const j = await r.json().catch(() => ({ ok: false, error: `HTTP ${r.status}` }));
+      if (!r.ok || !j.ok) throw new Error(j.error || `HTTP ${r.status}`);
+      notify(t("admin.webhooks.added", { secret: j.endpoint.secret }));
+      webhookForm.reset();
+      await Promise.all([loadWebhooks(), loadAudit()]);
+    } catch (err) {
+      notify(`${t("admin.webhooks.add")}: ${err.message}`, false);
+    } finally {
+      btn.disabled = false;
+    }
+  });
+
+  tokenEl.addEventListener("click", (e) => {
+    const btn = e.target.closest("button[data-token]");
+    if (!btn || !window.confirm(t("admin.tokens.revokeConfirm"))) return;
+    post(`/api/admin/api-tokens/${encodeURIComponent(btn.dataset.token)}/revoke`, t("admin.tokens.revoke"), btn);
+  });
+
+  tokenForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const f = Object.fromEntries(new FormData(tokenForm));
+    const btn = tokenForm.querySelector("button");
+    btn.disabled = true;
+    try {
+      const r = await fetch("/api/admin/api-tokens", {
+        method: "POST",
+        credentials: "same-origin",
+        headers: { "Content-Type": "application/json", "x-csrf-token": csrf },
+        body: JSON.stringify({ name: f.name, owner: f.owner, rateLimit: f.rateLimit ? Number(f.rateLimit) : undefined }),
+      });
+      const j = await r.json().catch(() => ({ ok: false, error: `HTTP ${r.status}` }));
+      if (!r.ok || !j.ok) throw new Error(j.error || `HTTP ${r.status}`);
+      notify(t("admin.tokens.issued", { name: j.record.name, token: j.token }));
+      tokenForm.reset();
+      await Promise.all([loadTokens(), loadAudit()]);
+    } catch (err) {
+      notify(`${t("admin.tokens.issue")}: ${err.message}`, false);
+    } finally {
+      btn.disabled = false;
+    }
+  });
+
+  inviteEl.addEventListener("click", (e) => {
+    const btn = e.target.closest("button[data-invite]");
+    if (!btn || !window.confirm(t("admin.abroad.revokeConfirm"))) return;
+    post(`/api/admin/invites/${encodeURIComponent(btn.dataset.invite)}/revoke`, t("admin.abroad.revoke"), btn);
+  });
+
+  vouchEl.addEventListener("click", (e) => {
+    const btn = e.target.closest("button[data-vouch]");
+    if (btn) post(`/api/admin/vouches/${btn.dataset.vouch}`, t("admin.vouches.decide", { decision: btn.textContent }), btn);
+  });
+
+  inviteForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const f = Object.fromEntries(new FormData(inviteForm));
+    const btn = inviteForm.querySelector("button");
+    btn.disabled = true;
+    try {
+      const r = await fetch("/api/admin/invites", {
+        method: "POST",
+        credentials: "same-origin",
+        headers: { "Content-Type": "application/json", "x-csrf-token": csrf },
+        body: JSON.stringify({
+          note: f.note,
+          maxUses: f.maxUses ? Number(f.maxUses) : undefined,
+          expiresInDays: f.expiresInDays ? Number(f.expiresInDays) : undefined,
+        }),
+      });
+      const j = await r.json().catch(() => ({ ok: false, error: `HTTP ${r.status}` }));
+      if (!r.ok || !j.ok) throw new Error(j.error || `HTTP ${r.status}`);
+      notify(t("admin.abroad.created", { code: j.code }));
+      inviteForm.reset();
+      await Promise.all([loadEligibility(), loadAudit()]);
+    } catch (err) {
+      notify(`${t("admin.abroad.create")}: ${err.message}`, false);
+    } finally {
+      btn.disabled = false;
+    }
+  });
+
+  geoRuleEl.addEventListener("click", (e) => {
+    const btn = e.target.closest("button[data-geo-rule]");
+    if (!btn || !window.confirm(t("admin.geo.deleteConfirm"))) return;
+    post(`/api/admin/geo/rules/${encodeURIComponent(btn.dataset.geoRule)}/delete`, t("admin.geo.delete"), btn);
+  });
+
+  geoRuleForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const f = Object.fromEntries(new FormData(geoRuleForm));
+    const btn = geoRuleForm.querySelector("button");
+    btn.disabled = true;
+    try {
+      const r = await fetch("/api/admin/geo/rules", {
+        method: "POST",
+        credentials: "same-origin",
+        headers: { "Content-Type": "application/json", "x-csrf-token": csrf },
+        body: JSON.stringify(f),
+      });
+      const j = await r.json().catch(() => ({ ok: false, error: `HTTP ${r.status}` }));
+      if (!r.ok || !j.ok) throw new Error(j.error || `HTTP ${r.status}`);
+      notify(t("admin.geo.ruleAdded", { action: j.rule.action, cidr: j.rule.cidr }));
+      geoRuleForm.reset();
+      await Promise.all([loadGeo(), loadAudit()]);
+    } catch (err) {
+      notify(`${t("admin.geo.add")}: ${err.message}`, false);
+    } finally {
+      btn.disabled = false;
+    }
+  });
+
+  geoLookupForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const btn = geoLookupForm.querySelector("button");
+    btn.disabled = true;
+    try {
+      const r = await fetch("/api/admin/geo/lookup", {
+        method: "POST",
+        credentials: "same-origin",
+        headers: { "Content-Type": "application/json", "x-csrf-token": csrf },
+        body: JSON.stringify({ ip: geoLookupForm.elements.ip.value }),
+      });
+      const j = await r.json().catch(() => ({ ok: false, error: `HTTP ${r.status}` }));
+      if (!r.ok || !j.ok) throw new Error(j.error || `HTTP ${r.status}`);
+      const why =
+        j.reason === "rule" ? t("admin.geo.byRule", { action: j.rule.action, cidr: j.rule.cidr }) :
+        j.reason === "private" ? t("admin.geo.private") :
+        j.provider ? t("admin.geo.via", { country: t("admin.geo.country", { country: j.country || t("admin.geo.unknown") }), provider: j.provider }) :
+        t("admin.geo.country", { country: j.country || t("admin.geo.unknown") });
+      notify(t(j.allowed ? "admin.geo.allowed" : "admin.geo.refused", { ip: j.ip, why }), j.allowed);
+    } catch (err) {
+      notify(`${t("admin.geo.checkLabel")}: ${err.message}`, false);
+    } finally {
+      btn.disabled = false;
+    }
+  });
+
+  tournamentEl.addEventListener("click", (e) => {
+    const btn = e.target.closest("button[data-tournament]");
+    if (!btn || !window.confirm(t("admin.tournaments.deleteConfirm"))) return;
+    post(`/api/admin/tournaments/${encodeURIComponent(btn.dataset.tournament)}/delete`, t("admin.tournaments.delete"), btn);
+  });
+
+  tournamentForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const f = Object.fromEntries(new FormData(tournamentForm));
+    const [mode, mode2] = f.mode2.split(":");
+    const body = {
+      name: f.name,
+      mode,
+      mode2,
+      language: f.language.trim().toLowerCase() || undefined,
+      punctuation: f.punctuation || undefined,
+      scoring: f.scoring,
+      topN: Number(f.topN),
+      // datetime-local has no zone: read it as the admin's local time
+      startAt: new Date(f.startAt).toISOString(),
+      endAt: new Date(f.endAt).toISOString(),
+    };
+    const btn = tournamentForm.querySelector("button");
+    btn.disabled = true;
+    try {
+      const r = await fetch("/api/admin/tournaments", {
+        method: "POST",
+        credentials: "same-origin",
+        headers: { "Content-Type": "application/json", "x-csrf-token": csrf },
+        body: JSON.stringify(body),
+      });
+      const j = await r.json().catch(() => ({ ok: false, error: `HTTP ${r.status}` }));
+      if (!r.ok || !j.ok) throw new Error(j.error || `HTTP ${r.status}`);
+      notify(t("admin.tournaments.created", { name: j.tournament.name }));
+      tournamentForm.reset();
+      await Promise.all([loadTournaments(), loadAudit()]);
+    } catch (err) {
+      notify(`${t("admin.tournaments.create")}: ${err.message}`, false);
+    } finally {
+      btn.disabled = false;
+    }
+  });
+
+  moreBtn.addEventListener("click", () => loadAudit({ append: true }));
+
+  const session = await fetch("/api/session", { credentials: "same-origin" }).then((r) => r.json());
+  csrf = session.csrf;
+  await Promise.all([loadUsers(), loadReview(), loadTournaments(), loadWebhooks(), loadTokens(), loadEligibility(), loadGeo(), loadAudit()]);
+})();
@@ -3,6 +3,93 @@
   const refreshBtn = document.getElementById("refreshBtn");
   const loginBtn = document.getElementById("loginBtn");
   const logoutForm = document.getElementById("logoutForm");
+  const modeTabs = document.getElementById("modeTabs");
+  const modeLabel = document.getElementById("modeLabel");
+  const filtersForm = document.getElementById("filters");
+  const seasonSelect = document.getElementById("seasonSelect");
+  const searchInput = document.getElementById("boardSearch");
+  const findMeBtn = document.getElementById("findMeBtn");
+  const tableNote = document.getElementById("tableNote");
+  const pager = document.getElementById("pager");
+  const pageInfo = document.getElementById("pageInfo");
+  const prevPage = document.getElementById("prevPage");
+  const nextPage = document.getElementById("nextPage");
+  const FILTER_FIELDS = ["season", "language", "punctuation", "numbers", "difficulty"];
+  const PAGE_SIZE = 50;
+  const POLL_MS = 60 * 1000; // background refresh while the tab is visible
+  const { t, num, percent, date, modeName } = window.MTI18n;
+
+  // current category; kept in the URL (?mode=time&mode2=60) so boards are linkable
+  const params = new URLSearchParams(location.search);
+  let current = {
+    mode: params.get("mode") || "time",
+    mode2: params.get("mode2") || "15",
+  };
+  // config filters (empty = any) and season (empty = all-time)
+  const filters = {};
+  function syncFilterInputs() {
+    for (const f of FILTER_FIELDS) {
+      if (filtersForm?.elements[f]) filtersForm.elements[f].value = filters[f];
+    }
+  }
+  for (const f of FILTER_FIELDS) filters[f] = params.get(f) || "";
+  syncFilterInputs();
+
+  // table view: search, sort column (empty dir = the column's natural order) and page
+  const table = {
+    q: params.get("q") || "",
+    sort: params.get("sort") || "rank",
+    dir: params.get("dir") || "",
+    offset: Math.max(0, Number.parseInt(params.get("offset"), 10) || 0),
+  };
+  if (searchInput) searchInput.value = table.q;
+  let me = null; // logged-in username, highlighted in the table
+  let lastLoad = 0;
+
+  // closed seasons go into a "Past seasons" group of the season picker
+  let seasonLabel = "";
+  async function loadSeasons() {
+    if (!seasonSelect) return;
+    try {
+      const { archived = [] } = await (await fetch("/api/seasons")).json();
+      if (archived.length) {
+        const group = Object.assign(document.createElement("optgroup"), { label: t("season.past") });
+        for (const s of archived) {
+          group.append(new Option(`${t(`season.kind.${s.kind}`)} ${s.label}`, s.id));
+        }
+        seasonSelect.append(group);
+        syncFilterInputs();
+      }
+    } catch (e) {
+      console.warn("season list failed", e);
+    }
+  }
+
+  function query() {
+    const q = new URLSearchParams(current);
+    for (const f of FILTER_FIELDS) if (filters[f]) q.set(f, filters[f]);
+    return q.toString();
+  }
+
+  // board selection plus the table view; what goes into the address bar
+  function viewQuery() {
+    const q = new URLSearchParams(query());
+    if (table.q) q.set("q", table.q);
+    if (table.sort !== "rank") q.set("sort", table.sort);
+    if (table.dir) q.set("dir", table.dir);
+    if (table.offset) q.set("offset", String(table.offset));
+    return q.toString();
+  }
+
+  function configLabel(u) {
+    const parts = [];
+    if (u.language) parts.push(u.language.replaceAll("_", " "));
+    if (u.punctuation) parts.push(t("config.punctuation"));
+    if (u.numbers) parts.push(t("config.numbers"));
+    if (u.difficulty && u.difficulty !== "normal") parts.push(t(`difficulty.${u.difficulty}`));
+    if (u.lazyMode) parts.push(t("config.lazy"));
+    return parts.join(" · ");
+  }
 
   // --- session -> toggle login button text ---
   async function updateLoginButton() {
@@ -10,19 +97,32 @@
       const r = await fetch("/api/session", { credentials: "same-origin" });
       const j = await r.json();
 
+      me = j.loggedIn ? j.username : null;
+      if (findMeBtn) findMeBtn.hidden = !me;
       if (j.loggedIn) {
         if (loginBtn) {
-          loginBtn.textContent = "Logged in";
-          loginBtn.href = "#";
+          loginBtn.textContent = t("nav.account", { name: j.username });
+          loginBtn.href = "/account";
           loginBtn.setAttribute("aria-pressed", "true");
           loginBtn.classList.add("is-logged-in");
-          // prevent navigating when already logged in
-          loginBtn.addEventListener("click", (e) => e.preventDefault());
         }
-        if (logoutForm) logoutForm.style.display = "";
+        if (j.isAdmin && !document.getElementById("adminBtn")) {
+          const admin = Object.assign(document.createElement("a"), { id: "adminBtn", className: "btn ghost", href: "/admin", textContent: t("nav.admin") });
+          loginBtn?.after(admin);
+        }
+        if (logoutForm) {
+          logoutForm.style.display = "";
+          // /logout is CSRF-protected like every other POST
+          let field = logoutForm.querySelector('[name="_csrf"]');
+          if (!field) {
+            field = Object.assign(document.createElement("input"), { type: "hidden", name: "_csrf" });
+            logoutForm.prepend(field);
+          }
+          field.value = j.csrf;
+        }
       } else {
         if (loginBtn) {
-          loginBtn.textContent = "Login to Monkeytype";
+          loginBtn.textContent = t("nav.login");
           loginBtn.href = "/join";
           loginBtn.removeAttribute("aria-pressed");
           loginBtn.classList.remove("is-logged-in");
@@ -35,16 +135,6 @@
     }
   }
 
-  function fmtTime(iso) {
-    try {
-      const d = new Date(iso);
-      if (Number.isNaN(d.getTime())) return "—";
-      return d.toLocaleString();
-    } catch {
-      return "—";
-    }
-  }
-
   function escapeHtml(s) {
     return String(s)
       .replaceAll("&", "&amp;")
@@ -54,44 +144,257 @@
       .replaceAll("'", "&#39;");
   }
 
-  function render(rows) {
+  function rowCells(u) {
+    const wpm = num(u.wpm ?? 0);
+    const acc = percent(u.accuracy ?? 0);
+    const ts = date(u.timestamp);
+    return `
+      <td>${num(u.rank)}</td>
+      <td><a href="/u/${encodeURIComponent(u.username)}">${escapeHtml(u.username)}</a> <button type="button" class="linkish" data-user="${escapeHtml(u.username)}" title="${escapeHtml(t("history.button"))}" aria-label="${escapeHtml(t("history.buttonLabel", { name: u.username }))}">📈</button> <small class="muted">${escapeHtml(configLabel(u))}</small></td>
+      <td>${wpm}</td>
+      <td>${acc}</td>
+      <td class="muted">${ts}</td>
+    `;
+  }
+
+  const rowHtml = new WeakMap(); // tr -> last rendered cells
+
+  function flash(tr, cls) {
+    tr.classList.add(cls);
+    tr.addEventListener("animationend", () => tr.classList.remove(cls), { once: true });
+  }
+
+  function markMe() {
+    tbody.querySelectorAll("tr[data-row]").forEach((tr) => tr.classList.toggle("is-me", !!me && tr.dataset.row === me.toLowerCase()));
+  }
+
+  // Full rebuild, or (patch=true) update rows in place and animate rank changes
+  function render(rows, { patch = false } = {}) {
     if (!rows || rows.length === 0) {
-      tbody.innerHTML = `<tr><td colspan="5" class="muted">No entries yet — click “Login to Monkeytype” to join.</td></tr>`;
+      const msg = table.q ? t("table.noMatch", { q: table.q }) : t("board.empty");
+      tbody.innerHTML = `<tr><td colspan="5" class="muted">${escapeHtml(msg)}</td></tr>`;
       return;
     }
 
-    tbody.innerHTML = rows
-      .map((u, i) => {
-        const wpm = (u.wpm15 ?? 0).toString();
-        const acc = (u.accuracy ?? 0).toFixed(2) + "%";
-        const ts = fmtTime(u.timestamp);
-        return `
-          <tr>
-            <td>${i + 1}</td>
-            <td>${escapeHtml(u.username)}</td>
-            <td>${wpm}</td>
-            <td>${acc}</td>
-            <td class="muted">${ts}</td>
-          </tr>
-        `;
-      })
-      .join("");
-  }
-
-  async function load() {
+    const existing = new Map();
+    if (patch) tbody.querySelectorAll("tr[data-row]").forEach((tr) => existing.set(tr.dataset.row, tr));
+    // FLIP: remember where each row was before re-ordering
+    const before = new Map([...existing].map(([k, tr]) => [k, tr.getBoundingClientRect().top]));
+
+    const frag = document.createDocumentFragment();
+    rows.forEach((u) => {
+      const key = u.username.toLowerCase();
+      const html = rowCells(u);
+      let tr = existing.get(key);
+      const oldRank = tr ? Number(tr.dataset.rank) : null;
+      if (!tr) {
+        tr = document.createElement("tr");
+        tr.dataset.row = key;
+        if (patch) flash(tr, "row-new");
+      }
+      if (rowHtml.get(tr) !== html) {
+        tr.innerHTML = html;
+        rowHtml.set(tr, html);
+        if (oldRank != null) flash(tr, u.rank < oldRank ? "row-up" : u.rank > oldRank ? "row-down" : "row-changed");
+      }
+      tr.dataset.rank = String(u.rank);
+      frag.appendChild(tr);
+    });
+    tbody.replaceChildren(frag);
+    markMe();
+
+    for (const tr of tbody.querySelectorAll("tr[data-row]")) {
+      const top = before.get(tr.dataset.row);
+      if (top != null) {
+        const dy = top - tr.getBoundingClientRect().top;
+        if (dy) {
+          tr.style.transform = `translateY(${dy}px)`;
+          tr.style.transition = "none";
+          requestAnimationFrame(() => {
+            tr.style.transition = "transform .6s ease";
+            tr.style.transform = "";
+          });
+        }
+      }
+    }
+  }
+
+  // --- per-user progress chart (see chart.js) ---
+  const historyCard = document.getElementById("historyCard");
+  const historyTitle = document.getElementById("historyTitle");
+  const historyChart = document.getElementById("historyChart");
+  let historyUser = null;
+
+  async function loadHistory(username) {
+    if (!historyCard) return;
+    historyUser = username;
+    historyCard.hidden = false;
+    historyTitle.textContent = t("history.title", { name: username, mode: modeName(current.mode, current.mode2) });
+    historyChart.innerHTML = `<p class="muted">${escapeHtml(t("history.loading"))}</p>`;
+    try {
+      const r = await fetch(`/api/users/${encodeURIComponent(username)}/history?${query()}`);
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.error || r.status);
+      historyChart.innerHTML = window.MTChart.draw(j.points || []);
+    } catch (e) {
+      historyChart.innerHTML = `<p class="muted">${escapeHtml(t("history.failed"))}</p>`;
+      console.error(e);
+    }
+  }
+
+  tbody.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-user]");
+    if (btn) loadHistory(btn.dataset.user);
+  });
+
+  modeTabs?.querySelectorAll(".tab").forEach((tab) => {
+    tab.textContent = t(tab.dataset.mode === "time" ? "tab.time" : "tab.words", { n: num(tab.dataset.mode2) });
+  });
+
+  function syncTabs() {
+    modeTabs?.querySelectorAll(".tab").forEach((tab) => {
+      const active = tab.dataset.mode === current.mode && tab.dataset.mode2 === current.mode2;
+      tab.classList.toggle("active", active);
+      tab.setAttribute("aria-selected", active ? "true" : "false");
+    });
+    if (modeLabel) modeLabel.textContent = `${modeName(current.mode, current.mode2)}${seasonLabel}`;
+  }
+
+  function syncSortHeaders(view) {
+    document.querySelectorAll("#leaderboard th[data-sort]").forEach((th) => {
+      if (th.dataset.sort === view.sort) th.setAttribute("aria-sort", view.dir === "asc" ? "ascending" : "descending");
+      else th.removeAttribute("aria-sort");
+    });
+  }
+
+  function syncPager({ total, limit, offset, nextOffset }) {
+    if (!pager) return;
+    pager.hidden = total <= limit;
+    pageInfo.textContent = total ? t("table.range", { from: num(offset + 1), to: num(Math.min(offset + limit, total)), total: num(total) }) : "";
+    prevPage.disabled = offset === 0;
+    nextPage.disabled = nextOffset == null;
+  }
+
+  // ?around= asks the server for the page that member is on (in the current sort)
+  async function load({ patch = false, around = null } = {}) {
+    lastLoad = Date.now();
     try {
-      const r = await fetch("/api/leaderboard", { headers: { "Cache-Control": "no-cache" } });
+      const extra = new URLSearchParams({ limit: String(PAGE_SIZE) });
+      if (around) extra.set("around", around);
+      const r = await fetch(`/api/leaderboard?${viewQuery()}&${extra}`, { headers: { "Cache-Control": "no-cache" } });
       const j = await r.json();
-      render(j.users || []);
+      if (!r.ok) throw new Error(j.error || r.status);
+      // the board shrank under a later page (e.g. a poll after removals)
+      if (!j.users.length && j.pagination.offset > 0) {
+        table.offset = 0;
+        return load({ patch, around });
+      }
+      seasonLabel = j.season ? ` · ${t(`season.kind.${j.season.kind}`)} ${j.season.label}${j.season.closed ? ` ${t("season.final")}` : ""}` : "";
+      syncTabs();
+      table.offset = j.pagination.offset;
+      syncSortHeaders(j.view);
+      syncPager(j.pagination);
+      if (tableNote) tableNote.textContent = around && !j.around ? t("table.notRanked") : "";
+      render(j.users || [], { patch });
+      if (j.around) {
+        history.replaceState(null, "", `?${viewQuery()}`);
+        tbody.querySelector("tr.is-me")?.scrollIntoView({ block: "center", behavior: "smooth" });
+      }
+      if (historyUser) loadHistory(historyUser);
       const demo = document.getElementById("demoHint");
       if (j.mode === "demo") demo.hidden = false; else demo.hidden = true;
     } catch (e) {
-      tbody.innerHTML = `<tr><td colspan="5" class="muted">Failed to load leaderboard.</td></tr>`;
+      tbody.innerHTML = `<tr><td colspan="5" class="muted">${escapeHtml(t("board.failed"))}</td></tr>`;
       console.error(e);
     }
   }
 
-  refreshBtn?.addEventListener("click", load);
+  refreshBtn?.addEventListener("click", () => load({ patch: true }));
+
+  // any change of board or view starts from the first page
+  function reload({ keepPage = false } = {}) {
+    if (!keepPage) table.offset = 0;
+    history.replaceState(null, "", `?${viewQuery()}`);
+    load();
+  }
+
+  let searchTimer = null;
+  searchInput?.addEventListener("input", () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      const q = searchInput.value.trim();
+      if (q === table.q) return;
+      table.q = q;
+      reload();
+    }, 250);
+  });
+
+  document.querySelector("#leaderboard thead")?.addEventListener("click", (e) => {
+    const th = e.target.closest("th[data-sort]");
+    if (!th) return;
+    const sorted = th.getAttribute("aria-sort");
+    table.sort = th.dataset.sort;
+    // same column flips the order; a new column starts in its natural order
+    table.dir = sorted ? (sorted === "ascending" ? "desc" : "asc") : "";
+    reload();
+  });
+
+  prevPage?.addEventListener("click", () => {
+    table.offset = Math.max(0, table.offset - PAGE_SIZE);
+    reload({ keepPage: true });
+  });
+  nextPage?.addEventListener("click", () => {
+    table.offset += PAGE_SIZE;
+    reload({ keepPage: true });
+  });
+
+  findMeBtn?.addEventListener("click", () => {
+    if (!me) return;
+    // a search could hide the member; look in the whole board
+    table.q = "";
+    if (searchInput) searchInput.value = "";
+    load({ around: me });
+  });
+
+  // --- background polling: the footer promises auto-refresh, SSE only covers PB events ---
+  setInterval(() => {
+    if (!document.hidden) load({ patch: true });
+  }, POLL_MS);
+  document.addEventListener("visibilitychange", () => {
+    if (!document.hidden && Date.now() - lastLoad > POLL_MS) load({ patch: true });
+  });
+
+  // --- live updates: the server announces PB changes; re-rank the visible board ---
+  let liveTimer = null;
+  function subscribeLive() {
+    if (!window.EventSource) return;
+    const es = new EventSource("/api/leaderboard/stream");
+    const onChange = (e) => {
+      let ev;
+      try { ev = JSON.parse(e.data); } catch { return; }
+      if (!ev.categories?.includes(`${current.mode}:${current.mode2}`)) return;
+      // coalesce bursts from one background refresh into a single reload
+      clearTimeout(liveTimer);
+      liveTimer = setTimeout(() => load({ patch: true }), 400);
+    };
+    for (const type of ["pb", "renamed", "removed", "moderated", "season"]) es.addEventListener(type, onChange);
+  }
+
+  modeTabs?.addEventListener("click", (e) => {
+    const tab = e.target.closest(".tab");
+    if (!tab) return;
+    current = { mode: tab.dataset.mode, mode2: tab.dataset.mode2 };
+    syncTabs();
+    reload();
+  });
+
+  filtersForm?.addEventListener("change", () => {
+    for (const f of FILTER_FIELDS) filters[f] = filtersForm.elements[f]?.value || "";
+    reload();
+  });
+  syncTabs();
 
-  await Promise.all([updateLoginButton(), load()]);
+  await Promise.all([updateLoginButton(), loadSeasons(), load()]);
+  markMe();
+  subscribeLive();
 })();
@@ -0,0 +1,56 @@
+// public/chart.js
+// Plain SVG progress chart shared by the leaderboard and profile pages (no chart library).
+// Strings and formats come from i18n.js.
+window.MTChart = (function () {
+  const { t, date, day, percent } = window.MTI18n;
+
+  function escapeHtml(s) {
+    return String(s)
+      .replaceAll("&", "&amp;")
+      .replaceAll("<", "&lt;")
+      .replaceAll(">", "&gt;")
+      .replaceAll('"', "&quot;")
+      .replaceAll("'", "&#39;");
+  }
+
+  const fmtDay = (ms) => day(new Date(ms).toISOString());
+
+  // points: [{ at, achievedAt, wpm, accuracy }] → SVG markup
+  function draw(points) {
+    const W = 640, H = 220, PAD = 36;
+    const pts = points
+      .map((p) => ({ t: new Date(p.achievedAt || p.at).getTime(), wpm: p.wpm, acc: p.accuracy }))
+      .filter((p) => Number.isFinite(p.t))
+      .sort((a, b) => a.t - b.t);
+    if (pts.length === 0) return `<p class="muted">${escapeHtml(t("chart.empty"))}</p>`;
+
+    // running best = the PB curve over time
+    let best = 0;
+    const curve = pts.map((p) => ({ ...p, best: (best = Math.max(best, p.wpm)) }));
+
+    const t0 = curve[0].t, t1 = curve[curve.length - 1].t;
+    const lo = Math.min(...curve.map((p) => p.wpm)), hi = Math.max(...curve.map((p) => p.wpm));
+    const yMin = Math.max(0, Math.floor((lo - 5) / 10) * 10), yMax = Math.ceil((hi + 5) / 10) * 10;
+    const x = (t) => (t1 === t0 ? W / 2 : PAD + ((t - t0) / (t1 - t0)) * (W - PAD * 2));
+    const y = (v) => H - PAD - ((v - yMin) / (yMax - yMin || 1)) * (H - PAD * 2);
+
+    const line = curve.map((p) => `${x(p.t).toFixed(1)},${y(p.best).toFixed(1)}`).join(" ");
+    const dots = curve
+      .map((p) => `<circle cx="${x(p.t).toFixed(1)}" cy="${y(p.wpm).toFixed(1)}" r="3.5"><title>${p.wpm} WPM · ${escapeHtml(percent(p.acc))} · ${escapeHtml(date(new Date(p.t).toISOString()))}</title></circle>`)
+      .join("");
+
+    return `
+      <svg class="chart" viewBox="0 0 ${W} ${H}" role="img" aria-label="${escapeHtml(t("chart.label"))}">
+        <line class="axis" x1="${PAD}" y1="${H - PAD}" x2="${W - PAD}" y2="${H - PAD}"/>
+        <line class="axis" x1="${PAD}" y1="${PAD}" x2="${PAD}" y2="${H - PAD}"/>
+        <text x="${PAD - 6}" y="${y(yMax) + 4}" text-anchor="end">${yMax}</text>
+        <text x="${PAD - 6}" y="${y(yMin) + 4}" text-anchor="end">${yMin}</text>
+        <text x="${PAD}" y="${H - PAD + 18}">${escapeHtml(fmtDay(t0))}</text>
+        <text x="${W - PAD}" y="${H - PAD + 18}" text-anchor="end">${escapeHtml(fmtDay(t1))}</text>
+        <polyline points="${line}"/>
+        ${dots}
+      </svg>`;
+  }
+
+  return { draw };
+})();
@@ -0,0 +1,130 @@
+(async function () {
+  const id = decodeURIComponent(location.pathname.replace(/^\/groups\//, "").replace(/\/$/, ""));
+  const inviteFromLink = new URLSearchParams(location.search).get("code") || "";
+  const nameEl = document.getElementById("groupName");
+  const metaEl = document.getElementById("groupMeta");
+  const statusEl = document.getElementById("groupStatus");
+  const joinForm = document.getElementById("joinForm");
+  const memberActions = document.getElementById("memberActions");
+  const inviteInfo = document.getElementById("inviteInfo");
+  const newCodeBtn = document.getElementById("newCodeBtn");
+  const leaveBtn = document.getElementById("leaveBtn");
+  const filtersForm = document.getElementById("boardFilters");
+  const boardEl = document.getElementById("boardRows");
+  const { t, num, percent } = window.MTI18n;
+  const KINDS = ["school", "army", "company", "city", "other"];
+  let session = { loggedIn: false };
+
+  function notify(text, ok = true) {
+    statusEl.hidden = false;
+    statusEl.textContent = text;
+    statusEl.classList.toggle("error", !ok);
+  }
+
+  function cell(text) {
+    return Object.assign(document.createElement("td"), { textContent: text });
+  }
+
+  async function post(url, body = {}) {
+    const r = await fetch(url, {
+      method: "POST",
+      credentials: "same-origin",
+      headers: { "Content-Type": "application/json", "x-csrf-token": session.csrf },
+      body: JSON.stringify(body),
+    });
+    const j = await r.json().catch(() => ({ ok: false, error: `HTTP ${r.status}` }));
+    if (!r.ok || !j.ok) throw new Error(j.error || `HTTP ${r.status}`);
+    return j;
+  }
+
+  function showInvite(code) {
+    const link = `${location.origin}/groups/${encodeURIComponent(id)}?code=${encodeURIComponent(code)}`;
+    inviteInfo.textContent = t("group.inviteLink", { link });
+  }
+
+  async function loadGroup() {
+    const r = await fetch(`/api/groups/${encodeURIComponent(id)}`, { credentials: "same-origin" });
+    if (r.status === 404) {
+      nameEl.textContent = t("group.notFound");
+      return false;
+    }
+    const j = await r.json();
+    const g = j.group;
+    document.title = `${g.name} · ${t("title")}`;
+    nameEl.textContent = g.name;
+    metaEl.textContent = [
+      KINDS.includes(g.kind) ? t(`groups.kind.${g.kind}`) : g.kind,
+      t(g.visibility === "invite" ? "groups.inviteOnly" : "groups.open"),
+      g.memberCount === 1 ? t("group.oneMember") : t("group.members", { n: num(g.memberCount) }),
+    ].join(" · ");
+
+    joinForm.hidden = !session.loggedIn || j.isMember;
+    joinForm.elements.code.hidden = g.visibility !== "invite";
+    if (inviteFromLink) joinForm.elements.code.value = inviteFromLink;
+    memberActions.hidden = !j.isMember;
+    newCodeBtn.hidden = !(j.isOwner && g.visibility === "invite");
+    inviteInfo.textContent = "";
+    if (j.inviteCode) showInvite(j.inviteCode);
+    return true;
+  }
+
+  async function loadBoard() {
+    const f = Object.fromEntries(new FormData(filtersForm));
+    const [mode, mode2] = f.mode.split(":");
+    const q = new URLSearchParams({ mode, mode2, group: id });
+    if (f.season) q.set("season", f.season);
+    if (f.language) q.set("language", f.language);
+    const { users = [] } = await fetch(`/api/leaderboard?${q}`).then((r) => r.json());
+    boardEl.replaceChildren();
+    if (!users.length) {
+      const tr = document.createElement("tr");
+      tr.append(Object.assign(cell(t("group.empty")), { colSpan: 4, className: "muted" }));
+      boardEl.append(tr);
+    }
+    users.forEach((u, i) => {
+      const tr = document.createElement("tr");
+      const nameTd = document.createElement("td");
+      nameTd.append(Object.assign(document.createElement("a"), { href: `/u/${encodeURIComponent(u.username)}`, textContent: u.username }));
+      if (session.username && u.username.toLowerCase() === session.username.toLowerCase()) tr.classList.add("is-me");
+      tr.append(cell(num(i + 1)), nameTd, cell(num(u.wpm)), cell(percent(u.accuracy ?? 0)));
+      boardEl.append(tr);
+    });
+  }
+
+  joinForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    try {
+      await post(`/api/groups/${encodeURIComponent(id)}/join`, { code: joinForm.elements.code.value });
+      notify(t("group.welcome"));
+      await Promise.all([loadGroup(), loadBoard()]);
+    } catch (err) {
+      notify(err.message, false);
+    }
+  });
+
+  leaveBtn.addEventListener("click", async () => {
+    if (!window.confirm(t("group.leaveConfirm"))) return;
+    try {
+      await post(`/api/groups/${encodeURIComponent(id)}/leave`);
+      notify(t("group.left"));
+      if (await loadGroup()) await loadBoard();
+    } catch (err) {
+      notify(err.message, false);
+    }
+  });
+
+  newCodeBtn.addEventListener("click", async () => {
+    try {
+      const j = await post(`/api/groups/${encodeURIComponent(id)}/code`);
+      showInvite(j.inviteCode);
+      notify(t("group.newCodeDone"));
+    } catch (err) {
+      notify(err.message, false);
+    }
+  });
+
+  filtersForm.addEventListener("change", () => loadBoard());
+
+  session = await fetch("/api/session", { credentials: "same-origin" }).then((r) => r.json()).catch(() => session);
+  if (await loadGroup()) await loadBoard();
+})();
@@ -0,0 +1,106 @@
+(async function () {
+  const rowsEl = document.getElementById("groupRows");
+  const filtersForm = document.getElementById("rankingFilters");
+  const createCard = document.getElementById("createCard");
+  const createForm = document.getElementById("createForm");
+  const statusEl = document.getElementById("groupStatus");
+  const { t, num } = window.MTI18n;
+  const KINDS = { school: "🏫", army: "🎖️", company: "🏢", city: "🏙️", other: "👥" };
+  let session = { loggedIn: false };
+  let mine = new Set();
+  document.title = `${t("nav.groups")} · ${t("title")}`;
+
+  function notify(text, ok = true) {
+    statusEl.hidden = false;
+    statusEl.textContent = text;
+    statusEl.classList.toggle("error", !ok);
+  }
+
+  function cell(text) {
+    return Object.assign(document.createElement("td"), { textContent: text });
+  }
+
+  async function load() {
+    const f = Object.fromEntries(new FormData(filtersForm));
+    const [mode, mode2] = f.mode.split(":");
+    const q = new URLSearchParams({ mode, mode2, top: "5" });
+    if (f.language) q.set("language", f.language);
+    const [{ groups }, list] = await Promise.all([
+      fetch(`/api/groups/ranking?${q}`).then((r) => r.json()),
+      fetch("/api/groups", { credentials: "same-origin" }).then((r) => r.json()),
+    ]);
+    mine = new Set(list.mine);
+
+    rowsEl.replaceChildren();
+    if (!groups.length) {
+      const tr = document.createElement("tr");
+      tr.append(Object.assign(cell(t("groups.empty")), { colSpan: 5, className: "muted" }));
+      rowsEl.append(tr);
+    }
+    groups.forEach((g, i) => {
+      const tr = document.createElement("tr");
+      const nameTd = document.createElement("td");
+      nameTd.append(
+        `${KINDS[g.kind] || ""} `,
+        Object.assign(document.createElement("a"), { href: `/groups/${encodeURIComponent(g.id)}`, textContent: g.name }),
+        Object.assign(document.createElement("small"), { className: "muted", textContent: ` · ${t(g.visibility === "invite" ? "groups.inviteOnly" : "groups.open")}` }),
+      );
+      const action = document.createElement("td");
+      if (mine.has(g.id)) {
+        action.textContent = t("groups.member");
+      } else if (g.visibility === "open" && session.loggedIn) {
+        const btn = Object.assign(document.createElement("button"), { className: "btn", textContent: t("groups.join") });
+        btn.dataset.join = g.id;
+        action.append(btn);
+      }
+      tr.append(cell(g.score === null ? "—" : num(i + 1)), nameTd, cell(g.score === null ? "—" : num(g.score)), cell(`${num(g.ranked)} / ${num(g.memberCount)}`), action);
+      rowsEl.append(tr);
+    });
+  }
+
+  async function post(url, body) {
+    const r = await fetch(url, {
+      method: "POST",
+      credentials: "same-origin",
+      headers: { "Content-Type": "application/json", "x-csrf-token": session.csrf },
+      body: JSON.stringify(body),
+    });
+    const j = await r.json().catch(() => ({ ok: false, error: `HTTP ${r.status}` }));
+    if (!r.ok || !j.ok) throw new Error(j.error || `HTTP ${r.status}`);
+    return j;
+  }
+
+  rowsEl.addEventListener("click", async (e) => {
+    const btn = e.target.closest("button[data-join]");
+    if (!btn) return;
+    btn.disabled = true;
+    try {
+      await post(`/api/groups/${encodeURIComponent(btn.dataset.join)}/join`, {});
+      notify(t("groups.joined"));
+      await load();
+    } catch (err) {
+      notify(err.message, false);
+      btn.disabled = false;
+    }
+  });
+
+  createForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const btn = createForm.querySelector("button");
+    btn.disabled = true;
+    try {
+      const j = await post("/api/groups", Object.fromEntries(new FormData(createForm)));
+      location.assign(`/groups/${encodeURIComponent(j.group.id)}`);
+    } catch (err) {
+      notify(err.message, false);
+    } finally {
+      btn.disabled = false;
+    }
+  });
+
+  filtersForm.addEventListener("change", () => load());
+
+  session = await fetch("/api/session", { credentials: "same-origin" }).then((r) => r.json()).catch(() => session);
+  createCard.hidden = !session.loggedIn;
+  await load();
+})();
@@ -0,0 +1,773 @@
+// public/i18n.js
+// Hebrew/English strings for every page, the language switcher and
+// locale-aware number/date formatting. Every page loads it without `defer` in <head> so
+// lang/dir are right before first paint. The choice lives in the "lang"
+// cookie, which the server reads too (see lib/i18n.js).
+window.MTI18n = (function () {
+  const SUPPORTED = ["en", "he"];
+  const LOCALES = { en: "en-IL", he: "he-IL" };
+  const RTL = new Set(["he"]);
+
+  const CATALOGS = {
+    en: {
+      "title": "Monkeytype Israel Leaderboard",
+      "lang.switch": "עברית",
+      "lang.switchLabel": "החלפה לעברית",
+      "nav.login": "Login to Monkeytype",
+      "nav.account": "My account ({name})",
+      "nav.admin": "Admin",
+      "nav.tournaments": "Tournaments",
+      "nav.groups": "Groups",
+      "nav.discord": "Discord for Support",
+      "nav.refresh": "↻ Refresh",
+      "nav.refreshLabel": "Refresh leaderboard",
+      "nav.logout": "Logout",
+      "nav.myAccount": "My account",
+      "nav.backLeaderboard": "← Leaderboard",
+      "nav.backGroups": "← Groups",
+      "nav.backTournaments": "← Tournaments",
+      "board.title": "Live Leaderboard",
+      "board.hint": "Only users detected in Israel are shown. Updates automatically.",
+      "board.loading": "Loading…",
+      "board.empty": "No entries yet — click “Login to Monkeytype” to join.",
+      "board.failed": "Failed to load leaderboard.",
+      "mode.time": "time {n}s",
+      "mode.words": "{n} words",
+      "tab.time": "{n}s",
+      "tab.words": "{n} words",
+      "filter.season": "Season",
+      "filter.language": "Language",
+      "filter.punctuation": "Punctuation",
+      "filter.numbers": "Numbers",
+      "filter.difficulty": "Difficulty",
+      "filter.any": "Any",
+      "filter.on": "On",
+      "filter.off": "Off",
+      "season.all": "All-time",
+      "season.week": "This week",
+      "season.month": "This month",
+      "season.year": "This year",
+      "season.past": "Past seasons",
+      "season.kind.week": "week",
+      "season.kind.month": "month",
+      "season.kind.year": "year",
+      "season.final": "(final)",
+      "language.hebrew": "Hebrew",
+      "language.english": "English",
+      "difficulty.normal": "Normal",
+      "difficulty.expert": "Expert",
+      "difficulty.master": "Master",
+      "config.punctuation": "punctuation",
+      "config.numbers": "numbers",
+      "config.lazy": "lazy",
+      "col.rank": "Rank",
+      "col.username": "Username",
+      "col.wpm": "WPM",
+      "col.accuracy": "Accuracy",
+      "col.updated": "Last updated",
+      "table.search": "Search members",
+      "table.findMe": "Jump to my rank",
+      "table.notRanked": "You're not on this board yet.",
+      "table.noMatch": "No members match “{q}”.",
+      "table.prev": "Previous",
+      "table.next": "Next",
+      "table.range": "{from}–{to} of {total}",
+      "history.button": "Show progress",
+      "history.buttonLabel": "Show progress for {name}",
+      "history.title": "Progress — {name} ({mode})",
+      "history.hint": "Line: personal best over time · dots: each recorded PB change.",
+      "history.loading": "Loading…",
+      "history.failed": "Failed to load history.",
+      "chart.empty": "No recorded results for this category yet.",
+      "chart.label": "WPM over time",
+      "demo.title": "Demo Mode",
+      "demo.body": "This instance uses a mock OAuth and simulated Monkeytype stats. Plug in real API keys to go live.",
+      "profile.loading": "Loading…",
+      "profile.meta": "Joined {joined} · Last refreshed {refreshed}",
+      "profile.notFound": "User not found",
+      "profile.noMember": "No member called “{name}”.",
+      "profile.noResults": "No results yet.",
+      "profile.failed": "Failed to load profile",
+      "profile.mode": "Mode",
+      "profile.best": "Best WPM",
+      "profile.accuracy": "Accuracy",
+      "profile.rank": "Israel rank",
+      "profile.percentile": "Percentile",
+      "profile.of": "of {total}",
+      "profile.fasterThan": "faster than {percent}",
+      "profile.progress": "Progress",
+      "profile.progressFor": "Progress — {mode}",
+      "filter.mode": "Mode",
+      "account.heading": "My account:",
+      "account.meta": "Joined {joined} · Last refreshed {refreshed} · Key {key}",
+      "account.revoked": "⚠ your Ape Key was rejected by Monkeytype — replace it below",
+      "account.refreshError": "last refresh error: {error}",
+      "account.linked": "Linked to {name} since {since}.",
+      "account.key.title": "Replace Ape Key",
+      "account.key.hint": "Use this when your key expired or you generated a new one. It is checked with Monkeytype before the old key is removed.",
+      "account.key.button": "Replace key",
+      "account.key.done": "Ape Key replaced.",
+      "account.name.title": "Change username",
+      "account.name.button": "Rename",
+      "account.name.done": "You are now “{name}”.",
+      "account.monkeytype.title": "Sign in with Monkeytype",
+      "account.monkeytype.info": "Link your Monkeytype account to log in without your Ape Key.",
+      "account.monkeytype.link": "Link Monkeytype account",
+      "account.monkeytype.unlink": "Unlink Monkeytype",
+      "account.monkeytype.you": "your Monkeytype account",
+      "account.monkeytype.done": "Monkeytype unlinked. Log in with your Ape Key from now on.",
+      "account.discord.title": "Discord",
+      "account.discord.info": "Run <code>/link</code> in our Discord server to connect your Discord account.",
+      "account.discord.unlink": "Unlink Discord",
+      "account.discord.you": "your Discord account",
+      "account.discord.done": "Discord unlinked.",
+      "account.embed.title": "Embed",
+      "account.embed.hint": "Show your rank on a GitHub profile or a stream overlay. Add <code>&amp;mode2=60</code>, <code>&amp;theme=dark</code> or <code>&amp;accent=e2b714</code> to the URLs to change the board or the colors.",
+      "account.embed.badgeAlt": "My rank badge",
+      "account.embed.badge": "Badge (Markdown)",
+      "account.embed.widget": "Top 10 widget (HTML)",
+      "account.export.title": "Download my data",
+      "account.export.hint": "Everything stored about you, as JSON (your Ape Key is only shown as a preview).",
+      "account.export.button": "Download JSON",
+      "account.delete.title": "Delete account",
+      "account.delete.hint": "Removes your board entry, Ape Key, history and refresh state. This can't be undone.",
+      "account.delete.placeholder": "type your username to confirm",
+      "account.delete.button": "Delete my account",
+      "account.delete.confirm": "Delete your account and all stored data?",
+      "groups.title": "Group ranking",
+      "groups.hint": "Groups are ranked by the average WPM of their top 5 members. Members without a run count as 0, so small groups need five typists for a full score.",
+      "groups.col.group": "Group",
+      "groups.col.avg": "Avg top 5",
+      "groups.col.members": "Ranked / members",
+      "groups.empty": "No groups yet — create the first one.",
+      "groups.inviteOnly": "invite only",
+      "groups.open": "open",
+      "groups.member": "✓ member",
+      "groups.join": "Join",
+      "groups.joined": "Joined!",
+      "groups.create.title": "Create a group",
+      "groups.create.hint": "Invite-only groups get a code you can share; open groups can be joined by anyone.",
+      "groups.create.placeholder": "e.g. Herzliya High 11th grade",
+      "groups.create.kind": "Kind",
+      "groups.create.visibility": "Visibility",
+      "groups.create.inviteCode": "Invite code",
+      "groups.create.open": "Open",
+      "groups.create.button": "Create",
+      "groups.kind.school": "School",
+      "groups.kind.army": "Army unit",
+      "groups.kind.company": "Company",
+      "groups.kind.city": "City",
+      "groups.kind.other": "Other",
+      "group.notFound": "Group not found",
+      "group.members": "{n} members",
+      "group.oneMember": "1 member",
+      "group.codePlaceholder": "Invite code",
+      "group.join": "Join group",
+      "group.newCode": "New invite code",
+      "group.leave": "Leave group",
+      "group.inviteLink": "Invite link: {link}",
+      "group.empty": "No ranked members for this board yet.",
+      "group.welcome": "Welcome to the group!",
+      "group.leaveConfirm": "Leave this group?",
+      "group.left": "You left the group.",
+      "group.newCodeDone": "New invite code created; the old one no longer works.",
+      "tournaments.hint": "Register while a tournament is open; only runs inside its window count.",
+      "tournaments.archive": "Results archive",
+      "tournaments.col.name": "Tournament",
+      "tournaments.col.scoring": "Scoring",
+      "tournaments.col.window": "Window",
+      "tournaments.col.status": "Status",
+      "tournaments.col.players": "Players",
+      "tournaments.empty": "No tournaments scheduled right now.",
+      "tournaments.emptyArchive": "No finished tournaments yet.",
+      "tournaments.failed": "Failed to load tournaments.",
+      "tournament.scoring.top": "average of top {n}",
+      "tournament.scoring.best": "best run",
+      "tournament.status.live": "🟢 live",
+      "tournament.status.upcoming": "upcoming",
+      "tournament.status.finalizing": "counting last runs",
+      "tournament.status.finished": "final",
+      "tournament.noPunctuation": "no punctuation",
+      "tournament.noNumbers": "no numbers",
+      "tournament.notFound": "Tournament not found",
+      "tournament.finalFrom": "final results from {time}",
+      "tournament.scoreTop": "Avg of top {n}",
+      "tournament.col.score": "Score",
+      "tournament.col.runs": "Runs",
+      "tournament.noRuns": "no runs yet",
+      "tournament.empty": "Nobody has registered yet.",
+      "tournament.register": "Register",
+      "tournament.leave": "Leave tournament",
+      "tournament.loginToRegister": "Log in to register",
+      "tournament.joined": "You're in! Runs inside the window count automatically.",
+      "tournament.left": "You left the tournament.",
+      "admin.done": "{label}: done.",
+      "admin.delete": "Delete",
+      "admin.revoke": "Revoke",
+      "admin.approve": "Approve",
+      "admin.reject": "Reject",
+      "admin.decidedBy": "{status} by {admin}",
+      "admin.none": "Nothing yet.",
+      "admin.when": "When",
+      "admin.note": "Note",
+      "admin.notePlaceholder": "Note (optional)",
+      "admin.members.title": "Members",
+      "admin.members.hint": "Hidden members stay refreshed but are left off public boards. Banned members are also not refreshed and can't log in.",
+      "admin.members.reason": "Reason (optional, saved in the audit log)",
+      "admin.members.role": "Role",
+      "admin.members.state": "State",
+      "admin.members.refresh": "Refresh",
+      "admin.members.actions": "Actions",
+      "admin.members.empty": "No members yet.",
+      "admin.state.banned": "banned",
+      "admin.state.hidden": "hidden",
+      "admin.state.abroad": "approved abroad ({via})",
+      "admin.state.visible": "visible",
+      "admin.refresh.ok": "ok · {time}",
+      "admin.refresh.pending": "pending",
+      "admin.action.hide": "Hide",
+      "admin.action.unhide": "Unhide",
+      "admin.action.ban": "Ban",
+      "admin.action.unban": "Unban",
+      "admin.action.refresh": "Refresh now",
+      "admin.action.promote": "Make admin",
+      "admin.action.demote": "Demote",
+      "admin.action.approveAbroad": "Approve abroad",
+      "admin.action.revokeAbroad": "Revoke abroad",
+      "admin.action.remove": "Remove",
+      "admin.action.removeConfirm": "Remove {name} with their Ape Key and history? This can't be undone.",
+      "admin.review.title": "Review queue",
+      "admin.review.hint": "Runs flagged by the anomaly checks stay off the board until approved. Rejected runs are not queued again.",
+      "admin.review.detected": "Detected",
+      "admin.review.member": "Member",
+      "admin.review.run": "Run",
+      "admin.review.why": "Why",
+      "admin.review.decision": "Decision",
+      "admin.review.empty": "Nothing flagged.",
+      "admin.review.restarts": "{n} restarts",
+      "admin.tournaments.name": "Tournament name",
+      "admin.tournaments.language": "Language (optional, e.g. hebrew)",
+      "admin.tournaments.punctuationAny": "Punctuation: any",
+      "admin.tournaments.punctuationOn": "Punctuation on",
+      "admin.tournaments.punctuationOff": "Punctuation off",
+      "admin.tournaments.best": "Best run",
+      "admin.tournaments.top": "Average of top N",
+      "admin.tournaments.start": "Start",
+      "admin.tournaments.end": "End",
+      "admin.tournaments.create": "Create tournament",
+      "admin.tournaments.empty": "No tournaments yet.",
+      "admin.tournaments.deleteConfirm": "Delete this tournament and its standings?",
+      "admin.tournaments.delete": "Delete tournament",
+      "admin.tournaments.created": "Tournament “{name}” created.",
+      "admin.webhooks.title": "Webhooks",
+      "admin.webhooks.hint": "Leaderboard announcements (took #1, entered the top 10, new PB) POSTed to your URLs. Requests are signed with <code>X-MTIL-Signature</code>: HMAC-SHA256 of <code>timestamp.body</code> with the endpoint secret.",
+      "admin.webhooks.format": "Format",
+      "admin.webhooks.discord": "Discord embed",
+      "admin.webhooks.json": "Raw JSON",
+      "admin.webhooks.first": "took #1",
+      "admin.webhooks.top10": "top 10",
+      "admin.webhooks.pb": "new PB",
+      "admin.webhooks.add": "Add webhook",
+      "admin.webhooks.events": "Events",
+      "admin.webhooks.secret": "Secret",
+      "admin.webhooks.empty": "No webhooks yet.",
+      "admin.webhooks.test": "Send test",
+      "admin.webhooks.deleteConfirm": "Delete this webhook?",
+      "admin.webhooks.added": "Webhook added. Signing secret (shown only once): {secret}",
+      "admin.deliveries.title": "Recent deliveries",
+      "admin.deliveries.event": "Event",
+      "admin.deliveries.attempts": "Attempts",
+      "admin.deliveries.empty": "Nothing sent yet.",
+      "admin.deliveries.retrying": "retrying at {time}",
+      "admin.tokens.title": "API tokens",
+      "admin.tokens.hint": "Tokens for the public <a href=\"/api/v1/openapi.json\">/api/v1</a>, sent as <code>Authorization: Bearer mtil_…</code>. Each one has its own requests-per-minute limit; requests without a token share a small per-IP limit.",
+      "admin.tokens.name": "Name",
+      "admin.tokens.namePlaceholder": "Name (e.g. stream overlay)",
+      "admin.tokens.owner": "Owner",
+      "admin.tokens.ownerPlaceholder": "Owner username (optional)",
+      "admin.tokens.rate": "Requests per minute",
+      "admin.tokens.ratePlaceholder": "Requests / minute (default 120)",
+      "admin.tokens.issue": "Issue token",
+      "admin.tokens.token": "Token",
+      "admin.tokens.limit": "Limit",
+      "admin.tokens.perMinute": "{n}/min",
+      "admin.tokens.lastUsed": "Last used",
+      "admin.tokens.empty": "No tokens issued.",
+      "admin.tokens.revokeConfirm": "Revoke this token? Clients using it get 401 right away.",
+      "admin.tokens.revoke": "Revoke token",
+      "admin.tokens.issued": "Token “{name}” issued (shown only once): {token}",
+      "admin.abroad.title": "Members abroad",
+      "admin.abroad.hint": "Israelis abroad or on VPNs join with an invite code, or send a request from the restricted join page. Approval is kept on the member, so they can log in from anywhere; revoke it from the member list.",
+      "admin.abroad.notePlaceholder": "Note (e.g. who it's for)",
+      "admin.abroad.uses": "Uses",
+      "admin.abroad.usesPlaceholder": "Uses (default 1)",
+      "admin.abroad.days": "Valid for days",
+      "admin.abroad.daysPlaceholder": "Valid for days (default 14)",
+      "admin.abroad.create": "Create invite code",
+      "admin.abroad.code": "Code",
+      "admin.abroad.used": "Used",
+      "admin.abroad.expires": "Expires",
+      "admin.abroad.empty": "No invite codes.",
+      "admin.abroad.revoked": "revoked",
+      "admin.abroad.revokeConfirm": "Revoke this invite code?",
+      "admin.abroad.revoke": "Revoke invite",
+      "admin.abroad.created": "Invite code (shown only once): {code}",
+      "admin.vouches.title": "Requests",
+      "admin.vouches.voucher": "Vouched by",
+      "admin.vouches.message": "Message",
+      "admin.vouches.sent": "Sent",
+      "admin.vouches.empty": "No requests.",
+      "admin.vouches.decide": "{decision} request",
+      "admin.geo.title": "Israel-only gate",
+      "admin.geo.hint": "Rules are checked before the country lookup: <b>allow</b> lets an address or range in from anywhere, <b>deny</b> keeps it out. The most specific range wins.",
+      "admin.geo.status": "Providers: {providers}. Local database: {database}.",
+      "admin.geo.loaded": "{v4} IPv4 / {v6} IPv6 ranges, file from {time}",
+      "admin.geo.notLoaded": "not loaded ({error}) — run npm run geo:refresh",
+      "admin.geo.cidrPlaceholder": "IP or range (e.g. 203.0.113.0/24)",
+      "admin.geo.rule": "Rule",
+      "admin.geo.allow": "allow",
+      "admin.geo.deny": "deny",
+      "admin.geo.add": "Add rule",
+      "admin.geo.range": "Range",
+      "admin.geo.added": "Added",
+      "admin.geo.empty": "No rules.",
+      "admin.geo.deleteConfirm": "Delete this rule?",
+      "admin.geo.delete": "Delete rule",
+      "admin.geo.ruleAdded": "Rule added: {action} {cidr}.",
+      "admin.geo.check": "Check",
+      "admin.geo.checkPlaceholder": "Check an IP",
+      "admin.geo.checkLabel": "Check IP",
+      "admin.geo.byRule": "{action} rule {cidr}",
+      "admin.geo.private": "private address (development)",
+      "admin.geo.country": "country {country}",
+      "admin.geo.via": "{country} via {provider}",
+      "admin.geo.unknown": "unknown",
+      "admin.geo.allowed": "{ip}: allowed — {why}.",
+      "admin.geo.refused": "{ip}: refused — {why}.",
+      "admin.audit.title": "Audit log",
+      "admin.audit.admin": "Admin",
+      "admin.audit.action": "Action",
+      "admin.audit.details": "Details",
+      "admin.audit.failed": "failed: {error}",
+      "admin.audit.more": "Older entries",
+      "footer": "Made for the 🇮🇱 typing community • Auto-refreshes every few minutes • Made By Leshem",
+      "footer.short": "Made for the 🇮🇱 typing community • Made By Leshem",
+    },
+    he: {
+      "title": "טבלת המובילים של Monkeytype ישראל",
+      "lang.switch": "English",
+      "lang.switchLabel": "Switch to English",
+      "nav.login": "התחברות עם Monkeytype",
+      "nav.account": "החשבון שלי ({name})",
+      "nav.admin": "ניהול",
+      "nav.tournaments": "טורנירים",
+      "nav.groups": "קבוצות",
+      "nav.discord": "תמיכה בדיסקורד",
+      "nav.refresh": "↻ רענון",
+      "nav.refreshLabel": "רענון הטבלה",
+      "nav.logout": "התנתקות",
+      "nav.myAccount": "החשבון שלי",
+      "nav.backLeaderboard": "→ טבלת המובילים",
+      "nav.backGroups": "→ קבוצות",
+      "nav.backTournaments": "→ טורנירים",
+      "board.title": "טבלה חיה",
+      "board.hint": "מוצגים רק משתמשים שזוהו בישראל. הטבלה מתעדכנת אוטומטית.",
+      "board.loading": "טוען…",
+      "board.empty": "אין עדיין תוצאות — לחצו על „התחברות עם Monkeytype” כדי להצטרף.",
+      "board.failed": "טעינת הטבלה נכשלה.",
+      "mode.time": "זמן {n} שנ׳",
+      "mode.words": "{n} מילים",
+      "tab.time": "{n} שנ׳",
+      "tab.words": "{n} מילים",
+      "filter.season": "עונה",
+      "filter.language": "שפה",
+      "filter.punctuation": "פיסוק",
+      "filter.numbers": "מספרים",
+      "filter.difficulty": "רמת קושי",
+      "filter.any": "הכול",
+      "filter.on": "עם",
+      "filter.off": "בלי",
+      "season.all": "כל הזמנים",
+      "season.week": "השבוע",
+      "season.month": "החודש",
+      "season.year": "השנה",
+      "season.past": "עונות קודמות",
+      "season.kind.week": "שבוע",
+      "season.kind.month": "חודש",
+      "season.kind.year": "שנה",
+      "season.final": "(סופי)",
+      "language.hebrew": "עברית",
+      "language.english": "אנגלית",
+      "difficulty.normal": "רגיל",
+      "difficulty.expert": "מומחה",
+      "difficulty.master": "מאסטר",
+      "config.punctuation": "פיסוק",
+      "config.numbers": "מספרים",
+      "config.lazy": "מצב עצל",
+      "col.rank": "דירוג",
+      "col.username": "שם משתמש",
+      "col.wpm": "WPM",
+      "col.accuracy": "דיוק",
+      "col.updated": "עודכן לאחרונה",
+      "table.search": "חיפוש משתמשים",
+      "table.findMe": "קפיצה לדירוג שלי",
+      "table.notRanked": "עדיין אין לך תוצאה בטבלה הזו.",
+      "table.noMatch": "אין משתמשים שתואמים ל„{q}”.",
+      "table.prev": "הקודם",
+      "table.next": "הבא",
+      "table.range": "{from}–{to} מתוך {total}",
+      "history.button": "הצגת התקדמות",
+      "history.buttonLabel": "הצגת ההתקדמות של {name}",
+      "history.title": "התקדמות — {name} ({mode})",
+      "history.hint": "קו: השיא האישי לאורך זמן · נקודות: כל שיפור שנרשם.",
+      "history.loading": "טוען…",
+      "history.failed": "טעינת ההיסטוריה נכשלה.",
+      "chart.empty": "אין עדיין תוצאות רשומות בקטגוריה הזו.",
+      "chart.label": "WPM לאורך זמן",
+      "demo.title": "מצב הדגמה",
+      "demo.body": "השרת הזה משתמש ב-OAuth מדומה ובנתוני Monkeytype מדומים. חברו מפתחות API אמיתיים כדי לעלות לאוויר.",
+      "profile.loading": "טוען…",
+      "profile.meta": "הצטרפות: {joined} · עדכון אחרון: {refreshed}",
+      "profile.notFound": "המשתמש לא נמצא",
+      "profile.noMember": "אין משתמש בשם „{name}”.",
+      "profile.noResults": "אין עדיין תוצאות.",
+      "profile.failed": "טעינת הפרופיל נכשלה",
+      "profile.mode": "מצב",
+      "profile.best": "שיא WPM",
+      "profile.accuracy": "דיוק",
+      "profile.rank": "דירוג בישראל",
+      "profile.percentile": "אחוזון",
+      "profile.of": "מתוך {total}",
+      "profile.fasterThan": "מהיר מ-{percent}",
+      "profile.progress": "התקדמות",
+      "profile.progressFor": "התקדמות — {mode}",
+      "filter.mode": "מצב",
+      "account.heading": "החשבון שלי:",
+      "account.meta": "הצטרפות: {joined} · עדכון אחרון: {refreshed} · מפתח {key}",
+      "account.revoked": "⚠ ‏Monkeytype דחה את מפתח ה-Ape שלכם — החליפו אותו למטה",
+      "account.refreshError": "שגיאה בעדכון האחרון: {error}",
+      "account.linked": "מקושר אל {name} מאז {since}.",
+      "account.key.title": "החלפת מפתח Ape",
+      "account.key.hint": "השתמשו בזה כשהמפתח פג או כשיצרתם מפתח חדש. המפתח נבדק מול Monkeytype לפני שהמפתח הישן נמחק.",
+      "account.key.button": "החלפת מפתח",
+      "account.key.done": "מפתח ה-Ape הוחלף.",
+      "account.name.title": "שינוי שם משתמש",
+      "account.name.button": "שינוי שם",
+      "account.name.done": "השם שלכם עכשיו „{name}”.",
+      "account.monkeytype.title": "התחברות עם Monkeytype",
+      "account.monkeytype.info": "קשרו את חשבון ה-Monkeytype שלכם כדי להתחבר בלי מפתח ה-Ape.",
+      "account.monkeytype.link": "קישור חשבון Monkeytype",
+      "account.monkeytype.unlink": "ביטול הקישור ל-Monkeytype",
+      "account.monkeytype.you": "חשבון ה-Monkeytype שלכם",
+      "account.monkeytype.done": "הקישור ל-Monkeytype בוטל. מעכשיו התחברו עם מפתח ה-Ape.",
+      "account.discord.title": "דיסקורד",
+      "account.discord.info": "הריצו <code>/link</code> בשרת הדיסקורד שלנו כדי לחבר את חשבון הדיסקורד שלכם.",
+      "account.discord.unlink": "ביטול הקישור לדיסקורד",
+      "account.discord.you": "חשבון הדיסקורד שלכם",
+      "account.discord.done": "הקישור לדיסקורד בוטל.",
+      "account.embed.title": "הטמעה",
+      "account.embed.hint": "הציגו את הדירוג שלכם בפרופיל GitHub או בשכבת סטרים. הוסיפו <code>&amp;mode2=60</code>, <code>&amp;theme=dark</code> או <code>&amp;accent=e2b714</code> לכתובות כדי לשנות את הטבלה או את הצבעים.",
+      "account.embed.badgeAlt": "תג הדירוג שלי",
+      "account.embed.badge": "תג (Markdown)",
+      "account.embed.widget": "ווידג׳ט 10 המובילים (HTML)",
+      "account.export.title": "הורדת המידע שלי",
+      "account.export.hint": "כל מה שנשמר עליכם, כקובץ JSON (מפתח ה-Ape מוצג רק בתצוגה מקוצרת).",
+      "account.export.button": "הורדת JSON",
+      "account.delete.title": "מחיקת החשבון",
+      "account.delete.hint": "מוחק את הרשומה שלכם בטבלה, את מפתח ה-Ape, את ההיסטוריה ואת מצב העדכון. אי אפשר לבטל את זה.",
+      "account.delete.placeholder": "הקלידו את שם המשתמש לאישור",
+      "account.delete.button": "מחיקת החשבון שלי",
+      "account.delete.confirm": "למחוק את החשבון ואת כל המידע השמור?",
+      "groups.title": "דירוג קבוצות",
+      "groups.hint": "הקבוצות מדורגות לפי ממוצע ה-WPM של 5 החברים המובילים בהן. חבר בלי תוצאה נספר כ-0, כך שקבוצה קטנה צריכה חמישה מקלידים לציון מלא.",
+      "groups.col.group": "קבוצה",
+      "groups.col.avg": "ממוצע 5 המובילים",
+      "groups.col.members": "מדורגים / חברים",
+      "groups.empty": "אין עדיין קבוצות — צרו את הראשונה.",
+      "groups.inviteOnly": "בהזמנה בלבד",
+      "groups.open": "פתוחה",
+      "groups.member": "✓ חבר/ה",
+      "groups.join": "הצטרפות",
+      "groups.joined": "הצטרפתם!",
+      "groups.create.title": "יצירת קבוצה",
+      "groups.create.hint": "קבוצה בהזמנה מקבלת קוד שאפשר לשתף; לקבוצה פתוחה כל אחד יכול להצטרף.",
+      "groups.create.placeholder": "למשל: תיכון הרצליה י״א",
+      "groups.create.kind": "סוג",
+      "groups.create.visibility": "נראות",
+      "groups.create.inviteCode": "קוד הזמנה",
+      "groups.create.open": "פתוחה",
+      "groups.create.button": "יצירה",
+      "groups.kind.school": "בית ספר",
+      "groups.kind.army": "יחידה בצבא",
+      "groups.kind.company": "חברה",
+      "groups.kind.city": "עיר",
+      "groups.kind.other": "אחר",
+      "group.notFound": "הקבוצה לא נמצאה",
+      "group.members": "{n} חברים",
+      "group.oneMember": "חבר אחד",
+      "group.codePlaceholder": "קוד הזמנה",
+      "group.join": "הצטרפות לקבוצה",
+      "group.newCode": "קוד הזמנה חדש",
+      "group.leave": "עזיבת הקבוצה",
+      "group.inviteLink": "קישור הזמנה: {link}",
+      "group.empty": "אין עדיין חברים מדורגים בטבלה הזו.",
+      "group.welcome": "ברוכים הבאים לקבוצה!",
+      "group.leaveConfirm": "לעזוב את הקבוצה?",
+      "group.left": "עזבתם את הקבוצה.",
+      "group.newCodeDone": "נוצר קוד הזמנה חדש; הקוד הקודם כבר לא עובד.",
+      "tournaments.hint": "הירשמו כל עוד הטורניר פתוח; רק ריצות בתוך חלון הזמן נספרות.",
+      "tournaments.archive": "ארכיון תוצאות",
+      "tournaments.col.name": "טורניר",
+      "tournaments.col.scoring": "ניקוד",
+      "tournaments.col.window": "חלון זמן",
+      "tournaments.col.status": "מצב",
+      "tournaments.col.players": "משתתפים",
+      "tournaments.empty": "אין כרגע טורנירים מתוכננים.",
+      "tournaments.emptyArchive": "אין עדיין טורנירים שהסתיימו.",
+      "tournaments.failed": "טעינת הטורנירים נכשלה.",
+      "tournament.scoring.top": "ממוצע {n} הטובות",
+      "tournament.scoring.best": "הריצה הטובה ביותר",
+      "tournament.status.live": "🟢 פעיל",
+      "tournament.status.upcoming": "בקרוב",
+      "tournament.status.finalizing": "סופרים ריצות אחרונות",
+      "tournament.status.finished": "סופי",
+      "tournament.noPunctuation": "בלי פיסוק",
+      "tournament.noNumbers": "בלי מספרים",
+      "tournament.notFound": "הטורניר לא נמצא",
+      "tournament.finalFrom": "תוצאות סופיות מ-{time}",
+      "tournament.scoreTop": "ממוצע {n} הטובות",
+      "tournament.col.score": "ניקוד",
+      "tournament.col.runs": "ריצות",
+      "tournament.noRuns": "אין עדיין ריצות",
+      "tournament.empty": "עוד אף אחד לא נרשם.",
+      "tournament.register": "הרשמה",
+      "tournament.leave": "עזיבת הטורניר",
+      "tournament.loginToRegister": "התחברו כדי להירשם",
+      "tournament.joined": "נרשמתם! ריצות בתוך חלון הזמן נספרות אוטומטית.",
+      "tournament.left": "עזבתם את הטורניר.",
+      "admin.done": "{label}: בוצע.",
+      "admin.delete": "מחיקה",
+      "admin.revoke": "ביטול",
+      "admin.approve": "אישור",
+      "admin.reject": "דחייה",
+      "admin.decidedBy": "{status} על ידי {admin}",
+      "admin.none": "אין עדיין כלום.",
+      "admin.when": "מתי",
+      "admin.note": "הערה",
+      "admin.notePlaceholder": "הערה (לא חובה)",
+      "admin.members.title": "חברים",
+      "admin.members.hint": "חברים מוסתרים ממשיכים להתעדכן אבל לא מוצגים בטבלאות הציבוריות. חברים חסומים גם לא מתעדכנים ולא יכולים להתחבר.",
+      "admin.members.reason": "סיבה (לא חובה, נשמרת ביומן הפעולות)",
+      "admin.members.role": "תפקיד",
+      "admin.members.state": "מצב",
+      "admin.members.refresh": "עדכון",
+      "admin.members.actions": "פעולות",
+      "admin.members.empty": "אין עדיין חברים.",
+      "admin.state.banned": "חסום",
+      "admin.state.hidden": "מוסתר",
+      "admin.state.abroad": "מאושר מחו״ל ({via})",
+      "admin.state.visible": "גלוי",
+      "admin.refresh.ok": "תקין · {time}",
+      "admin.refresh.pending": "ממתין",
+      "admin.action.hide": "הסתרה",
+      "admin.action.unhide": "ביטול הסתרה",
+      "admin.action.ban": "חסימה",
+      "admin.action.unban": "ביטול חסימה",
+      "admin.action.refresh": "עדכון עכשיו",
+      "admin.action.promote": "מינוי למנהל",
+      "admin.action.demote": "הסרת הרשאות ניהול",
+      "admin.action.approveAbroad": "אישור מחו״ל",
+      "admin.action.revokeAbroad": "ביטול אישור מחו״ל",
+      "admin.action.remove": "הסרה",
+      "admin.action.removeConfirm": "להסיר את {name} יחד עם מפתח ה-Ape וההיסטוריה? אי אפשר לבטל את זה.",
+      "admin.review.title": "תור בדיקה",
+      "admin.review.hint": "ריצות שסומנו בבדיקות החריגות לא מופיעות בטבלה עד שמאשרים אותן. ריצות שנדחו לא נכנסות לתור שוב.",
+      "admin.review.detected": "זוהה",
+      "admin.review.member": "חבר",
+      "admin.review.run": "ריצה",
+      "admin.review.why": "סיבה",
+      "admin.review.decision": "החלטה",
+      "admin.review.empty": "אין ריצות מסומנות.",
+      "admin.review.restarts": "{n} התחלות מחדש",
+      "admin.tournaments.name": "שם הטורניר",
+      "admin.tournaments.language": "שפה (לא חובה, למשל hebrew)",
+      "admin.tournaments.punctuationAny": "פיסוק: הכול",
+      "admin.tournaments.punctuationOn": "עם פיסוק",
+      "admin.tournaments.punctuationOff": "בלי פיסוק",
+      "admin.tournaments.best": "הריצה הטובה ביותר",
+      "admin.tournaments.top": "ממוצע N הטובות",
+      "admin.tournaments.start": "התחלה",
+      "admin.tournaments.end": "סיום",
+      "admin.tournaments.create": "יצירת טורניר",
+      "admin.tournaments.empty": "אין עדיין טורנירים.",
+      "admin.tournaments.deleteConfirm": "למחוק את הטורניר ואת הדירוג שלו?",
+      "admin.tournaments.delete": "מחיקת טורניר",
+      "admin.tournaments.created": "הטורניר „{name}” נוצר.",
+      "admin.webhooks.title": "Webhooks",
+      "admin.webhooks.hint": "הודעות על הטבלה (מקום ראשון, כניסה ל-10 המובילים, שיא חדש) נשלחות ב-POST לכתובות שלכם. הבקשות חתומות ב-<code>X-MTIL-Signature</code>: ‏HMAC-SHA256 של <code>timestamp.body</code> עם הסוד של הכתובת.",
+      "admin.webhooks.format": "פורמט",
+      "admin.webhooks.discord": "הטמעה בדיסקורד",
+      "admin.webhooks.json": "JSON גולמי",
+      "admin.webhooks.first": "מקום ראשון",
+      "admin.webhooks.top10": "10 המובילים",
+      "admin.webhooks.pb": "שיא חדש",
+      "admin.webhooks.add": "הוספת webhook",
+      "admin.webhooks.events": "אירועים",
+      "admin.webhooks.secret": "סוד",
+      "admin.webhooks.empty": "אין עדיין webhooks.",
+      "admin.webhooks.test": "שליחת בדיקה",
+      "admin.webhooks.deleteConfirm": "למחוק את ה-webhook?",
+      "admin.webhooks.added": "ה-webhook נוסף. סוד החתימה (מוצג פעם אחת בלבד): {secret}",
+      "admin.deliveries.title": "משלוחים אחרונים",
+      "admin.deliveries.event": "אירוע",
+      "admin.deliveries.attempts": "ניסיונות",
+      "admin.deliveries.empty": "עוד לא נשלח כלום.",
+      "admin.deliveries.retrying": "ניסיון חוזר ב-{time}",
+      "admin.tokens.title": "אסימוני API",
+      "admin.tokens.hint": "אסימונים ל-<a href=\"/api/v1/openapi.json\">/api/v1</a> הציבורי, נשלחים כ-<code>Authorization: Bearer mtil_…</code>. לכל אסימון מגבלת בקשות לדקה משלו; בקשות בלי אסימון חולקות מגבלה קטנה לכל IP.",
+      "admin.tokens.name": "שם",
+      "admin.tokens.namePlaceholder": "שם (למשל שכבת סטרים)",
+      "admin.tokens.owner": "בעלים",
+      "admin.tokens.ownerPlaceholder": "שם המשתמש של הבעלים (לא חובה)",
+      "admin.tokens.rate": "בקשות לדקה",
+      "admin.tokens.ratePlaceholder": "בקשות לדקה (ברירת מחדל 120)",
+      "admin.tokens.issue": "הנפקת אסימון",
+      "admin.tokens.token": "אסימון",
+      "admin.tokens.limit": "מגבלה",
+      "admin.tokens.perMinute": "{n} לדקה",
+      "admin.tokens.lastUsed": "שימוש אחרון",
+      "admin.tokens.empty": "לא הונפקו אסימונים.",
+      "admin.tokens.revokeConfirm": "לבטל את האסימון? לקוחות שמשתמשים בו יקבלו 401 מיד.",
+      "admin.tokens.revoke": "ביטול אסימון",
+      "admin.tokens.issued": "האסימון „{name}” הונפק (מוצג פעם אחת בלבד): {token}",
+      "admin.abroad.title": "חברים בחו״ל",
+      "admin.abroad.hint": "ישראלים בחו״ל או מאחורי VPN מצטרפים עם קוד הזמנה, או שולחים בקשה מדף ההצטרפות המוגבל. האישור נשמר על החבר, כך שאפשר להתחבר מכל מקום; מבטלים אותו מרשימת החברים.",
+      "admin.abroad.notePlaceholder": "הערה (למשל בשביל מי)",
+      "admin.abroad.uses": "שימושים",
+      "admin.abroad.usesPlaceholder": "שימושים (ברירת מחדל 1)",
+      "admin.abroad.days": "תוקף בימים",
+      "admin.abroad.daysPlaceholder": "תוקף בימים (ברירת מחדל 14)",
+      "admin.abroad.create": "יצירת קוד הזמנה",
+      "admin.abroad.code": "קוד",
+      "admin.abroad.used": "נוצל",
+      "admin.abroad.expires": "תפוגה",
+      "admin.abroad.empty": "אין קודי הזמנה.",
+      "admin.abroad.revoked": "בוטל",
+      "admin.abroad.revokeConfirm": "לבטל את קוד ההזמנה?",
+      "admin.abroad.revoke": "ביטול הזמנה",
+      "admin.abroad.created": "קוד הזמנה (מוצג פעם אחת בלבד): {code}",
+      "admin.vouches.title": "בקשות",
+      "admin.vouches.voucher": "ממליץ",
+      "admin.vouches.message": "הודעה",
+      "admin.vouches.sent": "נשלחה",
+      "admin.vouches.empty": "אין בקשות.",
+      "admin.vouches.decide": "{decision} בקשה",
+      "admin.geo.title": "שער ישראל בלבד",
+      "admin.geo.hint": "הכללים נבדקים לפני איתור המדינה: <b>allow</b> מכניס כתובת או טווח מכל מקום, <b>deny</b> חוסם אותם. הטווח הספציפי ביותר קובע.",
+      "admin.geo.status": "ספקים: {providers}. מסד נתונים מקומי: {database}.",
+      "admin.geo.loaded": "{v4} טווחי IPv4 / {v6} טווחי IPv6, קובץ מ-{time}",
+      "admin.geo.notLoaded": "לא נטען ({error}) — הריצו npm run geo:refresh",
+      "admin.geo.cidrPlaceholder": "כתובת IP או טווח (למשל 203.0.113.0/24)",
+      "admin.geo.rule": "כלל",
+      "admin.geo.allow": "allow",
+      "admin.geo.deny": "deny",
+      "admin.geo.add": "הוספת כלל",
+      "admin.geo.range": "טווח",
+      "admin.geo.added": "נוסף",
+      "admin.geo.empty": "אין כללים.",
+      "admin.geo.deleteConfirm": "למחוק את הכלל?",
+      "admin.geo.delete": "מחיקת כלל",
+      "admin.geo.ruleAdded": "הכלל נוסף: {action} {cidr}.",
+      "admin.geo.check": "בדיקה",
+      "admin.geo.checkPlaceholder": "בדיקת כתובת IP",
+      "admin.geo.checkLabel": "בדיקת IP",
+      "admin.geo.byRule": "כלל {action} ‏{cidr}",
+      "admin.geo.private": "כתובת פרטית (פיתוח)",
+      "admin.geo.country": "מדינה {country}",
+      "admin.geo.via": "{country} דרך {provider}",
+      "admin.geo.unknown": "לא ידועה",
+      "admin.geo.allowed": "{ip}: מותר — {why}.",
+      "admin.geo.refused": "{ip}: נחסם — {why}.",
+      "admin.audit.title": "יומן פעולות",
+      "admin.audit.admin": "מנהל",
+      "admin.audit.action": "פעולה",
+      "admin.audit.details": "פרטים",
+      "admin.audit.failed": "נכשל: {error}",
+      "admin.audit.more": "רשומות ישנות יותר",
+      "footer": "נבנה עבור קהילת ההקלדה הישראלית 🇮🇱 • מתעדכן אוטומטית כל כמה דקות • נבנה על ידי לשם",
+      "footer.short": "נבנה עבור קהילת ההקלדה הישראלית 🇮🇱 • נבנה על ידי לשם",
+    },
+  };
+
+  // same order as the server: cookie, then the browser's languages, then English
+  function pickLang() {
+    const cookie = document.cookie.split("; ").find((c) => c.startsWith("lang="))?.slice(5);
+    if (SUPPORTED.includes(cookie)) return cookie;
+    for (const l of navigator.languages || [navigator.language]) {
+      const primary = String(l || "").toLowerCase().split("-")[0];
+      if (primary === "iw") return "he"; // legacy code for Hebrew
+      if (SUPPORTED.includes(primary)) return primary;
+    }
+    return "en";
+  }
+
+  const lang = pickLang();
+  const locale = LOCALES[lang];
+  document.documentElement.lang = lang;
+  document.documentElement.dir = RTL.has(lang) ? "rtl" : "ltr";
+
+  function t(key, vars = {}) {
+    const s = CATALOGS[lang][key] ?? CATALOGS.en[key] ?? key;
+    return s.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+  }
+
+  function num(n, opts = {}) {
+    const v = Number(n);
+    return Number.isFinite(v) ? new Intl.NumberFormat(locale, opts).format(v) : "—";
+  }
+
+  // 97.5 → "97.50%"
+  const percent = (n, digits = 2) =>
+    Number.isFinite(Number(n))
+      ? new Intl.NumberFormat(locale, { style: "percent", minimumFractionDigits: digits, maximumFractionDigits: digits }).format(Number(n) / 100)
+      : "—";
+
+  function date(iso, opts = { dateStyle: "medium", timeStyle: "short" }) {
+    const d = new Date(iso);
+    return iso == null || Number.isNaN(d.getTime()) ? "—" : new Intl.DateTimeFormat(locale, opts).format(d);
+  }
+
+  const day = (iso) => date(iso, { dateStyle: "medium" });
+
+  const modeName = (mode, mode2) => t(mode === "time" ? "mode.time" : "mode.words", { n: mode2 });
+
+  function setLang(next) {
+    if (!SUPPORTED.includes(next)) return;
+    document.cookie = `lang=${next}; path=/; max-age=${365 * 24 * 60 * 60}; samesite=lax`;
+    location.reload();
+  }
+
+  // data-i18n="key" sets the text and data-i18n-html the markup (catalog strings
+  // only, never user input); data-i18n-aria-label / -title / -placeholder / -alt
+  // set attributes; a <select data-i18n-modes> with "time:15" values gets mode names
+  function apply(root = document) {
+    root.querySelectorAll("[data-i18n]").forEach((el) => (el.textContent = t(el.dataset.i18n)));
+    root.querySelectorAll("[data-i18n-html]").forEach((el) => (el.innerHTML = t(el.dataset.i18nHtml)));
+    root.querySelectorAll("[data-i18n-alt]").forEach((el) => el.setAttribute("alt", t(el.dataset.i18nAlt)));
+    root.querySelectorAll("select[data-i18n-modes] option").forEach((o) => (o.textContent = modeName(...o.value.split(":"))));
+    root.querySelectorAll("[data-i18n-aria-label]").forEach((el) => el.setAttribute("aria-label", t(el.dataset.i18nAriaLabel)));
+    root.querySelectorAll("[data-i18n-title]").forEach((el) => el.setAttribute("title", t(el.dataset.i18nTitle)));
+    root.querySelectorAll("[data-i18n-placeholder]").forEach((el) => el.setAttribute("placeholder", t(el.dataset.i18nPlaceholder)));
+    const switcher = root.getElementById?.("langSwitch");
+    if (switcher) {
+      switcher.textContent = t("lang.switch");
+      switcher.setAttribute("aria-label", t("lang.switchLabel"));
+      switcher.lang = lang === "he" ? "en" : "he";
+      switcher.addEventListener("click", () => setLang(lang === "he" ? "en" : "he"));
+    }
+  }
+
+  document.addEventListener("DOMContentLoaded", () => apply());
+
+  return { lang, locale, t, num, percent, date, day, modeName, setLang, apply };
+})();
@@ -0,0 +1,72 @@
+(async function () {
+  const username = decodeURIComponent(location.pathname.replace(/^\/u\//, "").replace(/\/$/, ""));
+  const nameEl = document.getElementById("profileName");
+  const metaEl = document.getElementById("profileMeta");
+  const tbody = document.getElementById("pb-body");
+  const progressCard = document.getElementById("progressCard");
+  const progressTitle = document.getElementById("progressTitle");
+  const progressChart = document.getElementById("progressChart");
+
+  function escapeHtml(s) {
+    return String(s)
+      .replaceAll("&", "&amp;")
+      .replaceAll("<", "&lt;")
+      .replaceAll(">", "&gt;")
+      .replaceAll('"', "&quot;")
+      .replaceAll("'", "&#39;");
+  }
+
+  const { t, date, num, percent, modeName } = window.MTI18n;
+
+  async function showProgress(c) {
+    progressCard.hidden = false;
+    progressTitle.textContent = t("profile.progressFor", { mode: modeName(c.mode, c.mode2) });
+    progressChart.innerHTML = `<p class="muted">${escapeHtml(t("history.loading"))}</p>`;
+    try {
+      const qs = new URLSearchParams({ mode: c.mode, mode2: c.mode2 });
+      const r = await fetch(`/api/users/${encodeURIComponent(username)}/history?${qs}`);
+      const j = await r.json();
+      progressChart.innerHTML = window.MTChart.draw(j.points || []);
+    } catch (e) {
+      progressChart.innerHTML = `<p class="muted">${escapeHtml(t("history.failed"))}</p>`;
+      console.error(e);
+    }
+  }
+
+  try {
+    const r = await fetch(`/api/users/${encodeURIComponent(username)}`);
+    if (r.status === 404) {
+      nameEl.textContent = t("profile.notFound");
+      tbody.innerHTML = `<tr><td colspan="5" class="muted">${escapeHtml(t("profile.noMember", { name: username }))}</td></tr>`;
+      return;
+    }
+    const p = await r.json();
+    document.title = `${p.username} · ${t("title")}`;
+    nameEl.textContent = p.username;
+    metaEl.textContent = t("profile.meta", { joined: date(p.joinedAt), refreshed: date(p.lastRefreshedAt) });
+
+    if (p.categories.length === 0) {
+      tbody.innerHTML = `<tr><td colspan="5" class="muted">${escapeHtml(t("profile.noResults"))}</td></tr>`;
+      return;
+    }
+    tbody.innerHTML = p.categories
+      .map((c, i) => `
+        <tr>
+          <td><button type="button" class="linkish" data-idx="${i}">${escapeHtml(modeName(c.mode, c.mode2))}</button></td>
+          <td>${num(c.best.wpm)}</td>
+          <td>${percent(c.best.accuracy)}</td>
+          <td>#${num(c.rank)} <span class="muted">${escapeHtml(t("profile.of", { total: num(c.total) }))}</span></td>
+          <td>${escapeHtml(t("profile.fasterThan", { percent: percent(c.percentile, 0) }))}</td>
+        </tr>
+      `)
+      .join("");
+    tbody.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-idx]");
+      if (btn) showProgress(p.categories[Number(btn.dataset.idx)]);
+    });
+    showProgress(p.categories[0]);
+  } catch (e) {
+    nameEl.textContent = t("profile.failed");
+    console.error(e);
+  }
+})();
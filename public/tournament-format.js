@@ -0,0 +1,25 @@
+// Shared labels for the tournament pages: window.MTTournament
+(function () {
+  const i18n = window.MTI18n;
+  const fmtTime = (iso) => i18n.date(iso);
+  const LANGUAGES = new Set(["hebrew", "english"]);
+  const DIFFICULTIES = new Set(["normal", "expert", "master"]);
+  const STATUSES = new Set(["live", "upcoming", "finalizing", "finished"]);
+
+  function modeLabel(t) {
+    const parts = [i18n.modeName(t.mode, t.mode2)];
+    const f = t.filters || {};
+    if (f.language) parts.push(LANGUAGES.has(f.language) ? i18n.t(`language.${f.language}`) : f.language.replaceAll("_", " "));
+    if (f.punctuation !== undefined) parts.push(i18n.t(f.punctuation ? "config.punctuation" : "tournament.noPunctuation"));
+    if (f.numbers !== undefined) parts.push(i18n.t(f.numbers ? "config.numbers" : "tournament.noNumbers"));
+    if (f.difficulty) parts.push(DIFFICULTIES.has(f.difficulty) ? i18n.t(`difficulty.${f.difficulty}`) : f.difficulty);
+    if (f.lazyMode) parts.push(i18n.t("config.lazy"));
+    return parts.join(" · ");
+  }
+
+  const scoringLabel = (t) => (t.scoring.type === "top" ? i18n.t("tournament.scoring.top", { n: t.scoring.n }) : i18n.t("tournament.scoring.best"));
+  const windowLabel = (t) => `${fmtTime(t.startAt)} → ${fmtTime(t.endAt)}`;
+  const statusLabel = (t) => (STATUSES.has(t.status) ? i18n.t(`tournament.status.${t.status}`) : t.status);
+
+  window.MTTournament = { fmtTime, modeLabel, scoringLabel, windowLabel, statusLabel };
+})();
@@ -0,0 +1,104 @@
+(async function () {
+  const id = decodeURIComponent(location.pathname.replace(/^\/tournaments\//, "").replace(/\/$/, ""));
+  const nameEl = document.getElementById("tName");
+  const metaEl = document.getElementById("tMeta");
+  const statusEl = document.getElementById("tStatus");
+  const registerBtn = document.getElementById("registerBtn");
+  const joinLink = document.getElementById("joinLink");
+  const scoreHead = document.getElementById("scoreHead");
+  const tbody = document.getElementById("standings");
+  const { fmtTime, modeLabel, scoringLabel, windowLabel, statusLabel } = window.MTTournament;
+  const i18n = window.MTI18n;
+  let session = { loggedIn: false };
+  let registered = false;
+
+  function notify(text, ok = true) {
+    statusEl.hidden = false;
+    statusEl.textContent = text;
+    statusEl.classList.toggle("error", !ok);
+  }
+
+  function cell(text) {
+    return Object.assign(document.createElement("td"), { textContent: text });
+  }
+
+  async function load() {
+    const r = await fetch(`/api/tournaments/${encodeURIComponent(id)}`, { credentials: "same-origin" });
+    if (r.status === 404) {
+      nameEl.textContent = i18n.t("tournament.notFound");
+      tbody.replaceChildren();
+      return null;
+    }
+    const j = await r.json();
+    const t = j.tournament;
+    registered = j.registered;
+    document.title = `${t.name} · ${i18n.t("title")}`;
+    nameEl.textContent = t.name;
+    metaEl.textContent = `${modeLabel(t)} · ${scoringLabel(t)} · ${windowLabel(t)} · ${statusLabel(t)}` +
+      (j.finalizedAt ? ` · ${i18n.t("tournament.finalFrom", { time: fmtTime(j.finalizedAt) })}` : "");
+    scoreHead.textContent = t.scoring.type === "top" ? i18n.t("tournament.scoreTop", { n: t.scoring.n }) : i18n.t("profile.best");
+
+    const open = t.status === "live" || t.status === "upcoming";
+    registerBtn.hidden = !open || !session.loggedIn;
+    registerBtn.textContent = i18n.t(registered ? "tournament.leave" : "tournament.register");
+    joinLink.hidden = !open || session.loggedIn;
+
+    tbody.replaceChildren();
+    if (!j.standings.length) {
+      const tr = document.createElement("tr");
+      tr.append(Object.assign(cell(i18n.t("tournament.empty")), { colSpan: 5, className: "muted" }));
+      tbody.append(tr);
+    }
+    for (const s of j.standings) {
+      const tr = document.createElement("tr");
+      const nameTd = document.createElement("td");
+      nameTd.append(Object.assign(document.createElement("a"), { href: `/u/${encodeURIComponent(s.username)}`, textContent: s.username }));
+      if (session.username && s.username.toLowerCase() === session.username.toLowerCase()) tr.classList.add("is-me");
+      tr.append(
+        cell(s.score === null ? "—" : i18n.num(s.rank)),
+        nameTd,
+        cell(s.score === null ? i18n.t("tournament.noRuns") : i18n.num(s.score)),
+        cell(s.accuracy === null ? "—" : i18n.percent(s.accuracy)),
+        cell(i18n.num(s.runs)),
+      );
+      tbody.append(tr);
+    }
+    return t;
+  }
+
+  registerBtn.addEventListener("click", async () => {
+    registerBtn.disabled = true;
+    try {
+      const r = await fetch(`/api/tournaments/${encodeURIComponent(id)}/${registered ? "unregister" : "register"}`, {
+        method: "POST",
+        credentials: "same-origin",
+        headers: { "Content-Type": "application/json", "x-csrf-token": session.csrf },
+        body: "{}",
+      });
+      const j = await r.json().catch(() => ({ ok: false, error: `HTTP ${r.status}` }));
+      if (!r.ok || !j.ok) throw new Error(j.error || `HTTP ${r.status}`);
+      notify(i18n.t(j.registered ? "tournament.joined" : "tournament.left"));
+      await load();
+    } catch (e) {
+      notify(e.message, false);
+    } finally {
+      registerBtn.disabled = false;
+    }
+  });
+
+  session = await fetch("/api/session", { credentials: "same-origin" }).then((r) => r.json()).catch(() => session);
+  const t = await load();
+
+  // live standings: reload when one of this tournament's players brings in new runs
+  if (t && t.status !== "finished" && window.EventSource) {
+    let timer = null;
+    const es = new EventSource("/api/leaderboard/stream");
+    es.addEventListener("tournament", (e) => {
+      let ev;
+      try { ev = JSON.parse(e.data); } catch { return; }
+      if (!ev.tournaments?.includes(id)) return;
+      clearTimeout(timer);
+      timer = setTimeout(load, 400);
+    });
+  }
+})();
@@ -0,0 +1,39 @@
+(async function () {
+  const activeEl = document.getElementById("activeRows");
+  const archiveEl = document.getElementById("archiveRows");
+  const { modeLabel, scoringLabel, windowLabel, statusLabel } = window.MTTournament;
+  const i18n = window.MTI18n;
+  document.title = `${i18n.t("nav.tournaments")} · ${i18n.t("title")}`;
+
+  function message(text) {
+    const row = document.createElement("tr");
+    row.append(Object.assign(document.createElement("td"), { colSpan: 6, className: "muted", textContent: text }));
+    return row;
+  }
+
+  function row(t) {
+    const tr = document.createElement("tr");
+    const name = Object.assign(document.createElement("a"), { href: `/tournaments/${encodeURIComponent(t.id)}`, textContent: t.name });
+    const nameTd = document.createElement("td");
+    nameTd.append(name);
+    tr.append(nameTd);
+    for (const text of [modeLabel(t), scoringLabel(t), windowLabel(t), statusLabel(t), i18n.num(t.registered)]) {
+      tr.append(Object.assign(document.createElement("td"), { textContent: text }));
+    }
+    return tr;
+  }
+
+  function fill(tbody, list, empty) {
+    tbody.replaceChildren(...list.map(row));
+    if (!list.length) tbody.replaceChildren(message(empty));
+  }
+
+  try {
+    const { tournaments } = await (await fetch("/api/tournaments")).json();
+    fill(activeEl, tournaments.filter((t) => t.status !== "finished"), i18n.t("tournaments.empty"));
+    fill(archiveEl, tournaments.filter((t) => t.status === "finished"), i18n.t("tournaments.emptyArchive"));
+  } catch (e) {
+    activeEl.replaceChildren(message(i18n.t("tournaments.failed")));
+    console.error(e);
+  }
+})();
@@ -0,0 +1,29 @@
+// scripts/discord-register.js
+// Register (overwrite) the bot's slash commands. Point the application's
+// "Interactions Endpoint URL" at https://<site>/api/discord/interactions and
+// set DISCORD_PUBLIC_KEY on the server. Usage:
+//   DISCORD_APP_ID=... DISCORD_BOT_TOKEN=... [DISCORD_GUILD_ID=...] npm run discord:register
+// With DISCORD_GUILD_ID the commands are registered for that server only (instant).
+import "dotenv/config";
+import { COMMANDS } from "../lib/discord.js";
+
+const { DISCORD_APP_ID: appId, DISCORD_BOT_TOKEN: token, DISCORD_GUILD_ID: guildId } = process.env;
+if (!appId || !token) {
+  console.error("Set DISCORD_APP_ID and DISCORD_BOT_TOKEN.");
+  process.exit(1);
+}
+
+const url = guildId
+  ? `https://discord.com/api/v10/applications/${appId}/guilds/${guildId}/commands`
+  : `https://discord.com/api/v10/applications/${appId}/commands`;
+
+const r = await fetch(url, {
+  method: "PUT",
+  headers: { Authorization: `Bot ${token}`, "Content-Type": "application/json" },
+  body: JSON.stringify(COMMANDS),
+});
+if (!r.ok) {
+  console.error(`Registering commands failed (HTTP ${r.status}):`, await r.text());
+  process.exit(1);
+}
+console.log(`Registered ${COMMANDS.length} commands${guildId ? ` in guild ${guildId}` : " globally"}.`);
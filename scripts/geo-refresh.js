@@ -0,0 +1,62 @@
+// scripts/geo-refresh.js
+// Rebuild the offline country database (lib/geo-db.js) from the five regional
+// internet registries' delegation stats. A running server picks the new file
+// up within a minute. Usage:
+//   npm run geo:refresh
+//   GEO_DB_COUNTRIES=IL npm run geo:refresh    # keep only some countries (smaller file)
+//   GEO_DB_SOURCES=./ripe.txt,https://... npm run geo:refresh
+// The file goes to GEO_DB_FILE (default data/geo-cidrs.txt).
+import "dotenv/config";
+import fs from "fs/promises";
+import path from "path";
+import { geoDbFile, parseDelegated, buildGeoIndex } from "../lib/geo-db.js";
+
+const DEFAULT_SOURCES = [
+  "https://ftp.ripe.net/pub/stats/ripencc/delegated-ripencc-extended-latest",
+  "https://ftp.arin.net/pub/stats/arin/delegated-arin-extended-latest",
+  "https://ftp.apnic.net/stats/apnic/delegated-apnic-extended-latest",
+  "https://ftp.lacnic.net/pub/stats/lacnic/delegated-lacnic-extended-latest",
+  "https://ftp.afrinic.net/pub/stats/afrinic/delegated-afrinic-extended-latest",
+];
+
+const list = (v) => String(v || "").split(",").map((s) => s.trim()).filter(Boolean);
+const sources = list(process.env.GEO_DB_SOURCES).length ? list(process.env.GEO_DB_SOURCES) : DEFAULT_SOURCES;
+const countries = list(process.env.GEO_DB_COUNTRIES).map((c) => c.toUpperCase());
+
+async function read(source) {
+  if (!/^https?:\/\//.test(source)) return fs.readFile(source, "utf8");
+  const r = await fetch(source, { signal: AbortSignal.timeout(120 * 1000) });
+  if (!r.ok) throw new Error(`HTTP ${r.status}`);
+  return r.text();
+}
+
+const lines = [];
+for (const source of sources) {
+  try {
+    const found = parseDelegated(await read(source), { countries: countries.length ? countries : null });
+    console.log(`${source}: ${found.length} ranges`);
+    lines.push(...found);
+  } catch (e) {
+    // a partial file would wrongly turn members away; keep the old one instead
+    console.error(`${source}: ${e.message}. Nothing written.`);
+    process.exit(1);
+  }
+}
+
+const index = buildGeoIndex(lines.join("\n"));
+if (!index[4].length) {
+  console.error("No IPv4 ranges found. Nothing written.");
+  process.exit(1);
+}
+
+const file = geoDbFile();
+const header = [
+  `# IP → country ranges, generated ${new Date().toISOString()} by scripts/geo-refresh.js`,
+  `# sources: ${sources.join(", ")}`,
+  ...(countries.length ? [`# countries: ${countries.join(", ")}`] : []),
+];
+await fs.mkdir(path.dirname(file), { recursive: true });
+const tmp = `${file}.${process.pid}.tmp`;
+await fs.writeFile(tmp, `${[...header, ...lines].join("\n")}\n`);
+await fs.rename(tmp, file);
+console.log(`Wrote ${index[4].length} IPv4 and ${index[6].length} IPv6 ranges to ${file}.`);
@@ -0,0 +1,45 @@
+// scripts/import-storage.js
+// Copy every JSON data file (users.json, keystore.json, seasons.json, ...)
+// into the backend selected by STORAGE_BACKEND; the document list is read from
+// the source directory, so new documents are picked up without changes here.
+// Keystore entries are copied as stored (still sealed), so no master key is
+// needed. Usage:
+//   STORAGE_BACKEND=redis REDIS_URL=redis://... npm run storage:import -- [--from data] [--force]
+import "dotenv/config";
+import fs from "fs/promises";
+import { createJsonStorage, createStorage, dataDir } from "../lib/storage.js";
+
+const args = process.argv.slice(2);
+const fromIdx = args.indexOf("--from");
+const from = fromIdx >= 0 ? args[fromIdx + 1] : dataDir();
+const force = args.includes("--force");
+
+const source = createJsonStorage({ dir: from });
+const target = await createStorage();
+
+try {
+  if (target.kind === "json") {
+    throw new Error("Set STORAGE_BACKEND to the backend you want to import into (e.g. redis)");
+  }
+  const docs = (await fs.readdir(from)).filter((f) => f.endsWith(".json")).map((f) => f.slice(0, -".json".length));
+  if (docs.length === 0) throw new Error(`No .json documents in ${from}`);
+  for (const name of docs.sort()) {
+    const doc = await source.get(name, null);
+    if (doc == null) {
+      console.log(`- ${name}: ${name}.json in ${from} is not valid JSON, skipped`);
+      continue;
+    }
+    if (!force && (await target.get(name, null)) != null) {
+      throw new Error(`"${name}" already exists in ${target.kind}; re-run with --force to overwrite`);
+    }
+    await target.set(name, doc);
+    const size = Array.isArray(doc) ? doc.length : Object.keys(doc.byUser || doc).length;
+    console.log(`- ${name}: imported ${size} entries`);
+  }
+  console.log(`Import into ${target.kind} complete.`);
+} catch (e) {
+  console.error("Import failed:", e?.message || e);
+  process.exitCode = 1;
+} finally {
+  await target.close();
+}
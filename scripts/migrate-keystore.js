@@ -0,0 +1,14 @@
+// scripts/migrate-keystore.js
+// One-off: encrypt a plaintext data/keystore.json and re-wrap entries sealed
+// under an older master key. Usage:
+//   KEYSTORE_MASTER_KEYS="k2:<new>,k1:<old>" npm run keystore:migrate
+import "dotenv/config";
+import { migrateKeystore } from "../lib/keystore.js";
+
+try {
+  const { encrypted, rewrapped, unchanged } = await migrateKeystore();
+  console.log(`Keystore migrated: ${encrypted} encrypted, ${rewrapped} re-wrapped, ${unchanged} already current.`);
+} catch (e) {
+  console.error("Keystore migration failed:", e?.message || e);
+  process.exit(1);
+}
@@ -0,0 +1,14 @@
+// scripts/mock-monkeytype.js
+// Run the bundled mock Monkeytype API (and its OAuth provider) on its own,
+// e.g. for a staging box:
+//   PORT=3939 npm run mock:monkeytype
+//   MONKEYTYPE_API_BASE=http://127.0.0.1:3939 MONKEYTYPE_OAUTH_MOCK=1 npm start
+import { startMockMonkeytype, DEMO_USERS, MOCK_OAUTH_CLIENT } from "../lib/mock-monkeytype.js";
+
+const { url } = await startMockMonkeytype({
+  port: Number(process.env.PORT || 3939),
+  host: process.env.HOST || "127.0.0.1",
+});
+console.log(`Mock Monkeytype API on ${url}`);
+console.log("Ape Keys:", DEMO_USERS.map((u) => u.apeKey).join(", "));
+console.log(`OAuth client: ${MOCK_OAUTH_CLIENT.id} / ${MOCK_OAUTH_CLIENT.secret}`);
@@ -6,24 +6,86 @@ import crypto from "crypto";
 import helmet from "helmet";
 import rateLimit from "express-rate-limit";
 import csurf from "csurf";
+import passport from "passport";
 import path from "path";
 
 // local libs
-import { upsertUser, loadUsers, saveUsers } from "./lib/store.js";
-import { isIsraelIP } from "./lib/ip.js";
-import { fetchMonkeytype15s } from "./lib/monkeytype.js";
+import { upsertUser, loadUsers, getUser, renameUser, patchUser, updateUsers, ensureUserId } from "./lib/store.js";
+import { appendAudit, readAudit } from "./lib/audit.js";
+import { screenPbs, listReview, getReviewItem, decideReview, deleteReviewItems, renameReviewItems } from "./lib/review.js";
+import { configSig, checkRun } from "./lib/anomaly.js";
+import {
+  parseTournamentInput, createTournament, deleteTournament, listTournaments, getTournament, setRegistration,
+  recordTournamentRuns, finalizeDue, computeStandings, describeTournament, listTournamentEntries, deleteTournamentEntries, renameTournamentEntries,
+} from "./lib/tournaments.js";
+import {
+  parseGroupInput, createGroup, joinGroup, leaveGroup, regenerateInviteCode, deleteGroup, listGroups, getGroup,
+  describeGroup, memberNames, isMember, isOwner, rankGroups, listGroupMemberships, deleteGroupMemberships, renameGroupMemberships,
+} from "./lib/groups.js";
+import {
+  createWebhookDispatcher, rankingEvents, listEndpoints, parseEndpointInput, addEndpoint, removeEndpoint,
+  describeEndpoint, listDeliveries,
+} from "./lib/webhooks.js";
+import { verifyDiscordRequest, handleInteraction, peekLinkToken, consumeLinkToken } from "./lib/discord.js";
+import { V1_OPERATIONS, toExpressPath, paginate, buildOpenApi } from "./lib/api-v1.js";
+import { parseTheme, parseWidgetOptions, renderBadge, renderWidget } from "./lib/embed.js";
+import { negotiateLang, translator, isSupportedLang, langDir, LANG_COOKIE, escapeHtml } from "./lib/i18n.js";
+import {
+  parseTokenInput, issueToken, revokeToken, listTokens, describeToken, findToken, tokenFromRequest, renameTokenOwner,
+} from "./lib/api-tokens.js";
+import {
+  parseSeasonParam, recordSeasonRuns, getSeasonBoard, listSeasons, listSeasonEntries, deleteSeasonEntries, renameSeasonEntries,
+} from "./lib/seasons.js";
+import { recordPbChanges, getHistory, deleteHistory, renameHistory } from "./lib/history.js";
+import { publish, subscribe } from "./lib/events.js";
+import { isIsraelIP, checkGeo, geoProviderNames, activeGeoProviders } from "./lib/ip.js";
+import { geoDbStatus } from "./lib/geo-db.js";
+import {
+  STRATEGY as MONKEYTYPE_STRATEGY,
+  oauthConfig,
+  createMonkeytypeStrategy,
+  findUserByMonkeytype,
+  linkMonkeytype,
+  pendingIdentity,
+  livePending,
+} from "./lib/monkeytype-oauth.js";
+import { parseRuleInput, listGeoRules, addGeoRule, deleteGeoRule } from "./lib/geo-rules.js";
+import {
+  parseInviteInput,
+  issueInvite,
+  revokeInvite,
+  listInvites,
+  describeInvite,
+  redeemInvite,
+  releaseInvite,
+  parseVouchInput,
+  submitVouch,
+  listVouches,
+  describeVouch,
+  renameEligibilityRefs,
+  decideVouch,
+  getVouch,
+  findApprovedVouch,
+  eligibilityRecord,
+} from "./lib/eligibility.js";
+import { fetchMonkeytypePBs, fetchRecentRuns, categoryKey, isApeKeyUnauthorized, apiBase, MODES } from "./lib/monkeytype.js";
+import { DEMO_USERS, startMockMonkeytype } from "./lib/mock-monkeytype.js";
+import { createRefreshScheduler, clearRefreshState, getRefreshStates } from "./lib/scheduler.js";
+import { parseBoardQuery, parseTableQuery, sortRows, buildLeaderboard, matchesFilters, bestPb, rankIn } from "./lib/leaderboard.js";
 import {
   upsertKey,
   getApeKey,
   findUsernameByKeyHash,
   setUsernameForKeyHash,
   deleteUserAndKey,
+  renameKeyOwner,
+  describeKey,
 } from "./lib/keystore.js";
 
 const app = express();
 const PORT = Number(process.env.PORT || 3000);
 const PROD = process.env.NODE_ENV === "production";
-const MT_BASE = process.env.MONKEYTYPE_API_BASE || "https://api.monkeytype.com";
+const DEMO = /^(1|true|yes)$/i.test(process.env.DEMO_MODE || "");
 
 // ───────────────────────────────────────────────────────────────────────────────
 // Security & infra
@@ -32,20 +94,19 @@ const MT_BASE = process.env.MONKEYTYPE_API_BASE || "https://api.monkeytype.com";
 app.set("trust proxy", 1);
 app.disable("x-powered-by");
 
+const CSP_DIRECTIVES = {
+  "default-src": ["'self'"],
+  "img-src": ["'self'", "data:"],
+  "script-src": ["'self'"],
+  "style-src": ["'self'", "'unsafe-inline'"], // drop 'unsafe-inline' if you move inline styles to CSS
+  "form-action": ["'self'"],
+  "base-uri": ["'self'"],
+  "frame-ancestors": ["'self'"],
+};
+
 app.use(
   helmet({
-    contentSecurityPolicy: {
-      useDefaults: true,
-      directives: {
-        "default-src": ["'self'"],
-        "img-src": ["'self'", "data:"],
-        "script-src": ["'self'"],
-        "style-src": ["'self'", "'unsafe-inline'"], // drop 'unsafe-inline' if you move inline styles to CSS
-        "form-action": ["'self'"],
-        "base-uri": ["'self'"],
-        "frame-ancestors": ["'self'"],
-      },
-    },
+    contentSecurityPolicy: { useDefaults: true, directives: CSP_DIRECTIVES },
     hsts: { maxAge: 15552000, includeSubDomains: true, preload: false }, // 180 days-ish
     referrerPolicy: { policy: "no-referrer" },
     crossOriginOpenerPolicy: { policy: "same-origin" },
@@ -130,8 +191,26 @@ app.use((req, res, next) => {
 // ───────────────────────────────────────────────────────────────────────────────
 // Body parsing, static assets, and no-store for sensitive responses
 // ───────────────────────────────────────────────────────────────────────────────
-app.use(express.json({ limit: "32kb" }));
+app.use(express.json({
+  limit: "32kb",
+  // Discord signs the exact bytes it sent, so keep them for that one route
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith("/api/discord/")) req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true, limit: "32kb" }));
+
+// Language of server-rendered pages; ?lang=he|en switches it for this and later visits.
+// The cookie is readable by public/i18n.js so static pages follow the same choice.
+app.use((req, res, next) => {
+  const requested = String(req.query.lang || "");
+  if (isSupportedLang(requested)) {
+    res.cookie(LANG_COOKIE, requested, { maxAge: 365 * 24 * 60 * 60 * 1000, sameSite: "lax", secure: PROD });
+  }
+  req.lang = isSupportedLang(requested) ? requested : negotiateLang(req);
+  req.t = translator(req.lang);
+  next();
+});
 app.use(
   express.static("public", {
     index: "index.html",
@@ -150,6 +229,22 @@ app.use(
   })
 );
 
+// Small server-rendered page in the visitor's language, with a link to the other one
+// (GET only: a POST result can't be re-requested)
+function sendPage(req, res, status, title, body) {
+  const other = req.lang === "he" ? "en" : "he";
+  const switchUrl = `${req.path}?${new URLSearchParams({ ...req.query, lang: other })}`;
+  return res.status(status).send(`<!doctype html>
+  <html lang="${req.lang}" dir="${langDir(req.lang)}">
+  <head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${title} · ${req.t("site.title")}</title></head>
+  <body style="font-family: ui-sans-serif, system-ui, sans-serif; padding:24px; max-width:700px">
+    ${req.method === "GET" ? `<p style="margin:0; text-align:end"><a href="${escapeHtml(switchUrl)}" lang="${other}">${req.t("lang.switch")}</a></p>` : ""}
+    <h2>${title}</h2>
+    ${body}
+  </body></html>
+  `);
+}
+
 // Standard helper to mark responses as non-cacheable
 function noStore(res) {
   res.setHeader("Cache-Control", "no-store, no-cache, must-revalidate, max-age=0");
@@ -178,6 +273,8 @@ const globalLimiter = rateLimit({
   max: 300,
   standardHeaders: true,
   legacyHeaders: false,
+  // /api/v1 requests with a token are limited per token instead (see the API section)
+  skip: (req) => req.path.startsWith("/api/v1/") && !!tokenFromRequest(req),
 });
 app.use(globalLimiter);
 
@@ -189,26 +286,26 @@ const joinLimiter = rateLimit({
 });
 
 // Extra lightweight per-IP cooldown (10s) for join
+const JOIN_COOLDOWN_MS = Number(process.env.JOIN_COOLDOWN_MS || 10 * 1000);
 const lastJoinByIp = new Map();
 function softJoinCooldown(req, res, next) {
   const ip = req.ip || "unknown";
   const now = Date.now();
   const last = lastJoinByIp.get(ip) || 0;
-  const MIN_MS = 10 * 1000;
-  if (now - last < MIN_MS) {
-    return res.status(429).send("Too many attempts. Please wait a few seconds and try again.");
+  if (now - last < JOIN_COOLDOWN_MS) {
+    return res.status(429).send(req.t("error.cooldown"));
   }
   lastJoinByIp.set(ip, now);
   next();
 }
 
 // Per-key attempt throttle (prevents rapid brute attempts on same key)
+const KEY_THROTTLE_MS = Number(process.env.KEY_THROTTLE_MS || 8 * 1000);
 const lastByKeyHash = new Map();
 function throttleKeyHash(keyHash) {
   const now = Date.now();
   const last = lastByKeyHash.get(keyHash) || 0;
-  const MIN_MS = 8 * 1000;
-  if (now - last < MIN_MS) return false;
+  if (now - last < KEY_THROTTLE_MS) return false;
   lastByKeyHash.set(keyHash, now);
   return true;
 }
@@ -223,10 +320,10 @@ function requireSameOrigin(req, res, next) {
   const referer = req.headers.referer;
   // Allow no Origin for same-site form posts; otherwise enforce same origin
   if (origin && !origin.startsWith(`https://${req.headers.host}`) && !origin.startsWith(`http://${req.headers.host}`)) {
-    return res.status(403).send("Bad origin");
+    return res.status(403).send(req.t("error.badOrigin"));
   }
   if (referer && !referer.startsWith(`https://${req.headers.host}`) && !referer.startsWith(`http://${req.headers.host}`)) {
-    return res.status(403).send("Bad referer");
+    return res.status(403).send(req.t("error.badReferer"));
   }
   next();
 }
@@ -245,9 +342,9 @@ async function testApeKey(apeKey) {
   };
 
   // Prefer an endpoint that does NOT require having a recent run
-  // /users/personalBests is good for pure auth verification
+  // /users/personalBests is good for pure auth verification (`mode` is required)
   try {
-    const r = await fetchWithTimeout(`${MT_BASE}/users/personalBests?limit=1`, { headers }, 6000);
+    const r = await fetchWithTimeout(`${apiBase()}/users/personalBests?mode=time&mode2=15`, { headers }, 6000);
 
     // Explicit “bad key” statuses → definitely invalid
     if (r.status === 401 || r.status === 470 || r.status === 471 || r.status === 472) {
@@ -287,33 +384,208 @@ function validUsername(u) {
   return /^[a-zA-Z0-9_-]{3,20}$/.test(u);
 }
 
-async function refreshOne(siteUsername, apeKey = null) {
+// Only joins `create` the user record; everything else refreshes an existing one
+async function refreshOne(siteUsername, apeKey = null, { create = false } = {}) {
   // retry PB fetch a couple of times in case of transient errors
   let lastErr;
   for (const backoff of [0, 400, 900]) {
     try {
       if (backoff) await sleep(backoff);
-      const mt = await fetchMonkeytype15s(siteUsername, apeKey);
+      const mt = await fetchMonkeytypePBs(siteUsername, apeKey);
       const now = new Date().toISOString();
-      await upsertUser({
+      const prev = await getUser(siteUsername);
+      // implausible runs wait in the review queue instead of reaching the board
+      const { pbs, held } = await screenPbs({ username: siteUsername, prevPbs: prev?.pbs, pbs: mt.pbs, raw: mt.raw });
+      if (held.length) {
+        console.warn(`[REVIEW] ${siteUsername}: ${held.length} run(s) held for review`);
+      }
+      const saved = await upsertUser({
         username: siteUsername,
-        wpm15: mt.wpm15,
-        accuracy: mt.accuracy,
+        pbs,
         timestamp: now,
         country: "IL",
-      });
+      }, { create });
+      if (!saved) return; // removed while the fetch was running
+      const changed = await recordPbChanges(siteUsername, prev?.pbs, pbs, now);
+      if (changed.length) {
+        // live clients re-rank the affected boards
+        await publish({
+          type: "pb",
+          username: siteUsername,
+          categories: [...new Set(changed.map((c) => c.category))],
+          joined: !prev,
+          at: now,
+        });
+        // webhook deliveries can be slow; they never hold up or fail the refresh
+        announceRankings(siteUsername, prev, changed).catch((e) =>
+          console.warn("[WEBHOOK] announce failed:", e?.message || e)
+        );
+      }
+      await recordWindowRuns(siteUsername, apeKey, prev?.pbs, pbs, mt.recent);
       return;
     } catch (e) {
       lastErr = e;
+      if (isApeKeyUnauthorized(e)) break; // retrying a revoked key is pointless
     }
   }
   throw lastErr || new Error("refresh failed");
 }
 
-function loginWithRegen(req, username, redirect = "/") {
+// Diff the affected boards (no filters) around one refresh and send typed
+// events (took #1, entered the top 10, new PB) to webhook subscribers
+async function announceRankings(username, prev, changed) {
+  const users = await loadUsers();
+  const lower = username.toLowerCase();
+  const before = users.filter((u) => u.username.toLowerCase() !== lower).concat(prev ? [prev] : []);
+  const boards = {};
+  for (const category of new Set(changed.map((c) => c.category))) {
+    const [mode, mode2] = category.split(":");
+    const selection = { mode, mode2, filters: {} };
+    boards[category] = { before: buildLeaderboard(before, selection), after: buildLeaderboard(users, selection) };
+  }
+  for (const event of rankingEvents({ username, changed, boards, prevPbs: prev?.pbs })) {
+    await webhooks.emit(event);
+  }
+}
+
+// Season and tournament boards rank runs inside a time window: stored PBs plus
+// recent /results. Best-effort, so a /results hiccup never fails the refresh itself.
+async function recordWindowRuns(siteUsername, apeKey, prevPbs, pbs, fetched) {
+  // the PB fetch may already hold this refresh's /results page
+  const recent = fetched ?? (await fetchRecentRuns(siteUsername, apeKey).catch(() => []));
+  // recent runs skip the review queue, so implausible ones are simply left out
+  const baseline = (category, pb) => (prevPbs?.[category] || []).find((p) => configSig(p) === configSig(pb))?.wpm ?? null;
+  const runs = [
+    ...Object.entries(pbs).flatMap(([category, list]) => list.map((pb) => ({ category, pb }))),
+    ...recent.filter((r) => checkRun(r.entry, baseline(r.category, r.pb)).length === 0),
+  ];
+  await recordRuns(siteUsername, runs);
+}
+
+async function recordRuns(username, runs) {
+  const at = new Date().toISOString();
+  const categories = await recordSeasonRuns(username, runs);
+  if (categories.length) await publish({ type: "season", username, categories, at });
+  const tournaments = await recordTournamentRuns(username, runs);
+  if (tournaments.length) await publish({ type: "tournament", username, tournaments, at });
+}
+
+// Put an approved run on the board (replacing the same-config PB if it is better)
+async function applyApprovedPb(item) {
+  const user = await getUser(item.username);
+  if (!user) return false;
+  const list = (user.pbs?.[item.category] || []).filter((p) => configSig(p) !== item.sig);
+  const current = (user.pbs?.[item.category] || []).find((p) => configSig(p) === item.sig);
+  list.push(current && current.wpm >= item.pb.wpm ? current : item.pb);
+  list.sort((a, b) => b.wpm - a.wpm);
+
+  const next = { [item.category]: list };
+  await upsertUser({ username: user.username, pbs: next });
+  const now = new Date().toISOString();
+  const changed = await recordPbChanges(user.username, { [item.category]: user.pbs?.[item.category] || [] }, next, now);
+  if (changed.length) {
+    await publish({ type: "pb", username: user.username, categories: [item.category], joined: false, at: now });
+  }
+  await recordRuns(user.username, [{ category: item.category, pb: item.pb }]);
+  return true;
+}
+
+// Admins: usernames in ADMIN_USERNAMES (comma-separated) or users with role "admin" in the store
+const ENV_ADMINS = new Set(
+  String(process.env.ADMIN_USERNAMES || "").split(",").map((u) => u.trim().toLowerCase()).filter(Boolean)
+);
+
+// Rights follow the name, so nobody may take an ADMIN_USERNAMES name that has
+// no account yet (join or rename). Add your name to the env after joining.
+const isReservedUsername = (username) => ENV_ADMINS.has(String(username).toLowerCase());
+
+// A ban takes admin rights away too, including those from ADMIN_USERNAMES
+async function isAdmin(username) {
+  if (!username) return false;
+  const user = await getUser(username);
+  if (!user || user.banned) return false;
+  return ENV_ADMINS.has(username.toLowerCase()) || user.role === "admin";
+}
+
+function bearerMatches(req) {
+  const want = process.env.ADMIN_TOKEN;
+  const got = String(req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+  return !!want && !!got && got.length === want.length &&
+    crypto.timingSafeEqual(Buffer.from(got), Buffer.from(want));
+}
+
+// Admin access: a logged-in admin session, or `Authorization: Bearer $ADMIN_TOKEN` for scripts
+async function requireAdmin(req, res, next) {
+  if (bearerMatches(req)) {
+    req.admin = { actor: "token", via: "token" };
+    return next();
+  }
+  const username = (await sessionUser(req))?.username;
+  if (await isAdmin(username)) {
+    req.admin = { actor: username, via: "session" };
+    return next();
+  }
+  if (req.path.startsWith("/api/")) return res.status(username ? 403 : 401).json({ error: "Admins only" });
+  return username ? res.status(403).send(req.t("error.adminsOnly")) : res.redirect("/join");
+}
+
+// Token clients don't ride on cookies, so CSRF only applies to session-based admins
+function adminCsrf(req, res, next) {
+  if (req.admin?.via === "token") return next();
+  return requireSameOrigin(req, res, () => csrfProtection(req, res, next));
+}
+
+async function isBanned(username) {
+  return !!(await getUser(username))?.banned;
+}
+
+// The account behind a session, found by its id: a rename made in another
+// session follows along, and a removed account (even one whose name was taken
+// again since) ends the session. Null when logged out.
+async function sessionUser(req) {
+  const id = req.session?.user?.id;
+  const user = id ? (await loadUsers()).find((u) => u.id === id) : null;
+  if (!user) {
+    if (req.session?.user) await new Promise((resolve) => req.session.destroy(resolve));
+    return null;
+  }
+  req.session.user.username = user.username;
+  return user;
+}
+
+// Logged-in member only: JSON 401 for /api/*, redirect to /join for pages
+async function requireLogin(req, res, next) {
+  const user = await sessionUser(req);
+  if (user && !user.banned) return next();
+  if (req.path.startsWith("/api/")) return res.status(401).json({ ok: false, error: "Not logged in" });
+  return res.redirect("/join");
+}
+
+const ALL_CATEGORIES = MODES.map((m) => categoryKey(m.mode, m.mode2));
+
+// Remove a member with their key, history and refresh state; tells live clients
+async function removeAccount(username) {
+  await deleteUserAndKey(username);
+  await deleteHistory(username);
+  await deleteReviewItems(username);
+  await deleteSeasonEntries(username);
+  await deleteTournamentEntries(username);
+  await deleteGroupMemberships(username);
+  await clearRefreshState(username);
+  await publish({ type: "removed", username, categories: ALL_CATEGORIES, at: new Date().toISOString() });
+}
+
+// Also finishes a "Sign in with Monkeytype" that matched no account yet:
+// the first successful join links that identity (see /auth/monkeytype/callback)
+async function loginWithRegen(req, username, redirect = "/") {
+  const pending = livePending(req.session.monkeytypePending);
+  if (pending && (await linkMonkeytype(username, pending))) {
+    await appendAudit({ actor: username, action: "monkeytype-link", target: username, details: { id: pending.id, name: pending.name } });
+  }
+  const id = await ensureUserId(username);
   return new Promise((resolve) => {
     req.session.regenerate(() => {
-      req.session.user = { username };
+      req.session.user = { username, id };
       resolve(redirect);
     });
   });
@@ -323,44 +595,134 @@ function loginWithRegen(req, username, redirect = "/") {
 // Routes
 // ───────────────────────────────────────────────────────────────────────────────
 
+// Join form; members outside Israel get an extra invite code field
+function joinForm(req, { abroad = false, username = "" } = {}) {
+  const { t } = req;
+  return `
+    <form method="POST" action="/join" style="margin-top:16px">
+      <input type="hidden" name="_csrf" value="${req.csrfToken()}"/>
+
+      <label style="display:block; font-weight:600">${t("join.username")}</label>
+      <input name="siteUsername" required maxlength="20" value="${escapeHtml(username)}" placeholder="${t("join.usernamePlaceholder")}" dir="ltr" style="padding:8px; width:360px; max-width:100%; margin:6px 0"/>
+
+      <label style="display:block; font-weight:600; margin-top:8px">${t("join.apeKey")}</label>
+      <input name="apeKey" required maxlength="200" placeholder="ape_xxx..." dir="ltr" style="padding:8px; width:480px; max-width:100%; margin:6px 0"/>
+      ${abroad ? `
+      <label style="display:block; font-weight:600; margin-top:8px">${t("abroad.inviteCode")}</label>
+      <input name="inviteCode" maxlength="20" placeholder="IL-XXXX-XXXX" dir="ltr" autocomplete="off" style="padding:8px; width:240px; max-width:100%; margin:6px 0"/>` : ""}
+
+      <div style="margin-top:12px">
+        <button type="submit" style="padding:8px 12px; font-weight:600">${t("join.submit")}</button>
+        <a href="/" style="margin-inline-start:12px">${t("join.cancel")}</a>
+      </div>
+    </form>`;
+}
+
+// Built on first use: DEMO_MODE only knows the mock provider's URL after startup
+let monkeytypeStrategy;
+function monkeytypeOAuth() {
+  if (monkeytypeStrategy === undefined) {
+    const config = oauthConfig({ mock: DEMO });
+    monkeytypeStrategy = config && createMonkeytypeStrategy(config);
+    if (monkeytypeStrategy) passport.use(MONKEYTYPE_STRATEGY, monkeytypeStrategy);
+  }
+  return monkeytypeStrategy;
+}
+
+// "Sign in with Monkeytype" above the Ape Key form, when configured
+function monkeytypeButton(req) {
+  if (!monkeytypeOAuth()) return "";
+  return `
+    <p style="margin-top:16px"><a href="/auth/monkeytype" style="display:inline-block; padding:8px 12px; font-weight:600; background:#e2b714; color:#111; border-radius:6px; text-decoration:none">${req.t("oauth.button")}</a></p>
+    <p>${req.t("oauth.or")}</p>`;
+}
+
 // Join page (server-rendered form, includes CSRF token)
 app.get("/join", csrfProtection, async (req, res) => {
+  const { t } = req;
+  res.setHeader("Cache-Control", "no-store, no-cache, must-revalidate, max-age=0");
+  res.setHeader("Pragma", "no-cache");
+  res.setHeader("Expires", "0");
+
   const allowed = await isIsraelIP(req);
   if (!allowed) {
-    return res.status(403).send(`
-      <html><body style="font-family: ui-sans-serif; padding:24px">
-      <h2>Access restricted</h2>
-      <p>This leaderboard is for users detected in Israel only.</p>
-      <p><a href="/">Go back</a></p>
-      </body></html>
+    // approved members abroad log in here too; everyone else can ask for approval
+    return sendPage(req, res, 403, t("restricted.title"), `
+      <p>${t("restricted.body")}</p>
+      <h3>${t("abroad.title")}</h3>
+      <p>${t("abroad.intro")}</p>
+      ${monkeytypeButton(req)}
+      ${joinForm(req, { abroad: true })}
+      <h3 style="margin-top:24px">${t("vouch.title")}</h3>
+      <p>${t("vouch.intro")}</p>
+      <form method="POST" action="/join/vouch">
+        <input type="hidden" name="_csrf" value="${req.csrfToken()}"/>
+        <label style="display:block; font-weight:600">${t("join.username")}</label>
+        <input name="siteUsername" required maxlength="20" dir="ltr" style="padding:8px; width:360px; max-width:100%; margin:6px 0"/>
+        <label style="display:block; font-weight:600; margin-top:8px">${t("join.apeKey")}</label>
+        <input name="apeKey" required maxlength="200" placeholder="ape_xxx..." dir="ltr" style="padding:8px; width:480px; max-width:100%; margin:6px 0"/>
+        <label style="display:block; font-weight:600; margin-top:8px">${t("vouch.voucher")}</label>
+        <input name="voucher" maxlength="20" dir="ltr" style="padding:8px; width:360px; max-width:100%; margin:6px 0"/>
+        <label style="display:block; font-weight:600; margin-top:8px">${t("vouch.message")}</label>
+        <textarea name="message" required minlength="10" maxlength="500" rows="4" style="padding:8px; width:480px; max-width:100%; margin:6px 0; font:inherit"></textarea>
+        <div style="margin-top:12px"><button type="submit" style="padding:8px 12px; font-weight:600">${t("vouch.submit")}</button></div>
+      </form>
+      <p style="margin-top:16px"><a href="/">${t("nav.back")}</a></p>
     `);
   }
 
-  res.setHeader("Cache-Control", "no-store, no-cache, must-revalidate, max-age=0");
-  res.setHeader("Pragma", "no-cache");
-  res.setHeader("Expires", "0");
-
-  res.send(`
-  <html><body style="font-family: ui-sans-serif; padding:24px; max-width:700px">
-    <h2>Join the Leaderboard</h2>
-    <p>Enter a <b>Username for this site</b> and paste your <b>Ape Key</b> from Monkeytype (Account → Ape Keys).</p>
-    <form method="POST" action="/join" style="margin-top:16px">
-      <input type="hidden" name="_csrf" value="${req.csrfToken()}"/>
+  // signed in with Monkeytype but not linked yet: one Ape Key join links it
+  const pending = livePending(req.session?.monkeytypePending);
+  const suggested = pending && validUsername(pending.name || "") ? pending.name : "";
+  sendPage(req, res, 200, t("join.title"), `
+    ${pending ? `<p style="background:#dcfce7; padding:8px 12px; border-radius:8px">${t("oauth.pending", { name: pending.name || pending.id })}</p>` : monkeytypeButton(req)}
+    <p>${t("join.intro")}</p>
+    ${DEMO ? `<p style="background:#fef9c3; padding:8px 12px; border-radius:8px">${t("join.demo")}</p>` : ""}
+    ${joinForm(req, { username: suggested })}
+  `);
+});
 
-      <label style="display:block; font-weight:600">Username (site display name)</label>
-      <input name="siteUsername" required maxlength="20" placeholder="e.g. shira_types" style="padding:8px; width:360px; margin:6px 0"/>
+/**
+ * Outside Israel, an account gets in with approval already on the user, an
+ * approved vouch request for this username + key, or an invite code.
+ * @returns {Promise<{ ok: boolean, grant?: object, release?: () => Promise<void> }>}
+ *   `grant` is new approval to record; `release` gives back the invite use
+ */
+async function abroadEligibility(username, keyHash, inviteCode) {
+  const user = await getUser(username);
+  if (user?.eligibility) return { ok: true };
+  const vouch = await findApprovedVouch(username, keyHash);
+  if (vouch) return { ok: true, grant: eligibilityRecord("vouch", { ref: vouch.id, approvedBy: vouch.decidedBy }) };
+  // taken up front so two joins can't share the last use; completeJoin gives it back on failure
+  const now = Date.now();
+  const invite = inviteCode ? await redeemInvite(inviteCode, username, now) : null;
+  if (invite) {
+    return {
+      ok: true,
+      grant: eligibilityRecord("invite", { ref: invite.id, approvedBy: invite.createdBy }),
+      release: () => releaseInvite(invite.id, username, new Date(now).toISOString()),
+    };
+  }
+  return { ok: false };
+}
 
-      <label style="display:block; font-weight:600; margin-top:8px">Ape Key</label>
-      <input name="apeKey" required maxlength="200" placeholder="ape_xxx..." style="padding:8px; width:480px; margin:6px 0"/>
+async function recordEligibility(username, grant) {
+  if (!grant) return;
+  await patchUser(username, { eligibility: grant });
+  await appendAudit({ actor: username, action: "abroad-eligible", target: username, details: { via: grant.via, ref: grant.ref } });
+}
 
-      <div style="margin-top:12px">
-        <button type="submit" style="padding:8px 12px; font-weight:600">Join</button>
-        <a href="/" style="margin-left:12px">Cancel</a>
-      </div>
-    </form>
-  </body></html>
-  `);
-});
+// Bind/refresh steps of a join, then the approval from abroadEligibility;
+// when they fail, a single-use invite isn't burned on an account that never joined
+async function completeJoin(username, abroad, steps) {
+  try {
+    await steps();
+    await recordEligibility(username, abroad.grant);
+  } catch (e) {
+    await abroad.release?.().catch((err) => console.error("invite release failed:", err?.message || err));
+    throw e;
+  }
+}
 
 // Handle the join form submit
 app.post(
@@ -370,32 +732,39 @@ app.post(
   requireSameOrigin,
   csrfProtection,
   async (req, res) => {
-    const allowed = await isIsraelIP(req);
-    if (!allowed) return res.status(403).send("Israel-only access.");
+    // outside Israel the account decides (see abroadEligibility), so keep going
+    const inIsrael = await isIsraelIP(req);
+    const inviteCode = String(req.body?.inviteCode || "").trim();
 
     try {
       let siteUsername = normalizeUsername(req.body?.siteUsername);
       const apeKey = String(req.body?.apeKey || "").trim();
 
       if (!validUsername(siteUsername)) {
-        return res.status(400).send("Username must be 3–20 chars: letters, numbers, _ or -");
+        return res.status(400).send(req.t("error.badUsername"));
       }
       if (!apeKey || apeKey.length > 180) {
-        return res.status(400).send("Ape Key missing or too long.");
+        return res.status(400).send(req.t("error.badApeKey"));
       }
 
       const keyHash = sha256(apeKey);
       if (!throttleKeyHash(keyHash)) {
-        return res.status(429).send("Please slow down.");
+        return res.status(429).send(req.t("error.slowDown"));
+      }
+      if (await isBanned((await findUsernameByKeyHash(keyHash)) || siteUsername)) {
+        return res.status(403).send(req.t("error.suspended"));
       }
 
-      const ok = await testApeKey(apeKey);
-      if (!ok) return res.status(400).send("Ape Key invalid or not authorized.");
+      // ok === null means "couldn't tell" (rate limit / outage) → let join proceed
+      const check = await testApeKey(apeKey);
+      if (check.ok === false) return res.status(400).send(req.t("error.apeKeyInvalid"));
 
       // (A) If this key is already bound, log into that username
       const boundUser = await findUsernameByKeyHash(keyHash);
       if (boundUser) {
-        await refreshOne(boundUser, apeKey);
+        const abroad = inIsrael ? { ok: true } : await abroadEligibility(boundUser, keyHash, inviteCode);
+        if (!abroad.ok) return res.status(403).send(req.t("error.abroadNotApproved"));
+        await completeJoin(boundUser, abroad, () => scheduler.refreshNow(boundUser, apeKey, { create: true }));
         await loginWithRegen(req, boundUser);
         return res.redirect("/");
       }
@@ -404,23 +773,30 @@ app.post(
       if (await usernameExists(siteUsername)) {
         const storedKey = await getApeKey(siteUsername);
         if (!storedKey || sha256(storedKey) !== keyHash) {
-          return res.status(409).send("Username is already taken.");
+          return res.status(409).send(req.t("error.usernameTaken"));
         }
-        await refreshOne(siteUsername, apeKey);
+        const abroad = inIsrael ? { ok: true } : await abroadEligibility(siteUsername, keyHash, inviteCode);
+        if (!abroad.ok) return res.status(403).send(req.t("error.abroadNotApproved"));
+        await completeJoin(siteUsername, abroad, () => scheduler.refreshNow(siteUsername, apeKey));
         await loginWithRegen(req, siteUsername);
         return res.redirect("/");
       }
 
       // (C) Brand new username + new key: create binding
-      await upsertKey({ username: siteUsername, apeKey });
-      await setUsernameForKeyHash(keyHash, siteUsername);
-      await refreshOne(siteUsername, apeKey);
+      if (isReservedUsername(siteUsername)) return res.status(403).send(req.t("error.usernameReserved"));
+      const abroad = inIsrael ? { ok: true } : await abroadEligibility(siteUsername, keyHash, inviteCode);
+      if (!abroad.ok) return res.status(403).send(req.t("error.abroadNotApproved"));
+      await completeJoin(siteUsername, abroad, async () => {
+        await upsertKey({ username: siteUsername, apeKey });
+        await setUsernameForKeyHash(keyHash, siteUsername);
+        await scheduler.refreshNow(siteUsername, apeKey, { create: true });
+      });
       await loginWithRegen(req, siteUsername);
 
       return res.redirect("/");
     } catch (e) {
       console.error("join error:", e?.message || e);
-      return res.status(500).send("Server error while joining.");
+      return res.status(500).send(req.t("error.joinFailed"));
     }
   }
 );
@@ -434,8 +810,8 @@ app.post(
   csrfProtection,
   async (req, res) => {
     noStore(res);
-    const allowed = await isIsraelIP(req);
-    if (!allowed) return res.status(403).json({ ok: false, error: "Israel-only access." });
+    const inIsrael = await isIsraelIP(req);
+    const inviteCode = String(req.body?.inviteCode || "").trim();
 
     try {
       let siteUsername = normalizeUsername(req.body?.siteUsername);
@@ -452,13 +828,20 @@ app.post(
       if (!throttleKeyHash(keyHash)) {
         return res.status(429).json({ ok: false, error: "Please slow down" });
       }
+      if (await isBanned((await findUsernameByKeyHash(keyHash)) || siteUsername)) {
+        return res.status(403).json({ ok: false, error: "This account is suspended." });
+      }
+
+      const check = await testApeKey(apeKey);
+      if (check.ok === false) return res.status(400).json({ ok: false, error: "Ape Key invalid or not authorized." });
 
-      const ok = await testApeKey(apeKey);
-      if (!ok) return res.status(400).json({ ok: false, error: "Ape Key invalid or not authorized." });
+      const israelOnly = () => res.status(403).json({ ok: false, error: "Israel-only access." });
 
       const boundUser = await findUsernameByKeyHash(keyHash);
       if (boundUser) {
-        await refreshOne(boundUser, apeKey);
+        const abroad = inIsrael ? { ok: true } : await abroadEligibility(boundUser, keyHash, inviteCode);
+        if (!abroad.ok) return israelOnly();
+        await completeJoin(boundUser, abroad, () => scheduler.refreshNow(boundUser, apeKey, { create: true }));
         await loginWithRegen(req, boundUser);
         return res.json({ ok: true, username: boundUser, relogin: true });
       }
@@ -468,14 +851,21 @@ app.post(
         if (!storedKey || sha256(storedKey) !== keyHash) {
           return res.status(409).json({ ok: false, error: "Username is already taken." });
         }
-        await refreshOne(siteUsername, apeKey);
+        const abroad = inIsrael ? { ok: true } : await abroadEligibility(siteUsername, keyHash, inviteCode);
+        if (!abroad.ok) return israelOnly();
+        await completeJoin(siteUsername, abroad, () => scheduler.refreshNow(siteUsername, apeKey));
         await loginWithRegen(req, siteUsername);
         return res.json({ ok: true, username: siteUsername, relogin: true });
       }
 
-      await upsertKey({ username: siteUsername, apeKey });
-      await setUsernameForKeyHash(keyHash, siteUsername);
-      await refreshOne(siteUsername, apeKey);
+      if (isReservedUsername(siteUsername)) return res.status(403).json({ ok: false, error: "This username is reserved." });
+      const abroad = inIsrael ? { ok: true } : await abroadEligibility(siteUsername, keyHash, inviteCode);
+      if (!abroad.ok) return israelOnly();
+      await completeJoin(siteUsername, abroad, async () => {
+        await upsertKey({ username: siteUsername, apeKey });
+        await setUsernameForKeyHash(keyHash, siteUsername);
+        await scheduler.refreshNow(siteUsername, apeKey, { create: true });
+      });
       await loginWithRegen(req, siteUsername);
 
       return res.json({ ok: true, username: siteUsername, created: true });
@@ -486,92 +876,1235 @@ app.post(
   }
 );
 
+// Vouch request from the restricted /join page; admins approve it in the console
+app.post(
+  "/join/vouch",
+  joinLimiter,
+  softJoinCooldown,
+  requireSameOrigin,
+  csrfProtection,
+  async (req, res) => {
+    const { t } = req;
+    try {
+      const siteUsername = normalizeUsername(req.body?.siteUsername);
+      const apeKey = String(req.body?.apeKey || "").trim();
+      if (!validUsername(siteUsername)) return res.status(400).send(t("error.badUsername"));
+      if (!apeKey || apeKey.length > 180) return res.status(400).send(t("error.badApeKey"));
+      const input = parseVouchInput(req.body);
+      if (input.error) return res.status(400).send(t("error.vouchMessage"));
+
+      const keyHash = sha256(apeKey);
+      if (!throttleKeyHash(keyHash)) return res.status(429).send(t("error.slowDown"));
+      const boundUser = await findUsernameByKeyHash(keyHash);
+      if (await isBanned(boundUser || siteUsername)) return res.status(403).send(t("error.suspended"));
+      // the request is for the account this key opens
+      if (boundUser && boundUser.toLowerCase() !== siteUsername.toLowerCase()) return res.status(409).send(t("error.usernameTaken"));
+      if (!boundUser && (await usernameExists(siteUsername))) return res.status(409).send(t("error.usernameTaken"));
+      if (!boundUser && isReservedUsername(siteUsername)) return res.status(403).send(t("error.usernameReserved"));
+
+      const check = await testApeKey(apeKey);
+      if (check.ok === false) return res.status(400).send(t("error.apeKeyInvalid"));
+
+      const item = await submitVouch({ username: boundUser || siteUsername, keyHash, ...input });
+      await appendAudit({ actor: item.username, action: "vouch-request", target: item.username, details: { id: item.id, voucher: item.voucher } });
+      return sendPage(req, res, 200, t("vouch.sentTitle"), `
+        <p>${t("vouch.sentBody")}</p>
+        <p><a href="/">${t("nav.back")}</a></p>
+      `);
+    } catch (e) {
+      console.error("vouch error:", e?.message || e);
+      return res.status(500).send(t("error.server"));
+    }
+  }
+);
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Sign in with Monkeytype (OAuth2). A linked identity logs straight in; a new
+// one finishes on /join with an Ape Key. ?link=1 links it to the signed-in account.
+// ───────────────────────────────────────────────────────────────────────────────
+const oauthFailed = (req, res, status = 400) =>
+  sendPage(req, res, status, req.t("oauth.failedTitle"), `<p>${req.t("oauth.failedBody")}</p><p><a href="/join">${req.t("nav.back")}</a></p>`);
+
+app.get("/auth/monkeytype", joinLimiter, (req, res, next) => {
+  if (!monkeytypeOAuth()) return res.status(404).send(req.t("error.notFound"));
+  noStore(res);
+  req.session.monkeytypeIntent = req.query.link === "1" && req.session.user ? "link" : "login";
+  return passport.authenticate(MONKEYTYPE_STRATEGY, { session: false })(req, res, next);
+});
+
+app.get("/auth/monkeytype/callback", joinLimiter, (req, res, next) => {
+  if (!monkeytypeOAuth()) return res.status(404).send(req.t("error.notFound"));
+  noStore(res);
+  passport.authenticate(MONKEYTYPE_STRATEGY, { session: false }, async (err, profile) => {
+    const intent = req.session.monkeytypeIntent;
+    delete req.session.monkeytypeIntent;
+    delete req.session.monkeytypePending;
+    if (err) console.warn("monkeytype sign-in error:", err?.message || err);
+    if (err || !profile) return oauthFailed(req, res);
+
+    try {
+      const signedIn = req.session.user?.username;
+      if (intent === "link" && signedIn) {
+        await linkMonkeytype(signedIn, profile);
+        await appendAudit({ actor: signedIn, action: "monkeytype-link", target: signedIn, details: { id: profile.id, name: profile.name } });
+        return res.redirect("/account");
+      }
+
+      const username = await findUserByMonkeytype(profile.id);
+      if (!username) {
+        req.session.monkeytypePending = pendingIdentity(profile);
+        return res.redirect("/join");
+      }
+      if (await isBanned(username)) return res.status(403).send(req.t("error.suspended"));
+      // same gate as an Ape Key login: Israel, or approval recorded on the account
+      if (!(await isIsraelIP(req)) && !(await getUser(username))?.eligibility) {
+        return res.status(403).send(req.t("error.abroadNotApproved"));
+      }
+      await loginWithRegen(req, username);
+      return res.redirect("/");
+    } catch (e) {
+      return next(e);
+    }
+  })(req, res, next);
+});
+
 // Session/status helpers
-app.get("/api/session", csrfProtection, (req, res) => {
+app.get("/api/session", csrfProtection, async (req, res) => {
   noStore(res);
   const u = req.session?.user;
   // expose a CSRF token here for clients that POST to /api/join
-  res.json({ loggedIn: !!u, username: u?.username || null, csrf: req.csrfToken() });
+  res.json({
+    loggedIn: !!u,
+    username: u?.username || null,
+    isAdmin: await isAdmin(u?.username),
+    csrf: req.csrfToken(),
+  });
 });
 
 app.post("/logout", requireSameOrigin, csrfProtection, (req, res) => {
   req.session.destroy(() => res.redirect("/"));
 });
 
-// Leaderboard JSON (kept same sorting)
+// ───────────────────────────────────────────────────────────────────────────────
+// Account self-service: replace key, rename, delete, export (CSRF + same-origin)
+// ───────────────────────────────────────────────────────────────────────────────
+app.get("/account", requireLogin, (req, res) => {
+  res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+  res.sendFile(path.resolve("public", "account.html"));
+});
+
+app.get("/api/account", requireLogin, csrfProtection, async (req, res) => {
+  noStore(res);
+  const username = req.session.user.username;
+  const [user, key, states] = await Promise.all([getUser(username), describeKey(username), getRefreshStates()]);
+  res.json({
+    username,
+    joinedAt: user?.joinedAt || null,
+    lastRefreshedAt: user?.timestamp || null,
+    key: key && { keyPreview: key.keyPreview },
+    refresh: states[username.toLowerCase()] || null,
+    discord: user?.discord ? { name: user.discord.name, linkedAt: user.discord.linkedAt } : null,
+    monkeytype: user?.monkeytype ? { name: user.monkeytype.name, linkedAt: user.monkeytype.linkedAt } : null,
+    monkeytypeLogin: !!monkeytypeOAuth(),
+    csrf: req.csrfToken(),
+  });
+});
+
+// Replace my Ape Key: verified against Monkeytype before the old one is dropped
+app.post("/api/account/key", requireLogin, joinLimiter, requireSameOrigin, csrfProtection, async (req, res) => {
+  noStore(res);
+  const username = req.session.user.username;
+  const apeKey = String(req.body?.apeKey || "").trim();
+  if (!apeKey || apeKey.length > 180) {
+    return res.status(400).json({ ok: false, error: "Bad Ape Key" });
+  }
+
+  const keyHash = sha256(apeKey);
+  if (!throttleKeyHash(keyHash)) {
+    return res.status(429).json({ ok: false, error: "Please slow down" });
+  }
+  const owner = await findUsernameByKeyHash(keyHash);
+  if (owner && owner !== username) {
+    return res.status(409).json({ ok: false, error: "This Ape Key is linked to another account." });
+  }
+
+  try {
+    const check = await testApeKey(apeKey);
+    if (check.ok === false) return res.status(400).json({ ok: false, error: "Ape Key invalid or not authorized." });
+    // one read with the new key: it refreshes the board and proves the key works
+    try {
+      await scheduler.refreshNow(username, apeKey);
+    } catch (e) {
+      return res.status(400).json({ ok: false, error: "Could not read your results with this Ape Key." });
+    }
+
+    await upsertKey({ username, apeKey }); // also moves the byHash index to the new key
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("account/key error:", e?.message || e);
+    return res.status(500).json({ ok: false, error: "Server error" });
+  }
+});
+
+// Change my site username
+app.post("/api/account/username", requireLogin, requireSameOrigin, csrfProtection, async (req, res) => {
+  noStore(res);
+  const from = req.session.user.username;
+  const to = normalizeUsername(req.body?.siteUsername);
+  if (!validUsername(to)) {
+    return res.status(400).json({ ok: false, error: "Username must be 3–20 chars: letters, numbers, _ or -" });
+  }
+  if (to === from) return res.json({ ok: true, username: to });
+  if (isReservedUsername(to) && to.toLowerCase() !== from.toLowerCase()) {
+    return res.status(403).json({ ok: false, error: "This username is reserved." });
+  }
+
+  try {
+    if (!(await renameUser(from, to))) {
+      return res.status(409).json({ ok: false, error: "Username is already taken." });
+    }
+    await renameKeyOwner(from, to);
+    await renameHistory(from, to);
+    await renameReviewItems(from, to);
+    await renameSeasonEntries(from, to);
+    await renameTournamentEntries(from, to);
+    await renameGroupMemberships(from, to);
+    await renameTokenOwner(from, to);
+    await renameEligibilityRefs(from, to);
+    await clearRefreshState(from);
+    req.session.user.username = to;
+    await publish({ type: "renamed", username: to, from, categories: ALL_CATEGORIES, at: new Date().toISOString() });
+    return res.json({ ok: true, username: to });
+  } catch (e) {
+    console.error("account/username error:", e?.message || e);
+    return res.status(500).json({ ok: false, error: "Server error" });
+  }
+});
+
+// Delete my account, key, history and refresh state (must confirm the username)
+app.post("/api/account/delete", requireLogin, requireSameOrigin, csrfProtection, async (req, res) => {
+  noStore(res);
+  const username = req.session.user.username;
+  if (String(req.body?.confirm || "") !== username) {
+    return res.status(400).json({ ok: false, error: "Type your username to confirm." });
+  }
+  try {
+    await removeAccount(username);
+    req.session.destroy(() => res.json({ ok: true }));
+  } catch (e) {
+    console.error("account/delete error:", e?.message || e);
+    return res.status(500).json({ ok: false, error: "Server error" });
+  }
+});
+
+// Download everything stored about me (the Ape Key itself is only previewed)
+app.get("/api/account/export", requireLogin, async (req, res) => {
+  noStore(res);
+  const username = req.session.user.username;
+  const [user, key, history, states, reviews, seasons, tournaments, groups, vouches, tokens] = await Promise.all([
+    getUser(username),
+    describeKey(username),
+    getHistory(username),
+    getRefreshStates(),
+    listReview({ username }),
+    listSeasonEntries(username),
+    listTournamentEntries(username),
+    listGroupMemberships(username),
+    listVouches({ username }),
+    listTokens({ owner: username }),
+  ]);
+  res.setHeader("Content-Disposition", `attachment; filename="mt-il-${username}.json"`);
+  res.json({
+    exportedAt: new Date().toISOString(),
+    user,
+    apeKey: key,
+    refreshState: states[username.toLowerCase()] || null,
+    history,
+    reviews,
+    seasons,
+    tournaments,
+    groups,
+    vouchRequests: vouches.map(describeVouch),
+    apiTokens: tokens.map(describeToken),
+  });
+});
+
+// Ranked rows for a board query (shared by /api/leaderboard and /api/v1)
+// @returns {{ selection, season, group, rows } | { status: number, error: string }}
+async function loadBoard(query) {
+  const selection = parseBoardQuery(query);
+  if (selection.error) return { status: 400, error: selection.error };
+  const seasonSel = parseSeasonParam(query.season);
+  if (seasonSel?.error) return { status: 400, error: seasonSel.error };
+  const group = query.group ? await getGroup(String(query.group)) : null;
+  if (query.group && !group) return { status: 404, error: "Unknown group" };
+
+  const users = await loadUsers();
+  let season = null;
+  let ranked = users;
+  if (seasonSel) {
+    const board = await getSeasonBoard(seasonSel.id);
+    if (!board) return { status: 404, error: "Unknown season" };
+    // moderation applies to every board, archived ones included
+    const flags = new Map(users.map((u) => [u.username.toLowerCase(), u]));
+    ranked = board.users.map((u) => {
+      const live = flags.get(u.username.toLowerCase());
+      return { ...u, hidden: !!live?.hidden, banned: !!live?.banned };
+    });
+    season = board.season;
+  }
+  if (group) ranked = ranked.filter((u) => isMember(group, u.username));
+  return { selection, season, group, rows: buildLeaderboard(ranked, selection) };
+}
+
+// Board filters, then ?q= narrows by username; ranks stay those of the full board
+const withRanks = (rows) => rows.map((r, i) => ({ rank: i + 1, ...r }));
+const matchesQ = (q) => (name) => !q || name.toLowerCase().includes(String(q).toLowerCase());
+
+// Public profile of a visible member (or null)
+async function publicProfile(username) {
+  const users = await loadUsers();
+  const want = String(username).toLowerCase();
+  const user = users.find((u) => u.username.toLowerCase() === want);
+  if (!user || user.hidden || user.banned) return null;
+
+  const categories = [];
+  for (const { mode, mode2 } of MODES) {
+    const selection = { mode, mode2, filters: {} };
+    const best = bestPb(user, selection);
+    if (!best) continue;
+    categories.push({
+      mode,
+      mode2,
+      best,
+      ...rankIn(buildLeaderboard(users, selection), user.username),
+      pbs: user.pbs[categoryKey(mode, mode2)],
+    });
+  }
+
+  // records from before joinedAt was tracked: first recorded PB is the best guess
+  const joinedAt = user.joinedAt || (await getHistory(user.username))[0]?.at || null;
+
+  return { username: user.username, joinedAt, lastRefreshedAt: user.timestamp || null, categories };
+}
+
+// PB history points of a visible member for one board selection (or null)
+async function publicHistory(username, selection) {
+  const user = await getUser(username);
+  if (!user || user.hidden || user.banned) return null;
+
+  const category = categoryKey(selection.mode, selection.mode2);
+  const points = (await getHistory(user.username, category))
+    .filter((p) => matchesFilters(p, selection.filters))
+    .map((p) => ({
+      at: p.at,
+      achievedAt: p.achievedAt,
+      wpm: p.wpm,
+      accuracy: p.accuracy,
+      language: p.language,
+      punctuation: p.punctuation,
+      numbers: p.numbers,
+      difficulty: p.difficulty,
+      lazyMode: p.lazyMode,
+    }));
+  return { username: user.username, points };
+}
+
+// Leaderboard JSON for one category (?mode=time&mode2=60; defaults to time 15)
+// plus optional config filters: ?language=hebrew&punctuation=false&numbers=false&difficulty=normal&lazyMode=false
+// an optional season: ?season=week|month|year (current) or an id from /api/seasons
+// and an optional ?group=<id> to rank only that group's members
 app.get("/api/leaderboard", async (req, res) => {
+  const board = await loadBoard(req.query);
+  if (board.error) return res.status(board.status).json({ error: board.error });
+  const { selection, season, group, rows } = board;
+  const body = {
+    mode: DEMO ? "demo" : "live",
+    category: { mode: selection.mode, mode2: selection.mode2 },
+    filters: selection.filters,
+    season,
+    group: group ? describeGroup(group) : null,
+    users: rows,
+  };
+
+  // Table view (?limit= turns it on): search, sort and page on the server, rows
+  // keep their board rank. ?around=<username> picks the page that member is on.
+  if (req.query.limit !== undefined) {
+    const view = parseTableQuery(req.query);
+    if (view.error) return res.status(400).json({ error: view.error });
+    const list = sortRows(withRanks(rows).filter((r) => matchesQ(view.q)(r.username)), view);
+    let { offset } = req.query;
+    let around = null;
+    if (req.query.around) {
+      const want = String(req.query.around).toLowerCase();
+      const idx = list.findIndex((r) => r.username.toLowerCase() === want);
+      const limit = Number(req.query.limit);
+      if (idx >= 0 && Number.isInteger(limit) && limit > 0) {
+        offset = String(Math.floor(idx / limit) * limit);
+        around = { username: list[idx].username, rank: list[idx].rank };
+      }
+    }
+    const page = paginate(list, { limit: req.query.limit, offset });
+    if (page.error) return res.status(400).json({ error: page.error });
+    Object.assign(body, { users: page.data, pagination: page.pagination, view, ranked: rows.length });
+    if (req.query.around) body.around = around;
+  }
+
+  res.json(body);
+});
+
+// Current week/month/year seasons and the archive of closed ones
+app.get("/api/seasons", async (req, res) => {
+  res.json(await listSeasons());
+});
+
+// Live leaderboard updates (Server-Sent Events)
+// Each stream holds a socket open for as long as the tab is, so cap them per IP and overall
+const STREAM_MAX_PER_IP = Number(process.env.STREAM_MAX_PER_IP || 5);
+const STREAM_MAX_TOTAL = Number(process.env.STREAM_MAX_TOTAL || 1000);
+const streamsByIp = new Map();
+let streamsOpen = 0;
+app.get("/api/leaderboard/stream", (req, res) => {
+  const ip = req.ip || "unknown";
+  const fromIp = streamsByIp.get(ip) || 0;
+  if (fromIp >= STREAM_MAX_PER_IP || streamsOpen >= STREAM_MAX_TOTAL) {
+    res.set("Retry-After", "30");
+    return res.status(429).json({ error: "Too many live connections" });
+  }
+  streamsByIp.set(ip, fromIp + 1);
+  streamsOpen++;
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx: don't buffer the stream
+  });
+  res.write("retry: 5000\n\n");
+
+  const unsubscribe = subscribe((event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+  // comment line keeps proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 25 * 1000);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    streamsOpen--;
+    const left = (streamsByIp.get(ip) || 1) - 1;
+    if (left > 0) streamsByIp.set(ip, left);
+    else streamsByIp.delete(ip);
+  });
+});
+
+// Public profile: PBs in every mode with Israel rank/percentile, joined + last refresh
+app.get("/api/users/:username", async (req, res) => {
+  const profile = await publicProfile(req.params.username);
+  if (!profile) return res.status(404).json({ error: "Unknown user" });
+  res.json(profile);
+});
+
+// PB history for one user and category (same query as /api/leaderboard)
+app.get("/api/users/:username/history", async (req, res) => {
+  const selection = parseBoardQuery(req.query);
+  if (selection.error) {
+    return res.status(400).json({ error: selection.error });
+  }
+  const history = await publicHistory(req.params.username, selection);
+  if (!history) return res.status(404).json({ error: "Unknown user" });
+  res.json({ username: history.username, mode: selection.mode, mode2: selection.mode2, points: history.points });
+});
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Admin console: moderation actions, every one written to the audit log
+// ───────────────────────────────────────────────────────────────────────────────
+app.get("/admin", requireAdmin, (req, res) => {
+  res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+  res.sendFile(path.resolve("public", "admin.html"));
+});
+
+async function adminUserList() {
+  const [users, states] = await Promise.all([loadUsers(), scheduler.getStates()]);
+  return users.map((u) => ({
+    username: u.username,
+    joinedAt: u.joinedAt || null,
+    timestamp: u.timestamp || null,
+    hidden: !!u.hidden,
+    banned: !!u.banned,
+    role: ENV_ADMINS.has(u.username.toLowerCase()) ? "admin" : u.role || "member",
+    eligibility: u.eligibility || null,
+    refresh: states[u.username.toLowerCase()] || { status: "pending" },
+  }));
+}
+
+app.get("/api/admin/users", requireAdmin, async (req, res) => {
+  noStore(res);
+  res.json({ users: await adminUserList() });
+});
+
+// Per-user refresh status (last success / last error / next attempt)
+app.get("/api/admin/refresh-status", requireAdmin, async (req, res) => {
+  noStore(res);
+  const users = await adminUserList();
+  res.json({ users: users.map((u) => ({ username: u.username, timestamp: u.timestamp, ...u.refresh })) });
+});
+
+const ADMIN_ACTIONS = {
+  hide: (username) => patchUser(username, { hidden: true }),
+  unhide: (username) => patchUser(username, { hidden: false }),
+  // banned users are off the board, not refreshed and can't log back in
+  ban: (username) => patchUser(username, { banned: true }),
+  unban: (username) => patchUser(username, { banned: false }),
+  promote: (username) => patchUser(username, { role: "admin" }),
+  demote: (username) => patchUser(username, { role: "member" }),
+  refresh: (username) => scheduler.refreshNow(username),
+  remove: (username) => removeAccount(username),
+  // members abroad: skip the IP check on /join
+  "approve-abroad": (username, actor) => patchUser(username, { eligibility: eligibilityRecord("admin", { approvedBy: actor }) }),
+  "revoke-abroad": (username) => patchUser(username, { eligibility: null }),
+};
+
+app.post("/api/admin/users/:username/:action", requireAdmin, adminCsrf, async (req, res) => {
+  noStore(res);
+  const { action } = req.params;
+  const run = Object.hasOwn(ADMIN_ACTIONS, action) ? ADMIN_ACTIONS[action] : null;
+  if (!run) return res.status(400).json({ ok: false, error: "Unknown action" });
+
+  const user = await getUser(req.params.username);
+  if (!user) return res.status(404).json({ ok: false, error: "Unknown user" });
+  const reason = String(req.body?.reason || "").slice(0, 500) || null;
+  const audit = (details) =>
+    appendAudit({ actor: req.admin.actor, action, target: user.username, details: { reason, ...details } });
+
+  try {
+    await run(user.username, req.admin.actor);
+  } catch (e) {
+    await audit({ ok: false, error: String(e?.message || e).slice(0, 300) });
+    return res.status(502).json({ ok: false, error: e?.message || "Action failed" });
+  }
+  await audit({ ok: true });
+
+  // the board changed without a PB: have live clients reload the affected rows
+  if (["hide", "unhide", "ban", "unban"].includes(action)) {
+    await publish({ type: "moderated", username: user.username, categories: ALL_CATEGORIES, at: new Date().toISOString() });
+  }
+  return res.json({ ok: true });
+});
+
+// Review queue: flagged runs, newest first (?status=pending|approved|rejected)
+app.get("/api/admin/review", requireAdmin, async (req, res) => {
+  noStore(res);
+  const status = ["pending", "approved", "rejected"].includes(req.query.status) ? req.query.status : null;
+  res.json({ items: await listReview({ status }) });
+});
+
+app.post("/api/admin/review/:id/:decision", requireAdmin, adminCsrf, async (req, res) => {
+  noStore(res);
+  const status = { approve: "approved", reject: "rejected" }[req.params.decision];
+  if (!status) return res.status(400).json({ ok: false, error: "Unknown decision" });
+  const item = await getReviewItem(req.params.id);
+  if (!item) return res.status(404).json({ ok: false, error: "Unknown review item" });
+  if (item.status !== "pending") return res.status(409).json({ ok: false, error: `Already ${item.status}` });
+
+  await decideReview(item.id, { status, by: req.admin.actor });
+  if (status === "approved") await applyApprovedPb(item);
+  await appendAudit({
+    actor: req.admin.actor,
+    action: `review-${req.params.decision}`,
+    target: item.username,
+    details: { reason: String(req.body?.reason || "").slice(0, 500) || null, category: item.category, wpm: item.pb.wpm, rules: item.reasons.map((r) => r.rule) },
+  });
+  return res.json({ ok: true });
+});
+
+// Webhook endpoints (secret shown once, on create) and the delivery log
+app.get("/api/admin/webhooks", requireAdmin, async (req, res) => {
+  noStore(res);
+  const [endpoints, deliveries] = await Promise.all([listEndpoints(), listDeliveries({ limit: 100 })]);
+  res.json({ endpoints: endpoints.map(describeEndpoint), deliveries });
+});
+
+app.post("/api/admin/webhooks", requireAdmin, adminCsrf, async (req, res) => {
+  noStore(res);
+  const input = parseEndpointInput(req.body);
+  if (input.error) return res.status(400).json({ ok: false, error: input.error });
+  const endpoint = await addEndpoint(input);
+  await appendAudit({ actor: req.admin.actor, action: "webhook-add", target: null, details: { id: endpoint.id, url: endpoint.url, events: endpoint.events } });
+  return res.json({ ok: true, endpoint: { ...describeEndpoint(endpoint), secret: endpoint.secret } });
+});
+
+app.post("/api/admin/webhooks/:id/delete", requireAdmin, adminCsrf, async (req, res) => {
+  noStore(res);
+  const endpoint = await removeEndpoint(req.params.id);
+  if (!endpoint) return res.status(404).json({ ok: false, error: "Unknown webhook" });
+  await appendAudit({ actor: req.admin.actor, action: "webhook-remove", target: null, details: { id: endpoint.id, url: endpoint.url } });
+  return res.json({ ok: true });
+});
+
+// Send a "ping" event to one endpoint and report the first attempt
+app.post("/api/admin/webhooks/:id/test", requireAdmin, adminCsrf, async (req, res) => {
+  noStore(res);
+  const endpoint = (await listEndpoints()).find((e) => e.id === req.params.id);
+  if (!endpoint) return res.status(404).json({ ok: false, error: "Unknown webhook" });
+  const delivery = await webhooks.deliver(endpoint, { type: "ping", at: new Date().toISOString(), data: { by: req.admin.actor } });
+  const ok = delivery.status === "delivered";
+  return res.json({ ok, error: ok ? undefined : delivery.attempts.at(-1)?.error, delivery: { ...delivery, body: undefined } });
+});
+
+// API tokens for /api/v1 (the token itself is shown once, on issue)
+app.get("/api/admin/api-tokens", requireAdmin, async (req, res) => {
+  noStore(res);
+  res.json({ tokens: (await listTokens()).map(describeToken) });
+});
+
+app.post("/api/admin/api-tokens", requireAdmin, adminCsrf, async (req, res) => {
+  noStore(res);
+  const input = parseTokenInput(req.body);
+  if (input.error) return res.status(400).json({ ok: false, error: input.error });
+  const { token, record } = await issueToken(input, req.admin.actor);
+  await appendAudit({ actor: req.admin.actor, action: "api-token-issue", target: record.owner, details: { id: record.id, name: record.name, rateLimit: record.rateLimit } });
+  return res.json({ ok: true, token, record: describeToken(record) });
+});
+
+app.post("/api/admin/api-tokens/:id/revoke", requireAdmin, adminCsrf, async (req, res) => {
+  noStore(res);
+  const record = await revokeToken(req.params.id);
+  if (!record) return res.status(404).json({ ok: false, error: "Unknown token" });
+  await appendAudit({ actor: req.admin.actor, action: "api-token-revoke", target: record.owner, details: { id: record.id, name: record.name } });
+  return res.json({ ok: true });
+});
+
+// Members abroad: invite codes and vouch requests
+app.get("/api/admin/eligibility", requireAdmin, async (req, res) => {
+  noStore(res);
+  const [invites, requests] = await Promise.all([listInvites(), listVouches()]);
+  res.json({ invites: invites.map(describeInvite), requests: requests.map(describeVouch) });
+});
+
+app.post("/api/admin/invites", requireAdmin, adminCsrf, async (req, res) => {
+  noStore(res);
+  const input = parseInviteInput(req.body);
+  if (input.error) return res.status(400).json({ ok: false, error: input.error });
+  const { code, record } = await issueInvite(input, req.admin.actor);
+  await appendAudit({ actor: req.admin.actor, action: "invite-issue", target: null, details: { id: record.id, maxUses: record.maxUses, reason: record.note } });
+  return res.json({ ok: true, code, invite: describeInvite(record) });
+});
+
+app.post("/api/admin/invites/:id/revoke", requireAdmin, adminCsrf, async (req, res) => {
+  noStore(res);
+  const invite = await revokeInvite(req.params.id);
+  if (!invite) return res.status(404).json({ ok: false, error: "Unknown invite" });
+  await appendAudit({ actor: req.admin.actor, action: "invite-revoke", target: null, details: { id: invite.id } });
+  return res.json({ ok: true });
+});
+
+app.post("/api/admin/vouches/:id/:decision", requireAdmin, adminCsrf, async (req, res) => {
+  noStore(res);
+  const status = { approve: "approved", reject: "rejected" }[req.params.decision];
+  if (!status) return res.status(400).json({ ok: false, error: "Unknown decision" });
+  const item = await getVouch(req.params.id);
+  if (!item) return res.status(404).json({ ok: false, error: "Unknown request" });
+  if (item.status !== "pending") return res.status(409).json({ ok: false, error: `Already ${item.status}` });
+  const reason = String(req.body?.reason || "").slice(0, 500) || null;
+  const decided = await decideVouch(item.id, status, { actor: req.admin.actor, reason });
+  // an existing member (moved abroad) is approved right away; a new one on first join
+  if (status === "approved") {
+    await patchUser(item.username, { eligibility: eligibilityRecord("vouch", { ref: item.id, approvedBy: req.admin.actor }) });
+  }
+  await appendAudit({ actor: req.admin.actor, action: `vouch-${req.params.decision}`, target: item.username, details: { id: item.id, reason } });
+  return res.json({ ok: true, request: describeVouch(decided) });
+});
+
+// Israel-only gate: offline database status, allow/deny rules and a lookup tool
+app.get("/api/admin/geo", requireAdmin, async (req, res) => {
+  noStore(res);
+  res.json({ providers: await activeGeoProviders(), database: await geoDbStatus(), rules: await listGeoRules() });
+});
+
+app.post("/api/admin/geo/rules", requireAdmin, adminCsrf, async (req, res) => {
+  noStore(res);
+  const input = parseRuleInput(req.body);
+  if (input.error) return res.status(400).json({ ok: false, error: input.error });
+  const rule = await addGeoRule(input, req.admin.actor);
+  await appendAudit({ actor: req.admin.actor, action: "geo-rule-add", target: rule.cidr, details: { rule: rule.action, reason: rule.note } });
+  return res.json({ ok: true, rule });
+});
+
+app.post("/api/admin/geo/rules/:id/delete", requireAdmin, adminCsrf, async (req, res) => {
+  noStore(res);
+  const rule = await deleteGeoRule(req.params.id);
+  if (!rule) return res.status(404).json({ ok: false, error: "Unknown rule" });
+  await appendAudit({ actor: req.admin.actor, action: "geo-rule-delete", target: rule.cidr, details: { rule: rule.action } });
+  return res.json({ ok: true });
+});
+
+// "Would this IP get in?" — same decision as /join, without the CDN country header
+app.post("/api/admin/geo/lookup", requireAdmin, adminCsrf, async (req, res) => {
+  noStore(res);
+  const ip = String(req.body?.ip || "").trim();
+  if (!ip || ip.length > 64) return res.status(400).json({ ok: false, error: "Enter an IP address" });
+  const result = await checkGeo({ headers: { "x-forwarded-for": ip }, ip });
+  return res.json({ ok: true, ...result });
+});
+
+app.get("/api/admin/audit", requireAdmin, async (req, res) => {
+  noStore(res);
+  const limit = Math.max(1, Math.min(500, Number(req.query.limit) || 100));
+  const offset = Math.max(0, Number(req.query.offset) || 0);
+  res.json(await readAudit({ limit, offset }));
+});
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Tournaments: admins create them, members register, runs inside the window count
+// ───────────────────────────────────────────────────────────────────────────────
+// late refreshes may still bring in-window runs, so standings freeze a bit after the end
+const TOURNAMENT_GRACE_MS = Number(process.env.TOURNAMENT_GRACE_MS ?? 10 * 60 * 1000);
+
+const STATUS_ORDER = { live: 0, upcoming: 1, finalizing: 2, finished: 3 };
+
+app.get("/tournaments", (req, res) => {
+  res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+  res.sendFile(path.resolve("public", "tournaments.html"));
+});
+
+app.get("/tournaments/:id", (req, res) => {
+  res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+  res.sendFile(path.resolve("public", "tournament.html"));
+});
+
+// Live and upcoming first, then the archive (most recently ended first)
+async function tournamentList() {
+  await finalizeDue(Date.now(), TOURNAMENT_GRACE_MS);
+  const list = (await listTournaments()).map((t) => describeTournament(t, Date.now(), TOURNAMENT_GRACE_MS));
+  return list.sort((a, b) => STATUS_ORDER[a.status] - STATUS_ORDER[b.status] || Date.parse(b.endAt) - Date.parse(a.endAt));
+}
+
+app.get("/api/tournaments", async (req, res) => {
+  res.json({ tournaments: await tournamentList() });
+});
+
+// Tournament with standings (moderated members left out), or null
+async function tournamentDetail(id) {
+  await finalizeDue(Date.now(), TOURNAMENT_GRACE_MS);
+  const t = await getTournament(id);
+  if (!t) return null;
+
   const users = await loadUsers();
-  const ilUsers = users.filter((u) => (u.country || "IL") === "IL");
+  const moderated = new Set(users.filter((u) => u.hidden || u.banned).map((u) => u.username.toLowerCase()));
+  const standings = (t.final?.standings || computeStandings(t))
+    .filter((r) => !moderated.has(r.username.toLowerCase()))
+    .map((r, i) => ({ rank: i + 1, ...r }));
+  return {
+    t,
+    tournament: describeTournament(t, Date.now(), TOURNAMENT_GRACE_MS),
+    finalizedAt: t.final?.at || null,
+    standings,
+  };
+}
+
+app.get("/api/tournaments/:id", async (req, res) => {
+  const detail = await tournamentDetail(req.params.id);
+  if (!detail) return res.status(404).json({ error: "Unknown tournament" });
+  const { t, tournament, finalizedAt, standings } = detail;
+  const me = req.session?.user?.username?.toLowerCase();
+  res.json({ tournament, finalizedAt, standings, registered: !!(me && t.registrations?.[me]) });
+});
+
+async function register(req, res, registered) {
+  noStore(res);
+  const username = req.session.user.username;
+  const t = await getTournament(req.params.id);
+  if (!t) return res.status(404).json({ ok: false, error: "Unknown tournament" });
+  if (!(await setRegistration(t.id, username, registered))) {
+    return res.status(409).json({ ok: false, error: "This tournament is over." });
+  }
+  // pick up runs already done inside a live window without waiting for the next pass
+  if (registered && Date.now() >= Date.parse(t.startAt)) {
+    scheduler.refreshNow(username).catch((e) => console.warn("[TOURNAMENT] refresh failed:", e?.message || e));
+  }
+  return res.json({ ok: true, registered });
+}
+
+app.post("/api/tournaments/:id/register", requireLogin, requireSameOrigin, csrfProtection, (req, res) =>
+  register(req, res, true)
+);
+app.post("/api/tournaments/:id/unregister", requireLogin, requireSameOrigin, csrfProtection, (req, res) =>
+  register(req, res, false)
+);
+
+app.post("/api/admin/tournaments", requireAdmin, adminCsrf, async (req, res) => {
+  noStore(res);
+  const input = parseTournamentInput(req.body);
+  if (input.error) return res.status(400).json({ ok: false, error: input.error });
+  const t = await createTournament({ ...input, createdBy: req.admin.actor });
+  await appendAudit({ actor: req.admin.actor, action: "tournament-create", target: null, details: { id: t.id, name: t.name } });
+  return res.json({ ok: true, tournament: describeTournament(t) });
+});
+
+app.post("/api/admin/tournaments/:id/delete", requireAdmin, adminCsrf, async (req, res) => {
+  noStore(res);
+  const t = await deleteTournament(req.params.id);
+  if (!t) return res.status(404).json({ ok: false, error: "Unknown tournament" });
+  await appendAudit({ actor: req.admin.actor, action: "tournament-delete", target: null, details: { id: t.id, name: t.name } });
+  return res.json({ ok: true });
+});
 
-  ilUsers.sort((a, b) => {
-    if (b.wpm15 !== a.wpm15) return b.wpm15 - a.wpm15;
-    if (b.accuracy !== a.accuracy) return b.accuracy - a.accuracy;
-    return new Date(b.timestamp) - new Date(a.timestamp);
+// ───────────────────────────────────────────────────────────────────────────────
+// Groups: schools, units, companies, cities — own boards plus an inter-group ranking
+// ───────────────────────────────────────────────────────────────────────────────
+app.get("/groups", (req, res) => {
+  res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+  res.sendFile(path.resolve("public", "groups.html"));
+});
+
+app.get("/groups/:id", (req, res) => {
+  res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+  res.sendFile(path.resolve("public", "group.html"));
+});
+
+app.get("/api/groups", async (req, res) => {
+  const me = req.session?.user?.username;
+  const groups = await listGroups();
+  res.json({
+    groups: groups.map(describeGroup).sort((a, b) => b.memberCount - a.memberCount || a.name.localeCompare(b.name)),
+    mine: me ? groups.filter((g) => isMember(g, me)).map((g) => g.id) : [],
   });
+});
 
+// Groups ranked by the average WPM of their top N members (?top=5) on one board selection
+app.get("/api/groups/ranking", async (req, res) => {
+  const selection = parseBoardQuery(req.query);
+  if (selection.error) return res.status(400).json({ error: selection.error });
+  const top = Math.max(1, Math.min(20, Number(req.query.top) || 5));
+  const rows = buildLeaderboard(await loadUsers(), selection);
   res.json({
-    users: ilUsers.map((u) => ({
-      username: u.username,
-      wpm15: u.wpm15,
-      accuracy: u.accuracy,
-      timestamp: u.timestamp,
-    })),
+    category: { mode: selection.mode, mode2: selection.mode2 },
+    filters: selection.filters,
+    top,
+    groups: rankGroups(await listGroups(), rows, top),
   });
 });
 
-// Health
-app.get("/healthz", (_, res) => res.json({ ok: true }));
+app.get("/api/groups/:id", async (req, res) => {
+  noStore(res);
+  const g = await getGroup(req.params.id);
+  if (!g) return res.status(404).json({ error: "Unknown group" });
+  const me = req.session?.user?.username;
+  const moderated = new Set((await loadUsers()).filter((u) => u.hidden || u.banned).map((u) => u.username.toLowerCase()));
+  const canManage = isOwner(g, me) || (await isAdmin(me));
+  res.json({
+    group: describeGroup(g),
+    members: Object.values(g.members)
+      .filter((m) => !moderated.has(m.username.toLowerCase()))
+      .sort((a, b) => String(a.joinedAt).localeCompare(String(b.joinedAt))),
+    isMember: isMember(g, me),
+    isOwner: isOwner(g, me),
+    inviteCode: canManage ? g.inviteCode : null,
+  });
+});
+
+app.post("/api/groups", requireLogin, requireSameOrigin, csrfProtection, async (req, res) => {
+  noStore(res);
+  const input = parseGroupInput(req.body);
+  if (input.error) return res.status(400).json({ ok: false, error: input.error });
+  try {
+    const g = await createGroup(input, req.session.user.username);
+    return res.json({ ok: true, group: describeGroup(g), inviteCode: g.inviteCode });
+  } catch (e) {
+    return res.status(e.status || 500).json({ ok: false, error: e.status ? e.message : "Server error" });
+  }
+});
+
+app.post("/api/groups/:id/join", requireLogin, requireSameOrigin, csrfProtection, async (req, res) => {
+  noStore(res);
+  const result = await joinGroup(req.params.id, req.session.user.username, String(req.body?.code || "").trim());
+  if (result === "unknown") return res.status(404).json({ ok: false, error: "Unknown group" });
+  if (result === "bad-code") return res.status(403).json({ ok: false, error: "Wrong or expired invite code." });
+  return res.json({ ok: true, joined: result === "joined" });
+});
+
+app.post("/api/groups/:id/leave", requireLogin, requireSameOrigin, csrfProtection, async (req, res) => {
+  noStore(res);
+  if (!(await leaveGroup(req.params.id, req.session.user.username))) {
+    return res.status(404).json({ ok: false, error: "You are not in this group." });
+  }
+  return res.json({ ok: true });
+});
+
+// New invite code (the old one stops working); owners only
+app.post("/api/groups/:id/code", requireLogin, requireSameOrigin, csrfProtection, async (req, res) => {
+  noStore(res);
+  const g = await getGroup(req.params.id);
+  if (!g) return res.status(404).json({ ok: false, error: "Unknown group" });
+  if (!isOwner(g, req.session.user.username)) return res.status(403).json({ ok: false, error: "Only the owner can do that." });
+  const code = await regenerateInviteCode(g.id);
+  if (!code) return res.status(400).json({ ok: false, error: "Open groups have no invite code." });
+  return res.json({ ok: true, inviteCode: code });
+});
+
+app.post("/api/admin/groups/:id/delete", requireAdmin, adminCsrf, async (req, res) => {
+  noStore(res);
+  const g = await deleteGroup(req.params.id);
+  if (!g) return res.status(404).json({ ok: false, error: "Unknown group" });
+  await appendAudit({
+    actor: req.admin.actor,
+    action: "group-delete",
+    target: null,
+    details: { id: g.id, name: g.name, members: memberNames(g).length, reason: String(req.body?.reason || "").slice(0, 500) || null },
+  });
+  return res.json({ ok: true });
+});
 
 // ───────────────────────────────────────────────────────────────────────────────
-// Background refresh + invalid key cleanup
+// Discord slash commands (interactions endpoint) and account linking
 // ───────────────────────────────────────────────────────────────────────────────
-const REFRESH_MINUTES = 3;
-setInterval(async () => {
+const siteUrl = (req) => (process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`).replace(/\/+$/, "");
+
+app.post("/api/discord/interactions", async (req, res) => {
+  const publicKey = process.env.DISCORD_PUBLIC_KEY;
+  if (!publicKey) return res.status(404).json({ error: "Discord integration is not configured" });
+  const ok = verifyDiscordRequest({
+    publicKey,
+    signature: req.get("x-signature-ed25519"),
+    timestamp: req.get("x-signature-timestamp"),
+    body: req.rawBody,
+  });
+  if (!ok) return res.status(401).send("invalid request signature");
+
   try {
-    const users = await loadUsers();
-    const keep = [];
-
-    for (const u of users) {
-      try {
-        const key = await getApeKey(u.username);
-        if (!key) continue;
-
-        // Validate key with timeout; skip if invalid
-        const valid = await testApeKey(key);
-        if (!valid) {
-          console.warn(`[CLEANUP] Ape Key for ${u.username} is invalid — removing user/key`);
-          await deleteUserAndKey(u.username);
-          continue;
-        }
+    res.json(await handleInteraction(req.body, { users: await loadUsers(), siteUrl: siteUrl(req) }));
+  } catch (e) {
+    console.error("discord interaction error:", e?.message || e);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+function linkPage(req, res, status, title, body) {
+  noStore(res);
+  return sendPage(req, res, status, title, `
+    ${body}
+    <p style="margin-top:16px"><a href="/account">${req.t("nav.account")}</a> · <a href="/">${req.t("nav.leaderboard")}</a></p>
+  `);
+}
 
-        // Backoff a bit to avoid API bursts
-        await sleep(120);
-
-        const mt = await fetchMonkeytype15s(u.username);
-        u.wpm15 = mt.wpm15;
-        u.accuracy = mt.accuracy;
-        u.timestamp = new Date().toISOString();
-        u.country = "IL";
-        keep.push(u);
-      } catch (inner) {
-        console.warn(`[REFRESH ERROR] ${u.username}:`, inner?.message || inner);
+const linkExpired = (req, res) => linkPage(req, res, 410, req.t("discord.expiredTitle"), `<p>${req.t("discord.expiredBody")}</p>`);
+
+// Opened from the ephemeral /link reply; asks before linking (the POST carries CSRF)
+app.get("/discord/link", requireLogin, csrfProtection, async (req, res) => {
+  const token = String(req.query.token || "");
+  const link = await peekLinkToken(token);
+  if (!link) return linkExpired(req, res);
+  const names = { discord: link.discordName || link.discordId, username: req.session.user.username };
+  return linkPage(req, res, 200, req.t("discord.confirmTitle"), `
+    <p>${req.t("discord.confirmBody", names)}</p>
+    <form method="POST" action="/discord/link">
+      <input type="hidden" name="_csrf" value="${req.csrfToken()}"/>
+      <input type="hidden" name="token" value="${escapeHtml(token)}"/>
+      <button type="submit" style="padding:8px 12px; font-weight:600">${req.t("discord.confirmButton")}</button>
+    </form>`);
+});
+
+app.post("/discord/link", requireLogin, requireSameOrigin, csrfProtection, async (req, res) => {
+  const link = await consumeLinkToken(req.body?.token);
+  if (!link) return linkExpired(req, res);
+  const username = req.session.user.username;
+  // one Discord account ↔ one site account
+  await updateUsers((users) =>
+    users.map((u) => {
+      if (u.username.toLowerCase() === username.toLowerCase()) {
+        return { ...u, discord: { id: link.discordId, name: link.discordName, linkedAt: new Date().toISOString() } };
       }
-    }
+      if (u.discord?.id === link.discordId) {
+        const { discord, ...rest } = u;
+        return rest;
+      }
+      return u;
+    })
+  );
+  return linkPage(req, res, 200, req.t("discord.doneTitle"), `<p>${req.t("discord.doneBody", { discord: link.discordName || link.discordId, username })}</p>`);
+});
 
-    await saveUsers(keep);
-  } catch (e) {
-    console.error("Auto-refresh failed:", e?.message || e);
+app.post("/api/account/discord/unlink", requireLogin, requireSameOrigin, csrfProtection, async (req, res) => {
+  noStore(res);
+  await patchUser(req.session.user.username, { discord: null });
+  return res.json({ ok: true });
+});
+
+app.post("/api/account/monkeytype/unlink", requireLogin, requireSameOrigin, csrfProtection, async (req, res) => {
+  noStore(res);
+  await patchUser(req.session.user.username, { monkeytype: null });
+  return res.json({ ok: true });
+});
+
+// Profile page (client fills it from /api/users/:username)
+app.get("/u/:username", (req, res) => {
+  res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+  res.sendFile(path.resolve("public", "profile.html"));
+});
+
+// Health
+app.get("/healthz", (_, res) => res.json({ ok: true }));
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Public read API (/api/v1): paginated, CORS-enabled, optional per-token limits
+// ───────────────────────────────────────────────────────────────────────────────
+const API_ANON_RATE_LIMIT = Number(process.env.API_ANON_RATE_LIMIT || 30); // per IP and minute
+
+// Read-only and cookie-less, so any origin may call it
+app.use("/api/v1", (req, res, next) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Expose-Headers", "RateLimit-Policy, RateLimit, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After");
+  res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
+  if (req.method === "OPTIONS") {
+    res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+    res.setHeader("Access-Control-Allow-Headers", "Authorization");
+    res.setHeader("Access-Control-Max-Age", "600");
+    return res.status(204).end();
+  }
+  if (req.method !== "GET") return res.status(405).set("Allow", "GET, OPTIONS").json({ error: "Read-only API" });
+  return next();
+});
+
+// Unknown tokens skip the global limiter too, so their 401s count against the
+// anonymous per-IP limit; once it's spent, the token isn't even looked up
+app.use(
+  "/api/v1",
+  rateLimit({
+    windowMs: 60 * 1000,
+    max: API_ANON_RATE_LIMIT,
+    keyGenerator: (req) => `ip:${req.ip}`,
+    skip: (req) => !tokenFromRequest(req),
+    requestWasSuccessful: (req, res) => res.statusCode !== 401,
+    skipSuccessfulRequests: true,
+    standardHeaders: false,
+    legacyHeaders: false,
+    handler: (req, res, next, options) => res.status(options.statusCode).json({ error: "Rate limit reached" }),
+  })
+);
+
+// A presented token must be valid; no token means the anonymous per-IP limit
+app.use("/api/v1", async (req, res, next) => {
+  const presented = tokenFromRequest(req);
+  if (!presented && req.get("authorization")) return res.status(401).json({ error: "Unknown API token" });
+  if (presented) {
+    req.apiToken = await findToken(presented);
+    if (!req.apiToken) return res.status(401).json({ error: "Unknown API token" });
   }
-}, REFRESH_MINUTES * 60 * 1000);
+  return next();
+});
+
+app.use(
+  "/api/v1",
+  rateLimit({
+    windowMs: 60 * 1000,
+    max: (req) => req.apiToken?.rateLimit ?? API_ANON_RATE_LIMIT,
+    keyGenerator: (req) => (req.apiToken ? `token:${req.apiToken.id}` : `ip:${req.ip}`),
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res, next, options) => res.status(options.statusCode).json({ error: "Rate limit reached" }),
+  })
+);
+
+// One handler per operationId in lib/api-v1.js; each returns { status?, body }
+const V1_HANDLERS = {
+  listModes: async () => ({ body: { data: MODES } }),
+
+  getLeaderboard: async (req) => {
+    const board = await loadBoard(req.query);
+    if (board.error) return { status: board.status, body: { error: board.error } };
+    const { selection, season, group, rows } = board;
+    const page = paginate(withRanks(rows).filter((r) => matchesQ(req.query.q)(r.username)), req.query);
+    if (page.error) return { status: 400, body: { error: page.error } };
+    return {
+      body: {
+        category: { mode: selection.mode, mode2: selection.mode2 },
+        filters: selection.filters,
+        season,
+        group: group ? describeGroup(group) : null,
+        ...page,
+      },
+    };
+  },
+
+  getUser: async (req) => {
+    const profile = await publicProfile(req.params.username);
+    return profile ? { body: profile } : { status: 404, body: { error: "Unknown user" } };
+  },
+
+  getUserHistory: async (req) => {
+    const selection = parseBoardQuery(req.query);
+    if (selection.error) return { status: 400, body: { error: selection.error } };
+    const history = await publicHistory(req.params.username, selection);
+    if (!history) return { status: 404, body: { error: "Unknown user" } };
+    const page = paginate(history.points, req.query);
+    if (page.error) return { status: 400, body: { error: page.error } };
+    return { body: { username: history.username, category: { mode: selection.mode, mode2: selection.mode2 }, ...page } };
+  },
+
+  listSeasons: async () => ({ body: await listSeasons() }),
+
+  listTournaments: async (req) => {
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !(status in STATUS_ORDER)) return { status: 400, body: { error: "Bad status" } };
+    const page = paginate((await tournamentList()).filter((t) => !status || t.status === status), req.query);
+    return page.error ? { status: 400, body: { error: page.error } } : { body: page };
+  },
+
+  getTournament: async (req) => {
+    const detail = await tournamentDetail(req.params.id);
+    if (!detail) return { status: 404, body: { error: "Unknown tournament" } };
+    const { tournament, finalizedAt, standings } = detail;
+    return { body: { tournament, finalizedAt, standings } };
+  },
+
+  listGroups: async (req) => {
+    const groups = (await listGroups())
+      .map(describeGroup)
+      .filter((g) => matchesQ(req.query.q)(g.name))
+      .sort((a, b) => b.memberCount - a.memberCount || a.name.localeCompare(b.name));
+    const page = paginate(groups, req.query);
+    return page.error ? { status: 400, body: { error: page.error } } : { body: page };
+  },
+
+  rankGroups: async (req) => {
+    const selection = parseBoardQuery(req.query);
+    if (selection.error) return { status: 400, body: { error: selection.error } };
+    const top = Math.max(1, Math.min(20, Number(req.query.top) || 5));
+    const rows = buildLeaderboard(await loadUsers(), selection);
+    const page = paginate(withRanks(rankGroups(await listGroups(), rows, top)), req.query);
+    if (page.error) return { status: 400, body: { error: page.error } };
+    return { body: { category: { mode: selection.mode, mode2: selection.mode2 }, filters: selection.filters, top, ...page } };
+  },
+};
+
+// Publicly cached, so the server URL is PUBLIC_URL or relative, never the Host header
+app.get("/api/v1/openapi.json", (req, res) => {
+  res.setHeader("Cache-Control", "public, max-age=300");
+  res.json(buildOpenApi({ serverUrl: (process.env.PUBLIC_URL || "").replace(/\/+$/, "") }));
+});
+
+for (const op of V1_OPERATIONS) {
+  const handler = V1_HANDLERS[op.operationId];
+  if (!handler) throw new Error(`No handler for API operation ${op.operationId}`);
+  app.get(`/api/v1${toExpressPath(op.path)}`, async (req, res) => {
+    try {
+      const { status = 200, body } = await handler(req);
+      res.setHeader("Cache-Control", "no-cache");
+      res.status(status).json(body);
+    } catch (e) {
+      console.error(`api/v1 ${op.operationId} error:`, e?.message || e);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+}
+
+app.use("/api/v1", (req, res) => res.status(404).json({ error: "Unknown API route" }));
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Embeds: SVG rank badge and the top-N widget (the one page other sites may frame)
+// ───────────────────────────────────────────────────────────────────────────────
+const BADGE_MAX_AGE = Number(process.env.BADGE_MAX_AGE || 300); // seconds; GitHub's image proxy honours it
+const WIDGET_MAX_AGE = 60;
+const WIDGET_FRAME_ANCESTORS = (process.env.WIDGET_FRAME_ANCESTORS || "*").split(/[\s,]+/).filter(Boolean);
+
+const widgetCsp = helmet.contentSecurityPolicy({
+  useDefaults: true,
+  directives: { ...CSP_DIRECTIVES, "frame-ancestors": WIDGET_FRAME_ANCESTORS },
+});
+
+function embedHeaders(res, maxAge) {
+  res.setHeader("Cache-Control", `public, max-age=${maxAge}, stale-while-revalidate=${maxAge}`);
+  res.setHeader("Cross-Origin-Resource-Policy", "cross-origin"); // helmet's default would block <img> on other sites
+}
+
+// /badge/noam_k.svg?mode=time&mode2=60&theme=dark&accent=e2b714 (same board query as /api/leaderboard)
+app.get("/badge/:username.svg", async (req, res) => {
+  const board = await loadBoard(req.query);
+  if (board.error) return res.status(board.status).type("text/plain").send(board.error);
+  const user = await getUser(req.params.username);
+  const visible = user && !user.hidden && !user.banned;
+  const rank = visible ? rankIn(board.rows, user.username) : null;
+
+  embedHeaders(res, BADGE_MAX_AGE);
+  res.status(visible ? 200 : 404).type("image/svg+xml").send(
+    renderBadge(
+      { username: visible ? user.username : req.params.username, selection: board.selection, row: rank && board.rows[rank.rank - 1], rank },
+      parseTheme(req.query)
+    )
+  );
+});
+
+// /widget?n=10&mode=time&mode2=15&theme=dark&accent=e2b714&refresh=60
+app.get("/widget", widgetCsp, async (req, res) => {
+  const board = await loadBoard(req.query);
+  if (board.error) return res.status(board.status).type("text/plain").send(board.error);
+  res.removeHeader("X-Frame-Options"); // superseded by frame-ancestors above
+  embedHeaders(res, WIDGET_MAX_AGE);
+  res.type("html").send(renderWidget({ rows: board.rows, selection: board.selection, options: parseWidgetOptions(req.query) }));
+});
+
+// ───────────────────────────────────────────────────────────────────────────────
+// Background refresh (bounded concurrency, per-user backoff; failing users stay on the board)
+// ───────────────────────────────────────────────────────────────────────────────
+const REFRESH_MINUTES = 3;
+const webhooks = createWebhookDispatcher();
+webhooks.resume().catch((e) => console.error("[WEBHOOK] resume failed:", e?.message || e));
+
+const scheduler = createRefreshScheduler({
+  listUsernames: async () => (await loadUsers()).filter((u) => !u.banned).map((u) => u.username),
+  refreshUser: refreshOne,
+  intervalMs: REFRESH_MINUTES * 60 * 1000,
+  concurrency: Number(process.env.REFRESH_CONCURRENCY || 3),
+}).start();
 
 // 404 and centralized error handler
-app.use((req, res) => res.status(404).send("Not found"));
+app.use((req, res) => res.status(404).send(req.t("error.notFound")));
 app.use((err, req, res, next) => {
+  if (err?.code === "EBADCSRFTOKEN" && !res.headersSent) {
+    return res.status(403).send(req.t("error.csrf"));
+  }
   console.error("[UNCAUGHT]", err?.message || err);
   if (res.headersSent) return next(err);
-  res.status(500).send("Server error");
+  res.status(500).send(req.t ? req.t("error.server") : "Server error");
 });
 
+// ───────────────────────────────────────────────────────────────────────────────
+// Demo mode: simulated stats from the bundled mock Monkeytype API, fully offline
+// ───────────────────────────────────────────────────────────────────────────────
+async function seedDemoUsers() {
+  for (const demo of DEMO_USERS.filter((d) => d.seed !== false)) {
+    if (await findUsernameByKeyHash(sha256(demo.apeKey))) continue;
+    await upsertKey({ username: demo.username, apeKey: demo.apeKey });
+    await scheduler.refreshNow(demo.username, demo.apeKey, { create: true }).catch((e) => {
+      console.warn(`[DEMO] seeding ${demo.username} failed:`, e?.message || e);
+    });
+  }
+}
+
+if (DEMO) {
+  if (PROD) console.warn("[DEMO] DEMO_MODE is on in production — the board shows fake users.");
+  if (!process.env.MONKEYTYPE_API_BASE) {
+    const mock = await startMockMonkeytype({ port: Number(process.env.MOCK_MONKEYTYPE_PORT || 0) });
+    process.env.MONKEYTYPE_API_BASE = mock.url;
+  }
+  console.log(`[DEMO] Using mock Monkeytype API at ${apiBase()}`);
+  await seedDemoUsers();
+}
+
+// Fails startup on a half-configured provider (see lib/monkeytype-oauth.js)
+if (monkeytypeOAuth()) console.log(`[OAUTH] Sign in with Monkeytype via ${oauthConfig({ mock: DEMO }).authorizationURL}`);
+
+// The Israel-only gate needs at least one working country source
+if (geoProviderNames().includes("local")) {
+  const db = await geoDbStatus();
+  if (!db.ipv4Ranges && !process.env.GEO_PROVIDERS) {
+    console.warn(`[GEO] ${db.file}: ${db.error || "no ranges"}. Using ipapi.co and ipwho.is until "npm run geo:refresh" builds it.`);
+  } else if (!db.ipv4Ranges && geoProviderNames().length === 1) {
+    console.warn(`[GEO] ${db.file}: ${db.error || "no ranges"}. Joins from public IPs will be refused; run "npm run geo:refresh" or add HTTP fallbacks (GEO_PROVIDERS=local,ipapi,ipwhois).`);
+  }
+}
+
 // Start
 app.listen(PORT, () => {
   console.log(`Monkeytype Israel Leaderboard running on http://localhost:${PORT}`);
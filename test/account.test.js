@@ -0,0 +1,130 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startStack, client } from "./harness.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const iso = (ms) => new Date(ms).toISOString();
+const token = (id, owner) => ({ id, name: `${owner} overlay`, owner, hash: id, preview: "mtil_abcd…", rateLimit: 120, createdBy: "boss", createdAt: iso(0), lastUsedAt: null });
+const vouch = (id, username, voucher) => ({ id, username, keyHash: "secret-hash", message: "I live in Berlin now", voucher, status: "pending", createdAt: iso(0) });
+
+let stack;
+before(async () => {
+  stack = await startStack({
+    files: {
+      seasons: {
+        open: {},
+        archive: {
+          "year:2020": {
+            id: "year:2020", kind: "year", label: "2020", start: "2020-01-01T00:00:00.000Z", end: "2021-01-01T00:00:00.000Z",
+            closedAt: "2021-01-01T00:00:00.000Z",
+            users: { leaving: { username: "leaving", timestamp: "2020-05-01T00:00:00.000Z", pbs: {} } },
+          },
+        },
+      },
+      tournaments: [{
+        id: "cup", name: "Cup", mode: "time", mode2: "15", filters: {}, scoring: { type: "best" },
+        startAt: iso(Date.now() - DAY), endAt: iso(Date.now() + DAY), createdBy: "boss", createdAt: iso(0), registrations: {},
+      }],
+      "api-tokens": [token("tok1", "leaving"), token("tok2", "old_name"), token("tok3", "someone")],
+      "vouch-requests": [vouch("v1", "leaving", null), vouch("v2", "someone", "old_name")],
+      invites: [{ id: "inv1", hash: "x", preview: "IL-AB…", maxUses: 2, uses: [{ username: "old_name", at: iso(0) }], createdBy: "boss", createdAt: iso(0), expiresAt: iso(Date.now() + DAY), revoked: false }],
+    },
+  });
+});
+after(() => stack.stop());
+
+async function loggedIn(ip, name, key) {
+  const c = client(stack.base, { ip });
+  assert.equal((await c.join(name, key)).status, 200);
+  const { body } = await c.get("/api/account");
+  const post = (url, json) => c.post(url, { json, headers: { "x-csrf-token": body.csrf } });
+  return { c, post };
+}
+
+test("account API needs a session and a CSRF token", async () => {
+  const anon = client(stack.base, { ip: "10.0.4.1" });
+  assert.equal((await anon.get("/api/account")).status, 401);
+
+  const { c } = await loggedIn("10.0.4.2", "csrf_user", "ape_demo_itay");
+  const r = await c.post("/api/account/username", { json: { siteUsername: "renamed_x" } });
+  assert.equal(r.status, 403);
+});
+
+test("replace key moves the byHash binding to the new key", async () => {
+  const { post } = await loggedIn("10.0.4.3", "rotator", "ape_demo_omer");
+  assert.equal((await post("/api/account/key", { apeKey: "ape_bogus" })).status, 400);
+  const pbsOf = async () => (await stack.readDoc("users")).find((u) => u.username === "rotator").pbs;
+  const before = await pbsOf();
+
+  const r = await post("/api/account/key", { apeKey: "ape_demo_eitan" });
+  assert.deepEqual(r.body, { ok: true });
+  // the board already shows the new key's results
+  assert.notDeepEqual(await pbsOf(), before);
+
+  const ks = await stack.readDoc("keystore");
+  const owners = Object.values(ks.byHash).filter((u) => u === "rotator");
+  assert.equal(owners.length, 1);
+
+  // the old key is free again: it now creates a brand-new account
+  const other = client(stack.base, { ip: "10.0.4.4" });
+  assert.equal((await other.join("omer_again", "ape_demo_omer")).body.created, true);
+});
+
+test("rename keeps the key and history under the new name", async () => {
+  const { c, post } = await loggedIn("10.0.4.5", "old_name", "ape_demo_maya");
+  assert.equal((await post("/api/account/username", { siteUsername: "rotator" })).status, 409);
+
+  const r = await post("/api/account/username", { siteUsername: "new_name" });
+  assert.deepEqual(r.body, { ok: true, username: "new_name" });
+  assert.equal((await c.get("/api/session")).body.username, "new_name");
+  assert.equal((await c.get("/api/users/old_name")).status, 404);
+  assert.ok((await c.get("/api/users/new_name/history")).body.points.length > 0);
+
+  const again = client(stack.base, { ip: "10.0.4.6" });
+  assert.deepEqual((await again.join("whatever", "ape_demo_maya")).body, { ok: true, username: "new_name", relogin: true });
+
+  // records that point at the member by name follow too
+  assert.deepEqual((await stack.readDoc("api-tokens")).map((t) => t.owner), ["leaving", "new_name", "someone"]);
+  assert.equal((await stack.readDoc("vouch-requests"))[1].voucher, "new_name");
+  assert.equal((await stack.readDoc("invites"))[0].uses[0].username, "new_name");
+});
+
+test("other sessions follow a rename and end when the account is deleted", async () => {
+  const first = await loggedIn("10.0.4.8", "two_tabs", "ape_demo_noam");
+  const second = await loggedIn("10.0.4.9", "two_tabs", "ape_demo_noam");
+  assert.equal((await first.post("/api/account/username", { siteUsername: "two_tabs_b" })).status, 200);
+  assert.equal((await second.c.get("/api/account")).body.username, "two_tabs_b");
+
+  assert.deepEqual((await first.post("/api/account/delete", { confirm: "two_tabs_b" })).body, { ok: true });
+  assert.equal((await second.post("/api/account/key", { apeKey: "ape_demo_dana" })).status, 401);
+  assert.equal((await stack.readDoc("users")).some((u) => u.username === "two_tabs_b"), false);
+});
+
+test("export and delete", async () => {
+  const { c, post } = await loggedIn("10.0.4.7", "leaving", "ape_demo_yael");
+  assert.equal((await post("/api/tournaments/cup/register", {})).status, 200);
+  assert.equal((await post("/api/groups", { name: "Leavers Club", kind: "other", visibility: "open" })).status, 200);
+  const exp = await c.get("/api/account/export");
+  assert.equal(exp.status, 200);
+  assert.match(exp.headers.get("content-disposition"), /attachment/);
+  assert.equal(exp.body.user.username, "leaving");
+  assert.ok(exp.body.apeKey.keyHash);
+  assert.ok(!JSON.stringify(exp.body).includes("ape_demo_yael"));
+  assert.ok(exp.body.seasons.some((e) => e.season.id === "year:2020" && e.season.closed));
+  assert.equal(exp.body.tournaments[0].tournament.id, "cup");
+  assert.equal(exp.body.tournaments[0].registration.username, "leaving");
+  assert.deepEqual(exp.body.groups.map((g) => [g.group.name, g.role]), [["Leavers Club", "owner"]]);
+  assert.deepEqual(exp.body.vouchRequests.map((v) => v.id), ["v1"]);
+  assert.deepEqual(exp.body.apiTokens.map((t) => t.id), ["tok1"]);
+  // hashes stay out of the export
+  assert.ok(!JSON.stringify(exp.body).includes("secret-hash"));
+  assert.ok(!("hash" in exp.body.apiTokens[0]));
+
+  assert.equal((await post("/api/account/delete", { confirm: "nope" })).status, 400);
+  assert.deepEqual((await post("/api/account/delete", { confirm: "leaving" })).body, { ok: true });
+
+  assert.equal((await c.get("/api/users/leaving")).status, 404);
+  const ks = await stack.readDoc("keystore");
+  assert.ok(!("leaving" in ks.byUser));
+  assert.ok(!Object.values(ks.byHash).includes("leaving"));
+});
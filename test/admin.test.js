@@ -0,0 +1,117 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startStack, client, accountFiles } from "./harness.js";
+
+const TOKEN = "admin-test-token-0123456789";
+let stack;
+before(async () => {
+  stack = await startStack({ env: { ADMIN_USERNAMES: "boss,chief,deputy", ADMIN_TOKEN: TOKEN }, files: accountFiles({ boss: "ape_demo_shira", deputy: "ape_demo_maya" }) });
+});
+after(() => stack.stop());
+
+async function adminClient() {
+  const c = client(stack.base, { ip: "10.0.5.1" });
+  assert.equal((await c.join("boss", "ape_demo_shira")).status, 200);
+  const { body } = await c.get("/api/session");
+  assert.equal(body.isAdmin, true);
+  const act = (username, action, reason) =>
+    c.post(`/api/admin/users/${username}/${action}`, { json: { reason }, headers: { "x-csrf-token": body.csrf } });
+  return { c, act };
+}
+
+const onBoard = async (c, name) =>
+  (await c.get("/api/leaderboard")).body.users.some((u) => u.username === name);
+
+test("admin routes reject members and anonymous visitors", async () => {
+  const anon = client(stack.base, { ip: "10.0.5.2" });
+  assert.equal((await anon.get("/api/admin/users")).status, 401);
+
+  const member = client(stack.base, { ip: "10.0.5.3" });
+  await member.join("plain_member", "ape_demo_noam");
+  assert.equal((await member.get("/api/session")).body.isAdmin, false);
+  assert.equal((await member.get("/api/admin/users")).status, 403);
+  assert.equal((await member.get("/api/admin/audit")).status, 403);
+});
+
+test("nobody can claim a configured admin name that has no account yet", async () => {
+  const stranger = client(stack.base, { ip: "10.0.5.8" });
+  assert.equal((await stranger.join("Chief", "ape_demo_itay")).status, 403);
+  assert.equal((await stranger.get("/api/session")).body.loggedIn, false);
+
+  assert.equal((await stranger.join("not_chief", "ape_demo_itay")).status, 200);
+  const { csrf } = (await stranger.get("/api/session")).body;
+  const rename = await stranger.post("/api/account/username", { json: { siteUsername: "chief" }, headers: { "x-csrf-token": csrf } });
+  assert.equal(rename.status, 403);
+  assert.equal((await stranger.get("/api/session")).body.isAdmin, false);
+  assert.equal((await stranger.get("/api/admin/users")).status, 403);
+});
+
+test("hide and ban take users off the board; ban also blocks login", async () => {
+  const { c, act } = await adminClient();
+  const target = client(stack.base, { ip: "10.0.5.4" });
+  await target.join("spammy", "ape_demo_yael");
+  assert.ok(await onBoard(c, "spammy"));
+
+  assert.equal((await act("spammy", "hide", "suspicious runs")).status, 200);
+  assert.equal(await onBoard(c, "spammy"), false);
+  assert.equal((await c.get("/api/users/spammy")).status, 404);
+  assert.equal((await act("spammy", "unhide")).status, 200);
+  assert.ok(await onBoard(c, "spammy"));
+
+  assert.equal((await act("spammy", "ban", "macro")).status, 200);
+  assert.equal(await onBoard(c, "spammy"), false);
+  assert.equal((await target.get("/api/account")).status, 401);
+  const again = client(stack.base, { ip: "10.0.5.5" });
+  assert.equal((await again.join("spammy", "ape_demo_yael")).status, 403);
+
+  const { users } = (await c.get("/api/admin/users")).body;
+  assert.equal(users.find((u) => u.username === "spammy").banned, true);
+  assert.equal((await act("spammy", "explode")).status, 400);
+  assert.equal((await act("nobody_here", "hide")).status, 404);
+});
+
+test("a banned ADMIN_USERNAMES member loses admin rights", async () => {
+  const { act } = await adminClient();
+  const deputy = client(stack.base, { ip: "10.0.5.8" });
+  assert.equal((await deputy.join("deputy", "ape_demo_maya")).status, 200);
+  assert.equal((await deputy.get("/api/admin/users")).status, 200);
+
+  assert.equal((await act("deputy", "ban", "compromised account")).status, 200);
+  assert.equal((await deputy.get("/api/admin/users")).status, 403);
+  assert.equal((await deputy.get("/api/session")).body.isAdmin, false);
+  assert.equal((await act("deputy", "unban")).status, 200);
+});
+
+test("remove deletes the member with their key, and everything lands in the audit log", async () => {
+  const { c, act } = await adminClient();
+  const goner = client(stack.base, { ip: "10.0.5.6" });
+  await goner.join("goner", "ape_demo_dana");
+  const { csrf } = (await goner.get("/api/account")).body;
+  assert.equal((await act("goner", "remove", "requested by email")).status, 200);
+  assert.equal((await c.get("/api/users/goner")).status, 404);
+  const ks = await stack.readDoc("keystore");
+  assert.equal(Object.values(ks.byHash).includes("goner"), false);
+
+  // the removed member's session is over: it can't bring the account back
+  const key = await goner.post("/api/account/key", { json: { apeKey: "ape_demo_eitan" }, headers: { "x-csrf-token": csrf } });
+  assert.equal(key.status, 401);
+  assert.equal((await stack.readDoc("users")).some((u) => u.username === "goner"), false);
+  assert.equal((await goner.get("/api/session")).body.loggedIn, false);
+
+  const log = (await c.get("/api/admin/audit")).body;
+  assert.equal(log.entries[0].action, "remove");
+  assert.equal(log.entries[0].actor, "boss");
+  assert.equal(log.entries[0].details.reason, "requested by email");
+  assert.ok(log.entries.some((e) => e.action === "ban" && e.target === "spammy"));
+});
+
+test("bearer token works for scripts without CSRF, and actions need CSRF in a session", async () => {
+  const { c } = await adminClient();
+  assert.equal((await c.post("/api/admin/users/plain_member/hide", { json: {} })).status, 403);
+
+  const script = client(stack.base, { ip: "10.0.5.7", headers: { authorization: `Bearer ${TOKEN}` } });
+  assert.equal((await script.post("/api/admin/users/plain_member/refresh", { json: {} })).status, 200);
+  assert.equal((await script.get("/api/admin/refresh-status")).status, 200);
+  const log = (await script.get("/api/admin/audit?limit=1")).body;
+  assert.deepEqual([log.entries[0].actor, log.entries[0].action], ["token", "refresh"]);
+});
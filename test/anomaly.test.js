@@ -0,0 +1,78 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { checkRun, detectAnomalies, defaultRules } from "../lib/anomaly.js";
+import { DEMO_USERS } from "../lib/mock-monkeytype.js";
+import { startStack, client, accountFiles } from "./harness.js";
+
+const rules = { ...defaultRules(), enabled: true };
+const run = (extra = {}) => ({ wpm: 100, raw: 104, acc: 97, consistency: 80, restartCount: 1, timestamp: 1700000000000, ...extra });
+const cfg = { language: "english", punctuation: false, numbers: false, difficulty: "normal", lazyMode: false };
+const SIG = "english|false|false|normal|false";
+
+test("a normal run passes every rule", () => {
+  assert.deepEqual(checkRun(run(), 95, rules), []);
+});
+
+test("each rule flags its own kind of implausible run", () => {
+  const rulesHit = (entry, baseline = null) => checkRun(entry, baseline, rules).map((r) => r.rule);
+  assert.deepEqual(rulesHit(run({ wpm: 140, raw: 144 }), 100), ["wpm-jump"]);
+  assert.deepEqual(rulesHit(run({ wpm: 100, raw: 160 })), ["raw-mismatch"]);
+  assert.deepEqual(rulesHit(run({ wpm: 110, raw: 100 })), ["raw-mismatch"]);
+  assert.deepEqual(rulesHit(run({ consistency: 20 })), ["low-consistency"]);
+  assert.deepEqual(rulesHit(run({ wpm: 400, raw: 410 })), ["max-wpm"]);
+  // the Monkeytype results API calls raw WPM `rawWpm`
+  assert.deepEqual(rulesHit({ ...run({ raw: undefined }), rawWpm: 200 }), ["raw-mismatch"]);
+});
+
+test("runs already on the board are not re-checked", () => {
+  const pb = { wpm: 100, accuracy: 97, achievedAt: "2024-01-01T00:00:00.000Z", ...cfg };
+  const raw = { [`time:15#${SIG}`]: run({ consistency: 5 }) };
+  assert.equal(detectAnomalies({ prevPbs: { "time:15": [pb] }, pbs: { "time:15": [pb] }, raw, rules }).length, 0);
+  const flagged = detectAnomalies({ prevPbs: {}, pbs: { "time:15": [pb] }, raw, rules });
+  assert.deepEqual(flagged.map((f) => [f.category, f.sig]), [["time:15", SIG]]);
+});
+
+let stack;
+before(async () => {
+  stack = await startStack({
+    env: { ADMIN_USERNAMES: "reviewer" },
+    files: accountFiles({ reviewer: "ape_demo_noam" }),
+    mockOpts: {
+      now: () => 1760000000000, // stable PB timestamps across refreshes
+      users: [...DEMO_USERS, { username: "jittery", apeKey: "ape_jittery", base: 90, language: "english", overrides: { consistency: 12 } }],
+    },
+  });
+});
+after(() => stack.stop());
+
+test("flagged runs wait in the review queue until an admin approves them", async () => {
+  const member = client(stack.base, { ip: "10.0.6.1" });
+  assert.equal((await member.join("jittery", "ape_jittery")).status, 200);
+  const onBoard = async () => (await member.get("/api/leaderboard")).body.users.some((u) => u.username === "jittery");
+  assert.equal(await onBoard(), false);
+
+  const admin = client(stack.base, { ip: "10.0.6.2" });
+  await admin.join("reviewer", "ape_demo_noam");
+  const { csrf } = (await admin.get("/api/session")).body;
+  const { items } = (await admin.get("/api/admin/review?status=pending")).body;
+  const item = items.find((i) => i.username === "jittery" && i.category === "time:15");
+  assert.ok(item);
+  assert.equal(item.reasons[0].rule, "low-consistency");
+
+  const decide = (id, d) => admin.post(`/api/admin/review/${id}/${d}`, { json: {}, headers: { "x-csrf-token": csrf } });
+  assert.equal((await decide(item.id, "approve")).status, 200);
+  assert.equal((await decide(item.id, "reject")).status, 409);
+  assert.equal(await onBoard(), true);
+
+  // rejected runs stay held on later refreshes
+  const other = items.find((i) => i.username === "jittery" && i.category === "time:30");
+  assert.equal((await decide(other.id, "reject")).status, 200);
+  assert.equal((await member.join("jittery", "ape_jittery")).status, 200);
+  const again = (await admin.get("/api/admin/review")).body.items.filter((i) => i.category === "time:30" && i.sig === other.sig);
+  assert.equal(again.length, 1);
+  const board30 = (await member.get("/api/leaderboard?mode=time&mode2=30")).body.users;
+  assert.equal(board30.some((u) => u.username === "jittery"), false);
+
+  const audit = (await admin.get("/api/admin/audit")).body.entries.map((e) => e.action);
+  assert.ok(audit.includes("review-approve") && audit.includes("review-reject"));
+});
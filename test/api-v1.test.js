@@ -0,0 +1,135 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { paginate, V1_OPERATIONS } from "../lib/api-v1.js";
+import { parseTokenInput } from "../lib/api-tokens.js";
+import { startStack, client } from "./harness.js";
+
+test("paginate slices and reports the next offset", () => {
+  const items = Array.from({ length: 7 }, (_, i) => i);
+  assert.deepEqual(paginate(items, { limit: "3", offset: "3" }), {
+    data: [3, 4, 5],
+    pagination: { total: 7, limit: 3, offset: 3, nextOffset: 6 },
+  });
+  assert.equal(paginate(items, { limit: "5", offset: "5" }).pagination.nextOffset, null);
+  assert.equal(paginate(items, {}).pagination.limit, 50);
+  assert.ok(paginate(items, { limit: "0" }).error);
+  assert.ok(paginate(items, { limit: "101" }).error);
+  assert.ok(paginate(items, { offset: "-1" }).error);
+});
+
+test("token input is validated", () => {
+  assert.deepEqual(parseTokenInput({ name: "overlay", owner: "noam_k", rateLimit: 10 }), { name: "overlay", owner: "noam_k", rateLimit: 10 });
+  assert.equal(parseTokenInput({ name: "bot" }).rateLimit, 120);
+  assert.ok(parseTokenInput({ name: "x" }).error);
+  assert.ok(parseTokenInput({ name: "bot", rateLimit: 0 }).error);
+  assert.ok(parseTokenInput({ name: "bot", owner: "<script>" }).error);
+});
+
+let stack;
+before(async () => {
+  stack = await startStack({ env: { ADMIN_TOKEN: "admin-secret", API_ANON_RATE_LIMIT: "20" } });
+  for (const [name, key] of [["shira_types", "ape_demo_shira"], ["noam_k", "ape_demo_noam"], ["yael_keys", "ape_demo_yael"], ["itay_fast", "ape_demo_itay"]]) {
+    await client(stack.base, { ip: `10.0.19.${name.length}` }).join(name, key);
+  }
+});
+after(() => stack.stop());
+
+test("leaderboard pages keep full-board ranks and filter by username", async () => {
+  const api = client(stack.base, { ip: "10.0.19.100" });
+  const all = (await api.get("/api/v1/leaderboard?mode=time&mode2=15")).body;
+  assert.equal(all.pagination.total, 4);
+  assert.deepEqual(all.data.map((r) => r.rank), [1, 2, 3, 4]);
+
+  const page = (await api.get("/api/v1/leaderboard?limit=2&offset=2")).body;
+  assert.deepEqual(page.data.map((r) => r.username), all.data.slice(2).map((r) => r.username));
+  assert.equal(page.pagination.nextOffset, null);
+
+  const found = (await api.get("/api/v1/leaderboard?q=NOAM")).body;
+  assert.equal(found.data.length, 1);
+  assert.equal(found.data[0].rank, all.data.find((r) => r.username === "noam_k").rank);
+
+  assert.equal((await api.get("/api/v1/leaderboard?limit=500")).status, 400);
+  assert.equal((await api.get("/api/v1/leaderboard?mode=zen")).status, 400);
+  assert.equal((await api.get("/api/v1/users/nobody_here")).status, 404);
+  assert.equal((await api.get("/api/v1/users/noam_k")).body.username, "noam_k");
+  assert.equal((await api.get("/api/v1/users/noam_k/history")).body.username, "noam_k");
+  assert.equal((await api.get("/api/v1/nope")).status, 404);
+});
+
+test("read-only routes allow CORS; writes are refused", async () => {
+  const r = await fetch(`${stack.base}/api/v1/leaderboard`, { headers: { origin: "https://overlay.example" } });
+  assert.equal(r.headers.get("access-control-allow-origin"), "*");
+  assert.match(r.headers.get("access-control-expose-headers"), /RateLimit-Remaining/);
+
+  const pre = await fetch(`${stack.base}/api/v1/leaderboard`, {
+    method: "OPTIONS",
+    headers: { origin: "https://overlay.example", "access-control-request-method": "GET", "access-control-request-headers": "authorization" },
+  });
+  assert.equal(pre.status, 204);
+  assert.match(pre.headers.get("access-control-allow-headers"), /Authorization/);
+  assert.equal((await fetch(`${stack.base}/api/v1/leaderboard`, { method: "POST" })).status, 405);
+
+  // the session API stays same-origin
+  assert.equal((await fetch(`${stack.base}/api/session`)).headers.get("access-control-allow-origin"), null);
+});
+
+test("the OpenAPI document lists every operation", async () => {
+  const doc = (await client(stack.base, { ip: "10.0.19.101" }).get("/api/v1/openapi.json")).body;
+  assert.equal(doc.openapi, "3.0.3");
+  assert.equal(doc.servers[0].url, "/api/v1");
+  assert.deepEqual(Object.keys(doc.paths).sort(), V1_OPERATIONS.map((op) => op.path).sort());
+  const board = doc.paths["/leaderboard"].get;
+  assert.ok(board.parameters.some((p) => p.name === "limit" && p.schema.maximum === 100));
+  assert.equal(board.responses[200].content["application/json"].schema.properties.data.items.$ref, "#/components/schemas/LeaderboardRow");
+});
+
+test("issued tokens get their own limit and can be revoked", async () => {
+  const admin = { authorization: "Bearer admin-secret" };
+  const adminApi = client(stack.base, { ip: "10.0.19.102", headers: admin });
+  assert.equal((await adminApi.post("/api/admin/api-tokens", { json: { name: "x" } })).status, 400);
+  const issued = (await adminApi.post("/api/admin/api-tokens", { json: { name: "overlay", owner: "noam_k", rateLimit: 3 } })).body;
+  assert.ok(issued.ok);
+  assert.match(issued.token, /^mtil_/);
+  assert.equal(issued.record.hash, undefined);
+
+  const bot = client(stack.base, { ip: "10.0.19.103", headers: { authorization: `Bearer ${issued.token}` } });
+  const first = await bot.get("/api/v1/modes");
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get("ratelimit-limit"), "3");
+  await bot.get("/api/v1/modes");
+  await bot.get("/api/v1/modes");
+  const limited = await bot.get("/api/v1/modes");
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.error, "Rate limit reached");
+  // the token's budget is separate from the IP's anonymous one
+  assert.equal((await client(stack.base, { ip: "10.0.19.103" }).get("/api/v1/modes")).status, 200);
+
+  const listed = (await adminApi.get("/api/admin/api-tokens")).body.tokens;
+  assert.equal(listed[0].owner, "noam_k");
+  assert.ok(listed[0].lastUsedAt);
+
+  const bogus = client(stack.base, { ip: "10.0.19.104", headers: { authorization: "Bearer mtil_nope" } });
+  assert.equal((await bogus.get("/api/v1/modes")).status, 401);
+
+  assert.ok((await adminApi.post(`/api/admin/api-tokens/${issued.record.id}/revoke`, { json: {} })).body.ok);
+  const revoked = client(stack.base, { ip: "10.0.19.105", headers: { authorization: `Bearer ${issued.token}` } });
+  assert.equal((await revoked.get("/api/v1/modes")).status, 401);
+
+  const audit = (await adminApi.get("/api/admin/audit")).body.entries.map((e) => e.action);
+  assert.ok(audit.includes("api-token-issue") && audit.includes("api-token-revoke"));
+});
+
+test("made-up tokens share the anonymous per-IP limit", async () => {
+  const bogus = client(stack.base, { ip: "10.0.19.106", headers: { authorization: "Bearer mtil_made_up_token" } });
+  const statuses = [];
+  for (let i = 0; i < 22; i++) statuses.push((await bogus.get("/api/v1/modes")).status);
+  assert.deepEqual([statuses[0], statuses[19], statuses[20]], [401, 401, 429]);
+});
+
+test("anonymous requests share a per-IP limit", async () => {
+  const anon = client(stack.base, { ip: "10.0.19.200" });
+  let status = 200;
+  for (let i = 0; i < 21 && status === 200; i++) status = (await anon.get("/api/v1/modes")).status;
+  assert.equal(status, 429);
+  assert.equal((await client(stack.base, { ip: "10.0.19.201" }).get("/api/v1/modes")).status, 200);
+});
@@ -0,0 +1,115 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { verifyDiscordRequest } from "../lib/discord.js";
+import { startStack, client } from "./harness.js";
+
+// A locally generated key pair stands in for the Discord application's
+const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+const publicHex = publicKey.export({ format: "der", type: "spki" }).subarray(-32).toString("hex");
+
+function signed(payload, { key = privateKey, ts = Math.floor(Date.now() / 1000) } = {}) {
+  const body = JSON.stringify(payload);
+  const signature = crypto.sign(null, Buffer.from(`${ts}${body}`), key).toString("hex");
+  return { body, headers: { "content-type": "application/json", "x-signature-ed25519": signature, "x-signature-timestamp": String(ts) } };
+}
+
+test("verifyDiscordRequest checks the key, the body and the timestamp", () => {
+  const { body, headers } = signed({ type: 1 });
+  const input = { publicKey: publicHex, signature: headers["x-signature-ed25519"], timestamp: headers["x-signature-timestamp"], body };
+  assert.equal(verifyDiscordRequest(input), true);
+  assert.equal(verifyDiscordRequest({ ...input, body: body.replace("1", "2") }), false);
+  const other = crypto.generateKeyPairSync("ed25519").publicKey.export({ format: "der", type: "spki" }).subarray(-32).toString("hex");
+  assert.equal(verifyDiscordRequest({ ...input, publicKey: other }), false);
+  const stale = signed({ type: 1 }, { ts: Math.floor(Date.now() / 1000) - 3600 });
+  assert.equal(verifyDiscordRequest({ ...input, signature: stale.headers["x-signature-ed25519"], timestamp: stale.headers["x-signature-timestamp"] }), false);
+});
+
+let stack;
+before(async () => {
+  stack = await startStack({ env: { DISCORD_PUBLIC_KEY: publicHex, PUBLIC_URL: "https://lb.example" } });
+});
+after(() => stack.stop());
+
+async function interact(payload, opts) {
+  const { body, headers } = signed(payload, opts);
+  const r = await fetch(`${stack.base}/api/discord/interactions`, { method: "POST", headers, body });
+  return { status: r.status, body: r.headers.get("content-type")?.includes("json") ? await r.json() : await r.text() };
+}
+
+const command = (name, options = [], user = { id: "9001", username: "shira.dc" }) => ({
+  type: 2,
+  member: { user },
+  data: { name, options: options.map(([n, value]) => ({ name: n, value })) },
+});
+
+test("PING is answered and bad signatures are rejected", async () => {
+  assert.deepEqual((await interact({ type: 1 })).body, { type: 1 });
+
+  const { body, headers } = signed({ type: 1 });
+  const forged = await fetch(`${stack.base}/api/discord/interactions`, {
+    method: "POST",
+    headers,
+    body: body.replace("1", "2"),
+  });
+  assert.equal(forged.status, 401);
+  const other = crypto.generateKeyPairSync("ed25519").privateKey;
+  assert.equal((await interact({ type: 1 }, { key: other })).status, 401);
+});
+
+test("/top, /rank and /compare answer from the board", async () => {
+  for (const [name, key] of [["shira_types", "ape_demo_shira"], ["noam_k", "ape_demo_noam"], ["yael_keys", "ape_demo_yael"]]) {
+    await client(stack.base, { ip: `10.0.18.${name.length}` }).join(name, key);
+  }
+
+  const top = (await interact(command("top", [["n", 2]]))).body;
+  assert.equal(top.type, 4);
+  const lines = top.data.embeds[0].description.split("\n");
+  assert.equal(lines.length, 2);
+  assert.match(lines[0], /^\*\*#1\*\* .+ — [\d.]+ WPM/);
+
+  const rank = (await interact(command("rank", [["username", "noam_k"], ["mode", "time:15"]]))).body;
+  assert.match(rank.data.embeds[0].title, /^noam_k — #\d of 3 \(time 15s\)$/);
+  assert.equal(rank.data.embeds[0].url, "https://lb.example/u/noam_k");
+
+  const compare = (await interact(command("compare", [["first", "shira_types"], ["second", "yael_keys"]]))).body;
+  assert.match(compare.data.embeds[0].title, /shira_types vs yael_keys/);
+  assert.match(compare.data.embeds[0].description, /ahead by|Dead even/);
+
+  const missing = (await interact(command("compare", [["first", "shira_types"], ["second", "nobody_here"]]))).body;
+  assert.equal(missing.data.flags, 64);
+  assert.match(missing.data.content, /nobody\\_here/);
+});
+
+test("/link connects the Discord user to the site account", async () => {
+  const unlinked = (await interact(command("rank"))).body;
+  assert.match(unlinked.data.content, /use \/link/);
+
+  const linkReply = (await interact(command("link"))).body;
+  assert.equal(linkReply.data.flags, 64);
+  const url = linkReply.data.content.match(/https:\/\/lb\.example(\/discord\/link\?token=\S+)/)[1];
+  const token = new URL(url, "https://x").searchParams.get("token");
+
+  const me = client(stack.base, { ip: "10.0.18.50" });
+  assert.equal((await me.get(url)).headers.get("location"), "/join");
+  await me.join("itay_fast", "ape_demo_itay");
+  const page = await me.get(url);
+  assert.equal(page.status, 200);
+  assert.match(page.body, /shira\.dc/);
+  const csrf = page.body.match(/name="_csrf" value="([^"]+)"/)[1];
+
+  const done = await me.post("/discord/link", { json: { _csrf: csrf, token } });
+  assert.equal(done.status, 200);
+  assert.match(done.body, /Discord linked/);
+  // tokens are single-use
+  assert.equal((await me.post("/discord/link", { json: { _csrf: csrf, token } })).status, 410);
+
+  const account = (await me.get("/api/account")).body;
+  assert.equal(account.discord.name, "shira.dc");
+  const rank = (await interact(command("rank"))).body;
+  assert.match(rank.data.embeds[0].title, /^itay_fast — #\d of 4/);
+
+  const { csrf: apiCsrf } = (await me.get("/api/session")).body;
+  assert.equal((await me.post("/api/account/discord/unlink", { json: {}, headers: { "x-csrf-token": apiCsrf } })).status, 200);
+  assert.equal((await me.get("/api/account")).body.discord, null);
+});
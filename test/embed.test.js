@@ -0,0 +1,86 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { parseTheme, parseWidgetOptions, renderBadge } from "../lib/embed.js";
+import { startStack, client } from "./harness.js";
+
+test("theme options fall back instead of failing", () => {
+  assert.equal(parseTheme({ theme: "dark", accent: "E2B714" }).accent, "#e2b714");
+  assert.equal(parseTheme({ theme: "dark" }).name, "dark");
+  assert.equal(parseTheme({ theme: "constructor", accent: "red;}" }).name, "light");
+  assert.equal(parseTheme({ accent: "red;}" }).accent, "#1e40af");
+  assert.deepEqual(
+    [parseWidgetOptions({}).n, parseWidgetOptions({ n: "500" }).n, parseWidgetOptions({ refresh: "5" }).refresh, parseWidgetOptions({ refresh: "0" }).refresh],
+    [10, 25, 30, 0]
+  );
+});
+
+test("badge text is escaped", () => {
+  const svg = renderBadge({ username: "<b>", selection: { mode: "time", mode2: "15" } });
+  assert.match(svg, /&lt;b&gt; · time 15s/);
+  assert.match(svg, /not ranked/);
+});
+
+let stack;
+before(async () => {
+  stack = await startStack({ env: { WIDGET_FRAME_ANCESTORS: "https://obs.example https://streamer.example" } });
+  for (const [name, key] of [["shira_types", "ape_demo_shira"], ["noam_k", "ape_demo_noam"], ["yael_keys", "ape_demo_yael"]]) {
+    await client(stack.base, { ip: `10.0.20.${name.length}` }).join(name, key);
+  }
+});
+after(() => stack.stop());
+
+test("badges show WPM, accuracy and rank and can be embedded anywhere", async () => {
+  const board = (await client(stack.base).get("/api/leaderboard?mode=time&mode2=60")).body.users;
+  const idx = board.findIndex((r) => r.username === "noam_k");
+
+  const r = await fetch(`${stack.base}/badge/NOAM_K.svg?mode=time&mode2=60&theme=dark&accent=e2b714`);
+  assert.equal(r.status, 200);
+  assert.match(r.headers.get("content-type"), /^image\/svg\+xml/);
+  assert.match(r.headers.get("cache-control"), /public, max-age=300/);
+  assert.equal(r.headers.get("cross-origin-resource-policy"), "cross-origin");
+  const svg = await r.text();
+  assert.match(svg, /noam_k · time 60s/);
+  assert.ok(svg.includes(`${board[idx].wpm} WPM · ${board[idx].accuracy.toFixed(1)}% · #${idx + 1} in Israel`));
+  assert.match(svg, /fill="#e2b714"/);
+
+  // conditional requests are answered from the ETag (fetch() would add "no-cache", so plain http)
+  const status = await new Promise((resolve, reject) => {
+    http
+      .get(`${stack.base}/badge/noam_k.svg?mode=time&mode2=60&theme=dark&accent=e2b714`, { headers: { "if-none-match": r.headers.get("etag") } }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      })
+      .on("error", reject);
+  });
+  assert.equal(status, 304);
+
+  const unknown = await fetch(`${stack.base}/badge/nobody_here.svg`);
+  assert.equal(unknown.status, 404);
+  assert.match(await unknown.text(), /not ranked/);
+  assert.equal((await fetch(`${stack.base}/badge/noam_k.svg?mode=zen`)).status, 400);
+});
+
+test("only the widget relaxes frame-ancestors", async () => {
+  const r = await fetch(`${stack.base}/widget?n=2&theme=dark&accent=e2b714&refresh=45`);
+  assert.equal(r.status, 200);
+  const csp = r.headers.get("content-security-policy");
+  assert.match(csp, /frame-ancestors https:\/\/obs\.example https:\/\/streamer\.example/);
+  assert.match(csp, /script-src 'self'/);
+  assert.equal(r.headers.get("x-frame-options"), null);
+  assert.match(r.headers.get("cache-control"), /public, max-age=60/);
+
+  const html = await r.text();
+  assert.equal((html.match(/<tr>/g) || []).length, 2);
+  assert.match(html, /Top 2/);
+  assert.match(html, /http-equiv="refresh" content="45"/);
+  assert.match(html, /background:#0f172a/);
+  assert.match(html, /color:#e2b714/);
+  // cached publicly: links must not come from the Host header
+  assert.match(html, /href="\/u\/[^"]+"/);
+  assert.doesNotMatch(html, /href="http/);
+
+  const home = await fetch(`${stack.base}/`);
+  assert.match(home.headers.get("content-security-policy"), /frame-ancestors 'self'/);
+  assert.equal(home.headers.get("x-frame-options"), "SAMEORIGIN");
+});
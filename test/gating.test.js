@@ -0,0 +1,37 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startStack, client } from "./harness.js";
+
+let stack;
+before(async () => {
+  stack = await startStack({ env: { JOIN_COOLDOWN_MS: "60000", KEY_THROTTLE_MS: "60000" } });
+});
+after(() => stack.stop());
+
+test("per-IP join cooldown answers 429 on a quick second attempt", async () => {
+  const c = client(stack.base, { ip: "10.0.1.1" });
+  const first = await c.join("cool_one", "ape_demo_dana");
+  assert.equal(first.status, 200);
+  const second = await c.join("cool_two", "ape_demo_eitan");
+  assert.equal(second.status, 429);
+});
+
+test("per-key throttle applies across IPs", async () => {
+  const a = client(stack.base, { ip: "10.0.1.2" });
+  const b = client(stack.base, { ip: "10.0.1.3" });
+  assert.equal((await a.join("key_one", "ape_demo_omer")).status, 200);
+  const r = await b.join("key_two", "ape_demo_omer");
+  assert.equal(r.status, 429);
+  assert.match(r.body.error, /slow down/i);
+});
+
+test("visitors outside Israel get the restricted page and cannot join", async () => {
+  const geo = { "cf-connecting-ip": "8.8.8.8", "cf-ipcountry": "US" };
+  const c = client(stack.base, { ip: "8.8.8.8", headers: geo });
+  const page = await c.get("/join");
+  assert.equal(page.status, 403);
+  assert.match(page.body, /Access restricted/);
+
+  const il = client(stack.base, { ip: "5.29.0.1", headers: { "cf-connecting-ip": "5.29.0.1", "cf-ipcountry": "IL" } });
+  assert.equal((await il.get("/join")).status, 200);
+});
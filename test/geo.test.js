@@ -0,0 +1,58 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { startStack, client } from "./harness.js";
+
+const admin = { authorization: "Bearer admin-secret" };
+let stack;
+let dbFile;
+before(async () => {
+  dbFile = path.join(await fs.mkdtemp(path.join(os.tmpdir(), "mtil-geo-")), "geo-cidrs.txt");
+  await fs.writeFile(dbFile, "5.29.0.0/16 IL\n2a00:a040::/32 IL\n8.8.8.0/24 US\n");
+  // public client IPs and no CDN header: only the offline file can answer
+  stack = await startStack({ env: { ADMIN_TOKEN: "admin-secret", GEO_DB_FILE: dbFile, GEO_PROVIDERS: "local" } });
+});
+after(async () => {
+  await stack.stop();
+  await fs.rm(path.dirname(dbFile), { recursive: true, force: true });
+});
+
+test("the offline database decides without calling out", async () => {
+  assert.equal((await client(stack.base, { ip: "5.29.7.1" }).get("/join")).status, 200);
+  assert.equal((await client(stack.base, { ip: "2a00:a040:3::9" }).get("/join")).status, 200);
+  assert.equal((await client(stack.base, { ip: "8.8.8.8" }).get("/join")).status, 403);
+  // not in the file → unknown → refused
+  assert.equal((await client(stack.base, { ip: "1.1.1.1" }).get("/join")).status, 403);
+
+  const geo = (await client(stack.base, { ip: "10.0.23.1", headers: admin }).get("/api/admin/geo")).body;
+  assert.deepEqual(geo.providers, ["local"]);
+  assert.equal(geo.database.ipv4Ranges, 2);
+  assert.equal(geo.database.ipv6Ranges, 1);
+});
+
+test("admin allow/deny rules override the country", async () => {
+  const api = client(stack.base, { ip: "10.0.23.2", headers: admin });
+  assert.equal((await api.post("/api/admin/geo/rules", { json: { cidr: "0.0.0.0/0", action: "allow" } })).status, 400);
+
+  const allow = (await api.post("/api/admin/geo/rules", { json: { cidr: "8.8.8.8", action: "allow", note: "member on a US VPN" } })).body;
+  assert.equal(allow.rule.cidr, "8.8.8.8/32");
+  const deny = (await api.post("/api/admin/geo/rules", { json: { cidr: "5.29.7.0/24", action: "deny" } })).body;
+
+  assert.equal((await client(stack.base, { ip: "8.8.8.8" }).get("/join")).status, 200);
+  assert.equal((await client(stack.base, { ip: "5.29.7.1" }).get("/join")).status, 403);
+  assert.equal((await client(stack.base, { ip: "5.29.8.1" }).get("/join")).status, 200);
+
+  const check = (await api.post("/api/admin/geo/lookup", { json: { ip: "5.29.7.1" } })).body;
+  assert.equal(check.allowed, false);
+  assert.equal(check.reason, "rule");
+  const byCountry = (await api.post("/api/admin/geo/lookup", { json: { ip: "5.29.8.1" } })).body;
+  assert.deepEqual([byCountry.allowed, byCountry.country, byCountry.provider], [true, "IL", "local"]);
+
+  assert.ok((await api.post(`/api/admin/geo/rules/${deny.rule.id}/delete`, { json: {} })).body.ok);
+  assert.equal((await client(stack.base, { ip: "5.29.7.1" }).get("/join")).status, 200);
+
+  const audit = (await api.get("/api/admin/audit")).body.entries.map((e) => `${e.action} ${e.target}`);
+  assert.ok(audit.includes("geo-rule-add 8.8.8.8/32") && audit.includes("geo-rule-delete 5.29.7.0/24"));
+});
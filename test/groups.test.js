@@ -0,0 +1,75 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { rankGroups } from "../lib/groups.js";
+import { startStack, client } from "./harness.js";
+
+test("groups rank by the average of their top N, missing members counting as 0", () => {
+  const group = (id, ...names) => ({ id, name: id, members: Object.fromEntries(names.map((n) => [n, { username: n }])) });
+  const rows = [{ username: "a", wpm: 120 }, { username: "b", wpm: 100 }, { username: "c", wpm: 90 }, { username: "d", wpm: 60 }];
+  const ranked = rankGroups([group("solo", "a"), group("pair", "b", "c", "d"), group("empty", "zed")], rows, 2);
+  assert.deepEqual(ranked.map((g) => [g.id, g.score, g.ranked]), [["pair", 95, 2], ["solo", 60, 1], ["empty", null, 0]]);
+  assert.equal(ranked[0].inviteCode, undefined);
+});
+
+let stack;
+before(async () => {
+  stack = await startStack();
+});
+after(() => stack.stop());
+
+async function member(ip, name, key) {
+  const c = client(stack.base, { ip });
+  assert.equal((await c.join(name, key)).status, 200);
+  const { csrf } = (await c.get("/api/session")).body;
+  return { c, post: (url, json = {}) => c.post(url, { json, headers: { "x-csrf-token": csrf } }) };
+}
+
+test("invite groups need the code, get their own board and show up in the group ranking", async () => {
+  const owner = await member("10.0.9.1", "class_owner", "ape_demo_shira");
+  const created = await owner.post("/api/groups", { name: "Class 11B", kind: "school", visibility: "invite" });
+  assert.equal(created.status, 200);
+  const { id } = created.body.group;
+  const code = created.body.inviteCode;
+  assert.ok(code);
+
+  const mate = await member("10.0.9.2", "class_mate", "ape_demo_dana");
+  assert.equal((await mate.post(`/api/groups/${id}/join`, { code: "nope" })).status, 403);
+  assert.equal((await mate.post(`/api/groups/${id}/join`, { code })).body.joined, true);
+  assert.equal((await mate.c.get(`/api/groups/${id}`)).body.inviteCode, null);
+  assert.equal((await owner.c.get(`/api/groups/${id}`)).body.inviteCode, code);
+
+  const outsider = await member("10.0.9.3", "outsider", "ape_demo_noam");
+  const board = (await outsider.c.get(`/api/leaderboard?group=${id}`)).body;
+  assert.equal(board.group.name, "Class 11B");
+  assert.deepEqual(board.users.map((u) => u.username), ["class_owner", "class_mate"]);
+  assert.equal((await outsider.c.get("/api/leaderboard?group=nope-0000")).status, 404);
+
+  const open = await outsider.post("/api/groups", { name: "Tel Aviv", kind: "city", visibility: "open" });
+  const ranking = (await outsider.c.get("/api/groups/ranking?top=2")).body.groups;
+  assert.deepEqual(ranking.map((g) => [g.name, g.ranked]), [["Class 11B", 2], ["Tel Aviv", 1]]);
+  assert.equal((await mate.post(`/api/groups/${open.body.group.id}/join`)).body.joined, true);
+
+  // the owner leaving hands the group to the next member
+  assert.equal((await owner.post(`/api/groups/${id}/leave`)).status, 200);
+  const handedOver = (await mate.c.get(`/api/groups/${id}`)).body;
+  assert.equal(handedOver.isOwner, true);
+  assert.equal(handedOver.group.memberCount, 1);
+  assert.equal((await owner.post(`/api/groups/${id}/code`)).status, 403);
+  const fresh = (await mate.post(`/api/groups/${id}/code`)).body.inviteCode;
+  assert.notEqual(fresh, code);
+});
+
+test("groups with Hebrew names get distinct ids", async () => {
+  const owner = await member("10.0.9.5", "hebrew_owner", "ape_demo_itay");
+  const ids = [];
+  for (const name of ["תיכון הרצליה", "תיכון אחר"]) {
+    const created = await owner.post("/api/groups", { name, kind: "school", visibility: "open" });
+    assert.equal(created.status, 200);
+    assert.match(created.body.group.id, /^group-[0-9a-f]{12}$/);
+    ids.push(created.body.group.id);
+  }
+  assert.notEqual(ids[0], ids[1]);
+  for (const [i, name] of [[0, "תיכון הרצליה"], [1, "תיכון אחר"]]) {
+    assert.equal((await owner.c.get(`/api/groups/${ids[i]}`)).body.group.name, name);
+  }
+});
@@ -0,0 +1,127 @@
+// test/harness.js
+// Boots the real server.js in a child process against the bundled mock
+// Monkeytype API and a throwaway data dir, plus a tiny cookie-keeping client.
+import { spawn } from "child_process";
+import fs from "fs/promises";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { startMockMonkeytype } from "../lib/mock-monkeytype.js";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.once("error", reject);
+    srv.listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * @param {{ env?: object, files?: Record<string, any>, mockOpts?: object }} [opts]
+ *   files: JSON documents written into the data dir before boot ({ "keystore": {...} })
+ */
+export async function startStack({ env = {}, files = {}, mockOpts = {} } = {}) {
+  const mock = await startMockMonkeytype(mockOpts);
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "mtil-test-"));
+  for (const [name, doc] of Object.entries(files)) {
+    await fs.writeFile(path.join(dataDir, `${name}.json`), JSON.stringify(doc));
+  }
+  const port = await freePort();
+
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      NODE_ENV: "test",
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      MONKEYTYPE_API_BASE: mock.url,
+      STORAGE_BACKEND: "json",
+      REDIS_URL: "",
+      DEMO_MODE: "",
+      JOIN_COOLDOWN_MS: "0",
+      KEY_THROTTLE_MS: "0",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  let output = "";
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${output}`)), 10000);
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes("running on")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    child.once("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`server exited (${code}):\n${output}`));
+    });
+  });
+
+  return {
+    base: `http://127.0.0.1:${port}`,
+    mock,
+    dataDir,
+    readDoc: async (name) => JSON.parse(await fs.readFile(path.join(dataDir, `${name}.json`), "utf8")),
+    async stop() {
+      child.removeAllListeners("exit");
+      child.kill();
+      await mock.close();
+      await fs.rm(dataDir, { recursive: true, force: true });
+    },
+  };
+}
+
+// `files` for existing accounts ({ username: apeKey }). ADMIN_USERNAMES names
+// can't be claimed by joining, so admins in tests start out with an account.
+export function accountFiles(accounts) {
+  return {
+    users: Object.keys(accounts).map((username) => ({ username, country: "IL" })),
+    keystore: { byUser: { ...accounts }, byHash: {} },
+  };
+}
+
+// fetch wrapper that keeps the session cookie and a fixed client IP
+export function client(base, { ip = "10.0.0.1", headers: extra = {} } = {}) {
+  let cookie = "";
+  async function request(method, url, { json, headers = {} } = {}) {
+    const res = await fetch(base + url, {
+      method,
+      redirect: "manual",
+      headers: {
+        "x-forwarded-for": ip,
+        ...(cookie ? { cookie } : {}),
+        ...(json ? { "content-type": "application/json" } : {}),
+        ...extra,
+        ...headers,
+      },
+      body: json ? JSON.stringify(json) : undefined,
+    });
+    const set = res.headers.get("set-cookie");
+    if (set) cookie = set.split(";")[0];
+    const type = res.headers.get("content-type") || "";
+    const body = type.includes("json") ? await res.json() : await res.text();
+    return { status: res.status, body, headers: res.headers };
+  }
+  return {
+    get: (url, opts) => request("GET", url, opts),
+    post: (url, opts) => request("POST", url, opts),
+    // POST /api/join with a fresh CSRF token from /api/session
+    async join(siteUsername, apeKey) {
+      const s = await request("GET", "/api/session");
+      return request("POST", "/api/join", { json: { siteUsername, apeKey }, headers: { "x-csrf-token": s.body.csrf } });
+    },
+  };
+}
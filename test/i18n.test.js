@@ -0,0 +1,80 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, readdirSync } from "node:fs";
+import { fromAcceptLanguage, negotiateLang, translator } from "../lib/i18n.js";
+import { startStack, client } from "./harness.js";
+
+test("Accept-Language picks the best supported language", () => {
+  assert.equal(fromAcceptLanguage("he-IL,he;q=0.9,en;q=0.8"), "he");
+  assert.equal(fromAcceptLanguage("fr;q=0.9,en;q=0.5,he;q=0.7"), "he");
+  assert.equal(fromAcceptLanguage("iw"), "he");
+  assert.equal(fromAcceptLanguage("he;q=0,en"), "en");
+  assert.equal(fromAcceptLanguage("*"), null);
+  assert.equal(negotiateLang({ headers: { cookie: "sid=x; lang=en", "accept-language": "he" } }), "en");
+  assert.equal(negotiateLang({ headers: { cookie: "lang=fr" } }), "en");
+  assert.equal(negotiateLang({ headers: { cookie: "lang=%E0%A4%A", "accept-language": "he" } }), "he");
+});
+
+test("translated strings escape their values", () => {
+  const t = translator("he");
+  assert.match(t("discord.doneBody", { discord: "<img>", username: "noam_k" }), /&lt;img&gt;/);
+  assert.equal(t("nav.back"), "חזרה");
+  assert.equal(translator("xx")("nav.back"), "Go back");
+});
+
+test("every page string has an English and a Hebrew entry", () => {
+  const dir = new URL("../public/", import.meta.url);
+  const src = readFileSync(new URL("i18n.js", dir), "utf8");
+  const [en, he] = src.split("\n    he: {").map((part) => new Set([...part.matchAll(/^ {6}"([^"]+)":/gm)].map((m) => m[1])));
+  assert.deepEqual([...en].filter((k) => !he.has(k)), []);
+  assert.deepEqual([...he].filter((k) => !en.has(k)), []);
+
+  const used = new Set();
+  for (const file of readdirSync(dir)) {
+    const text = readFileSync(new URL(file, dir), "utf8");
+    if (file.endsWith(".html")) for (const m of text.matchAll(/data-i18n(?:-[a-z-]+)?="([^"]+)"/g)) used.add(m[1]);
+    if (file.endsWith(".js")) for (const m of text.matchAll(/\bt\(["']([\w.]+)["']/g)) used.add(m[1]);
+  }
+  assert.ok(used.has("admin.members.title"));
+  assert.deepEqual([...used].filter((k) => !en.has(k)), []);
+});
+
+let stack;
+before(async () => {
+  stack = await startStack();
+});
+after(() => stack.stop());
+
+test("?lang= switches the join page and remembers the choice", async () => {
+  const r = await fetch(`${stack.base}/join?lang=he`, { headers: { "x-forwarded-for": "10.0.21.1" } });
+  assert.equal(r.status, 200);
+  const cookie = r.headers.getSetCookie().find((c) => c.startsWith("lang="));
+  assert.match(cookie, /^lang=he;/);
+  const html = await r.text();
+  assert.match(html, /<html lang="he" dir="rtl">/);
+  assert.match(html, /הצטרפות לטבלת המובילים/);
+  assert.match(html, /href="\/join\?lang=en"/);
+
+  const again = await fetch(`${stack.base}/join`, { headers: { "x-forwarded-for": "10.0.21.1", cookie: "lang=he" } });
+  assert.match(await again.text(), /dir="rtl"/);
+
+  const broken = await fetch(`${stack.base}/`, { headers: { "x-forwarded-for": "10.0.21.1", cookie: "lang=%E0%A4%A" } });
+  assert.equal(broken.status, 200);
+
+  const english = await client(stack.base, { ip: "10.0.21.2" }).get("/join");
+  assert.match(english.body, /<html lang="en" dir="ltr">/);
+  assert.match(english.body, /Join the Leaderboard/);
+});
+
+test("the restricted page follows Accept-Language", async () => {
+  const geo = { "cf-connecting-ip": "8.8.8.8", "cf-ipcountry": "US", "accept-language": "he-IL,he;q=0.9" };
+  const page = await client(stack.base, { ip: "8.8.8.8", headers: geo }).get("/join");
+  assert.equal(page.status, 403);
+  assert.match(page.body, /הגישה מוגבלת/);
+
+  // JSON errors stay English for API clients
+  const api = await client(stack.base, { ip: "8.8.8.8", headers: geo }).join("someone", "ape_demo_guest");
+  assert.equal(api.status, 403);
+  assert.equal(typeof api.body.error, "string");
+  assert.doesNotMatch(api.body.error, /[֐-׿]/);
+});
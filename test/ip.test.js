@@ -0,0 +1,116 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { isIsraelIP, getClientIP, isPrivate, activeGeoProviders } from "../lib/ip.js";
+import { parseIp, parseCidr, buildGeoIndex, lookupInIndex, parseDelegated } from "../lib/geo-db.js";
+import { pickRule, parseRuleInput } from "../lib/geo-rules.js";
+
+const ENV = { ...process.env };
+afterEach(() => {
+  for (const name of ["NODE_ENV", "GEO_PROVIDERS", "GEO_DB_FILE"]) {
+    if (ENV[name] === undefined) delete process.env[name];
+    else process.env[name] = ENV[name];
+  }
+});
+
+const req = (headers = {}, ip = "203.0.113.9") => ({ headers, ip, socket: { remoteAddress: ip } });
+
+test("client IP prefers CDN headers, then X-Forwarded-For, and strips the IPv4-mapped prefix", () => {
+  assert.equal(getClientIP(req({ "cf-connecting-ip": "1.1.1.1", "x-forwarded-for": "2.2.2.2" })), "1.1.1.1");
+  assert.equal(getClientIP(req({ "x-forwarded-for": "2.2.2.2, 10.0.0.1" })), "2.2.2.2");
+  assert.equal(getClientIP(req({}, "::ffff:198.51.100.4")), "198.51.100.4");
+});
+
+test("Cloudflare country header decides for public IPs", async () => {
+  process.env.NODE_ENV = "production";
+  assert.equal(await isIsraelIP(req({ "cf-connecting-ip": "5.29.0.1", "cf-ipcountry": "IL" })), true);
+  assert.equal(await isIsraelIP(req({ "cf-connecting-ip": "8.8.8.8", "cf-ipcountry": "US" })), false);
+});
+
+test("private addresses pass in development only", async () => {
+  process.env.NODE_ENV = "development";
+  assert.equal(await isIsraelIP(req({}, "192.168.1.20")), true);
+  process.env.NODE_ENV = "production";
+  // an invalid/unknown client IP never resolves to Israel
+  assert.equal(await isIsraelIP(req({ "x-forwarded-for": "not-an-ip" }, "")), false);
+});
+
+test("private ranges include IPv6 unique-local and link-local", () => {
+  for (const ip of ["10.1.2.3", "172.20.0.1", "169.254.10.1", "::1", "fd12:3456:789a::1", "fc00::1", "fe80::1", "febf::1"]) {
+    assert.equal(isPrivate(ip), true, ip);
+  }
+  for (const ip of ["8.8.8.8", "172.32.0.1", "2001:db8::1", "fd1::1", "fec0::1"]) {
+    assert.equal(isPrivate(ip), false, ip);
+  }
+});
+
+test("CIDR parsing covers IPv4, IPv6 and IPv4-mapped addresses", () => {
+  assert.equal(parseCidr("10.1.2.3/8").cidr, "10.0.0.0/8");
+  assert.equal(parseCidr("2a00:a040:1::/32").cidr, "2a00:a040::/32");
+  assert.equal(parseCidr("203.0.113.7").prefix, 32);
+  assert.equal(parseCidr("10.0.0.0/33"), null);
+  assert.equal(parseCidr("nope/8"), null);
+  assert.deepEqual(parseIp("::ffff:5.29.0.1"), parseIp("5.29.0.1"));
+  assert.equal(parseIp("fe80::1%eth0").version, 6);
+});
+
+test("the offline index finds the country of IPv4 and IPv6 addresses", () => {
+  const index = buildGeoIndex("# comment\n5.29.0.0/16 IL\n8.8.8.0/24 US\n2a00:a040::/32 il\nbogus line\n");
+  assert.equal(lookupInIndex(index, "5.29.200.1"), "IL");
+  assert.equal(lookupInIndex(index, "8.8.8.8"), "US");
+  assert.equal(lookupInIndex(index, "5.30.0.1"), null);
+  assert.equal(lookupInIndex(index, "2a00:a040:12::5"), "IL");
+  assert.equal(lookupInIndex(index, "2a00:a041::1"), null);
+});
+
+test("the default falls back to the HTTP providers until the offline file exists", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "mtil-geo-"));
+  delete process.env.GEO_PROVIDERS;
+  process.env.GEO_DB_FILE = path.join(dir, "missing.txt");
+  assert.deepEqual(await activeGeoProviders(), ["local", "ipapi", "ipwhois"]);
+  process.env.GEO_PROVIDERS = "local";
+  assert.deepEqual(await activeGeoProviders(), ["local"]);
+
+  delete process.env.GEO_PROVIDERS;
+  process.env.GEO_DB_FILE = path.join(dir, "geo-cidrs.txt");
+  await fs.writeFile(process.env.GEO_DB_FILE, "5.29.0.0/16 IL\n");
+  assert.deepEqual(await activeGeoProviders(), ["local"]);
+  await fs.rm(dir, { recursive: true });
+});
+
+test("registry stats become aligned CIDR blocks", () => {
+  const stats = [
+    "2|ripencc|20260101|3|19830705|20260101|+0100",
+    "ripencc|*|ipv4|*|2|summary",
+    "ripencc|IL|ipv4|5.29.0.0|65536|20120101|allocated|abc",
+    "ripencc|IL|ipv4|192.0.2.0|768|20120101|assigned|abc",
+    "ripencc|DE|ipv4|198.51.100.0|256|20120101|allocated|abc",
+    "ripencc|IL|ipv6|2a00:a040::|32|20120101|allocated|abc",
+    "ripencc||ipv4|203.0.113.0|256||available",
+  ].join("\n");
+  assert.deepEqual(parseDelegated(stats, { countries: ["IL"] }), [
+    "5.29.0.0/16 IL",
+    "192.0.2.0/23 IL",
+    "192.0.4.0/24 IL",
+    "2a00:a040::/32 IL",
+  ]);
+  assert.equal(parseDelegated(stats).length, 5);
+});
+
+test("the most specific geo rule wins, deny on a tie", () => {
+  const rules = [
+    { id: "a", cidr: "5.29.0.0/16", action: "deny" },
+    { id: "b", cidr: "5.29.1.0/24", action: "allow" },
+    { id: "c", cidr: "8.8.8.8/32", action: "allow" },
+    { id: "d", cidr: "8.8.8.8/32", action: "deny" },
+  ];
+  assert.equal(pickRule(rules, "5.29.1.9").id, "b");
+  assert.equal(pickRule(rules, "5.29.2.9").id, "a");
+  assert.equal(pickRule(rules, "8.8.8.8").id, "d");
+  assert.equal(pickRule(rules, "1.1.1.1"), null);
+  assert.ok(parseRuleInput({ cidr: "0.0.0.0/0", action: "allow" }).error);
+  assert.ok(parseRuleInput({ cidr: "8.8.8.8", action: "maybe" }).error);
+  assert.deepEqual(parseRuleInput({ cidr: "2001:db8::1/48", action: "deny", note: " vpn  exit " }), { cidr: "2001:db8::/48", action: "deny", note: "vpn exit" });
+});
@@ -0,0 +1,84 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startStack, client } from "./harness.js";
+
+let stack;
+before(async () => {
+  stack = await startStack({
+    // legacy data: "legacy_amy" has a key on file but no byHash entry yet
+    files: {
+      users: [{ username: "legacy_amy", wpm15: 80, accuracy: 95, country: "IL" }],
+      keystore: { byUser: { legacy_amy: "ape_demo_noam" }, byHash: {} },
+    },
+  });
+});
+after(() => stack.stop());
+
+test("brand-new user: key is bound, user is created and logged in", async () => {
+  const c = client(stack.base, { ip: "10.0.0.11" });
+  const r = await c.join("newbie", "ape_demo_guest");
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body, { ok: true, username: "newbie", created: true });
+
+  const s = await c.get("/api/session");
+  assert.equal(s.body.username, "newbie");
+
+  const lb = await c.get("/api/leaderboard");
+  assert.ok(lb.body.users.some((u) => u.username === "newbie"));
+
+  const ks = await stack.readDoc("keystore");
+  assert.ok(ks.byUser.newbie);
+  assert.ok(Object.values(ks.byHash).includes("newbie"));
+});
+
+test("key already bound: logs into the bound username whatever name is typed", async () => {
+  const c = client(stack.base, { ip: "10.0.0.12" });
+  const r = await c.join("someone_else", "ape_demo_guest");
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body, { ok: true, username: "newbie", relogin: true });
+});
+
+test("existing username with the same key on file: relogin", async () => {
+  const c = client(stack.base, { ip: "10.0.0.13" });
+  const r = await c.join("legacy_amy", "ape_demo_noam");
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body, { ok: true, username: "legacy_amy", relogin: true });
+});
+
+test("existing username with a different key: 409", async () => {
+  const c = client(stack.base, { ip: "10.0.0.14" });
+  const r = await c.join("newbie", "ape_demo_shira");
+  assert.equal(r.status, 409);
+  assert.equal(r.body.ok, false);
+});
+
+test("invalid Ape Key is rejected before anything is stored", async () => {
+  const c = client(stack.base, { ip: "10.0.0.15" });
+  const r = await c.join("badkey_user", "ape_not_a_real_key");
+  assert.equal(r.status, 400);
+  assert.match(r.body.error, /invalid/i);
+
+  const users = await stack.readDoc("users");
+  assert.ok(!users.some((u) => u.username === "badkey_user"));
+});
+
+test("bad username format and missing CSRF token are refused", async () => {
+  const c = client(stack.base, { ip: "10.0.0.16" });
+  const r = await c.join("x", "ape_demo_yael");
+  assert.equal(r.status, 400);
+
+  const noCsrf = await c.post("/api/join", { json: { siteUsername: "valid_name", apeKey: "ape_demo_yael" } });
+  assert.equal(noCsrf.status, 403);
+});
+
+test("form join redirects home on success", async () => {
+  const c = client(stack.base, { ip: "10.0.0.17" });
+  const page = await c.get("/join");
+  assert.equal(page.status, 200);
+  const csrf = /name="_csrf" value="([^"]+)"/.exec(page.body)[1];
+  const r = await c.post("/join", {
+    json: { _csrf: csrf, siteUsername: "form_user", apeKey: "ape_demo_yael" },
+  });
+  assert.equal(r.status, 302);
+  assert.equal(r.headers.get("location"), "/");
+});
@@ -0,0 +1,99 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import express from "express";
+import { fetchMonkeytypePBs, isApeKeyUnauthorized } from "../lib/monkeytype.js";
+
+// Scriptable upstream: each test sets `routes` and reads `hits`
+let server;
+let routes = {};
+let hits = [];
+before(async () => {
+  const app = express();
+  app.use((req, res) => {
+    hits.push(req.path);
+    const handler = routes[req.path];
+    if (!handler) return res.status(404).json({ message: "Not found" });
+    handler(req, res);
+  });
+  server = http.createServer(app);
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  process.env.MONKEYTYPE_API_BASE = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => new Promise((r) => server.close(r)));
+
+function setup(r) {
+  routes = r;
+  hits = [];
+}
+
+const run = (mode, mode2, wpm, extra = {}) => ({ mode, mode2, wpm, acc: 97.5, timestamp: 1700000000000, ...extra });
+
+test("uses personal bests (keyed by mode2) and skips the fallbacks when every mode is covered", async () => {
+  setup({
+    "/users/personalBests": (req, res) => {
+      const list = req.query.mode === "time" ? ["15", "30", "60", "120"] : ["10", "25", "50", "100"];
+      res.json({ data: Object.fromEntries(list.map((m2) => [m2, [{ wpm: 100, acc: 98 }]])) });
+    },
+  });
+  const r = await fetchMonkeytypePBs("amy", "ape_x");
+  assert.equal(Object.keys(r.pbs).length, 8);
+  assert.equal(r.pbs["time:60"][0].wpm, 100);
+  assert.ok(!hits.includes("/results/last") && !hits.includes("/results"));
+});
+
+test("keeps one PB per config and accepts flat PB arrays", async () => {
+  setup({
+    "/users/personalBests": (req, res) =>
+      res.json({
+        data: req.query.mode === "time"
+          ? [run("time", "15", 90, { language: "hebrew" }), run("time", "15", 110), run("time", "15", 95)]
+          : [],
+      }),
+  });
+  const r = await fetchMonkeytypePBs("amy", "ape_x");
+  assert.deepEqual(r.pbs["time:15"].map((p) => [p.wpm, p.language]), [[110, "english"], [90, "hebrew"]]);
+});
+
+test("a mode whose personal bests answered is settled, even with categories missing", async () => {
+  setup({
+    "/users/personalBests": (req, res) => res.json({ data: req.query.mode === "time" ? { 15: [{ wpm: 100, acc: 98 }] } : {} }),
+  });
+  const r = await fetchMonkeytypePBs("amy", "ape_x");
+  assert.deepEqual(Object.keys(r.pbs), ["time:15"]);
+  assert.deepEqual(hits, ["/users/personalBests", "/users/personalBests"]);
+  assert.equal(r.recent, undefined);
+});
+
+test("PB endpoint down → one /results?limit=100, handed back for the windowed boards", async () => {
+  setup({
+    "/users/personalBests": (req, res) =>
+      req.query.mode === "time" ? res.status(500).json({ message: "boom" }) : res.json({ data: { 25: [{ wpm: 80, acc: 97 }] } }),
+    "/results": (req, res) => {
+      assert.equal(req.query.limit, "100");
+      res.json({ data: [run("time", "60", 70), run("time", "15", 88), run("time", "15", 92), run("words", "25", 75)] });
+    },
+  });
+  const r = await fetchMonkeytypePBs("amy", "ape_x");
+  assert.deepEqual(hits.filter((h) => h !== "/users/personalBests"), ["/results"]);
+  assert.equal(r.pbs["time:60"][0].wpm, 70);
+  assert.equal(r.pbs["time:15"][0].wpm, 92);
+  // words answered: its PB stands and recent runs don't replace it
+  assert.equal(r.pbs["words:25"][0].wpm, 80);
+  assert.equal(r.recent.length, 4);
+  assert.deepEqual(r.recent[0], { category: "time:60", pb: r.pbs["time:60"][0], entry: run("time", "60", 70) });
+});
+
+test("unauthorized key fails fast without trying the fallbacks", async () => {
+  setup({ "/users/personalBests": (req, res) => res.status(470).json({ message: "Invalid ApeKey" }) });
+  await assert.rejects(fetchMonkeytypePBs("amy", "ape_x"), (e) => isApeKeyUnauthorized(e) && e.status === 470);
+  assert.deepEqual(hits, ["/users/personalBests"]);
+});
+
+test("no results anywhere is an error", async () => {
+  setup({
+    "/users/personalBests": (req, res) => res.status(503).json({ message: "down" }),
+    "/results": (req, res) => res.json({ data: [] }),
+  });
+  await assert.rejects(fetchMonkeytypePBs("amy", "ape_x"), /No results found/);
+});
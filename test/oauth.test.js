@@ -0,0 +1,73 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startStack, client } from "./harness.js";
+import { parseProfile, oauthConfig } from "../lib/monkeytype-oauth.js";
+
+test("user info parsing and env config", () => {
+  assert.deepEqual(parseProfile({ data: { uid: "abc", name: "shira_types" } }), { id: "abc", name: "shira_types" });
+  assert.deepEqual(parseProfile({ sub: 42, preferred_username: "noam_k" }), { id: "42", name: "noam_k" });
+  assert.equal(parseProfile({ data: { name: "no id" } }), null);
+  assert.equal(oauthConfig(), null);
+});
+
+let stack;
+before(async () => {
+  stack = await startStack({ env: { MONKEYTYPE_OAUTH_MOCK: "1", GEO_PROVIDERS: "local" } });
+});
+after(() => stack.stop());
+
+// Walk the redirects through the mock provider; returns the callback's response
+async function signIn(c, loginHint, { link = false, extra = {} } = {}) {
+  const start = await c.get(`/auth/monkeytype${link ? "?link=1" : ""}`);
+  assert.equal(start.status, 302);
+  const authorize = new URL(start.headers.get("location"));
+  assert.equal(authorize.origin, stack.mock.url);
+  for (const [k, v] of Object.entries({ login_hint: loginHint, ...extra })) authorize.searchParams.set(k, v);
+  const back = await fetch(authorize, { redirect: "manual" });
+  const callback = new URL(back.headers.get("location"));
+  return c.get(callback.pathname + callback.search);
+}
+
+test("a new Monkeytype identity finishes on /join and logs straight in afterwards", async () => {
+  const c = client(stack.base, { ip: "10.0.25.1" });
+  const first = await signIn(c, "guest");
+  assert.equal(first.headers.get("location"), "/join");
+  const page = await c.get("/join");
+  assert.match(page.body, /Signed in to Monkeytype as <b>guest<\/b>/);
+  assert.match(page.body, /name="siteUsername"[^>]*value="guest"/);
+
+  assert.equal((await c.join("guest", "ape_demo_guest")).status, 200);
+
+  const later = client(stack.base, { ip: "10.0.25.2" });
+  const again = await signIn(later, "guest");
+  assert.equal(again.headers.get("location"), "/");
+  assert.equal((await later.get("/api/session")).body.username, "guest");
+});
+
+test("members link and unlink Monkeytype from their account", async () => {
+  const c = client(stack.base, { ip: "10.0.25.3" });
+  assert.equal((await c.join("shira", "ape_demo_shira")).status, 200);
+  const linked = await signIn(c, "shira_types", { link: true });
+  assert.equal(linked.headers.get("location"), "/account");
+  const account = (await c.get("/api/account")).body;
+  assert.equal(account.monkeytype.name, "shira_types");
+  assert.equal(account.monkeytypeLogin, true);
+
+  const other = client(stack.base, { ip: "10.0.25.4" });
+  assert.equal((await signIn(other, "shira_types")).headers.get("location"), "/");
+  assert.equal((await other.get("/api/session")).body.username, "shira");
+
+  // logins from abroad still need approval on the account
+  assert.equal((await signIn(client(stack.base, { ip: "8.8.8.8" }), "shira_types")).status, 403);
+
+  const unlink = await c.post("/api/account/monkeytype/unlink", { json: {}, headers: { "x-csrf-token": account.csrf } });
+  assert.ok(unlink.body.ok);
+  assert.equal((await signIn(client(stack.base, { ip: "10.0.25.5" }), "shira_types")).headers.get("location"), "/join");
+});
+
+test("denied or forged callbacks don't log anyone in", async () => {
+  const c = client(stack.base, { ip: "10.0.25.6" });
+  assert.equal((await signIn(c, "noam_k", { extra: { deny: "1" } })).status, 400);
+  assert.equal((await c.get("/auth/monkeytype/callback?code=abc&state=forged")).status, 400);
+  assert.equal((await c.get("/api/session")).body.loggedIn, false);
+});
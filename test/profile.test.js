@@ -0,0 +1,37 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startStack, client } from "./harness.js";
+
+let stack;
+before(async () => {
+  stack = await startStack();
+  // shira's mock stats are well above dana's in every mode
+  await client(stack.base, { ip: "10.0.3.1" }).join("fast_one", "ape_demo_shira");
+  await client(stack.base, { ip: "10.0.3.2" }).join("slow_one", "ape_demo_dana");
+});
+after(() => stack.stop());
+
+test("profile JSON has PBs per mode with rank and percentile", async () => {
+  const c = client(stack.base);
+  const r = await c.get("/api/users/SLOW_ONE");
+  assert.equal(r.status, 200);
+  assert.equal(r.body.username, "slow_one");
+  assert.ok(r.body.joinedAt);
+  assert.ok(r.body.lastRefreshedAt);
+
+  const t15 = r.body.categories.find((x) => x.mode === "time" && x.mode2 === "15");
+  assert.deepEqual([t15.rank, t15.total, t15.percentile], [2, 2, 0]);
+  assert.ok(t15.best.wpm > 0);
+  assert.equal(r.body.categories.length, 8);
+
+  const top = await c.get("/api/users/fast_one");
+  assert.equal(top.body.categories[0].percentile, 50);
+});
+
+test("profile page is served for /u/:username and unknown users 404 in the API", async () => {
+  const c = client(stack.base);
+  const page = await c.get("/u/fast_one");
+  assert.equal(page.status, 200);
+  assert.match(page.body, /profile\.js/);
+  assert.equal((await c.get("/api/users/nobody_here")).status, 404);
+});
@@ -0,0 +1,73 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { seasonFor, parseSeasonParam } from "../lib/seasons.js";
+import { startStack, client } from "./harness.js";
+
+test("season windows are ISO weeks, calendar months and years in UTC", () => {
+  const at = Date.parse("2021-01-01T12:00:00Z"); // a Friday in ISO week 53 of 2020
+  assert.deepEqual(seasonFor("week", at), {
+    id: "week:2020-W53",
+    kind: "week",
+    label: "2020-W53",
+    start: "2020-12-28T00:00:00.000Z",
+    end: "2021-01-04T00:00:00.000Z",
+  });
+  assert.equal(seasonFor("month", at).end, "2021-02-01T00:00:00.000Z");
+  assert.equal(seasonFor("year", at).id, "year:2021");
+  assert.equal(seasonFor("week", Date.parse("2026-10-18T23:59:59Z")).id, "week:2026-W42");
+});
+
+test("season query values", () => {
+  const now = Date.parse("2026-03-10T00:00:00Z");
+  assert.equal(parseSeasonParam("", now), null);
+  assert.deepEqual(parseSeasonParam("month", now), { id: "month:2026-03" });
+  assert.deepEqual(parseSeasonParam("week:2026-W07", now), { id: "week:2026-W07" });
+  assert.ok(parseSeasonParam("fortnight", now).error);
+});
+
+const past = (id, kind, label, start, end, wpm) => ({
+  id, kind, label, start, end,
+  users: {
+    old_champ: {
+      username: "old_champ",
+      timestamp: start,
+      pbs: { "time:15": [{ wpm, accuracy: 98, achievedAt: start, language: "english", punctuation: false, numbers: false, difficulty: "normal", lazyMode: false }] },
+    },
+  },
+});
+
+let stack;
+before(async () => {
+  stack = await startStack({
+    files: {
+      seasons: {
+        // an ended season still marked open is archived on the next read
+        open: { "month:2020-05": past("month:2020-05", "month", "2020-05", "2020-05-01T00:00:00.000Z", "2020-06-01T00:00:00.000Z", 140) },
+        archive: { "year:2019": { ...past("year:2019", "year", "2019", "2019-01-01T00:00:00.000Z", "2020-01-01T00:00:00.000Z", 150), closedAt: "2020-01-01T00:00:00.000Z" } },
+      },
+    },
+  });
+});
+after(() => stack.stop());
+
+test("current season boards fill from refreshes and closed seasons stay archived", async () => {
+  const c = client(stack.base, { ip: "10.0.7.1" });
+  assert.equal((await c.join("season_runner", "ape_demo_noam")).status, 200);
+
+  const year = (await c.get("/api/leaderboard?season=year")).body;
+  assert.equal(year.season.kind, "year");
+  assert.equal(year.season.closed, false);
+  assert.ok(year.users.some((u) => u.username === "season_runner"));
+
+  const rolled = (await c.get("/api/leaderboard?season=month:2020-05")).body;
+  assert.equal(rolled.season.closed, true);
+  assert.deepEqual(rolled.users.map((u) => [u.username, u.wpm]), [["old_champ", 140]]);
+  assert.ok((await stack.readDoc("seasons")).archive["month:2020-05"].closedAt);
+
+  const list = (await c.get("/api/seasons")).body;
+  assert.deepEqual(list.current.map((s) => s.kind), ["week", "month", "year"]);
+  assert.deepEqual(list.archived.map((s) => s.id), ["month:2020-05", "year:2019"]);
+
+  assert.equal((await c.get("/api/leaderboard?season=year:1999")).status, 404);
+  assert.equal((await c.get("/api/leaderboard?season=bogus")).status, 400);
+});
@@ -0,0 +1,78 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startStack, client } from "./harness.js";
+
+let stack;
+before(async () => {
+  stack = await startStack();
+});
+after(() => stack.stop());
+
+// Resolve with the first SSE event named `name`
+async function nextEvent(res, name) {
+  const decoder = new TextDecoder();
+  let buf = "";
+  for await (const chunk of res.body) {
+    buf += decoder.decode(chunk, { stream: true });
+    let idx;
+    while ((idx = buf.indexOf("\n\n")) >= 0) {
+      const block = buf.slice(0, idx);
+      buf = buf.slice(idx + 2);
+      const event = /^event: (.+)$/m.exec(block)?.[1];
+      const data = /^data: (.+)$/m.exec(block)?.[1];
+      if (event === name) return JSON.parse(data);
+    }
+  }
+  throw new Error("stream ended");
+}
+
+test("a join that changes the board is pushed to stream subscribers", async () => {
+  const ctrl = new AbortController();
+  const res = await fetch(`${stack.base}/api/leaderboard/stream`, { signal: ctrl.signal });
+  assert.equal(res.headers.get("content-type"), "text/event-stream");
+
+  const pending = nextEvent(res, "pb");
+  const c = client(stack.base, { ip: "10.0.2.1" });
+  assert.equal((await c.join("live_one", "ape_demo_maya")).status, 200);
+
+  const ev = await pending;
+  ctrl.abort();
+  assert.equal(ev.username, "live_one");
+  assert.equal(ev.joined, true);
+  assert.ok(ev.categories.includes("time:15"));
+});
+
+test("live streams are capped per IP and overall", async () => {
+  const capped = await startStack({ env: { STREAM_MAX_PER_IP: "2", STREAM_MAX_TOTAL: "3" } });
+  const ctrl = new AbortController();
+  const open = (ip) =>
+    fetch(`${capped.base}/api/leaderboard/stream`, { headers: { "x-forwarded-for": ip }, signal: ctrl.signal });
+  try {
+    assert.equal((await open("10.0.3.1")).status, 200);
+    assert.equal((await open("10.0.3.1")).status, 200);
+    const perIp = await open("10.0.3.1");
+    assert.equal(perIp.status, 429);
+    assert.ok(perIp.headers.get("retry-after"));
+
+    assert.equal((await open("10.0.3.2")).status, 200);
+    assert.equal((await open("10.0.3.3")).status, 429);
+
+    // closing streams frees their slots
+    ctrl.abort();
+    const again = new AbortController();
+    let res;
+    for (let i = 0; i < 50; i++) {
+      res = await fetch(`${capped.base}/api/leaderboard/stream`, {
+        headers: { "x-forwarded-for": "10.0.3.1" },
+        signal: again.signal,
+      });
+      if (res.status === 200) break;
+      await new Promise((r) => setTimeout(r, 20));
+    }
+    assert.equal(res.status, 200);
+    again.abort();
+  } finally {
+    ctrl.abort();
+    await capped.stop();
+  }
+});
@@ -0,0 +1,77 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { parseTableQuery, sortRows } from "../lib/leaderboard.js";
+import { startStack, client } from "./harness.js";
+
+test("table view defaults to each column's natural order", () => {
+  assert.deepEqual(parseTableQuery({}), { q: "", sort: "rank", dir: "asc" });
+  assert.equal(parseTableQuery({ sort: "accuracy" }).dir, "desc");
+  assert.equal(parseTableQuery({ sort: "wpm", dir: "asc" }).dir, "asc");
+  assert.ok(parseTableQuery({ sort: "apeKey" }).error);
+  assert.ok(parseTableQuery({ dir: "sideways" }).error);
+});
+
+test("sortRows keeps board order for ties", () => {
+  const rows = [
+    { rank: 1, username: "b", wpm: 120, accuracy: 95, timestamp: "2026-01-02" },
+    { rank: 2, username: "A", wpm: 110, accuracy: 99, timestamp: "2026-01-03" },
+    { rank: 3, username: "c", wpm: 100, accuracy: 95, timestamp: "2026-01-01" },
+  ];
+  assert.deepEqual(sortRows(rows, { sort: "accuracy", dir: "desc" }).map((r) => r.rank), [2, 1, 3]);
+  assert.deepEqual(sortRows(rows, { sort: "username", dir: "asc" }).map((r) => r.rank), [2, 1, 3]);
+  assert.deepEqual(sortRows(rows, { sort: "timestamp", dir: "asc" }).map((r) => r.rank), [3, 1, 2]);
+  assert.deepEqual(rows.map((r) => r.rank), [1, 2, 3]);
+});
+
+let stack;
+before(async () => {
+  stack = await startStack();
+  for (const [name, key] of [["shira_types", "ape_demo_shira"], ["noam_k", "ape_demo_noam"], ["yael_keys", "ape_demo_yael"], ["itay_fast", "ape_demo_itay"]]) {
+    await client(stack.base, { ip: `10.0.22.${name.length}` }).join(name, key);
+  }
+});
+after(() => stack.stop());
+
+test("without ?limit the board is returned whole, as before", async () => {
+  const j = (await client(stack.base).get("/api/leaderboard")).body;
+  assert.equal(j.users.length, 4);
+  assert.equal(j.pagination, undefined);
+});
+
+test("the table pages, sorts and searches on the server with board ranks", async () => {
+  const api = client(stack.base, { ip: "10.0.22.100" });
+  const full = (await api.get("/api/leaderboard?limit=10")).body;
+  assert.deepEqual(full.users.map((r) => r.rank), [1, 2, 3, 4]);
+  assert.deepEqual(full.view, { q: "", sort: "rank", dir: "asc" });
+  assert.equal(full.ranked, 4);
+
+  const page = (await api.get("/api/leaderboard?limit=2&offset=2")).body;
+  assert.deepEqual(page.users.map((r) => r.username), full.users.slice(2).map((r) => r.username));
+  assert.deepEqual(page.pagination, { total: 4, limit: 2, offset: 2, nextOffset: null });
+
+  const byName = (await api.get("/api/leaderboard?limit=10&sort=username&dir=desc")).body;
+  assert.deepEqual(byName.users.map((r) => r.username), ["yael_keys", "shira_types", "noam_k", "itay_fast"]);
+
+  const found = (await api.get("/api/leaderboard?limit=10&q=NOAM")).body;
+  assert.equal(found.users.length, 1);
+  assert.equal(found.users[0].rank, full.users.find((r) => r.username === "noam_k").rank);
+  assert.equal(found.ranked, 4);
+
+  assert.equal((await api.get("/api/leaderboard?limit=500")).status, 400);
+  assert.equal((await api.get("/api/leaderboard?limit=10&sort=apeKey")).status, 400);
+});
+
+test("?around= jumps to the page a member is on", async () => {
+  const api = client(stack.base, { ip: "10.0.22.101" });
+  const full = (await api.get("/api/leaderboard?limit=10")).body.users;
+  const last = full[3];
+
+  const j = (await api.get(`/api/leaderboard?limit=2&around=${last.username.toUpperCase()}`)).body;
+  assert.equal(j.pagination.offset, 2);
+  assert.deepEqual(j.around, { username: last.username, rank: 4 });
+  assert.ok(j.users.some((r) => r.username === last.username));
+
+  const missing = (await api.get("/api/leaderboard?limit=2&offset=2&around=nobody_here")).body;
+  assert.equal(missing.around, null);
+  assert.equal(missing.pagination.offset, 2);
+});
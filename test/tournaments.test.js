@@ -0,0 +1,112 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { computeStandings, parseTournamentInput } from "../lib/tournaments.js";
+import { startStack, client, accountFiles } from "./harness.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const runAt = (wpm, accuracy = 97, achievedAt = "2026-01-02T00:00:00.000Z") => ({ wpm, accuracy, achievedAt });
+
+test("best-run and top-N scoring", () => {
+  const registrations = {
+    a: { username: "a", runs: [runAt(100), runAt(90), runAt(80)] },
+    b: { username: "b", runs: [runAt(120)] },
+    c: { username: "c", runs: [] },
+  };
+  const best = computeStandings({ scoring: { type: "best" }, registrations });
+  assert.deepEqual(best.map((r) => [r.username, r.score]), [["b", 120], ["a", 100], ["c", null]]);
+
+  // missing runs count as 0, so one fast run doesn't beat three solid ones
+  const top = computeStandings({ scoring: { type: "top", n: 3 }, registrations });
+  assert.deepEqual(top.map((r) => [r.username, r.score]), [["a", 90], ["b", 40], ["c", null]]);
+});
+
+test("tournament form validation", () => {
+  const now = Date.parse("2026-05-01T00:00:00Z");
+  const base = { name: "Spring cup", mode: "time", mode2: "15", startAt: "2026-05-02T00:00:00Z", endAt: "2026-05-09T00:00:00Z" };
+  const ok = parseTournamentInput({ ...base, language: "hebrew", scoring: "top", topN: "5" }, now);
+  assert.deepEqual([ok.filters, ok.scoring], [{ language: "hebrew" }, { type: "top", n: 5 }]);
+  assert.ok(parseTournamentInput({ ...base, mode2: "45" }, now).error);
+  assert.ok(parseTournamentInput({ ...base, scoring: "top", topN: 1 }, now).error);
+  assert.ok(parseTournamentInput({ ...base, endAt: base.startAt }, now).error);
+  assert.ok(parseTournamentInput({ ...base, endAt: "2026-04-30T00:00:00Z", startAt: "2026-04-01T00:00:00Z" }, now).error);
+});
+
+let stack;
+before(async () => {
+  stack = await startStack({
+    env: { ADMIN_USERNAMES: "organizer", TOURNAMENT_GRACE_MS: "0" },
+    files: {
+      ...accountFiles({ organizer: "ape_demo_omer" }),
+      tournaments: [{
+        id: "0ldcup00",
+        name: "Old cup",
+        mode: "time",
+        mode2: "15",
+        filters: {},
+        scoring: { type: "best" },
+        startAt: "2025-01-01T00:00:00.000Z",
+        endAt: "2025-01-08T00:00:00.000Z",
+        createdBy: "organizer",
+        registrations: { vet: { username: "vet", runs: [runAt(111, 98, "2025-01-03T00:00:00.000Z")] } },
+      }],
+    },
+  });
+});
+after(() => stack.stop());
+
+test("members register and only their in-window runs count; ended tournaments are archived", async () => {
+  const admin = client(stack.base, { ip: "10.0.8.1" });
+  await admin.join("organizer", "ape_demo_omer");
+  const { csrf } = (await admin.get("/api/session")).body;
+  const created = await admin.post("/api/admin/tournaments", {
+    json: {
+      name: "Live cup",
+      mode: "time",
+      mode2: "15",
+      scoring: "best",
+      startAt: new Date(Date.now() - 10 * DAY).toISOString(),
+      endAt: new Date(Date.now() + DAY).toISOString(),
+    },
+    headers: { "x-csrf-token": csrf },
+  });
+  assert.equal(created.status, 200);
+  const id = created.body.tournament.id;
+  // same id length as groups (lib/storage.js newId)
+  assert.match(id, /^[0-9a-f]{12}$/);
+
+  const player = client(stack.base, { ip: "10.0.8.2" });
+  await player.join("cup_player", "ape_demo_itay");
+  const anon = client(stack.base, { ip: "10.0.8.3" });
+  assert.equal((await anon.post(`/api/tournaments/${id}/register`, { json: {} })).status, 401);
+
+  const s = (await player.get("/api/session")).body;
+  const reg = await player.post(`/api/tournaments/${id}/register`, { json: {}, headers: { "x-csrf-token": s.csrf } });
+  assert.deepEqual(reg.body, { ok: true, registered: true });
+
+  // registration triggers a refresh in the background
+  let detail;
+  for (let i = 0; i < 40; i++) {
+    detail = (await player.get(`/api/tournaments/${id}`)).body;
+    if (detail.standings[0]?.runs > 0) break;
+    await new Promise((r) => setTimeout(r, 100));
+  }
+  assert.equal(detail.registered, true);
+  assert.equal(detail.tournament.status, "live");
+  assert.deepEqual(detail.standings.map((r) => r.username), ["cup_player"]);
+  assert.ok(detail.standings[0].score > 0);
+  const stored = (await stack.readDoc("tournaments")).find((t) => t.id === id);
+  const span = [Date.parse(stored.startAt), Date.parse(stored.endAt)];
+  for (const r of stored.registrations.cup_player.runs) {
+    assert.ok(Date.parse(r.achievedAt) >= span[0] && Date.parse(r.achievedAt) < span[1]);
+  }
+
+  const old = (await anon.get("/api/tournaments/0ldcup00")).body;
+  assert.equal(old.tournament.status, "finished");
+  assert.deepEqual(old.standings.map((r) => [r.rank, r.username, r.score]), [[1, "vet", 111]]);
+  assert.ok(old.finalizedAt);
+  const late = await player.post("/api/tournaments/0ldcup00/register", { json: {}, headers: { "x-csrf-token": s.csrf } });
+  assert.equal(late.status, 409);
+
+  const list = (await anon.get("/api/tournaments")).body.tournaments.map((t) => [t.name, t.status]);
+  assert.deepEqual(list, [["Live cup", "live"], ["Old cup", "finished"]]);
+});
@@ -0,0 +1,145 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import http from "http";
+import { signPayload, formatDiscord, rankingEvents } from "../lib/webhooks.js";
+import { startStack, client, accountFiles } from "./harness.js";
+
+test("signatures are HMAC-SHA256 over timestamp.body", () => {
+  const want = crypto.createHmac("sha256", "s3cret").update('1700000000.{"a":1}').digest("hex");
+  assert.equal(signPayload("s3cret", "1700000000", '{"a":1}'), `sha256=${want}`);
+});
+
+test("ranking diff emits took #1, entered top 10 and new PB", () => {
+  const row = (username, wpm) => ({ username, wpm, accuracy: 97 });
+  const others = Array.from({ length: 12 }, (_, i) => row(`u${i}`, 150 - i * 5));
+  const boards = {
+    "time:15": { before: others, after: [row("amy", 160), ...others] },
+    "time:60": { before: others, after: [...others.slice(0, 5), row("amy", 123), ...others.slice(5)] },
+  };
+  const prevPbs = { "time:15": [{ wpm: 100 }] };
+  const changed = [{ category: "time:15", wpm: 160, accuracy: 97 }, { category: "time:60", wpm: 123, accuracy: 97 }];
+  const events = rankingEvents({ username: "amy", changed, boards, prevPbs });
+  assert.deepEqual(
+    events.map((e) => [e.type, e.data.mode2, e.data.rank ?? null]),
+    [["rank.first", "15", null], ["rank.top10", "60", 6], ["pb.new", "15", 1]]
+  );
+  assert.deepEqual([events[0].data.previous, events[2].data.previousWpm], ["u0", 100]
+  );
+
+  // a hidden or banned member has no row on the boards: their PBs stay quiet
+  const hiddenBoards = { "time:15": { before: others, after: others } };
+  assert.deepEqual(rankingEvents({ username: "amy", changed: changed.slice(0, 1), boards: hiddenBoards, prevPbs }), []);
+
+  const embed = formatDiscord(events[0]).embeds[0];
+  assert.match(embed.title, /amy took #1 in time 15s/);
+  assert.match(embed.description, /Dethroned u0/);
+});
+
+// Receiver: fails the first request, then records everything
+let receiver;
+let received = [];
+let failNext = 1;
+let stack;
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      if (failNext > 0) {
+        failNext--;
+        res.writeHead(503).end();
+        return;
+      }
+      received.push({ headers: req.headers, body });
+      res.writeHead(204).end();
+    });
+  });
+  await new Promise((r) => receiver.listen(0, "127.0.0.1", r));
+  stack = await startStack({
+    env: { ADMIN_USERNAMES: "hooker", WEBHOOK_ALLOW_HTTP: "1", WEBHOOK_BACKOFF_MS: "50" },
+    files: accountFiles({ hooker: "ape_demo_eitan" }),
+  });
+});
+after(async () => {
+  await stack.stop();
+  await new Promise((r) => receiver.close(r));
+});
+
+async function waitFor(fn, ms = 5000) {
+  const end = Date.now() + ms;
+  while (Date.now() < end) {
+    if (fn()) return true;
+    await new Promise((r) => setTimeout(r, 50));
+  }
+  return false;
+}
+
+test("signed deliveries with retries and a delivery log", async () => {
+  const admin = client(stack.base, { ip: "10.0.10.1" });
+  await admin.join("hooker", "ape_demo_eitan");
+  const { csrf } = (await admin.get("/api/session")).body;
+  const post = (url, json = {}) => admin.post(url, { json, headers: { "x-csrf-token": csrf } });
+
+  assert.equal((await post("/api/admin/webhooks", { url: "ftp://x", format: "json" })).status, 400);
+  const url = `http://127.0.0.1:${receiver.address().port}/hook`;
+  const added = (await post("/api/admin/webhooks", { url, format: "json", events: ["rank.first", "rank.top10", "ping"] })).body;
+  assert.ok(added.ok);
+  const { id, secret } = added.endpoint;
+  assert.equal((await admin.get("/api/admin/webhooks")).body.endpoints[0].secret, undefined);
+
+  // the receiver's first answer is a 503, so this ping is retried
+  const ping = (await post(`/api/admin/webhooks/${id}/test`)).body;
+  assert.equal(ping.ok, false);
+  assert.equal(ping.delivery.status, "retrying");
+  assert.ok(await waitFor(() => received.length === 1));
+  const [hit] = received;
+  assert.equal(hit.headers["x-mtil-event"], "ping");
+  assert.equal(hit.headers["x-mtil-signature"], signPayload(secret, hit.headers["x-mtil-timestamp"], hit.body));
+
+  // a new member taking #1 is announced
+  const top = client(stack.base, { ip: "10.0.10.2" });
+  await top.join("speed_demon", "ape_demo_shira");
+  assert.ok(await waitFor(() => received.some((r) => JSON.parse(r.body).type === "rank.first")));
+  const first = received.map((r) => JSON.parse(r.body)).find((e) => e.type === "rank.first");
+  assert.equal(first.data.username, "speed_demon");
+
+  const { deliveries } = (await admin.get("/api/admin/webhooks")).body;
+  const logged = deliveries.find((d) => d.type === "ping");
+  assert.equal(logged.status, "delivered");
+  assert.deepEqual(logged.attempts.map((a) => a.status), [503, 204]);
+});
+
+test("retries interrupted by a restart are picked up again", async () => {
+  const url = `http://127.0.0.1:${receiver.address().port}/hook`;
+  const waiting = (id, endpointId) => ({
+    id,
+    endpointId,
+    url,
+    type: "ping",
+    createdAt: "2026-01-01T00:00:00.000Z",
+    status: "retrying",
+    attempts: [{ at: "2026-01-01T00:00:00.000Z", status: 503, error: "HTTP 503" }],
+    nextAttemptAt: "2026-01-01T00:00:05.000Z",
+    body: JSON.stringify({ type: "ping", data: { resumed: id } }),
+  });
+  const restarted = await startStack({
+    files: {
+      webhooks: [{ id: "hook1", url, format: "json", events: ["ping"], secret: "s3cret", enabled: true }],
+      "webhook-deliveries": [waiting("d-live", "hook1"), waiting("d-orphan", "gone")],
+    },
+  });
+  try {
+    assert.ok(await waitFor(() => received.some((r) => JSON.parse(r.body).data?.resumed === "d-live")));
+    let log = [];
+    for (let i = 0; i < 100 && !log.length; i++) {
+      const doc = await restarted.readDoc("webhook-deliveries");
+      if (doc.every((d) => d.status !== "retrying")) log = doc;
+      else await new Promise((r) => setTimeout(r, 50));
+    }
+    assert.deepEqual(log.map((d) => [d.id, d.status, "body" in d]), [["d-live", "delivered", false], ["d-orphan", "failed", false]]);
+    assert.ok(!received.some((r) => JSON.parse(r.body).data?.resumed === "d-orphan"));
+  } finally {
+    await restarted.stop();
+  }
+});